@@ -1,2 +0,0 @@
-ALTER TABLE donation_forms ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id);
-ALTER TABLE waiver_forms ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id);
\ No newline at end of file
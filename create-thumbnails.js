@@ -0,0 +1,50 @@
+// create-thumbnails.js
+// Make thumbnails for pictures uploaded before thumbnails existed, in the
+// storage configured by STORAGE_DRIVER. Until then, lists fall back to the
+// full-size picture.
+// Usage:
+//   node create-thumbnails.js            - create missing thumbnails
+//   node create-thumbnails.js --dry-run  - list the pictures that need one
+// Safe to run more than once: pictures that have a thumbnail are skipped.
+
+require('dotenv').config();
+const { createMissingThumbnails } = require('./src/services/storage');
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const result = await createMissingThumbnails(options);
+
+  for (const key of result.created) {
+    console.log(`${options.dryRun ? 'Would create' : 'Created'} thumbnail for ${key}`);
+  }
+  for (const key of result.failed) {
+    console.log(`Failed ${key}`);
+  }
+
+  console.log(`\n✅ ${options.dryRun ? 'Would create' : 'Created'} ${result.created.length} thumbnail(s), ` +
+    `${result.failed.length} failed`);
+
+  if (result.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Thumbnail backfill failed:', error.message);
+  process.exitCode = 1;
+});
@@ -37,7 +37,7 @@ async function createAdminUser() {
     const query = `
       INSERT INTO users (username, password_hash, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts)
       VALUES ($1, $2, $3, $4, $5, $6, $7)
-      ON CONFLICT (username) DO UPDATE 
+      ON CONFLICT (username) WHERE deleted_at IS NULL DO UPDATE
       SET password_hash = $2
       RETURNING id, username, role;
     `;
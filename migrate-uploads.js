@@ -0,0 +1,60 @@
+// migrate-uploads.js
+// Copy the pictures and signatures in the local upload folder (UPLOAD_DIR)
+// into the storage configured by STORAGE_DRIVER, e.g. an S3 bucket. Files keep
+// their /uploads/... paths, so nothing in the database changes.
+// Usage:
+//   node migrate-uploads.js                - copy files that aren't there yet
+//   node migrate-uploads.js --dry-run      - list what would be copied
+//   node migrate-uploads.js --delete-local - remove local files once copied
+// Safe to run more than once: files already copied are skipped.
+
+require('dotenv').config();
+const { getStorage, getUploadDir, migrateLocalUploads } = require('./src/services/storage');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, deleteLocal: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--delete-local') {
+      options.deleteLocal = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const target = getStorage();
+
+  if (target.name === 'local') {
+    throw new Error('STORAGE_DRIVER is local, so there is nowhere to copy to (set it to s3)');
+  }
+
+  console.log(`Copying ${getUploadDir()} to ${target.name} bucket ${target.bucket}...`);
+
+  const result = await migrateLocalUploads(target, options);
+
+  for (const key of result.copied) {
+    console.log(`${options.dryRun ? 'Would copy' : 'Copied'} ${key}`);
+  }
+  for (const key of result.failed) {
+    console.log(`Failed ${key}`);
+  }
+
+  console.log(`\n✅ ${options.dryRun ? 'Would copy' : 'Copied'} ${result.copied.length} file(s), ` +
+    `${result.skipped.length} already there, ${result.failed.length} failed`);
+
+  if (result.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Upload migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,122 @@
+// migrate.js
+// Apply or roll back the database migrations in migrations/
+// Usage:
+//   node migrate.js status                 - list applied and pending migrations
+//   node migrate.js up [--to N]            - apply pending migrations (up to version N)
+//   node migrate.js down [--steps N]       - roll back the last N migrations (default 1)
+//   node migrate.js down --to N            - roll back everything after version N
+//   node migrate.js baseline --to N        - mark 1..N as applied without running them
+//                                            (for databases set up from the old loose .sql files)
+// Add --dry-run to up or down to see what would run without changing anything.
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  baselineMigrations
+} = require('./src/services/migrations');
+
+// Database configuration from environment variables
+const pool = new Pool(
+  process.env.DATABASE_URL
+    ? {
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+          rejectUnauthorized: false
+        }
+      }
+    : {
+        user: process.env.DB_USER,
+        host: process.env.DB_HOST || 'localhost',
+        database: process.env.DB_NAME || 'lbts_store',
+        password: process.env.DB_PASSWORD,
+        port: process.env.DB_PORT || 5432,
+      }
+);
+
+function parseArgs(argv) {
+  const options = { command: 'status', dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to' || arg === '--steps') {
+      const value = parseInt(argv[++i], 10);
+      if (isNaN(value) || value < 0) {
+        throw new Error(`${arg} needs a number`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (!arg.startsWith('--')) {
+      options.command = arg;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function printStatus() {
+  const status = await getMigrationStatus(pool);
+
+  for (const migration of status.migrations) {
+    const mark = migration.applied ? (migration.changed ? '!' : '✔') : ' ';
+    const when = migration.appliedAt ? `  (applied ${migration.appliedAt.toISOString()})` : '';
+    console.log(`[${mark}] ${migration.file}${when}`);
+  }
+  for (const row of status.unknown) {
+    console.log(`[?] ${row.version}_${row.name}.sql  (applied, but no file)`);
+  }
+
+  console.log(`\nCurrent version: ${status.current}, ${status.pending.length} pending`);
+  if (status.changed.length > 0) {
+    console.log('⚠️  Migrations marked ! were edited after they were applied');
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  switch (options.command) {
+    case 'status':
+      await printStatus();
+      break;
+
+    case 'up': {
+      const applied = await migrateUp(pool, { to: options.to, dryRun: options.dryRun });
+      console.log(applied.length === 0
+        ? '✅ Database is up to date'
+        : `✅ ${options.dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s)`);
+      break;
+    }
+
+    case 'down': {
+      const rolledBack = await migrateDown(pool, { steps: options.steps, to: options.to, dryRun: options.dryRun });
+      console.log(`✅ ${options.dryRun ? 'Would roll back' : 'Rolled back'} ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    case 'baseline': {
+      if (options.to === undefined) {
+        throw new Error('baseline needs --to N (the last migration already run on this database)');
+      }
+      const marked = await baselineMigrations(pool, { to: options.to });
+      console.log(`✅ Marked ${marked.length} migration(s) as applied`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${options.command} (use status, up, down or baseline)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
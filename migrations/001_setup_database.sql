@@ -1,3 +1,4 @@
+-- migrate:up
 -- LBTS Thrift Store Management System - Database Setup
 -- Run this script to create all tables
 
@@ -8,7 +9,7 @@
 -- \c lbts_store;
 
 -- Users table
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   username VARCHAR(50) UNIQUE NOT NULL,
   password_hash VARCHAR(255) NOT NULL,
@@ -22,7 +23,7 @@ CREATE TABLE users (
 );
 
 -- Exclusive Items table (Red Tag Inventory)
-CREATE TABLE exclusive_items (
+CREATE TABLE IF NOT EXISTS exclusive_items (
   id SERIAL PRIMARY KEY,
   category VARCHAR(50) NOT NULL, -- Furniture, Clothing, Bric-a-Brac
   picture_url TEXT,
@@ -37,7 +38,7 @@ CREATE TABLE exclusive_items (
 );
 
 -- 75% Off Section table
-CREATE TABLE discount_items (
+CREATE TABLE IF NOT EXISTS discount_items (
   id SERIAL PRIMARY KEY,
   picture_url TEXT,
   price DECIMAL(10,2) NOT NULL,
@@ -49,7 +50,7 @@ CREATE TABLE discount_items (
 );
 
 -- Pick-Up Forms table
-CREATE TABLE pickup_forms (
+CREATE TABLE IF NOT EXISTS pickup_forms (
   id SERIAL PRIMARY KEY,
   customer_name VARCHAR(255) NOT NULL,
   phone VARCHAR(50) NOT NULL,
@@ -63,7 +64,7 @@ CREATE TABLE pickup_forms (
 );
 
 -- Delivery Forms table
-CREATE TABLE delivery_forms (
+CREATE TABLE IF NOT EXISTS delivery_forms (
   id SERIAL PRIMARY KEY,
   customer_name VARCHAR(255) NOT NULL,
   phone VARCHAR(50) NOT NULL,
@@ -79,7 +80,7 @@ CREATE TABLE delivery_forms (
 );
 
 -- Donation Forms table
-CREATE TABLE donation_forms (
+CREATE TABLE IF NOT EXISTS donation_forms (
   id SERIAL PRIMARY KEY,
   customer_name VARCHAR(255) NOT NULL,
   phone VARCHAR(50) NOT NULL,
@@ -93,7 +94,7 @@ CREATE TABLE donation_forms (
 );
 
 -- Waiver Forms table
-CREATE TABLE waiver_forms (
+CREATE TABLE IF NOT EXISTS waiver_forms (
   id SERIAL PRIMARY KEY,
   customer_name VARCHAR(255) NOT NULL,
   phone VARCHAR(50) NOT NULL,
@@ -107,7 +108,7 @@ CREATE TABLE waiver_forms (
 );
 
 -- Pick-Up Inventory table
-CREATE TABLE pickup_inventory (
+CREATE TABLE IF NOT EXISTS pickup_inventory (
   id SERIAL PRIMARY KEY,
   customer_name VARCHAR(255) NOT NULL,
   phone VARCHAR(50) NOT NULL,
@@ -121,7 +122,7 @@ CREATE TABLE pickup_inventory (
 );
 
 -- Delivery Inventory table
-CREATE TABLE delivery_inventory (
+CREATE TABLE IF NOT EXISTS delivery_inventory (
   id SERIAL PRIMARY KEY,
   customer_name VARCHAR(255) NOT NULL,
   phone VARCHAR(50) NOT NULL,
@@ -136,7 +137,7 @@ CREATE TABLE delivery_inventory (
 );
 
 -- Communication Log table
-CREATE TABLE communication_log (
+CREATE TABLE IF NOT EXISTS communication_log (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users(id),
   note TEXT NOT NULL,
@@ -147,7 +148,7 @@ CREATE TABLE communication_log (
 );
 
 -- Communication Log Reads table (tracks which users have read which messages)
-CREATE TABLE communication_log_reads (
+CREATE TABLE IF NOT EXISTS communication_log_reads (
   id SERIAL PRIMARY KEY,
   message_id INTEGER REFERENCES communication_log(id) ON DELETE CASCADE,
   user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
@@ -156,14 +157,14 @@ CREATE TABLE communication_log_reads (
 );
 
 -- Create indexes for better query performance
-CREATE INDEX idx_exclusive_items_category ON exclusive_items(category) WHERE deleted_at IS NULL;
-CREATE INDEX idx_exclusive_items_week ON exclusive_items(week) WHERE deleted_at IS NULL;
-CREATE INDEX idx_exclusive_items_date_arrived ON exclusive_items(date_arrived) WHERE deleted_at IS NULL;
-CREATE INDEX idx_discount_items_date_added ON discount_items(date_added) WHERE deleted_at IS NULL;
-CREATE INDEX idx_communication_log_pinned ON communication_log(pinned) WHERE deleted_at IS NULL;
-CREATE INDEX idx_users_username ON users(username) WHERE deleted_at IS NULL;
-CREATE INDEX idx_communication_log_reads_message ON communication_log_reads(message_id);
-CREATE INDEX idx_communication_log_reads_user ON communication_log_reads(user_id);
+CREATE INDEX IF NOT EXISTS idx_exclusive_items_category ON exclusive_items(category) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_exclusive_items_week ON exclusive_items(week) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_exclusive_items_date_arrived ON exclusive_items(date_arrived) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_discount_items_date_added ON discount_items(date_added) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_communication_log_pinned ON communication_log(pinned) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_communication_log_reads_message ON communication_log_reads(message_id);
+CREATE INDEX IF NOT EXISTS idx_communication_log_reads_user ON communication_log_reads(user_id);
 
 -- Insert initial admin user
 -- Password is 'admin123' - CHANGE THIS IMMEDIATELY after first login!
@@ -172,4 +173,17 @@ INSERT INTO users (username, password_hash, role, email, furniture_alerts, cloth
 VALUES ('admin', '$2b$10$rZ5H3P7LQ9aP4P.Yr5LmDOqKZXJ5L5vF5nQ5zQ5zQ5zQ5zQ5zQ5zQu', 'Admin', 'admin@lbts.local', TRUE, TRUE, TRUE);
 
 -- Note: The password hash above is a placeholder. You'll need to generate a real one.
--- See the create_admin_user.js script for proper hash generation.
\ No newline at end of file
+-- See the create_admin_user.js script for proper hash generation.
+
+-- migrate:down
+DROP TABLE IF EXISTS communication_log_reads;
+DROP TABLE IF EXISTS communication_log;
+DROP TABLE IF EXISTS delivery_inventory;
+DROP TABLE IF EXISTS pickup_inventory;
+DROP TABLE IF EXISTS waiver_forms;
+DROP TABLE IF EXISTS donation_forms;
+DROP TABLE IF EXISTS delivery_forms;
+DROP TABLE IF EXISTS pickup_forms;
+DROP TABLE IF EXISTS discount_items;
+DROP TABLE IF EXISTS exclusive_items;
+DROP TABLE IF EXISTS users;
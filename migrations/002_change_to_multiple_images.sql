@@ -1,3 +1,4 @@
+-- migrate:up
 -- Migration: Change discount_items to support multiple images
 -- This converts the single picture_url field to picture_urls array
 
@@ -15,4 +16,9 @@ ALTER TABLE discount_items
 DROP COLUMN IF EXISTS picture_url;
 
 -- Add comment
-COMMENT ON COLUMN discount_items.picture_urls IS 'Array of image URLs for the furniture item';
\ No newline at end of file
+COMMENT ON COLUMN discount_items.picture_urls IS 'Array of image URLs for the furniture item';
+
+-- migrate:down
+ALTER TABLE discount_items ADD COLUMN IF NOT EXISTS picture_url TEXT;
+UPDATE discount_items SET picture_url = picture_urls[1] WHERE picture_urls IS NOT NULL;
+ALTER TABLE discount_items DROP COLUMN IF EXISTS picture_urls;
@@ -1,3 +1,4 @@
+-- migrate:up
 -- Migration: Add approval fields to discount_items table for Furniture Approvals system
 -- This converts the 75% Off Section into a Furniture Approvals workflow
 
@@ -15,4 +16,12 @@ COMMENT ON TABLE discount_items IS 'Furniture Approvals - Items pending or appro
 COMMENT ON COLUMN discount_items.approval_status IS 'Status: pending (awaiting approval) or approved (ready for floor)';
 COMMENT ON COLUMN discount_items.approval_note IS 'Optional note added by admin during approval (visible to all staff)';
 COMMENT ON COLUMN discount_items.approved_by IS 'User ID of admin who approved the item';
-COMMENT ON COLUMN discount_items.approved_at IS 'Timestamp when item was approved';
\ No newline at end of file
+COMMENT ON COLUMN discount_items.approved_at IS 'Timestamp when item was approved';
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_discount_items_approval_status;
+ALTER TABLE discount_items
+DROP COLUMN IF EXISTS approval_status,
+DROP COLUMN IF EXISTS approval_note,
+DROP COLUMN IF EXISTS approved_by,
+DROP COLUMN IF EXISTS approved_at;
@@ -1,3 +1,4 @@
+-- migrate:up
 -- Migration: Add End of Day tables
 -- Date: 2025-11-18
 -- Access Control: Checklist visible to ALL STAFF, Report visible to MANAGER/ADMIN only
@@ -69,13 +70,19 @@ INSERT INTO checklist_templates (item_text, display_order) VALUES
 ('CROSS OUT ALL PU/DEL THAT HAVE BEEN COMPLETED', 21);
 
 -- Create indexes for better performance
-CREATE INDEX idx_daily_reports_date ON daily_reports(report_date);
-CREATE INDEX idx_daily_report_images_report ON daily_report_images(report_id);
-CREATE INDEX idx_daily_checklist_date ON daily_checklist_items(checklist_date);
-CREATE INDEX idx_checklist_template_order ON checklist_templates(display_order);
+CREATE INDEX IF NOT EXISTS idx_daily_reports_date ON daily_reports(report_date);
+CREATE INDEX IF NOT EXISTS idx_daily_report_images_report ON daily_report_images(report_id);
+CREATE INDEX IF NOT EXISTS idx_daily_checklist_date ON daily_checklist_items(checklist_date);
+CREATE INDEX IF NOT EXISTS idx_checklist_template_order ON checklist_templates(display_order);
 
 -- Add comments for documentation
 COMMENT ON TABLE daily_reports IS 'Stores daily cash count and donation amounts - MANAGER/ADMIN ACCESS ONLY';
 COMMENT ON TABLE daily_report_images IS 'Stores multiple images for daily reports - MANAGER/ADMIN ACCESS ONLY';
 COMMENT ON TABLE checklist_templates IS 'Master list of end-of-day closing duties - ALL STAFF ACCESS';
-COMMENT ON TABLE daily_checklist_items IS 'Daily completion tracking for checklist items - ALL STAFF ACCESS';
\ No newline at end of file
+COMMENT ON TABLE daily_checklist_items IS 'Daily completion tracking for checklist items - ALL STAFF ACCESS';
+
+-- migrate:down
+DROP TABLE IF EXISTS daily_checklist_items;
+DROP TABLE IF EXISTS checklist_templates;
+DROP TABLE IF EXISTS daily_report_images;
+DROP TABLE IF EXISTS daily_reports;
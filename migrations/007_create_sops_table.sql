@@ -1,3 +1,4 @@
+-- migrate:up
 -- Create SOPs table
 CREATE TABLE IF NOT EXISTS sops (
     id SERIAL PRIMARY KEY,
@@ -9,10 +10,10 @@ CREATE TABLE IF NOT EXISTS sops (
 );
 
 -- Create index on title for faster searching
-CREATE INDEX idx_sops_title ON sops(title);
+CREATE INDEX IF NOT EXISTS idx_sops_title ON sops(title);
 
 -- Create index on created_at for sorting
-CREATE INDEX idx_sops_created_at ON sops(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sops_created_at ON sops(created_at DESC);
 
 -- Add trigger to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_sops_updated_at()
@@ -23,7 +24,12 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS trigger_update_sops_timestamp ON sops;
 CREATE TRIGGER trigger_update_sops_timestamp
     BEFORE UPDATE ON sops
     FOR EACH ROW
-    EXECUTE FUNCTION update_sops_updated_at();
\ No newline at end of file
+    EXECUTE FUNCTION update_sops_updated_at();
+
+-- migrate:down
+DROP TABLE IF EXISTS sops;
+DROP FUNCTION IF EXISTS update_sops_updated_at();
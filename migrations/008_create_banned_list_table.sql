@@ -1,3 +1,4 @@
+-- migrate:up
 -- Create banned_list table
 CREATE TABLE IF NOT EXISTS banned_list (
   id SERIAL PRIMARY KEY,
@@ -25,7 +26,12 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS trigger_banned_list_updated_at ON banned_list;
 CREATE TRIGGER trigger_banned_list_updated_at
   BEFORE UPDATE ON banned_list
   FOR EACH ROW
-  EXECUTE FUNCTION update_banned_list_updated_at();
\ No newline at end of file
+  EXECUTE FUNCTION update_banned_list_updated_at();
+
+-- migrate:down
+DROP TABLE IF EXISTS banned_list;
+DROP FUNCTION IF EXISTS update_banned_list_updated_at();
@@ -1,3 +1,4 @@
+-- migrate:up
 -- Create voucher_contacts table
 CREATE TABLE IF NOT EXISTS voucher_contacts (
   id SERIAL PRIMARY KEY,
@@ -36,7 +37,13 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS trigger_voucher_contacts_updated_at ON voucher_contacts;
 CREATE TRIGGER trigger_voucher_contacts_updated_at
   BEFORE UPDATE ON voucher_contacts
   FOR EACH ROW
-  EXECUTE FUNCTION update_voucher_contacts_updated_at();
\ No newline at end of file
+  EXECUTE FUNCTION update_voucher_contacts_updated_at();
+
+-- migrate:down
+DROP TABLE IF EXISTS voucher_usage;
+DROP TABLE IF EXISTS voucher_contacts;
+DROP FUNCTION IF EXISTS update_voucher_contacts_updated_at();
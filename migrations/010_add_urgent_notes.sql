@@ -1,9 +1,10 @@
+-- migrate:up
 -- Add urgent notes functionality to LBTS database
 -- Date: November 13, 2025
 
 -- Step 1: Add is_urgent column to communication_log table
 ALTER TABLE communication_log 
-ADD COLUMN is_urgent BOOLEAN DEFAULT FALSE;
+ADD COLUMN IF NOT EXISTS is_urgent BOOLEAN DEFAULT FALSE;
 
 -- Step 2: Create table to track which users have dismissed which urgent notes
 CREATE TABLE IF NOT EXISTS urgent_note_dismissals (
@@ -15,8 +16,8 @@ CREATE TABLE IF NOT EXISTS urgent_note_dismissals (
 );
 
 -- Step 3: Add index for faster lookups
-CREATE INDEX idx_urgent_note_dismissals_note_id ON urgent_note_dismissals(note_id);
-CREATE INDEX idx_urgent_note_dismissals_user_id ON urgent_note_dismissals(user_id);
+CREATE INDEX IF NOT EXISTS idx_urgent_note_dismissals_note_id ON urgent_note_dismissals(note_id);
+CREATE INDEX IF NOT EXISTS idx_urgent_note_dismissals_user_id ON urgent_note_dismissals(user_id);
 
 -- Verify changes
 SELECT column_name, data_type, is_nullable 
@@ -26,4 +27,8 @@ AND column_name = 'is_urgent';
 
 SELECT table_name 
 FROM information_schema.tables 
-WHERE table_name = 'urgent_note_dismissals';
\ No newline at end of file
+WHERE table_name = 'urgent_note_dismissals';
+
+-- migrate:down
+DROP TABLE IF EXISTS urgent_note_dismissals;
+ALTER TABLE communication_log DROP COLUMN IF EXISTS is_urgent;
@@ -1,9 +1,10 @@
+-- migrate:up
 -- Add picture upload functionality to communication_log
 -- Date: November 17, 2025
 
 -- Step 1: Add picture_urls column to communication_log table
 ALTER TABLE communication_log 
-ADD COLUMN picture_urls TEXT[];
+ADD COLUMN IF NOT EXISTS picture_urls TEXT[];
 
 -- Step 2: Add index for better query performance
 CREATE INDEX IF NOT EXISTS idx_communication_log_picture_urls ON communication_log USING GIN (picture_urls) WHERE deleted_at IS NULL AND picture_urls IS NOT NULL;
@@ -25,4 +26,8 @@ SELECT
   picture_urls,
   created_at
 FROM communication_log 
-LIMIT 1;
\ No newline at end of file
+LIMIT 1;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_communication_log_picture_urls;
+ALTER TABLE communication_log DROP COLUMN IF EXISTS picture_urls;
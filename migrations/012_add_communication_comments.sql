@@ -1,3 +1,4 @@
+-- migrate:up
 -- Add comments functionality to communication_log
 -- Date: December 26, 2024
 
@@ -25,4 +26,7 @@ WHERE table_name = 'communication_comments';
 SELECT column_name, data_type, is_nullable 
 FROM information_schema.columns 
 WHERE table_name = 'communication_comments' 
-ORDER BY ordinal_position;
\ No newline at end of file
+ORDER BY ordinal_position;
+
+-- migrate:down
+DROP TABLE IF EXISTS communication_comments;
@@ -1,3 +1,4 @@
+-- migrate:up
 -- Migration Script: Unify Customer Forms and Inventory Tables
 -- This script merges pickup_forms + pickup_inventory, and delivery_forms + delivery_inventory
 -- Run this script on your PostgreSQL database
@@ -190,4 +191,8 @@ CREATE INDEX IF NOT EXISTS idx_delivery_forms_email_sent ON delivery_forms(email
 -- 2. Verify all data is accessible
 -- 3. After 1-2 weeks, you can drop the archived tables:
 --    DROP TABLE pickup_inventory_archived;
---    DROP TABLE delivery_inventory_archived;
\ No newline at end of file
+--    DROP TABLE delivery_inventory_archived;
+
+-- migrate:down
+-- Not reversible: inventory rows were copied into the form tables.
+-- Restore from a backup taken before this migration instead.
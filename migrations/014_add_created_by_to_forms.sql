@@ -0,0 +1,7 @@
+-- migrate:up
+ALTER TABLE donation_forms ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id);
+ALTER TABLE waiver_forms ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id);
+
+-- migrate:down
+ALTER TABLE donation_forms DROP COLUMN IF EXISTS created_by;
+ALTER TABLE waiver_forms DROP COLUMN IF EXISTS created_by;
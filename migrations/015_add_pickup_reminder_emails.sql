@@ -1,3 +1,4 @@
+-- migrate:up
 -- Migration: Add due today and final notice email tracking to pickup_forms
 -- Run date: 2026-04-09
 
@@ -5,4 +6,11 @@ ALTER TABLE pickup_forms
 ADD COLUMN IF NOT EXISTS due_today_sent BOOLEAN DEFAULT FALSE,
 ADD COLUMN IF NOT EXISTS due_today_sent_at TIMESTAMP,
 ADD COLUMN IF NOT EXISTS final_notice_sent BOOLEAN DEFAULT FALSE,
-ADD COLUMN IF NOT EXISTS final_notice_sent_at TIMESTAMP;
\ No newline at end of file
+ADD COLUMN IF NOT EXISTS final_notice_sent_at TIMESTAMP;
+
+-- migrate:down
+ALTER TABLE pickup_forms
+DROP COLUMN IF EXISTS due_today_sent,
+DROP COLUMN IF EXISTS due_today_sent_at,
+DROP COLUMN IF EXISTS final_notice_sent,
+DROP COLUMN IF EXISTS final_notice_sent_at;
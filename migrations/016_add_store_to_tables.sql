@@ -0,0 +1,32 @@
+-- migrate:up
+-- Add store column to ALL data tables
+ALTER TABLE exclusive_items ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE discount_items ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE pickup_forms ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE delivery_forms ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE donation_forms ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE waiver_forms ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE daily_reports ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE communication_log ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE sops ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE voucher_contacts ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE voucher_usage ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE daily_checklist_items ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+
+-- migrate:down
+ALTER TABLE exclusive_items DROP COLUMN IF EXISTS store;
+ALTER TABLE discount_items DROP COLUMN IF EXISTS store;
+ALTER TABLE pickup_forms DROP COLUMN IF EXISTS store;
+ALTER TABLE delivery_forms DROP COLUMN IF EXISTS store;
+ALTER TABLE donation_forms DROP COLUMN IF EXISTS store;
+ALTER TABLE waiver_forms DROP COLUMN IF EXISTS store;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS store;
+ALTER TABLE daily_reports DROP COLUMN IF EXISTS store;
+ALTER TABLE communication_log DROP COLUMN IF EXISTS store;
+ALTER TABLE sops DROP COLUMN IF EXISTS store;
+ALTER TABLE voucher_contacts DROP COLUMN IF EXISTS store;
+ALTER TABLE voucher_usage DROP COLUMN IF EXISTS store;
+ALTER TABLE daily_checklist_items DROP COLUMN IF EXISTS store;
+ALTER TABLE checklist_templates DROP COLUMN IF EXISTS store;
@@ -0,0 +1,44 @@
+-- migrate:up
+-- Create email_outbox table
+-- Every outgoing customer email (receipts, reminders, notices) is queued here
+-- and delivered by the outbox worker with retry/backoff
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id SERIAL PRIMARY KEY,
+  store VARCHAR(20) NOT NULL DEFAULT 'long_beach',
+  email_type VARCHAR(30) NOT NULL, -- receipt, due_today, final_notice
+  form_type VARCHAR(20), -- pickup, delivery, donation, waiver
+  form_id INTEGER,
+  to_address VARCHAR(255) NOT NULL,
+  from_address VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  html TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, sending, sent, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create email_outbox_attempts table (one row per delivery attempt)
+CREATE TABLE IF NOT EXISTS email_outbox_attempts (
+  id SERIAL PRIMARY KEY,
+  outbox_id INTEGER NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+  attempt_number INTEGER NOT NULL,
+  success BOOLEAN NOT NULL,
+  error TEXT,
+  attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for the worker and admin view
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, store);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_form ON email_outbox(form_type, form_id);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_attempts_outbox_id ON email_outbox_attempts(outbox_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS email_outbox_attempts;
+DROP TABLE IF EXISTS email_outbox;
@@ -0,0 +1,96 @@
+-- migrate:up
+-- Create stores table
+-- Single source of truth for store identity (used for the x-store header,
+-- email sender/contact details and per-store scheduling)
+CREATE TABLE IF NOT EXISTS stores (
+  code VARCHAR(20) PRIMARY KEY, -- value sent in the x-store header, e.g. long_beach
+  name VARCHAR(255) NOT NULL,
+  short_name VARCHAR(100),
+  address TEXT,
+  phone VARCHAR(50),
+  from_label VARCHAR(255), -- email sender name
+  logo_url TEXT,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'America/Los_Angeles',
+  business_hours JSONB NOT NULL DEFAULT '{}', -- e.g. {"mon": {"open": "09:00", "close": "17:00"}}
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one store can be the default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stores_single_default ON stores(is_default) WHERE is_default = TRUE;
+
+-- Seed the existing stores (previously hard-coded in the app)
+INSERT INTO stores (code, name, short_name, address, phone, from_label, logo_url, is_default)
+VALUES
+  ('long_beach', 'Beacon House Long Beach Thrift Store', 'Long Beach', NULL, '(562) 343-7804',
+   'Beacon House Long Beach Thrift Store',
+   'https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png',
+   TRUE),
+  ('san_pedro', 'Beacon House Association of San Pedro', 'San Pedro', '1003 S. Beacon St, San Pedro, CA 90731', '(310) 547-2332',
+   'Beacon House San Pedro Thrift Store',
+   'https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png',
+   FALSE)
+ON CONFLICT (code) DO NOTHING;
+
+-- Add trigger to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_stores_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_stores_updated_at ON stores;
+CREATE TRIGGER trigger_stores_updated_at
+  BEFORE UPDATE ON stores
+  FOR EACH ROW
+  EXECUTE FUNCTION update_stores_updated_at();
+
+-- Remove the hard-coded 'long_beach' defaults (the app always sets store explicitly)
+-- and make every store column reference the stores table
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'exclusive_items', 'discount_items', 'pickup_forms', 'delivery_forms',
+    'donation_forms', 'waiver_forms', 'banned_list', 'daily_reports',
+    'communication_log', 'sops', 'voucher_contacts', 'voucher_usage',
+    'daily_checklist_items', 'checklist_templates', 'email_outbox'
+  ]
+  LOOP
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN store DROP DEFAULT', t);
+
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint WHERE conname = t || '_store_fkey'
+    ) THEN
+      EXECUTE format(
+        'ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (store) REFERENCES stores(code) ON UPDATE CASCADE',
+        t, t || '_store_fkey'
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+-- migrate:down
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'exclusive_items', 'discount_items', 'pickup_forms', 'delivery_forms',
+    'donation_forms', 'waiver_forms', 'banned_list', 'daily_reports',
+    'communication_log', 'sops', 'voucher_contacts', 'voucher_usage',
+    'daily_checklist_items', 'checklist_templates', 'email_outbox'
+  ]
+  LOOP
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT IF EXISTS %I', t, t || '_store_fkey');
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN store SET DEFAULT ''long_beach''', t);
+  END LOOP;
+END $$;
+
+DROP TABLE IF EXISTS stores;
+DROP FUNCTION IF EXISTS update_stores_updated_at();
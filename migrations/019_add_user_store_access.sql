@@ -0,0 +1,22 @@
+-- migrate:up
+-- Add per-user store access
+-- Users can only work in the stores they are assigned to (Admins can use every store)
+CREATE TABLE IF NOT EXISTS user_stores (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  store_code VARCHAR(20) NOT NULL REFERENCES stores(code) ON UPDATE CASCADE ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, store_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_stores_store ON user_stores(store_code);
+
+-- Existing users keep access to every store they could use before
+INSERT INTO user_stores (user_id, store_code)
+SELECT u.id, s.code
+FROM users u
+CROSS JOIN stores s
+WHERE u.deleted_at IS NULL AND s.is_active = TRUE
+ON CONFLICT DO NOTHING;
+
+-- migrate:down
+DROP TABLE IF EXISTS user_stores;
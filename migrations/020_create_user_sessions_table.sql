@@ -0,0 +1,26 @@
+-- migrate:up
+-- Create user sessions table
+-- Each login creates a session. The browser holds a short-lived access token (JWT)
+-- plus a refresh token that is rotated on every use; only its hash is stored here.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_token_hash VARCHAR(64), -- last rotated-out token, used to detect reuse
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL, -- refresh token expiry, extended on each refresh
+  max_expires_at TIMESTAMP NOT NULL, -- absolute session lifetime
+  revoked_at TIMESTAMP NULL,
+  revoked_by INTEGER REFERENCES users(id),
+  revoked_reason VARCHAR(50) -- logout, admin, user_deleted, password_changed, token_reused
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_active ON user_sessions(user_id, expires_at) WHERE revoked_at IS NULL;
+
+-- migrate:down
+DROP TABLE IF EXISTS user_sessions;
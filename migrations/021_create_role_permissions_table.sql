@@ -0,0 +1,15 @@
+-- migrate:up
+-- Create role permissions table
+-- Role permissions default to the matrix in src/services/permissions.js.
+-- Rows here are admin overrides of those defaults (Admins always have every permission).
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL,
+  capability VARCHAR(100) NOT NULL,
+  allowed BOOLEAN NOT NULL,
+  updated_by INTEGER REFERENCES users(id),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (role, capability)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS role_permissions;
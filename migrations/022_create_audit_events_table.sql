@@ -0,0 +1,27 @@
+-- migrate:up
+-- Create audit events table
+-- One row per change made through the API: who did it, in which store, to what,
+-- and the record before and after the change. Written by src/services/audit.js.
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  username VARCHAR(100), -- kept so the history still reads after a user is deleted
+  role VARCHAR(50),
+  store VARCHAR(50),
+  entity VARCHAR(50) NOT NULL, -- e.g. user, banned_list, exclusive_item, pickup_form
+  entity_id VARCHAR(100),
+  action VARCHAR(50) NOT NULL, -- create, update, delete, restore, ...
+  before_data JSONB,
+  after_data JSONB,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_store ON audit_events(store, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS audit_events;
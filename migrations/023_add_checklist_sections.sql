@@ -0,0 +1,19 @@
+-- migrate:up
+-- Add checklist sections and per-store daily reports
+-- checklist_templates.section / day_of_week are used by the End of Day page
+-- (opening, closing and daily_display duties; day_of_week NULL = every day,
+-- 0-6 = Sunday-Saturday) but were only ever added by hand in production.
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS section VARCHAR(20) NOT NULL DEFAULT 'closing';
+ALTER TABLE checklist_templates ADD COLUMN IF NOT EXISTS day_of_week SMALLINT
+  CHECK (day_of_week BETWEEN 0 AND 6);
+
+-- Each store has its own daily report, so report_date is only unique per store
+ALTER TABLE daily_reports DROP CONSTRAINT IF EXISTS daily_reports_report_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_reports_date_store ON daily_reports(report_date, store);
+
+-- migrate:down
+-- Fails if two stores have a report for the same date
+DROP INDEX IF EXISTS idx_daily_reports_date_store;
+ALTER TABLE daily_reports ADD CONSTRAINT daily_reports_report_date_key UNIQUE (report_date);
+ALTER TABLE checklist_templates DROP COLUMN IF EXISTS day_of_week;
+ALTER TABLE checklist_templates DROP COLUMN IF EXISTS section;
@@ -0,0 +1,88 @@
+-- migrate:up
+-- Create customers table
+-- One row per person across every store. Forms, voucher contacts and banned list
+-- entries link here so a customer's whole history can be seen in one place.
+-- Customers are matched on phone_normalized (see normalize_phone below).
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(50),
+  phone_normalized VARCHAR(20),
+  email VARCHAR(255),
+  notes TEXT,
+  merged_into_id INTEGER REFERENCES customers(id), -- set when merged into another customer
+  merged_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Digits only, without the leading 1 on 11-digit US numbers; NULL if there are no digits
+CREATE OR REPLACE FUNCTION normalize_phone(phone TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN length(digits) = 11 AND left(digits, 1) = '1' THEN substr(digits, 2)
+    ELSE NULLIF(digits, '')
+  END
+  FROM (SELECT regexp_replace(COALESCE(phone, ''), '\D', '', 'g') AS digits) d;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- One active customer per phone number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone_normalized)
+  WHERE merged_into_id IS NULL AND phone_normalized IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(LOWER(name)) WHERE merged_into_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(LOWER(email)) WHERE merged_into_id IS NULL;
+
+-- Link records to customers
+ALTER TABLE pickup_forms ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+ALTER TABLE delivery_forms ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+ALTER TABLE donation_forms ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+ALTER TABLE waiver_forms ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+ALTER TABLE voucher_contacts ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id);
+
+CREATE INDEX IF NOT EXISTS idx_pickup_forms_customer ON pickup_forms(customer_id);
+CREATE INDEX IF NOT EXISTS idx_delivery_forms_customer ON delivery_forms(customer_id);
+CREATE INDEX IF NOT EXISTS idx_donation_forms_customer ON donation_forms(customer_id);
+CREATE INDEX IF NOT EXISTS idx_waiver_forms_customer ON waiver_forms(customer_id);
+CREATE INDEX IF NOT EXISTS idx_voucher_contacts_customer ON voucher_contacts(customer_id);
+CREATE INDEX IF NOT EXISTS idx_banned_list_customer ON banned_list(customer_id);
+
+-- Create a customer for every phone number on an existing form, using the
+-- name and email from their most recent form
+WITH form_contacts AS (
+  SELECT customer_name, phone, email, created_at FROM pickup_forms
+  UNION ALL SELECT customer_name, phone, email, created_at FROM delivery_forms
+  UNION ALL SELECT customer_name, phone, email, created_at FROM donation_forms
+  UNION ALL SELECT customer_name, phone, email, created_at FROM waiver_forms
+)
+INSERT INTO customers (name, phone, phone_normalized, email)
+SELECT DISTINCT ON (normalize_phone(f.phone))
+  f.customer_name,
+  f.phone,
+  normalize_phone(f.phone),
+  (SELECT e.email FROM form_contacts e
+   WHERE normalize_phone(e.phone) = normalize_phone(f.phone) AND e.email IS NOT NULL
+   ORDER BY e.created_at DESC LIMIT 1)
+FROM form_contacts f
+WHERE normalize_phone(f.phone) IS NOT NULL
+ORDER BY normalize_phone(f.phone), f.created_at DESC
+ON CONFLICT DO NOTHING;
+
+UPDATE pickup_forms f SET customer_id = c.id FROM customers c
+WHERE c.phone_normalized = normalize_phone(f.phone) AND c.merged_into_id IS NULL AND f.customer_id IS NULL;
+UPDATE delivery_forms f SET customer_id = c.id FROM customers c
+WHERE c.phone_normalized = normalize_phone(f.phone) AND c.merged_into_id IS NULL AND f.customer_id IS NULL;
+UPDATE donation_forms f SET customer_id = c.id FROM customers c
+WHERE c.phone_normalized = normalize_phone(f.phone) AND c.merged_into_id IS NULL AND f.customer_id IS NULL;
+UPDATE waiver_forms f SET customer_id = c.id FROM customers c
+WHERE c.phone_normalized = normalize_phone(f.phone) AND c.merged_into_id IS NULL AND f.customer_id IS NULL;
+
+-- migrate:down
+ALTER TABLE pickup_forms DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE delivery_forms DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE donation_forms DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE waiver_forms DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE voucher_contacts DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS customer_id;
+DROP TABLE IF EXISTS customers;
+DROP FUNCTION IF EXISTS normalize_phone(TEXT);
@@ -0,0 +1,29 @@
+-- migrate:up
+-- Structured banned list entries: reason category, incident date, expiry,
+-- aliases and several photos. A ban with expires_on in the past is no longer
+-- active; expires_on NULL means the ban is permanent.
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS reason_category VARCHAR(20)
+  CHECK (reason_category IN ('theft', 'violence', 'harassment', 'other'));
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS incident_date DATE;
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS expires_on DATE;
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS picture_urls TEXT[] NOT NULL DEFAULT '{}';
+
+-- Move the single picture into the photo list
+UPDATE banned_list
+SET picture_urls = ARRAY[picture_url]
+WHERE picture_url IS NOT NULL AND picture_urls = '{}';
+
+ALTER TABLE banned_list DROP COLUMN IF EXISTS picture_url;
+
+CREATE INDEX IF NOT EXISTS idx_banned_list_expires_on ON banned_list(expires_on) WHERE deleted_at IS NULL;
+
+-- migrate:down
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS picture_url TEXT;
+UPDATE banned_list SET picture_url = picture_urls[1] WHERE cardinality(picture_urls) > 0;
+DROP INDEX IF EXISTS idx_banned_list_expires_on;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS picture_urls;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS aliases;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS expires_on;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS incident_date;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS reason_category;
@@ -0,0 +1,11 @@
+-- migrate:up
+-- Ban scope: 'store' bans apply only in the store that created them (banned_list.store),
+-- 'all' bans are shared with every store
+ALTER TABLE banned_list ADD COLUMN IF NOT EXISTS scope VARCHAR(10) NOT NULL DEFAULT 'store'
+  CHECK (scope IN ('store', 'all'));
+
+CREATE INDEX IF NOT EXISTS idx_banned_list_shared ON banned_list(scope) WHERE scope = 'all' AND deleted_at IS NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_banned_list_shared;
+ALTER TABLE banned_list DROP COLUMN IF EXISTS scope;
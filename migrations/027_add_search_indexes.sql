@@ -0,0 +1,60 @@
+-- migrate:up
+-- Full-text search indexes for /api/search. Each index is on the same document
+-- expression that src/services/search.js searches; if one changes, the other
+-- must too or Postgres falls back to scanning the table.
+-- Names and phone numbers (digits only) are weighted above descriptions and notes.
+
+-- array_to_string is only STABLE, which can't be used in an index
+CREATE OR REPLACE FUNCTION search_array_text(items TEXT[])
+RETURNS TEXT AS $$
+  SELECT array_to_string(items, ' ');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_pickup_forms_search ON pickup_forms USING GIN ((
+  setweight(to_tsvector('english', coalesce(customer_name, '') || ' ' || coalesce(normalize_phone(phone), '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(items_description, '') || ' ' || coalesce(notes, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_delivery_forms_search ON delivery_forms USING GIN ((
+  setweight(to_tsvector('english', coalesce(customer_name, '') || ' ' || coalesce(normalize_phone(phone), '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(items_description, '') || ' ' || coalesce(delivery_address, '') || ' ' || coalesce(notes, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_donation_forms_search ON donation_forms USING GIN ((
+  setweight(to_tsvector('english', coalesce(customer_name, '') || ' ' || coalesce(normalize_phone(phone), '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(donation_description, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_waiver_forms_search ON waiver_forms USING GIN ((
+  setweight(to_tsvector('english', coalesce(customer_name, '') || ' ' || coalesce(normalize_phone(phone), '')), 'A')
+));
+
+CREATE INDEX IF NOT EXISTS idx_communication_log_search ON communication_log USING GIN ((
+  setweight(to_tsvector('english', coalesce(note, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_sops_search ON sops USING GIN ((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(content, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_banned_list_search ON banned_list USING GIN ((
+  setweight(to_tsvector('english', coalesce(name, '') || ' ' || search_array_text(aliases)), 'A') ||
+  setweight(to_tsvector('english', coalesce(notes, '')), 'B')
+));
+
+CREATE INDEX IF NOT EXISTS idx_voucher_contacts_search ON voucher_contacts USING GIN ((
+  setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(referral_agency, '') || ' ' || coalesce(case_manager_name, '') || ' ' || coalesce(normalize_phone(case_manager_phone), '')), 'B')
+));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_voucher_contacts_search;
+DROP INDEX IF EXISTS idx_banned_list_search;
+DROP INDEX IF EXISTS idx_sops_search;
+DROP INDEX IF EXISTS idx_communication_log_search;
+DROP INDEX IF EXISTS idx_waiver_forms_search;
+DROP INDEX IF EXISTS idx_donation_forms_search;
+DROP INDEX IF EXISTS idx_delivery_forms_search;
+DROP INDEX IF EXISTS idx_pickup_forms_search;
+DROP FUNCTION IF EXISTS search_array_text(TEXT[]);
@@ -0,0 +1,41 @@
+-- migrate:up
+-- Itemized donations and numbered tax receipts
+
+-- Line items on a donation form. Values are the donor's own estimate; the
+-- store acknowledges what was received but does not appraise it.
+CREATE TABLE IF NOT EXISTS donation_items (
+  id SERIAL PRIMARY KEY,
+  donation_form_id INTEGER NOT NULL REFERENCES donation_forms(id) ON DELETE CASCADE,
+  category VARCHAR(50) NOT NULL,
+  description TEXT,
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  condition VARCHAR(20) NOT NULL, -- new, like_new, good, fair
+  estimated_value DECIMAL(10, 2) CHECK (estimated_value >= 0), -- for the whole line, not each
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_donation_items_form ON donation_items(donation_form_id);
+
+-- Receipt numbers run per store per calendar year, e.g. LONG_BEACH-2026-00042
+CREATE TABLE IF NOT EXISTS donation_receipt_counters (
+  store VARCHAR(20) NOT NULL,
+  year INTEGER NOT NULL,
+  last_number INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (store, year)
+);
+
+-- Forms created before receipts were numbered keep a NULL receipt number
+ALTER TABLE donation_forms ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(40);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_donation_forms_receipt_number ON donation_forms(receipt_number);
+
+-- Attachments are described here and generated when the email is sent,
+-- e.g. [{"kind": "donation_receipt", "formId": 12}]
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS attachments JSONB NOT NULL DEFAULT '[]';
+
+-- migrate:down
+ALTER TABLE email_outbox DROP COLUMN IF EXISTS attachments;
+DROP INDEX IF EXISTS idx_donation_forms_receipt_number;
+ALTER TABLE donation_forms DROP COLUMN IF EXISTS receipt_number;
+DROP TABLE IF EXISTS donation_receipt_counters;
+DROP TABLE IF EXISTS donation_items;
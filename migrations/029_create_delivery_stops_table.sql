@@ -0,0 +1,22 @@
+-- migrate:up
+-- Create delivery_stops table
+-- Route planning and progress for a scheduled delivery form: its place in the
+-- day's stop order, the driver and truck, and where it is on the route.
+-- A delivery has no row until it is ordered, assigned or updated.
+CREATE TABLE IF NOT EXISTS delivery_stops (
+  delivery_form_id INTEGER PRIMARY KEY REFERENCES delivery_forms(id) ON DELETE CASCADE,
+  stop_order INTEGER, -- 1 = first stop; NULL = not ordered yet (listed last)
+  driver_name VARCHAR(100),
+  truck VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- scheduled, loaded, en_route, delivered, failed
+  failure_reason TEXT,
+  photo_url TEXT, -- taken with the latest status update, e.g. proof of delivery
+  status_updated_at TIMESTAMP,
+  status_updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  out_for_delivery_email_at TIMESTAMP, -- when the customer was told the truck is on its way
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS delivery_stops;
@@ -0,0 +1,63 @@
+-- migrate:up
+-- Retention policies, legal holds and purge history
+-- Used by src/services/retention.js, which permanently deletes old records
+-- (and their uploaded files) on a schedule.
+
+-- How long records of each kind are kept before they are purged. A row with
+-- store NULL is the default for every store; a row for a store overrides it.
+-- Kinds with no policy are never purged.
+CREATE TABLE IF NOT EXISTS retention_policies (
+  id SERIAL PRIMARY KEY,
+  entity VARCHAR(50) NOT NULL, -- see RETENTION_ENTITIES in src/services/retention.js
+  store VARCHAR(20) REFERENCES stores(code) ON UPDATE CASCADE ON DELETE CASCADE,
+  retain_days INTEGER NOT NULL CHECK (retain_days >= 0),
+  enabled BOOLEAN NOT NULL DEFAULT true, -- false: keep forever (e.g. to switch a default off for one store)
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_entity_store
+  ON retention_policies(entity, (COALESCE(store, '')));
+
+-- The intervals cleanup-deleted-items.js used to hard-code
+INSERT INTO retention_policies (entity, store, retain_days)
+VALUES
+  ('pickup_forms', NULL, 7),
+  ('delivery_forms', NULL, 7),
+  ('exclusive_items', NULL, 7),
+  ('discount_items', NULL, 7),
+  ('daily_report_images', NULL, 90)
+ON CONFLICT DO NOTHING;
+
+-- Records that must never be purged, whatever the policy says
+CREATE TABLE IF NOT EXISTS legal_holds (
+  id SERIAL PRIMARY KEY,
+  entity VARCHAR(50) NOT NULL,
+  record_id INTEGER NOT NULL,
+  store VARCHAR(20),
+  reason TEXT NOT NULL,
+  placed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (entity, record_id)
+);
+
+-- One row per purge run, with the ids and files it removed
+CREATE TABLE IF NOT EXISTS retention_runs (
+  id SERIAL PRIMARY KEY,
+  trigger VARCHAR(20) NOT NULL, -- scheduled, manual
+  status VARCHAR(30) NOT NULL DEFAULT 'running', -- running, completed, completed_with_errors, error
+  started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP,
+  purged_count INTEGER NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]', -- [{ entity, store, retainDays, purged: [ids], files, failedFiles, error }]
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started ON retention_runs(started_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS retention_runs;
+DROP TABLE IF EXISTS legal_holds;
+DROP TABLE IF EXISTS retention_policies;
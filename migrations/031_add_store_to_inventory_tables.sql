@@ -0,0 +1,9 @@
+-- migrate:up
+-- The old inventory log tables predate stores (016). Databases that skipped
+-- archiving them in 013 still serve /api/inventory-log, so they need a store too.
+ALTER TABLE IF EXISTS pickup_inventory ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+ALTER TABLE IF EXISTS delivery_inventory ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach';
+
+-- migrate:down
+ALTER TABLE IF EXISTS pickup_inventory DROP COLUMN IF EXISTS store;
+ALTER TABLE IF EXISTS delivery_inventory DROP COLUMN IF EXISTS store;
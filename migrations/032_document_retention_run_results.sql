@@ -0,0 +1,7 @@
+-- migrate:up
+-- 030 is already applied, so the shape of a run's results is documented here
+-- instead of in its CREATE TABLE: held records are listed, failed files are not.
+COMMENT ON COLUMN retention_runs.results IS '[{ entity, store, retainDays, purged: [ids], held: [ids], files, error }]';
+
+-- migrate:down
+COMMENT ON COLUMN retention_runs.results IS NULL;
@@ -1,13 +1,120 @@
 // api-helper.js
-// Adds auth token and store header to every API request automatically
+// Adds auth token and store header to every API request automatically.
+// Access tokens are short-lived: when one expires, the refresh token is swapped
+// for a new pair and the request is sent again.
 
-function apiFetch(url, options = {}) {
+let refreshInFlight = null;
+
+function sendApiRequest(url, options) {
   const token = localStorage.getItem('token');
-  const store = localStorage.getItem('selectedStore') || 'long_beach';
+  const store = localStorage.getItem('selectedStore');
 
   options.headers = options.headers || {};
   options.headers['Authorization'] = `Bearer ${token}`;
-  options.headers['x-store'] = store;
+  // Without a store header the server uses the default store
+  if (store) {
+    options.headers['x-store'] = store;
+  }
 
   return fetch(url, options);
-}
\ No newline at end of file
+}
+
+// Get a new access token. Concurrent callers share one refresh request,
+// since each refresh token can only be used once.
+function refreshAccessToken() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshInFlight) {
+    refreshInFlight = fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) return false;
+
+        const data = await response.json();
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return true;
+      })
+      .catch(error => {
+        console.error('Token refresh error:', error);
+        return false;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+
+  return refreshInFlight;
+}
+
+async function apiFetch(url, options = {}) {
+  const response = await sendApiRequest(url, options);
+
+  if (response.status !== 401) return response;
+
+  const data = await response.clone().json().catch(() => ({}));
+  if (data.code === 'TOKEN_EXPIRED' && await refreshAccessToken()) {
+    return sendApiRequest(url, options);
+  }
+
+  return response;
+}
+
+// Does the logged-in user have a capability from the permission matrix?
+function userCan(capability) {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  return Array.isArray(user.permissions) && user.permissions.includes(capability);
+}
+
+// Lists show thumbnails; pictures uploaded before thumbnails existed don't
+// have one, so <img onerror="useOriginalImage(this, url)"> falls back to the picture
+function useOriginalImage(img, url) {
+  img.onerror = null;
+  img.src = url;
+}
+
+// Signatures and cash report photos aren't public, so pages render them as
+// <img data-private-src="/uploads/..."> and call this to load them through
+// the signed-in /api/files route
+async function loadPrivateImages(container = document) {
+  const images = Array.from(container.querySelectorAll('img[data-private-src]'));
+
+  await Promise.all(images.map(async img => {
+    const url = img.dataset.privateSrc;
+    img.removeAttribute('data-private-src');
+
+    try {
+      const response = await apiFetch('/api/files/' + url.replace(/^\/uploads\//, ''));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      img.src = URL.createObjectURL(await response.blob());
+    } catch (error) {
+      console.error('Error loading image:', error);
+      img.alt = 'Image unavailable';
+    }
+  }));
+}
+
+// The src attribute for an image that may be private: uploaded files go
+// through loadPrivateImages, anything else (e.g. old inline images) is used as is
+function privateImageSrc(url) {
+  return url && url.startsWith('/uploads/') ? `data-private-src="${url}"` : `src="${url}"`;
+}
+
+// End the session on the server, then forget it locally
+async function logoutSession() {
+  try {
+    await apiFetch('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  localStorage.removeItem('selectedStore');
+}
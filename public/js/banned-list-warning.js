@@ -0,0 +1,96 @@
+// public/js/banned-list-warning.js
+// Shared banned list warning for pages that create customer records.
+// When the server answers 409 BANNED_LIST_MATCH, the possible matches are shown
+// and the request is only sent again (with banned_override) if the user confirms.
+
+(function() {
+  'use strict';
+
+  function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
+  // Show the matches; resolves to { reason } if the user proceeds, or null
+  function showBannedWarning(matches) {
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.6); z-index: 3000; ' +
+        'display: flex; align-items: center; justify-content: center; padding: 20px;';
+
+      overlay.innerHTML = `
+        <div style="background: white; border-radius: 10px; padding: 25px; max-width: 600px; width: 100%;
+                    max-height: 90vh; overflow-y: auto; border-top: 6px solid #e53e3e;">
+          <h2 style="color: #c53030; font-size: 22px; margin-bottom: 10px;">⚠️ Possible Banned List Match</h2>
+          <p style="color: #4a5568; font-size: 14px; margin-bottom: 15px;">
+            This customer may be on the banned list. Check with a manager before continuing.
+          </p>
+          ${matches.map(match => `
+            <div style="display: flex; gap: 15px; align-items: flex-start; background: #fff5f5;
+                        border-radius: 8px; padding: 12px; margin-bottom: 10px;">
+              ${match.picture_urls.length > 0
+                ? `<img src="${escapeHtml(match.picture_urls[0])}" alt="" style="width: 90px; height: 90px; object-fit: cover; border-radius: 6px;">`
+                : ''}
+              <div style="font-size: 14px; color: #2d3748;">
+                <strong>${escapeHtml(match.name)}</strong>
+                ${match.aliases.length > 0 ? `<span style="color: #718096;">(aka ${escapeHtml(match.aliases.join(', '))})</span>` : ''}
+                <div style="color: #718096; font-size: 12px; margin: 4px 0;">
+                  ${match.reason === 'customer' ? 'Same customer / phone number' : 'Similar name'}
+                  ${match.reason_category ? ` · ${escapeHtml(match.reason_category)}` : ''}
+                  ${match.scope === 'all' ? ` · Banned at ${escapeHtml(match.store_name || match.store)}, all stores` : ''}
+                </div>
+                ${match.notes ? `<div>${escapeHtml(match.notes)}</div>` : ''}
+              </div>
+            </div>
+          `).join('')}
+          <label style="display: block; font-size: 13px; font-weight: 600; color: #4a5568; margin: 15px 0 5px;">
+            Reason for continuing (optional)
+          </label>
+          <textarea data-role="reason" rows="2" style="width: 100%; padding: 8px; border: 2px solid #e2e8f0;
+                    border-radius: 8px; font-family: inherit; font-size: 14px;"></textarea>
+          <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 15px;">
+            <button type="button" data-role="cancel" style="padding: 10px 18px; border: none; border-radius: 8px;
+                    background: #e2e8f0; color: #4a5568; font-weight: 600; cursor: pointer;">Cancel</button>
+            <button type="button" data-role="proceed" style="padding: 10px 18px; border: none; border-radius: 8px;
+                    background: #e53e3e; color: white; font-weight: 600; cursor: pointer;">Not the same person — continue</button>
+          </div>
+        </div>
+      `;
+
+      function close(result) {
+        overlay.remove();
+        resolve(result);
+      }
+
+      overlay.querySelector('[data-role="cancel"]').addEventListener('click', () => close(null));
+      overlay.querySelector('[data-role="proceed"]').addEventListener('click', () => {
+        close({ reason: overlay.querySelector('[data-role="reason"]').value.trim() });
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  // send(override) sends the request and returns the fetch response. override is
+  // null the first time, then { banned_override: true, banned_override_reason }
+  // if the user acknowledged the warning.
+  // Resolves to { response, data }, or { cancelled: true } if the user backed out.
+  async function sendWithBannedCheck(send) {
+    let response = await send(null);
+    let data = await response.json();
+
+    if (response.status === 409 && data.code === 'BANNED_LIST_MATCH') {
+      const answer = await showBannedWarning(data.matches);
+      if (!answer) return { cancelled: true };
+
+      response = await send({ banned_override: true, banned_override_reason: answer.reason });
+      data = await response.json();
+    }
+
+    return { response, data };
+  }
+
+  window.sendWithBannedCheck = sendWithBannedCheck;
+})();
@@ -0,0 +1,29 @@
+// public/js/deep-link.js
+// Pages opened from a search result get the record in the URL (?id=12).
+// These helpers read it and draw attention to the record once it's on the page.
+
+(function() {
+  'use strict';
+
+  // The record id the page was opened with, or null
+  function linkedRecordId() {
+    const id = new URLSearchParams(window.location.search).get('id');
+    return /^\d+$/.test(id || '') ? parseInt(id) : null;
+  }
+
+  // Scroll an element into view and outline it for a few seconds
+  function highlightRecord(element) {
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.style.transition = 'box-shadow 0.3s';
+    element.style.boxShadow = '0 0 0 4px #f6e05e';
+
+    setTimeout(() => {
+      element.style.boxShadow = '';
+    }, 4000);
+  }
+
+  window.linkedRecordId = linkedRecordId;
+  window.highlightRecord = highlightRecord;
+})();
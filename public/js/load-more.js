@@ -0,0 +1,26 @@
+// public/js/load-more.js
+// Footer for paged lists (see src/services/pagination.js): how many of the
+// matching records are shown, and a "Load more" button while there are more.
+
+(function() {
+  'use strict';
+
+  // onLoadMore is the name of the page function that loads the next page
+  function loadMoreFooter(shown, total, nextCursor, onLoadMore) {
+    if (total === 0) return '';
+
+    return `
+      <div style="display: flex; flex-direction: column; align-items: center; gap: 10px; margin: 20px 0; color: #718096; font-size: 13px;">
+        <span>Showing ${shown} of ${total}</span>
+        ${nextCursor ? `
+          <button type="button" onclick="${onLoadMore}()" style="padding: 10px 24px; border: none; border-radius: 8px;
+                  background: #e2e8f0; color: #4a5568; font-size: 14px; font-weight: 600; cursor: pointer;">
+            Load more
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  window.loadMoreFooter = loadMoreFooter;
+})();
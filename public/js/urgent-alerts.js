@@ -30,7 +30,7 @@
   async function checkForUndismissedNotes() {
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/communication/urgent/undismissed', {
+      const response = await apiFetch('/api/communication/urgent/undismissed', {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -54,7 +54,9 @@
     
     // Create EventSource with custom headers isn't directly supported
     // We'll use a workaround with query parameter
-    eventSource = new EventSource(`/api/communication/urgent-stream?token=${encodeURIComponent(token)}`);
+    const store = localStorage.getItem('selectedStore');
+    const storeParam = store ? `&store=${encodeURIComponent(store)}` : '';
+    eventSource = new EventSource(`/api/communication/urgent-stream?token=${encodeURIComponent(token)}${storeParam}`);
 
     eventSource.addEventListener('message', (event) => {
       try {
@@ -88,7 +90,8 @@
       setTimeout(() => {
         if (eventSource && eventSource.readyState === EventSource.CLOSED) {
           console.log(`Attempting to reconnect to urgent alerts stream (${sseReconnectAttempts}/${MAX_SSE_RECONNECTS})...`);
-          connectToUrgentStream();
+          // The access token in the URL has probably expired while the stream was open
+          refreshAccessToken().finally(connectToUrgentStream);
         }
       }, SSE_RECONNECT_DELAY);
     });
@@ -131,7 +134,7 @@
 
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`/api/communication/urgent/${currentAlertNoteId}/dismiss`, {
+      const response = await apiFetch(`/api/communication/urgent/${currentAlertNoteId}/dismiss`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -0,0 +1,95 @@
+// reconcile-uploads.js
+// Compare the files in upload storage (STORAGE_DRIVER) with the database:
+// files no record uses (a failed save after the upload, a replaced photo whose
+// delete failed) and records pointing at files that are gone.
+// Usage:
+//   node reconcile-uploads.js               - report orphans and dangling references
+//   node reconcile-uploads.js --quarantine  - move orphans to /uploads/quarantine/<date>/
+//   node reconcile-uploads.js --delete      - delete orphans
+//   node reconcile-uploads.js --min-age 120 - only files older than 120 minutes (default 60)
+// Thumbnails count as used while their picture is.
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { reconcileUploads, DEFAULT_MIN_AGE_MINUTES } = require('./src/services/upload-reconciler');
+
+function parseArgs(argv) {
+  const options = { action: 'report', minAgeMinutes: DEFAULT_MIN_AGE_MINUTES };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--quarantine' || arg === '--delete') {
+      if (options.action !== 'report') {
+        throw new Error('Use only one of --quarantine and --delete');
+      }
+      options.action = arg.slice(2);
+    } else if (arg === '--min-age') {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error('--min-age needs a whole number of minutes');
+      }
+      options.minAgeMinutes = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const pool = new Pool(
+    process.env.DATABASE_URL
+      ? {
+          connectionString: process.env.DATABASE_URL,
+          ssl: {
+            rejectUnauthorized: false
+          }
+        }
+      : {
+          user: process.env.DB_USER,
+          host: process.env.DB_HOST || 'localhost',
+          database: process.env.DB_NAME || 'lbts_store',
+          password: process.env.DB_PASSWORD,
+          port: process.env.DB_PORT || 5432,
+        }
+  );
+
+  try {
+    const result = await reconcileUploads(pool, options);
+
+    for (const orphan of result.orphans) {
+      console.log(`Orphan ${orphan.key} (${orphan.size} bytes)`);
+    }
+    for (const reference of result.dangling) {
+      console.log(`Missing ${reference.url} (${reference.table}.${reference.column}, id ${reference.id})`);
+    }
+    for (const key of result.quarantined) {
+      console.log(`Quarantined ${key}`);
+    }
+    for (const key of result.deleted) {
+      console.log(`Deleted ${key}`);
+    }
+    for (const key of result.failed) {
+      console.log(`Failed ${key}`);
+    }
+
+    console.log(`\n✅ Scanned ${result.scanned} file(s) and ${result.referenced} reference(s): ` +
+      `${result.orphans.length} orphan(s), ${result.dangling.length} missing file(s), ` +
+      `${result.quarantined.length} quarantined, ${result.deleted.length} deleted, ${result.failed.length} failed`);
+
+    if (result.failed.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Upload reconciliation failed:', error.message);
+  process.exitCode = 1;
+});
@@ -2,6 +2,15 @@
 // JWT authentication middleware
 
 const jwt = require('jsonwebtoken');
+const {
+  ensureStoresLoaded,
+  getActiveStore,
+  getDefaultStore,
+  canAccessAllStores,
+  canAccessStore
+} = require('../services/stores');
+const { isSessionActive } = require('../services/sessions');
+const { ensurePermissionsLoaded, hasPermission } = require('../services/permissions');
 
 // Verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -19,22 +28,93 @@ const authenticateToken = (req, res, next) => {
 
 jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
     if (err) {
+      // The browser swaps its refresh token for a new access token on this code
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
     req.user = user; // Add user info to request
-    req.store = req.headers['x-store'] || 'long_beach'; // Add store to request
-    next();
+    checkSession(req, res, () => resolveStore(req, res, next));
   });
 };
 
-// Check if user has specific role
-const requireRole = (...allowedRoles) => {
+// Reject access tokens whose session was revoked (logout, admin) or has ended.
+// Tokens issued before sessions existed have no session id and no expiry.
+const checkSession = async (req, res, next) => {
+  if (!req.user.sid) {
+    return res.status(401).json({ error: 'Session out of date. Please log in again.' });
+  }
+
+  try {
+    const active = await isSessionActive(req.app.locals.db, req.user.sid);
+
+    if (!active) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Session check error:', error);
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+};
+
+// Set req.store from the x-store header (or the user's first store if none was sent).
+// Unknown or deactivated store codes are rejected, as are stores the user isn't assigned to.
+const resolveStore = async (req, res, next) => {
+  try {
+    // Permissions are loaded here too so routes can call hasPermission() directly
+    await Promise.all([
+      ensureStoresLoaded(req.app.locals.db),
+      ensurePermissionsLoaded(req.app.locals.db)
+    ]);
+
+    // Tokens issued before store access existed carry no stores claim
+    if (!canAccessAllStores(req.user) && !Array.isArray(req.user.stores)) {
+      return res.status(401).json({ error: 'Session out of date. Please log in again.' });
+    }
+
+    // EventSource can't send headers, so SSE connections pass ?store= instead
+    const requested = req.headers['x-store'] || req.query.store;
+    let store;
+
+    if (requested) {
+      store = getActiveStore(requested);
+      if (!store) {
+        return res.status(400).json({ error: `Unknown store: ${requested}` });
+      }
+    } else {
+      const defaultStore = getDefaultStore();
+      store = defaultStore && canAccessStore(req.user, defaultStore.code)
+        ? defaultStore
+        : (req.user.stores || []).map(getActiveStore).find(Boolean);
+
+      if (!store) {
+        return res.status(403).json({ error: 'You are not assigned to any store' });
+      }
+    }
+
+    if (!canAccessStore(req.user, store.code)) {
+      return res.status(403).json({ error: 'You do not have access to this store' });
+    }
+
+    req.store = store.code; // Add store to request
+    next();
+  } catch (error) {
+    console.error('Store lookup error:', error);
+    res.status(500).json({ error: 'Failed to load stores' });
+  }
+};
+
+// Check if user has a capability from the permission matrix (see services/permissions.js)
+const requirePermission = (capability) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!hasPermission(req.user, capability)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
@@ -42,19 +122,7 @@ const requireRole = (...allowedRoles) => {
   };
 };
 
-// Check if user has Manager or Admin role (for Communication Log access)
-const requireManagerOrAbove = (req, res, next) => {
-  const managerRoles = ['Admin', 'Manager', 'Clothing Manager', 'Bric-a-Brac Manager'];
-  
-  if (!req.user || !managerRoles.includes(req.user.role)) {
-    return res.status(403).json({ error: 'Manager access required' });
-  }
-  
-  next();
-};
-
 module.exports = {
   authenticateToken,
-  requireRole,
-  requireManagerOrAbove
-};
\ No newline at end of file
+  requirePermission
+};
@@ -0,0 +1,111 @@
+// src/routes/audit.js
+// Admin view of the audit log (who changed what, and when)
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { canAccessAllStores, canAccessStore } = require('../services/stores');
+
+const router = express.Router();
+
+// All routes require the audit.view permission
+router.use(authenticateToken);
+router.use(requirePermission('audit.view'));
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/audit - Search audit events, newest first
+// Optional query:
+//   user_id, username  - who made the change
+//   entity, entity_id  - what was changed (e.g. entity=banned_list&entity_id=12)
+//   action             - create, update, delete, ...
+//   from, to           - date range (YYYY-MM-DD, inclusive)
+//   store              - store code; events for all stores the user can access if omitted
+//   limit, offset      - paging (limit max 500)
+router.get('/', async (req, res) => {
+  const { user_id, username, entity, entity_id, action, from, to, store } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+  }
+
+  // Users limited to some stores only see those stores' events
+  const allStores = canAccessAllStores(req.user);
+  if (store && !canAccessStore(req.user, store)) {
+    return res.status(403).json({ error: 'You do not have access to this store' });
+  }
+
+  const conditions = [];
+  const params = [];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (user_id) addCondition('a.user_id = ?', parseInt(user_id));
+  if (username) addCondition('a.username ILIKE ?', username);
+  if (entity) addCondition('a.entity = ?', entity);
+  if (entity_id) addCondition('a.entity_id = ?', String(entity_id));
+  if (action) addCondition('a.action = ?', action);
+  if (from) addCondition('a.created_at >= ?::date', from);
+  if (to) addCondition("a.created_at < ?::date + INTERVAL '1 day'", to);
+
+  if (store) {
+    addCondition('a.store = ?', store);
+  } else if (!allStores) {
+    addCondition('a.store = ANY(?)', req.user.stores);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const db = req.app.locals.db;
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) AS total FROM audit_events a ${where}`,
+      params
+    );
+
+    const result = await db.query(
+      `SELECT a.id, a.user_id, a.username, a.role, a.store, a.entity, a.entity_id,
+              a.action, a.before_data, a.after_data, a.ip_address, a.user_agent, a.created_at
+       FROM audit_events a
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      events: result.rows,
+      total: parseInt(countResult.rows[0].total),
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({ error: 'Failed to get audit events' });
+  }
+});
+
+// GET /api/audit/entities - Entity and action names that appear in the log (for filters)
+router.get('/entities', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    const entities = await db.query('SELECT DISTINCT entity FROM audit_events ORDER BY entity');
+    const actions = await db.query('SELECT DISTINCT action FROM audit_events ORDER BY action');
+
+    res.json({
+      entities: entities.rows.map(row => row.entity),
+      actions: actions.rows.map(row => row.action)
+    });
+  } catch (error) {
+    console.error('Get audit entities error:', error);
+    res.status(500).json({ error: 'Failed to get audit filters' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,13 @@
 // src/routes/auth.js
-// Authentication routes (login, logout, profile)
+// Authentication routes (login, token refresh, logout, profile)
 
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { authenticateToken } = require('../middleware/auth');
+const { getUserStoreCodes } = require('../services/stores');
+const { createSession, refreshSession, revokeSession } = require('../services/sessions');
+const { ensurePermissionsLoaded, getRolePermissions } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
@@ -39,28 +42,84 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
+    // Stores this user may work in
+    const stores = await getUserStoreCodes(db, user);
+
+    if (stores.length === 0) {
+      return res.status(403).json({ error: 'Your account is not assigned to any store. Please contact an admin.' });
+    }
+
+    await ensurePermissionsLoaded(db);
+
+    // Start a session: short-lived access token + refresh token
+    const session = await createSession(db, user, stores, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    });
+
+    await recordAudit(req, {
+      entity: 'session', entityId: session.sessionId, action: 'login', store: null, actor: user
+    });
+
+    // Return token and user info
+    res.json({
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user: {
         id: user.id,
         username: user.username,
         role: user.role,
+        email: user.email,
+        stores,
+        permissions: getRolePermissions(user.role),
         furniture_alerts: user.furniture_alerts,
         clothing_alerts: user.clothing_alerts,
         bricabrac_alerts: user.bricabrac_alerts
-      },
-      process.env.JWT_SECRET
-      
-    );
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// POST /api/auth/refresh
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const session = await refreshSession(db, refreshToken, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    });
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+    }
+
+    const { user, stores } = session;
+    await ensurePermissionsLoaded(db);
 
-    // Return token and user info
     res.json({
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: {
         id: user.id,
         username: user.username,
         role: user.role,
         email: user.email,
+        stores,
+        permissions: getRolePermissions(user.role),
         furniture_alerts: user.furniture_alerts,
         clothing_alerts: user.clothing_alerts,
         bricabrac_alerts: user.bricabrac_alerts
@@ -68,8 +127,8 @@ router.post('/login', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
   }
 });
 
@@ -88,7 +147,11 @@ router.get('/profile', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    const user = result.rows[0];
+    user.stores = await getUserStoreCodes(db, user);
+    user.permissions = getRolePermissions(user.role);
+
+    res.json({ user });
 
   } catch (error) {
     console.error('Profile error:', error);
@@ -97,12 +160,21 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // POST /api/auth/logout
-// Logout (client-side should delete token, this is just for logging)
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a JWT system, logout is handled client-side by deleting the token
-  // This endpoint exists for logging purposes
-  console.log(`User ${req.user.username} logged out`);
-  res.json({ message: 'Logged out successfully' });
+// Logout - revokes the session so neither token can be used again
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    await revokeSession(db, req.user.sid, { revokedBy: req.user.id, reason: 'logout' });
+
+    await recordAudit(req, { entity: 'session', entityId: req.user.sid, action: 'logout' });
+
+    console.log(`User ${req.user.username} logged out`);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
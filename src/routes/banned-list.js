@@ -2,96 +2,228 @@
 // API routes for Banned List management
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { getCustomer } = require('../services/customers');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
+const { createImageUpload, deleteUpload, deleteRequestUploads, withThumbnails } = require('../services/storage');
+const { BAN_REASONS, BAN_SCOPES, ACTIVE_BAN_SQL, appliesInStoreSql } = require('../services/banned-list');
 
 const router = express.Router();
 
-// Configure multer for banned list image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    const uploadDir = path.isAbsolute(baseUploadDir) 
-      ? path.join(baseUploadDir, 'banned-list')
-      : path.join(__dirname, '../..', baseUploadDir, 'banned-list');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'banned-' + uniqueSuffix + path.extname(file.originalname));
+// Banned list pictures
+const upload = createImageUpload({ folder: 'banned-list', prefix: 'banned' });
+
+// Dates are sent as YYYY-MM-DD so the browser doesn't shift them by time zone
+const ENTRY_COLUMNS = `b.id, b.name, b.aliases, b.reason_category,
+        TO_CHAR(b.incident_date, 'YYYY-MM-DD') AS incident_date,
+        TO_CHAR(b.expires_on, 'YYYY-MM-DD') AS expires_on,
+        b.picture_urls, b.notes, b.customer_id, b.created_at, b.updated_at,
+        b.store, b.scope, s.short_name AS store_name,
+        NOT ${ACTIVE_BAN_SQL} AS expired,
+        u.username as created_by_username`;
+
+const ENTRY_TABLES = `banned_list b
+      LEFT JOIN users u ON b.created_by = u.id
+      LEFT JOIN stores s ON s.code = b.store`;
+
+// One entry as the API returns it, or undefined if it doesn't apply in the store
+async function loadEntry(db, id, store) {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM ${ENTRY_TABLES}
+     WHERE b.id = $1 AND b.deleted_at IS NULL AND ${appliesInStoreSql(2)}`,
+    [id, store]
+  );
+
+  return result.rows[0];
+}
+
+// Multipart forms send lists as JSON; plain text is split on new lines and commas
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (e) {
+    // Not JSON
   }
-});
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
+  return String(value).split(/[\n,]/);
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Validate the structured ban fields.
+// The ban expires ban_duration_days after the incident (or today), on expires_on,
+// or never if neither is given.
+function parseBanDetails(body) {
+  const reasonCategory = body.reason_category || null;
+  const incidentDate = body.incident_date || null;
+  const expiresOn = body.expires_on || null;
+  const durationDays = body.ban_duration_days ? parseInt(body.ban_duration_days) : null;
+  const scope = body.scope || undefined;
+
+  if (reasonCategory && !BAN_REASONS.includes(reasonCategory)) {
+    return { error: `Reason must be one of: ${BAN_REASONS.join(', ')}` };
   }
-});
+  if (scope && !BAN_SCOPES.includes(scope)) {
+    return { error: `Scope must be one of: ${BAN_SCOPES.join(', ')}` };
+  }
+  if (incidentDate && !isDate(incidentDate)) {
+    return { error: 'Invalid incident date' };
+  }
+  if (expiresOn && !isDate(expiresOn)) {
+    return { error: 'Invalid expiry date' };
+  }
+  if (durationDays !== null && !(durationDays > 0)) {
+    return { error: 'Ban duration must be a positive number of days' };
+  }
+
+  const aliases = [...new Set(parseList(body.aliases).map(alias => String(alias).trim()).filter(Boolean))];
+
+  return { reasonCategory, incidentDate, expiresOn, durationDays, aliases, scope };
+}
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// GET /api/banned-list - Get all banned list entries
+const LIST_SORTS = {
+  created_at: 'b.created_at',
+  name: 'lower(b.name)',
+  // Permanent bans sort as expiring last
+  expires_on: "COALESCE(b.expires_on, 'infinity'::date)"
+};
+
+// Which bans a list shows; expired ones need banned.history
+const BAN_STATUS_SQL = {
+  active: ACTIVE_BAN_SQL,
+  expired: `NOT ${ACTIVE_BAN_SQL}`,
+  all: 'TRUE'
+};
+
+// GET /api/banned-list - Get active banned list entries for this store,
+// including bans shared by other stores (labeled by store / store_name), newest first
+// Optional query: search (name, alias or notes), status (active, expired, all; expired
+// and all need banned.history; include_expired=true is the same as status=all),
+// plus paging (see services/pagination.js): sort = created_at, name, expires_on;
+// from/to filter on created_at
 router.get('/', async (req, res) => {
+  const status = req.query.include_expired === 'true' ? 'all' : (req.query.status || 'active');
+
+  if (!BAN_STATUS_SQL[status]) {
+    return res.status(400).json({ error: `Status must be one of: ${Object.keys(BAN_STATUS_SQL).join(', ')}` });
+  }
+
+  if (status !== 'active' && !hasPermission(req.user, 'banned.history')) {
+    return res.status(403).json({ error: 'Permission denied' });
+  }
+
+  const page = parsePageQuery(req.query, { sorts: LIST_SORTS, defaultSort: '-created_at' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  try {
+    const db = req.app.locals.db;
+    const conditions = ['b.deleted_at IS NULL', appliesInStoreSql(1), BAN_STATUS_SQL[status]];
+    const params = [req.store];
+
+    if (req.query.search && req.query.search.trim()) {
+      params.push(`%${req.query.search.trim()}%`);
+      conditions.push(
+        `(b.name ILIKE $${params.length} OR b.notes ILIKE $${params.length}
+          OR EXISTS (SELECT 1 FROM unnest(b.aliases) alias WHERE alias ILIKE $${params.length}))`
+      );
+    }
+
+    const { rows, ...paging } = await fetchPage(db, {
+      select: ENTRY_COLUMNS,
+      from: ENTRY_TABLES,
+      conditions,
+      params,
+      idColumn: 'b.id',
+      dateColumn: 'b.created_at',
+      page
+    });
+
+    res.json({ entries: rows.map(withThumbnails), ...paging });
+  } catch (error) {
+    console.error('Get banned list error:', error);
+    res.status(500).json({ error: 'Failed to get banned list' });
+  }
+});
+
+// GET /api/banned-list/expiring - Active bans that expire within ?days (default 30)
+router.get('/expiring', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
   try {
     const db = req.app.locals.db;
-    
+
     const result = await db.query(
-      `SELECT 
-        b.id, b.name, b.picture_url, b.notes, b.created_at, b.updated_at,
-        u.username as created_by_username
-      FROM banned_list b
-      LEFT JOIN users u ON b.created_by = u.id
+      `SELECT ${ENTRY_COLUMNS}
+      FROM ${ENTRY_TABLES}
       WHERE b.deleted_at IS NULL
-        AND b.store = $1
-      ORDER BY b.created_at DESC`,
-      [req.store]
+        AND ${appliesInStoreSql(1)}
+        AND b.expires_on BETWEEN CURRENT_DATE AND CURRENT_DATE + $2::int
+      ORDER BY b.expires_on, b.name`,
+      [req.store, days]
     );
 
-    res.json({ entries: result.rows });
+    res.json({ entries: result.rows.map(withThumbnails), days });
   } catch (error) {
-    console.error('Get banned list error:', error);
-    res.status(500).json({ error: 'Failed to get banned list' });
+    console.error('Get expiring bans error:', error);
+    res.status(500).json({ error: 'Failed to get expiring bans' });
+  }
+});
+
+// GET /api/banned-list/shared - Every ban shared with all stores, for review
+// Optional query: include_expired=true
+router.get('/shared', requirePermission('banned.shared'), async (req, res) => {
+  const includeExpired = req.query.include_expired === 'true';
+
+  try {
+    const db = req.app.locals.db;
+
+    const result = await db.query(
+      `SELECT ${ENTRY_COLUMNS},
+        (SELECT COUNT(*) FROM audit_events a
+         WHERE a.entity = 'banned_list' AND a.action = 'override' AND a.entity_id = b.id::text)::int AS override_count
+      FROM ${ENTRY_TABLES}
+      WHERE b.deleted_at IS NULL
+        AND b.scope = 'all'
+        ${includeExpired ? '' : `AND ${ACTIVE_BAN_SQL}`}
+      ORDER BY b.store, b.created_at DESC`
+    );
+
+    res.json({ entries: result.rows.map(withThumbnails) });
+  } catch (error) {
+    console.error('Get shared bans error:', error);
+    res.status(500).json({ error: 'Failed to get shared bans' });
   }
 });
 
 // GET /api/banned-list/:id - Get single entry
+// Expired entries are only returned to users who can search them (banned.history)
 router.get('/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
     const db = req.app.locals.db;
-    
-    const result = await db.query(
-      `SELECT 
-        b.id, b.name, b.picture_url, b.notes, b.created_at, b.updated_at,
-        u.username as created_by_username
-      FROM banned_list b
-      LEFT JOIN users u ON b.created_by = u.id
-      WHERE b.id = $1 AND b.deleted_at IS NULL`,
-      [id]
-    );
 
-    if (result.rows.length === 0) {
+    const entry = await loadEntry(db, id, req.store);
+
+    if (!entry || (entry.expired && !hasPermission(req.user, 'banned.history'))) {
       return res.status(404).json({ error: 'Entry not found' });
     }
 
-    res.json({ entry: result.rows[0] });
+    res.json({ entry });
   } catch (error) {
     console.error('Get banned list entry error:', error);
     res.status(500).json({ error: 'Failed to get entry' });
@@ -99,123 +231,210 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/banned-list - Create new entry
-router.post('/', upload.single('picture'), async (req, res) => {
-  const { name, notes } = req.body;
+router.post('/', requirePermission('banned.edit'), upload.array('pictures', 10), async (req, res) => {
+  const { name, notes, customer_id } = req.body;
 
   if (!name || !name.trim()) {
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Name is required' });
   }
 
+  const details = parseBanDetails(req.body);
+  if (details.error) {
+    deleteRequestUploads(req);
+    return res.status(400).json({ error: details.error });
+  }
+
   try {
     const db = req.app.locals.db;
-    
-    let pictureUrl = null;
-    if (req.file) {
-      pictureUrl = `/uploads/banned-list/${req.file.filename}`;
+
+    // Optional link to the customer directory (follows merges)
+    let customerId = null;
+    if (customer_id) {
+      const customer = await getCustomer(db, parseInt(customer_id) || 0);
+      if (!customer) {
+        deleteRequestUploads(req);
+        return res.status(400).json({ error: 'Customer not found' });
+      }
+      customerId = customer.id;
     }
 
+    const pictureUrls = (req.files || []).map(file => file.url);
+
     const result = await db.query(
-      `INSERT INTO banned_list (name, picture_url, notes, created_by, store)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, name, picture_url, notes, created_at`,
-      [name.trim(), pictureUrl, notes || null, req.user.id, req.store]
+      `INSERT INTO banned_list
+       (name, aliases, reason_category, incident_date, expires_on, picture_urls, notes, created_by, store, customer_id, scope)
+       VALUES ($1, $2, $3, $4::date,
+               CASE WHEN $5::int IS NULL THEN $6::date ELSE COALESCE($4::date, CURRENT_DATE) + $5::int END,
+               $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [name.trim(), details.aliases, details.reasonCategory, details.incidentDate, details.durationDays,
+       details.expiresOn, pictureUrls, notes || null, req.user.id, req.store, customerId, details.scope || 'store']
     );
 
+    await recordAudit(req, {
+      entity: 'banned_list', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({
       message: 'Entry added successfully',
-      entry: result.rows[0]
+      entry: await loadEntry(db, result.rows[0].id, req.store)
     });
   } catch (error) {
     console.error('Create banned list entry error:', error);
-    
-    // Clean up uploaded file if database insert fails
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
-    
+
+    // Clean up uploaded files if database insert fails
+    deleteRequestUploads(req);
+
     res.status(500).json({ error: 'Failed to create entry' });
   }
 });
 
 // PUT /api/banned-list/:id - Update entry
-router.put('/:id', upload.single('picture'), async (req, res) => {
+// New pictures are added to the entry; photos_to_delete lists picture URLs to remove
+router.put('/:id', requirePermission('banned.edit'), upload.array('pictures', 10), async (req, res) => {
   const { id } = req.params;
-  const { name, notes } = req.body;
+  const { name, notes, customer_id } = req.body;
 
   if (!name || !name.trim()) {
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Name is required' });
   }
 
+  const details = parseBanDetails(req.body);
+  if (details.error) {
+    deleteRequestUploads(req);
+    return res.status(400).json({ error: details.error });
+  }
+
   try {
     const db = req.app.locals.db;
 
-    // Get existing entry to check if it exists and get old picture
+    // Get existing entry to check if it exists and get old pictures.
+    // Shared bans are listed in every store but only edited in the one that created them.
     const existing = await db.query(
-      'SELECT picture_url FROM banned_list WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM banned_list WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (existing.rows.length === 0) {
+      deleteRequestUploads(req);
       return res.status(404).json({ error: 'Entry not found' });
     }
 
-    let pictureUrl = existing.rows[0].picture_url;
-
-    // If new picture uploaded, delete old one and update URL
-    if (req.file) {
-      // Delete old picture if exists
-      if (pictureUrl) {
-        const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-        const uploadPath = path.isAbsolute(baseUploadDir) 
-          ? baseUploadDir
-          : path.join(__dirname, '../..', baseUploadDir);
-        
-        const oldFilename = pictureUrl.split('/').pop();
-        const oldFilepath = path.join(uploadPath, 'banned-list', oldFilename);
-        
-        fs.unlink(oldFilepath, (err) => {
-          if (err) console.error('Error deleting old picture:', err);
-        });
-      }
+    // Sharing a ban needs banned.shared, so it only changes through PUT /:id/scope
+    if (details.scope && details.scope !== existing.rows[0].scope) {
+      deleteRequestUploads(req);
+      return res.status(400).json({ error: 'Use PUT /api/banned-list/:id/scope to change who a ban applies to' });
+    }
 
-      pictureUrl = `/uploads/banned-list/${req.file.filename}`;
+    // Leave the customer link alone unless customer_id is sent (empty = unlink)
+    let customerId = existing.rows[0].customer_id;
+    if (customer_id !== undefined) {
+      customerId = null;
+      if (customer_id) {
+        const customer = await getCustomer(db, parseInt(customer_id) || 0);
+        if (!customer) {
+          deleteRequestUploads(req);
+          return res.status(400).json({ error: 'Customer not found' });
+        }
+        customerId = customer.id;
+      }
     }
 
+    const oldPictureUrls = existing.rows[0].picture_urls || [];
+    const photosToDelete = parseList(req.body.photos_to_delete).filter(url => oldPictureUrls.includes(url));
+    const pictureUrls = [
+      ...oldPictureUrls.filter(url => !photosToDelete.includes(url)),
+      ...(req.files || []).map(file => file.url)
+    ];
+
     // Update entry
     const result = await db.query(
-      `UPDATE banned_list 
-       SET name = $1, picture_url = $2, notes = $3, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4 AND deleted_at IS NULL
-       RETURNING id, name, picture_url, notes, created_at, updated_at`,
-      [name.trim(), pictureUrl, notes || null, id]
+      `UPDATE banned_list
+       SET name = $1, aliases = $2, reason_category = $3, incident_date = $4::date,
+           expires_on = CASE WHEN $5::int IS NULL THEN $6::date ELSE COALESCE($4::date, created_at::date) + $5::int END,
+           picture_urls = $7, notes = $8, customer_id = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10 AND deleted_at IS NULL AND store = $11
+       RETURNING *`,
+      [name.trim(), details.aliases, details.reasonCategory, details.incidentDate, details.durationDays,
+       details.expiresOn, pictureUrls, notes || null, customerId, id, req.store]
     );
 
     if (result.rows.length === 0) {
+      deleteRequestUploads(req);
       return res.status(404).json({ error: 'Entry not found' });
     }
 
+    // Only delete files once the entry no longer points at them
+    photosToDelete.forEach(deleteUpload);
+
+    await recordAudit(req, {
+      entity: 'banned_list', entityId: id, action: 'update', store: existing.rows[0].store,
+      before: existing.rows[0], after: result.rows[0]
+    });
+
     res.json({
       message: 'Entry updated successfully',
-      entry: result.rows[0]
+      entry: await loadEntry(db, id, req.store)
     });
   } catch (error) {
     console.error('Update banned list entry error:', error);
-    
-    // Clean up uploaded file if database update fails
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
-    
+
+    // Clean up uploaded files if database update fails
+    deleteRequestUploads(req);
+
     res.status(500).json({ error: 'Failed to update entry' });
   }
 });
 
+// PUT /api/banned-list/:id/scope - Share a ban with every store, or stop sharing it
+// Body: { scope: 'store' | 'all' }
+router.put('/:id/scope', requirePermission('banned.shared'), async (req, res) => {
+  const { id } = req.params;
+  const { scope } = req.body;
+
+  if (!BAN_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `Scope must be one of: ${BAN_SCOPES.join(', ')}` });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const existing = await db.query(
+      'SELECT * FROM banned_list WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+
+    const result = await db.query(
+      `UPDATE banned_list SET scope = $1
+       WHERE id = $2 AND deleted_at IS NULL
+       RETURNING *`,
+      [scope, id]
+    );
+
+    await recordAudit(req, {
+      entity: 'banned_list', entityId: id, action: 'update', store: existing.rows[0].store,
+      before: existing.rows[0], after: result.rows[0]
+    });
+
+    // The shared bans review covers every store, so load it as its own store sees it
+    res.json({
+      message: scope === 'all' ? 'Ban shared with all stores' : 'Ban no longer shared',
+      entry: await loadEntry(db, id, existing.rows[0].store)
+    });
+  } catch (error) {
+    console.error('Update ban scope error:', error);
+    res.status(500).json({ error: 'Failed to update ban scope' });
+  }
+});
+
 // DELETE /api/banned-list/:id - Soft delete entry
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('banned.edit'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -223,14 +442,19 @@ router.delete('/:id', async (req, res) => {
 
     // Soft delete the entry
     const result = await db.query(
-      'UPDATE banned_list SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING id',
-      [id]
+      'UPDATE banned_list SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL AND store = $2 RETURNING *',
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Entry not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'banned_list', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Entry deleted successfully' });
   } catch (error) {
     console.error('Delete banned list entry error:', error);
@@ -238,4 +462,4 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
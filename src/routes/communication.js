@@ -4,46 +4,16 @@
 // UPDATED: Added image upload functionality
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { authenticateToken, requireManagerOrAbove, requireRole } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
+const { createImageUpload, deleteUpload, deleteRequestUploads, withThumbnails } = require('../services/storage');
 
 const router = express.Router();
 
-// Configure multer for communication log image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    const uploadDir = path.isAbsolute(baseUploadDir) 
-      ? path.join(baseUploadDir, 'communication')
-      : path.join(__dirname, '../..', baseUploadDir, 'communication');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'comm-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
+// Communication log pictures
+const upload = createImageUpload({ folder: 'communication', prefix: 'comm' });
 
 // Store SSE clients for broadcasting urgent notes
 let sseClients = [];
@@ -113,8 +83,8 @@ router.post('/urgent/:id/dismiss', async (req, res) => {
     const db = req.app.locals.db;
 
     const noteCheck = await db.query(
-      'SELECT id, is_urgent FROM communication_log WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT id, is_urgent FROM communication_log WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (noteCheck.rows.length === 0) {
@@ -205,30 +175,64 @@ router.post('/mark-all-read', async (req, res) => {
   }
 });
 
-// GET /api/communication - Get all communication log entries
+const LIST_SORTS = {
+  pinned: 'COALESCE(c.pinned, FALSE)',
+  created_at: 'c.created_at'
+};
+
+const STATUS_SQL = {
+  pinned: 'c.pinned = TRUE',
+  urgent: 'c.is_urgent = TRUE'
+};
+
+// GET /api/communication - Communication log entries, pinned first, then newest
+// Optional query: category, status (pinned, urgent), plus paging
+// (see services/pagination.js): sort = pinned, created_at; from/to filter on created_at
 router.get('/', async (req, res) => {
+  const { category, status } = req.query;
+
+  if (status && !STATUS_SQL[status]) {
+    return res.status(400).json({ error: `Status must be one of: ${Object.keys(STATUS_SQL).join(', ')}` });
+  }
+
+  const page = parsePageQuery(req.query, { sorts: LIST_SORTS, defaultSort: '-pinned,-created_at' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
   try {
     const db = req.app.locals.db;
-    
-    const result = await db.query(
-      `SELECT 
-        c.id, c.user_id, c.note, c.category, c.pinned, c.is_urgent, c.picture_urls, c.created_at,
+
+    const conditions = ['c.deleted_at IS NULL', 'c.store = $1'];
+    const params = [req.store];
+
+    if (category) {
+      params.push(category);
+      conditions.push(`c.category = $${params.length}`);
+    }
+
+    if (status) {
+      conditions.push(STATUS_SQL[status]);
+    }
+
+    const { rows, ...paging } = await fetchPage(db, {
+      select: `c.id, c.user_id, c.note, c.category, c.pinned, c.is_urgent, c.picture_urls, c.created_at,
         u.username, u.role,
         COALESCE(
           (SELECT COUNT(*) 
            FROM communication_comments cc 
            WHERE cc.note_id = c.id AND cc.deleted_at IS NULL), 
           0
-        ) as comment_count
-      FROM communication_log c
-      LEFT JOIN users u ON c.user_id = u.id
-      WHERE c.deleted_at IS NULL
-        AND c.store = $1
-      ORDER BY c.pinned DESC, c.created_at DESC`,
-      [req.store]
-    );
+        ) as comment_count`,
+      from: 'communication_log c LEFT JOIN users u ON c.user_id = u.id',
+      conditions,
+      params,
+      idColumn: 'c.id',
+      dateColumn: 'c.created_at',
+      page
+    });
 
-    res.json({ entries: result.rows });
+    res.json({ entries: rows.map(withThumbnails), ...paging });
   } catch (error) {
     console.error('Get communication log error:', error);
     res.status(500).json({ error: 'Failed to get communication log' });
@@ -248,8 +252,8 @@ router.get('/:id', async (req, res) => {
         u.username, u.role
       FROM communication_log c
       LEFT JOIN users u ON c.user_id = u.id
-      WHERE c.id = $1 AND c.deleted_at IS NULL`,
-      [id]
+      WHERE c.id = $1 AND c.deleted_at IS NULL AND c.store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -268,25 +272,13 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
   const { note, category, pinned } = req.body;
 
   if (!note) {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Note is required' });
   }
 
   // Only admins can create urgent category notes
-  if (category === 'Urgent' && req.user.role !== 'Admin') {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+  if (category === 'Urgent' && !hasPermission(req.user, 'communication.urgent')) {
+    deleteRequestUploads(req);
     return res.status(403).json({ error: 'Only admins can create urgent notes' });
   }
 
@@ -296,7 +288,7 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
     const is_urgent = (category === 'Urgent');
 
     const pictureUrls = req.files ? 
-      req.files.map(file => `/uploads/communication/${file.filename}`) : [];
+      req.files.map(file => file.url) : [];
 
     const result = await db.query(
       `INSERT INTO communication_log (user_id, note, category, pinned, is_urgent, picture_urls, store)
@@ -317,6 +309,10 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
 
     const newEntry = entryWithUser.rows[0];
 
+    await recordAudit(req, {
+      entity: 'communication_note', entityId: newEntry.id, action: 'create', after: result.rows[0]
+    });
+
     // If urgent, broadcast to all connected SSE clients for the same store
     if (is_urgent) {
       const urgentMessage = {
@@ -351,13 +347,7 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
   } catch (error) {
     console.error('Create communication entry error:', error);
     
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create entry' });
   }
@@ -369,25 +359,13 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
   const { note, category, pinned, keep_existing_photos, existing_photos } = req.body;
 
   if (!note) {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Note is required' });
   }
 
   // Only admins can modify to urgent category
-  if (category === 'Urgent' && req.user.role !== 'Admin') {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+  if (category === 'Urgent' && !hasPermission(req.user, 'communication.urgent')) {
+    deleteRequestUploads(req);
     return res.status(403).json({ error: 'Only admins can create urgent notes' });
   }
 
@@ -395,18 +373,12 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
     const db = req.app.locals.db;
 
     const existingEntry = await db.query(
-      'SELECT picture_urls FROM communication_log WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM communication_log WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (existingEntry.rows.length === 0) {
-      if (req.files) {
-        req.files.forEach(file => {
-          fs.unlink(file.path, (err) => {
-            if (err) console.error('Error deleting file:', err);
-          });
-        });
-      }
+      deleteRequestUploads(req);
       return res.status(404).json({ error: 'Entry not found' });
     }
 
@@ -422,34 +394,23 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
     }
     
     if (req.files && req.files.length > 0) {
-      const newPictureUrls = req.files.map(file => `/uploads/communication/${file.filename}`);
+      const newPictureUrls = req.files.map(file => file.url);
       finalPictureUrls = [...finalPictureUrls, ...newPictureUrls];
     }
 
     const oldPictureUrls = existingEntry.rows[0].picture_urls || [];
     const photosToDelete = oldPictureUrls.filter(url => !finalPictureUrls.includes(url));
     
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    const uploadPath = path.isAbsolute(baseUploadDir) 
-      ? baseUploadDir
-      : path.join(__dirname, '../..', baseUploadDir);
-    
-    photosToDelete.forEach(url => {
-      const filename = url.split('/').pop();
-      const filepath = path.join(uploadPath, 'communication', filename);
-      fs.unlink(filepath, (err) => {
-        if (err) console.error('Error deleting old photo:', err);
-      });
-    });
+    photosToDelete.forEach(deleteUpload);
 
     const is_urgent = (category === 'Urgent');
 
     const result = await db.query(
       `UPDATE communication_log 
        SET note = $1, category = $2, pinned = $3, is_urgent = $4, picture_urls = $5
-       WHERE id = $6 AND deleted_at IS NULL
+       WHERE id = $6 AND deleted_at IS NULL AND store = $7
        RETURNING id`,
-      [note, category || 'General', pinned || false, is_urgent, finalPictureUrls, id]
+      [note, category || 'General', pinned || false, is_urgent, finalPictureUrls, id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -466,6 +427,11 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
       [id]
     );
 
+    await recordAudit(req, {
+      entity: 'communication_note', entityId: id, action: 'update', store: existingEntry.rows[0].store,
+      before: existingEntry.rows[0], after: entryWithUser.rows[0]
+    });
+
     res.json({ 
       message: 'Entry updated successfully',
       entry: entryWithUser.rows[0]
@@ -473,13 +439,7 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
   } catch (error) {
     console.error('Update communication entry error:', error);
     
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to update entry' });
   }
@@ -493,8 +453,8 @@ router.patch('/:id/pin', async (req, res) => {
     const db = req.app.locals.db;
 
     const entryCheck = await db.query(
-      'SELECT user_id FROM communication_log WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT user_id, store, pinned FROM communication_log WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (entryCheck.rows.length === 0) {
@@ -502,24 +462,30 @@ router.patch('/:id/pin', async (req, res) => {
     }
 
     const isOwner = entryCheck.rows[0].user_id === req.user.id;
-    const isAdmin = req.user.role === 'Admin';
+    const canModerate = hasPermission(req.user, 'communication.moderate');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canModerate) {
       return res.status(403).json({ error: 'Only admins can pin other users\' notes' });
     }
 
     const result = await db.query(
       `UPDATE communication_log 
        SET pinned = NOT pinned
-       WHERE id = $1 AND deleted_at IS NULL
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
        RETURNING id, pinned`,
-      [id]
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Entry not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'communication_note', entityId: id, action: result.rows[0].pinned ? 'pin' : 'unpin',
+      store: entryCheck.rows[0].store,
+      before: { pinned: entryCheck.rows[0].pinned }, after: { pinned: result.rows[0].pinned }
+    });
+
     res.json({ 
       message: result.rows[0].pinned ? 'Entry pinned' : 'Entry unpinned'
     });
@@ -537,8 +503,8 @@ router.delete('/:id', async (req, res) => {
     const db = req.app.locals.db;
 
     const entry = await db.query(
-      'SELECT user_id, picture_urls FROM communication_log WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM communication_log WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (entry.rows.length === 0) {
@@ -546,36 +512,30 @@ router.delete('/:id', async (req, res) => {
     }
 
     const isOwner = entry.rows[0].user_id === req.user.id;
-    const isAdmin = req.user.role === 'Admin';
+    const canModerate = hasPermission(req.user, 'communication.moderate');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canModerate) {
       return res.status(403).json({ error: 'Only admins can delete other users\' notes' });
     }
 
     const pictureUrls = entry.rows[0].picture_urls || [];
     
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    const uploadPath = path.isAbsolute(baseUploadDir) 
-      ? baseUploadDir
-      : path.join(__dirname, '../..', baseUploadDir);
-    
-    pictureUrls.forEach(url => {
-      const filename = url.split('/').pop();
-      const filepath = path.join(uploadPath, 'communication', filename);
-      fs.unlink(filepath, (err) => {
-        if (err) console.error('Error deleting photo:', err);
-      });
-    });
+    pictureUrls.forEach(deleteUpload);
 
     const result = await db.query(
-      'UPDATE communication_log SET deleted_at = NOW() WHERE id = $1 RETURNING id',
-      [id]
+      'UPDATE communication_log SET deleted_at = NOW() WHERE id = $1 AND store = $2 RETURNING id',
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Entry not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'communication_note', entityId: id, action: 'delete', store: entry.rows[0].store,
+      before: entry.rows[0]
+    });
+
     res.json({ message: 'Entry deleted successfully' });
   } catch (error) {
     console.error('Delete communication entry error:', error);
@@ -595,8 +555,8 @@ router.get('/:id/comments', async (req, res) => {
     const db = req.app.locals.db;
 
     const noteCheck = await db.query(
-      'SELECT id FROM communication_log WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT id FROM communication_log WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (noteCheck.rows.length === 0) {
@@ -638,8 +598,8 @@ router.post('/:id/comments', async (req, res) => {
     const db = req.app.locals.db;
 
     const noteCheck = await db.query(
-      'SELECT id FROM communication_log WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT id, store FROM communication_log WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (noteCheck.rows.length === 0) {
@@ -663,6 +623,12 @@ router.post('/:id/comments', async (req, res) => {
       [result.rows[0].id]
     );
 
+    await recordAudit(req, {
+      entity: 'communication_comment', entityId: result.rows[0].id, action: 'create',
+      store: noteCheck.rows[0].store,
+      after: commentWithUser.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Comment added successfully',
       comment: commentWithUser.rows[0]
@@ -681,8 +647,11 @@ router.delete('/:noteId/comments/:commentId', async (req, res) => {
     const db = req.app.locals.db;
 
     const comment = await db.query(
-      'SELECT user_id FROM communication_comments WHERE id = $1 AND note_id = $2 AND deleted_at IS NULL',
-      [commentId, noteId]
+      `SELECT cc.*, c.store
+       FROM communication_comments cc
+       JOIN communication_log c ON cc.note_id = c.id
+       WHERE cc.id = $1 AND cc.note_id = $2 AND cc.deleted_at IS NULL AND c.store = $3`,
+      [commentId, noteId, req.store]
     );
 
     if (comment.rows.length === 0) {
@@ -690,21 +659,28 @@ router.delete('/:noteId/comments/:commentId', async (req, res) => {
     }
 
     const isOwner = comment.rows[0].user_id === req.user.id;
-    const isAdmin = req.user.role === 'Admin';
+    const canModerate = hasPermission(req.user, 'communication.moderate');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canModerate) {
       return res.status(403).json({ error: 'Only the comment owner or admins can delete comments' });
     }
 
     const result = await db.query(
-      'UPDATE communication_comments SET deleted_at = NOW() WHERE id = $1 RETURNING id',
-      [commentId]
+      `UPDATE communication_comments SET deleted_at = NOW()
+       WHERE id = $1 AND note_id IN (SELECT id FROM communication_log WHERE store = $2)
+       RETURNING id`,
+      [commentId, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Comment not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'communication_comment', entityId: commentId, action: 'delete', store: comment.rows[0].store,
+      before: comment.rows[0]
+    });
+
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
     console.error('Delete comment error:', error);
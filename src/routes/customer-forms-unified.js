@@ -2,11 +2,17 @@
 // Unified API routes for Customer Forms with immediate email sending
 
 const express = require('express');
-const multer = require('multer');
-const nodemailer = require('nodemailer');
-const path = require('path');
-const fs = require('fs');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { queueFormEmail } = require('../services/email-outbox');
+const { queuePickupReminder } = require('../services/pickup-reminders');
+const { recordAudit } = require('../services/audit');
+const { findOrCreateCustomer } = require('../services/customers');
+const { findBannedMatches, isOverride, bannedMatchResponse, recordBannedOverride } = require('../services/banned-list');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
+const { DONATION_ITEMS_SQL, parseDonationItems, createDonationForm } = require('../services/donations');
+const { clearStopIfRescheduled } = require('../services/deliveries');
+const { getRestoreDays, restorableSql } = require('../services/retention');
+const { createImageUpload, deleteUpload, deleteRequestUploads, withThumbnails } = require('../services/storage');
 
 const router = express.Router();
 
@@ -34,488 +40,93 @@ function formatDateForDB(dateString) {
   return null;
 }
 
-// Configure multer for file uploads (signatures and photos)
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const formType = req.body.form_type || 'pickup';
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    
-    // Signatures go to signatures folder, photos go to form type folder
-    let uploadDir;
-    if (file.fieldname === 'signature' || file.fieldname === 'manager_signature') {
-      uploadDir = path.isAbsolute(baseUploadDir) 
-        ? path.join(baseUploadDir, 'signatures')
-        : path.join(__dirname, '../..', baseUploadDir, 'signatures');
-    } else {
-      uploadDir = path.isAbsolute(baseUploadDir)
-        ? path.join(baseUploadDir, formType)
-        : path.join(__dirname, '../..', baseUploadDir, formType);
-    }
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const formType = req.body.form_type || 'pickup';
-    
-    if (file.fieldname === 'signature' || file.fieldname === 'manager_signature') {
-      cb(null, `${file.fieldname}-` + uniqueSuffix + path.extname(file.originalname));
-    } else {
-      cb(null, `${formType}-` + uniqueSuffix + path.extname(file.originalname));
-    }
-  }
-});
-
-// Separate storage config for edit routes (type comes from URL param, not body)
-const editStorage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Extract type from URL params: /:type/:id
-    const formType = req.params.type || 'pickup';
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    
-    // Signatures go to signatures folder, photos go to form type folder
-    let uploadDir;
-    if (file.fieldname === 'signature' || file.fieldname === 'manager_signature') {
-      uploadDir = path.isAbsolute(baseUploadDir) 
-        ? path.join(baseUploadDir, 'signatures')
-        : path.join(__dirname, '../..', baseUploadDir, 'signatures');
-    } else {
-      uploadDir = path.isAbsolute(baseUploadDir)
-        ? path.join(baseUploadDir, formType)
-        : path.join(__dirname, '../..', baseUploadDir, formType);
-    }
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    // Extract type from URL params
-    const formType = req.params.type || 'pickup';
-    
-    if (file.fieldname === 'signature' || file.fieldname === 'manager_signature') {
-      cb(null, `${file.fieldname}-` + uniqueSuffix + path.extname(file.originalname));
-    } else {
-      cb(null, `${formType}-` + uniqueSuffix + path.extname(file.originalname));
-    }
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB per file
-  },
-  fileFilter: function (req, file, cb) {
-    // Signatures can be PNG, photos can be any image
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
-
-// Separate upload middleware for edit routes
-const editUpload = multer({
-  storage: editStorage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB per file
-  },
-  fileFilter: function (req, file, cb) {
-    // Signatures can be PNG, photos can be any image
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
-
-// Create email transporter
-function createTransporter() {
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: parseInt(process.env.SMTP_PORT) || 587,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASSWORD
-    }
-  });
-}
-
-// Store contact info config
-const STORE_INFO = {
-  long_beach: {
-    name: 'Beacon House Long Beach Thrift Store',
-    address: null, // Long Beach doesn't show a street address in emails
-    phone: '(562) 343-7804',
-    fromLabel: 'Beacon House Long Beach Thrift Store'
-  },
-  san_pedro: {
-    name: 'Beacon House Association of San Pedro',
-    address: '1003 S. Beacon St, San Pedro, CA 90731',
-    phone: '(310) 547-2332',
-    fromLabel: 'Beacon House San Pedro Thrift Store'
-  }
-};
-
-function getStoreInfo(store) {
-  return STORE_INFO[store] || STORE_INFO['long_beach'];
-}
-
-// Email templates
-function getPickupEmailTemplate(form, store) {
-  const s = getStoreInfo(store);
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-        <!--[if !mso]><!-->
-        <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" 
-             alt="Beacon House Logo" 
-             width="200" 
-             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-        <!--<![endif]-->
-        <!--[if mso]>
-        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
-        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
-        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
-        </td></tr></table>
-        <![endif]-->
-        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Pick-Up Receipt</h2>
-      </div>
-      
-      <div style="padding: 30px; background: white;">
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-          Dear ${form.customer_name},
-        </p>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-          Thank you for your purchase! <strong>You have 48 hours from when you purchased the item to pick it up.</strong>
-        </p>
-        
-        <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #2d3748; margin-top: 0;">Purchase Details:</h3>
-          <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-            <strong>Name:</strong> ${form.customer_name}<br>
-            <strong>Phone:</strong> ${form.phone}<br>
-            <strong>Purchase Date:</strong> ${form.date_purchased ? new Date(form.date_purchased).toLocaleDateString() : 'N/A'}<br>
-            <strong>Pickup Date:</strong> ${form.date_stored ? new Date(form.date_stored).toLocaleDateString() : 'N/A'}
-          </p>
-          ${form.items_description ? `
-            <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
-              <strong>Items:</strong><br>
-              ${form.items_description}
-            </p>
-          ` : ''}
-        </div>
-        
-        <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-          <h3 style="color: #856404; margin-top: 0;">⚠️ Important Terms & Conditions</h3>
-          <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-            You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.
-          </p>
-          <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-            We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.
-          </p>
-          <p style="color: #856404; line-height: 1.8; margin: 0;">
-            Your signature acknowledges that you have read and understand the terms and conditions covered above.
-          </p>
-        </div>
-        
-        <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-          If you have any questions, please contact us at <strong>${s.phone}</strong>.
-        </p>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-          Thank you,<br>
-          <strong>${s.name}</strong>
-        </p>
-      </div>
-      
-      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-        <p style="margin: 0;">${s.name}</p>
-        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
-        <p style="margin: 5px 0;">Phone: ${s.phone}</p>
-      </div>
-    </div>
-  `;
-}
-
-function getDeliveryEmailTemplate(form, store) {
-  const s = getStoreInfo(store);
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-        <!--[if !mso]><!-->
-        <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" 
-             alt="Beacon House Logo" 
-             width="200" 
-             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-        <!--<![endif]-->
-        <!--[if mso]>
-        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
-        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
-        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
-        </td></tr></table>
-        <![endif]-->
-        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Delivery Receipt</h2>
-      </div>
-      
-      <div style="padding: 30px; background: white;">
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-          Dear ${form.customer_name},
-        </p>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-          Thank you for your purchase! This email confirms your delivery details.
-        </p>
-        
-        <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #2d3748; margin-top: 0;">Delivery Details:</h3>
-          <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-            <strong>Name:</strong> ${form.customer_name}<br>
-            <strong>Phone:</strong> ${form.phone}<br>
-            <strong>Delivery Address:</strong> ${form.delivery_address || 'N/A'}<br>
-            <strong>Delivery Cost:</strong> $${form.delivery_cost ? parseFloat(form.delivery_cost).toFixed(2) : '0.00'}<br>
-            <strong>Scheduled Date:</strong> ${form.date_scheduled ? new Date(form.date_scheduled).toLocaleDateString() : form.delivery_date ? new Date(form.delivery_date).toLocaleDateString() : 'N/A'}
-          </p>
-          ${form.items_description ? `
-            <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
-              <strong>Items:</strong><br>
-              ${form.items_description}
-            </p>
-          ` : ''}
-        </div>
-        
-        <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-          <h3 style="color: #856404; margin-top: 0;">⚠️ Important Delivery Terms</h3>
-          <p style="color: #856404; line-height: 1.8; margin: 0;">
-            I hereby acknowledge that my payment shown above is solely for the delivery of the item(s) to the residence indicated at the time of purchase. The Beacon House Thrift Shop is not responsible for moving said item(s) into said residence due to issues with liability. The item(s) will be placed in the driveway or the front yard.
-          </p>
-        </div>
-        
-        <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-          If you have any questions, please contact us at <strong>${s.phone}</strong>.
-        </p>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-          Thank you,<br>
-          <strong>${s.name}</strong>
-        </p>
-      </div>
-      
-      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-        <p style="margin: 0;">${s.name}</p>
-        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
-        <p style="margin: 5px 0;">Phone: ${s.phone}</p>
-      </div>
-    </div>
-  `;
-}
-
-function getDonationEmailTemplate(form, store) {
-  const s = getStoreInfo(store);
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-        <!--[if !mso]><!-->
-        <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" 
-             alt="Beacon House Logo" 
-             width="200" 
-             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-        <!--<![endif]-->
-        <!--[if mso]>
-        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
-        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
-        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
-        </td></tr></table>
-        <![endif]-->
-        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Donation Receipt</h2>
-      </div>
-      <div style="padding: 30px; background: white;">
-        <h2 style="color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px;">
-          Donation Receipt
-        </h2>
-        
-        <p style="color: #4a5568; line-height: 1.6; margin-top: 20px;">
-          <strong>Donor Name:</strong> ${form.customer_name}<br>
-          <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
-        </p>
-        
-        ${form.donation_description ? `
-          <p style="color: #4a5568; line-height: 1.6; margin-top: 15px;">
-            <strong>Donated Items:</strong><br>
-            ${form.donation_description}
-          </p>
-        ` : ''}
-        
-        <div style="margin-top: 30px; padding: 20px; background: #f7fafc; border-left: 4px solid #667eea; line-height: 1.8; color: #2d3748;">
-          <p style="margin: 0 0 15px 0;">
-            Thank you for your generous donation. No one has ever been turned away from the Beacon House Association of San Pedro due to their inability to pay, and because of friends like you, this policy will continue in the future.
-          </p>
-          <p style="margin: 0 0 15px 0;">
-            No goods or services will be transferred to you in connection with this donation.
-          </p>
-          <p style="margin: 0; font-weight: bold;">
-            For your records our tax ID is #23-7376148
-          </p>
-        </div>
-        
-        <p style="margin-top: 30px; color: #718096; font-size: 14px; text-align: center;">
-          Please keep this receipt for your tax records.
-        </p>
-      </div>
-      
-      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-        <p style="margin: 0;">${s.name}</p>
-        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
-        <p style="margin: 5px 0;">Tax ID: #23-7376148</p>
-      </div>
-    </div>
-  `;
+// Signatures go to the signatures folder, photos go to the form type folder
+function isSignature(file) {
+  return file.fieldname === 'signature' || file.fieldname === 'manager_signature';
 }
 
-function getWaiverEmailTemplate(form, store) {
-  const s = getStoreInfo(store);
-  return `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-        <!--[if !mso]><!-->
-        <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" 
-             alt="Beacon House Logo" 
-             width="200" 
-             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-        <!--<![endif]-->
-        <!--[if mso]>
-        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
-        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
-        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
-        </td></tr></table>
-        <![endif]-->
-        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Waiver Receipt</h2>
-      </div>
-      
-      <div style="padding: 30px; background: white;">
-        <h2 style="color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px;">
-          Release of Liability Form for Loading Purchased Furniture
-        </h2>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 20px;">
-          Dear ${form.customer_name},
-        </p>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-          Thank you for your purchase. This email serves as confirmation that you have completed our Release of Liability Form.
-        </p>
-        
-        <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #2d3748; margin-top: 0;">Form Details:</h3>
-          <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-            <strong>Name:</strong> ${form.customer_name}<br>
-            <strong>Phone:</strong> ${form.phone}<br>
-            <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
-          </p>
-        </div>
-        
-        <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-          <h3 style="color: #856404; margin-top: 0;">Acknowledgment Summary:</h3>
-          
-          <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-            By signing this form, you have acknowledged and agreed to the following:
-          </p>
-          
-          <ul style="color: #856404; line-height: 1.8; margin-left: 20px;">
-            <li><strong>Voluntary Participation:</strong> The loading of furniture into your vehicle is a voluntary service.</li>
-            <li><strong>Release of Liability:</strong> You release The Beacon House Association of San Pedro from any claims related to loss, damage, or injury during the loading process.</li>
-            <li><strong>Assumption of Risks:</strong> You voluntarily assume all risks associated with loading furniture.</li>
-            <li><strong>Care and Supervision:</strong> You are responsible for ensuring your vehicle is suitable for loading furniture.</li>
-            <li><strong>Indemnification:</strong> You agree to hold harmless The Beacon House Association from any claims arising from the loading service.</li>
-            <li><strong>Vehicle Inspection:</strong> Your vehicle was inspected before loading to ensure it is safe and suitable.</li>
-            <li><strong>Personal Property:</strong> You are responsible for any personal belongings left in your vehicle.</li>
-            <li><strong>Compliance:</strong> You agree to follow all instructions provided by staff during the loading process.</li>
-          </ul>
-        </div>
-        
-        <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-          Please keep this email for your records. If you have any questions, please contact us at <strong>${s.phone}</strong>.
-        </p>
-        
-        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-          Thank you,<br>
-          <strong>${s.name}</strong>
-        </p>
-      </div>
-      
-      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-        <p style="margin: 0;">${s.name}</p>
-        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
-        <p style="margin: 5px 0;">Phone: ${s.phone}</p>
-      </div>
-    </div>
-  `;
-}
-
-// Function to send email immediately
-async function sendFormEmail(form, formType, store) {
-  // Check if email is configured
-  if (!process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
-    throw new Error('Email not configured');
-  }
+const FORM_TYPES = ['pickup', 'delivery', 'donation', 'waiver'];
 
-  // Don't send if no email address
-  if (!form.email) {
-    throw new Error('No email address provided');
+// The form type names the photo folder, so it is checked before anything is
+// saved; otherwise a made-up type could put files in signatures/ or quarantine/.
+// Rejected with a 400 by the app's error handler.
+function photoFolder(type = 'pickup') {
+  if (!FORM_TYPES.includes(type)) {
+    const error = new Error('Invalid form type');
+    error.status = 400;
+    error.expose = true;
+    throw error;
   }
+  return type;
+}
 
-  const transporter = createTransporter();
-  const s = getStoreInfo(store || form.store || 'long_beach');
-
-  // Get appropriate template and subject
-  let subject, html;
-  switch(formType) {
-    case 'pickup':
-      subject = 'Beacon House - Pick-Up Receipt';
-      html = getPickupEmailTemplate(form, store);
-      break;
-    case 'delivery':
-      subject = 'Beacon House - Delivery Receipt';
-      html = getDeliveryEmailTemplate(form, store);
-      break;
-    case 'donation':
-      subject = 'Beacon House - Donation Receipt';
-      html = getDonationEmailTemplate(form, store);
-      break;
-    case 'waiver':
-      subject = 'Beacon House - Release of Liability Form';
-      html = getWaiverEmailTemplate(form, store);
-      break;
-    default:
-      throw new Error('Invalid form type');
-  }
+// Configure uploads (signatures and photos). The form type comes from the
+// form_type field when creating, and from the URL (/:type/:id) when editing.
+const upload = createImageUpload({
+  folder: (req, file) => (isSignature(file) ? 'signatures' : photoFolder(req.body.form_type)),
+  prefix: (req, file) => (isSignature(file) ? file.fieldname : photoFolder(req.body.form_type)),
+  thumbnail: (req, file) => !isSignature(file)
+});
 
-  // Send email
-  await transporter.sendMail({
-    from: process.env.SMTP_FROM || `${s.fromLabel} <noreply@lbts.local>`,
-    to: form.email,
-    subject: subject,
-    html: html
-  });
-}
+const editUpload = createImageUpload({
+  folder: (req, file) => (isSignature(file) ? 'signatures' : photoFolder(req.params.type)),
+  prefix: (req, file) => (isSignature(file) ? file.fieldname : photoFolder(req.params.type)),
+  thumbnail: (req, file) => !isSignature(file)
+});
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // ==================== GET ALL FORMS BY TYPE ====================
 
+// Columns returned for each form type in lists
+const LIST_COLUMNS = {
+  pickup: `pf.id, pf.customer_id, pf.customer_name, pf.phone, pf.email, pf.items_description, pf.signature_url, 
+           pf.date, 
+           to_char(pf.date_purchased, 'YYYY-MM-DD') as date_purchased, 
+           to_char(pf.date_stored, 'YYYY-MM-DD') as date_stored, 
+           pf.picture_urls, pf.notes,
+           pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
+           pf.due_today_sent, pf.due_today_sent_at,
+           pf.final_notice_sent, pf.final_notice_sent_at,
+           u.username as created_by_username`,
+  delivery: `pf.id, pf.customer_id, pf.customer_name, pf.phone, pf.email, pf.items_description, pf.delivery_address,
+             pf.delivery_cost, 
+             to_char(pf.delivery_date, 'YYYY-MM-DD') as delivery_date, 
+             to_char(pf.date_scheduled, 'YYYY-MM-DD') as date_scheduled, 
+             pf.signature_url, 
+             pf.date, pf.picture_urls, pf.notes,
+             pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
+             u.username as created_by_username`,
+  donation: `pf.id, pf.customer_id, pf.customer_name, pf.phone, pf.email, pf.donation_description, pf.signature_url, 
+             pf.receipt_number, ${DONATION_ITEMS_SQL} as items,
+             pf.date, pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
+             u.username as created_by_username`,
+  waiver: `pf.id, pf.customer_id, pf.customer_name, pf.phone, pf.email, pf.signature_url, pf.manager_signature_url,
+           pf.date, pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
+           u.username as created_by_username`
+};
+
+const LIST_SORTS = {
+  created_at: 'pf.created_at',
+  date: 'pf.date',
+  customer_name: 'lower(pf.customer_name)'
+};
+
+// Receipt email status filter
+const EMAIL_STATUS_SQL = {
+  sent: 'pf.email_sent = TRUE',
+  failed: 'pf.email_sent IS NOT TRUE AND pf.email_error IS NOT NULL',
+  pending: 'pf.email_sent IS NOT TRUE AND pf.email_error IS NULL'
+};
+
+// GET /api/customer-forms-unified/:type - Forms of one type in the current store, newest first
+// Optional query: search (name, phone or email), status (sent, failed, pending receipt email),
+// plus paging (see services/pagination.js): sort = created_at, date, customer_name;
+// from/to filter on created_at
 router.get('/:type', async (req, res) => {
   const { type } = req.params;
+  const { search, status } = req.query;
   
   // Validate type
   const validTypes = ['pickup', 'delivery', 'donation', 'waiver'];
@@ -523,69 +134,44 @@ router.get('/:type', async (req, res) => {
     return res.status(400).json({ error: 'Invalid form type' });
   }
 
+  if (status && !EMAIL_STATUS_SQL[status]) {
+    return res.status(400).json({ error: `Status must be one of: ${Object.keys(EMAIL_STATUS_SQL).join(', ')}` });
+  }
+
+  const page = parsePageQuery(req.query, { sorts: LIST_SORTS, defaultSort: '-created_at' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
   try {
     const db = req.app.locals.db;
     const tableName = `${type}_forms`;
-    
-    let query;
-    if (type === 'pickup') {
-      query = `
-        SELECT pf.id, pf.customer_name, pf.phone, pf.email, pf.items_description, pf.signature_url, 
-               pf.date, 
-               to_char(pf.date_purchased, 'YYYY-MM-DD') as date_purchased, 
-               to_char(pf.date_stored, 'YYYY-MM-DD') as date_stored, 
-               pf.picture_urls, pf.notes,
-               pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
-               pf.due_today_sent, pf.due_today_sent_at,
-               pf.final_notice_sent, pf.final_notice_sent_at,
-               u.username as created_by_username
-        FROM ${tableName} pf
-        LEFT JOIN users u ON u.id = pf.created_by
-        WHERE pf.deleted_at IS NULL
-        AND pf.store = $1
-        ORDER BY pf.created_at DESC
-      `;
-    } else if (type === 'delivery') {
-      query = `
-        SELECT pf.id, pf.customer_name, pf.phone, pf.email, pf.items_description, pf.delivery_address,
-               pf.delivery_cost, 
-               to_char(pf.delivery_date, 'YYYY-MM-DD') as delivery_date, 
-               to_char(pf.date_scheduled, 'YYYY-MM-DD') as date_scheduled, 
-               pf.signature_url, 
-               pf.date, pf.picture_urls, pf.notes,
-               pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
-               u.username as created_by_username
-        FROM ${tableName} pf
-        LEFT JOIN users u ON u.id = pf.created_by
-        WHERE pf.deleted_at IS NULL
-        AND pf.store = $1
-        ORDER BY pf.created_at DESC
-      `;
-    } else if (type === 'donation') {
-      query = `
-        SELECT pf.id, pf.customer_name, pf.phone, pf.email, pf.donation_description, pf.signature_url, 
-               pf.date, pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
-               u.username as created_by_username
-        FROM ${tableName} pf
-        LEFT JOIN users u ON u.id = pf.created_by
-        WHERE pf.deleted_at IS NULL
-        AND pf.store = $1
-        ORDER BY pf.created_at DESC
-      `;
-    } else { // waiver
-      query = `
-        SELECT pf.id, pf.customer_name, pf.phone, pf.email, pf.signature_url, pf.manager_signature_url,
-               pf.date, pf.email_sent, pf.email_sent_at, pf.email_error, pf.created_at,
-               u.username as created_by_username
-        FROM ${tableName} pf
-        LEFT JOIN users u ON u.id = pf.created_by
-        WHERE pf.deleted_at IS NULL
-        AND pf.store = $1
-        ORDER BY pf.created_at DESC
-      `;
+
+    const conditions = ['pf.deleted_at IS NULL', 'pf.store = $1'];
+    const params = [req.store];
+
+    if (search && search.trim()) {
+      params.push(`%${search.trim()}%`);
+      conditions.push(
+        `(pf.customer_name ILIKE $${params.length} OR pf.phone ILIKE $${params.length} OR pf.email ILIKE $${params.length})`
+      );
+    }
+
+    if (status) {
+      conditions.push(EMAIL_STATUS_SQL[status]);
     }
-    const result = await db.query(query, [req.store]);
-    res.json({ forms: result.rows });
+
+    const { rows, ...paging } = await fetchPage(db, {
+      select: LIST_COLUMNS[type],
+      from: `${tableName} pf LEFT JOIN users u ON u.id = pf.created_by`,
+      conditions,
+      params,
+      idColumn: 'pf.id',
+      dateColumn: 'pf.created_at',
+      page
+    });
+
+    res.json({ forms: rows.map(withThumbnails), ...paging });
   } catch (error) {
     console.error(`Get ${type} forms error:`, error);
     res.status(500).json({ error: `Failed to get ${type} forms` });
@@ -631,15 +217,7 @@ router.post('/create', upload.fields([
   }
 
   // Validate required fields
-  const cleanupFiles = () => {
-    if (req.files) {
-      Object.values(req.files).flat().forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
-  };
+  const cleanupFiles = () => deleteRequestUploads(req);
 
   if (!customer_name || !phone) {
     cleanupFiles();
@@ -710,17 +288,39 @@ router.post('/create', upload.fields([
     }
   }
 
+  // Donation line items (category, quantity, condition, donor-estimated value)
+  const donation = form_type === 'donation' ? parseDonationItems(req.body.items) : { items: [] };
+  if (donation.error) {
+    cleanupFiles();
+    return res.status(400).json({ error: donation.error });
+  }
+
   try {
     const db = req.app.locals.db;
     const tableName = `${form_type}_forms`;
+
+    // Possible banned list matches must be acknowledged before the form is saved
+    // (waivers aren't checked)
+    const bannedMatches = form_type === 'waiver'
+      ? []
+      : await findBannedMatches(db, { name: customer_name, phone, store: req.store });
+
+    if (bannedMatches.length > 0 && !isOverride(req.body)) {
+      cleanupFiles();
+      return res.status(409).json(bannedMatchResponse(bannedMatches));
+    }
     
     // Get file URLs
-    const signatureUrl = req.files['signature'] ? `/uploads/signatures/${req.files['signature'][0].filename}` : null;
-    const managerSignatureUrl = req.files['manager_signature'] ? `/uploads/signatures/${req.files['manager_signature'][0].filename}` : null;
-    const pictureUrls = req.files['pictures'] ? req.files['pictures'].map(file => `/uploads/${form_type}/${file.filename}`) : [];
+    const signatureUrl = req.files['signature'] ? req.files['signature'][0].url : null;
+    const managerSignatureUrl = req.files['manager_signature'] ? req.files['manager_signature'][0].url : null;
+    const pictureUrls = req.files['pictures'] ? req.files['pictures'].map(file => file.url) : [];
+
+    // Link the form to the customer directory (matched on phone number)
+    const customer = await findOrCreateCustomer(db, { name: customer_name, phone, email });
 
     let result;
     let emailSent = false;
+    let emailQueued = false;
     let emailError = null;
 
     // Insert based on form type
@@ -729,70 +329,71 @@ router.post('/create', upload.fields([
         `INSERT INTO ${tableName} 
          (customer_name, phone, email, items_description, signature_url, 
           date, date_purchased, date_stored, picture_urls, notes, 
-          created_by, email_sent, email_error, store)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6::date, $7::date, $8, $9, $10, false, NULL, $11)
+          created_by, email_sent, email_error, store, customer_id)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6::date, $7::date, $8, $9, $10, false, NULL, $11, $12)
          RETURNING *`,
         [customer_name, phone, email || null, items_description || notes, signatureUrl, 
-         formatDateForDB(date_purchased), formatDateForDB(date_stored), pictureUrls, notes || null, req.user.id, req.store]
+         formatDateForDB(date_purchased), formatDateForDB(date_stored), pictureUrls, notes || null, req.user.id, req.store,
+         customer.id]
       );
     } else if (form_type === 'delivery') {
       result = await db.query(
         `INSERT INTO ${tableName} 
          (customer_name, phone, email, items_description, delivery_address,
           delivery_cost, delivery_date, date_scheduled, signature_url, 
-          date, picture_urls, notes, created_by, email_sent, email_error, store)
-         VALUES ($1, $2, $3, $4, $5, $6, $7::date, $8::date, $9, CURRENT_DATE, $10, $11, $12, false, NULL, $13)
+          date, picture_urls, notes, created_by, email_sent, email_error, store, customer_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7::date, $8::date, $9, CURRENT_DATE, $10, $11, $12, false, NULL, $13, $14)
          RETURNING *`,
         [customer_name, phone, email || null, items_description || notes, delivery_address || null,
          delivery_cost || null, formatDateForDB(delivery_date), formatDateForDB(date_scheduled), signatureUrl,
-         pictureUrls, notes || null, req.user.id, req.store]
+         pictureUrls, notes || null, req.user.id, req.store, customer.id]
       );
     } else if (form_type === 'donation') {
-      result = await db.query(
-        `INSERT INTO ${tableName} 
-         (customer_name, phone, email, donation_description, signature_url, 
-          date, email_sent, email_error, store)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, false, NULL, $6)
-         RETURNING *`,
-        [customer_name, phone, email || null, donation_description || null, signatureUrl, req.store]
-      );
+      // Saved with its items and the next receipt number for the store
+      const form = await createDonationForm(db, {
+        customerName: customer_name,
+        phone,
+        email,
+        description: donation_description,
+        signatureUrl,
+        store: req.store,
+        customerId: customer.id
+      }, donation.items);
+      result = { rows: [form] };
     } else { // waiver
       result = await db.query(
         `INSERT INTO ${tableName} 
          (customer_name, phone, email, signature_url, manager_signature_url,
-          date, email_sent, email_error, store)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, false, NULL, $6)
+          date, email_sent, email_error, store, customer_id)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, false, NULL, $6, $7)
          RETURNING *`,
-        [customer_name, phone, email || null, signatureUrl, managerSignatureUrl, req.store]
+        [customer_name, phone, email || null, signatureUrl, managerSignatureUrl, req.store, customer.id]
       );
     }
 
     const createdForm = result.rows[0];
 
-    // Attempt to send email immediately (if email provided)
+    await recordAudit(req, {
+      entity: `${form_type}_form`, entityId: createdForm.id, action: 'create', after: createdForm
+    });
+
+    if (bannedMatches.length > 0) {
+      await recordBannedOverride(req, {
+        matches: bannedMatches, entity: `${form_type}_form`, entityId: createdForm.id, name: customer_name
+      });
+    }
+
+    // Queue the receipt and attempt to send it immediately (if email provided)
+    // The outbox records email_sent / email_error on the form
     if (email) {
       try {
-        await sendFormEmail(createdForm, form_type, req.store);
-        emailSent = true;
-        
-        // Update database with email success
-        await db.query(
-          `UPDATE ${tableName} 
-           SET email_sent = true, email_sent_at = NOW() 
-           WHERE id = $1`,
-          [createdForm.id]
-        );
+        const emailResult = await queueFormEmail(db, createdForm, form_type, req.store, req.user.id);
+        emailSent = emailResult.sent;
+        emailQueued = emailResult.willRetry;
+        emailError = emailResult.error;
       } catch (emailErr) {
-        console.error('Failed to send email:', emailErr);
+        console.error('Failed to queue email:', emailErr);
         emailError = emailErr.message;
-        
-        // Update database with email error
-        await db.query(
-          `UPDATE ${tableName} 
-           SET email_error = $1 
-           WHERE id = $2`,
-          [emailError, createdForm.id]
-        );
       }
     }
 
@@ -801,6 +402,7 @@ router.post('/create', upload.fields([
       message: `${form_type.charAt(0).toUpperCase() + form_type.slice(1)} form created successfully`,
       form: createdForm,
       emailSent,
+      emailQueued,
       emailError
     });
 
@@ -808,13 +410,7 @@ router.post('/create', upload.fields([
     console.error(`Create ${form_type} form error:`, error);
     
     // Clean up uploaded files on error
-    if (req.files) {
-      Object.values(req.files).flat().forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: `Failed to create ${form_type} form` });
   }
@@ -835,8 +431,8 @@ router.post('/retry-email/:type/:id', async (req, res) => {
     const tableName = `${type}_forms`;
     
     const result = await db.query(
-      `SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL`,
-      [id]
+      `SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -849,33 +445,23 @@ router.post('/retry-email/:type/:id', async (req, res) => {
       return res.status(400).json({ error: 'No email address on file' });
     }
 
-    try {
-      await sendFormEmail(form, type, req.store);
-      
-      await db.query(
-        `UPDATE ${tableName} 
-         SET email_sent = true, email_sent_at = NOW(), email_error = NULL 
-         WHERE id = $1`,
-        [id]
-      );
+    const emailResult = await queueFormEmail(db, form, type, req.store, req.user.id);
+
+    await recordAudit(req, {
+      entity: `${type}_form`, entityId: id, action: 'retry_email', store: form.store,
+      after: { email: form.email, sent: emailResult.sent }
+    });
 
+    if (emailResult.sent) {
       res.json({ 
         message: 'Email sent successfully',
         emailSent: true
       });
-    } catch (emailErr) {
-      console.error('Failed to send email:', emailErr);
-      
-      await db.query(
-        `UPDATE ${tableName} 
-         SET email_error = $1 
-         WHERE id = $2`,
-        [emailErr.message, id]
-      );
-
+    } else {
       res.status(500).json({ 
         error: 'Failed to send email',
-        emailError: emailErr.message
+        emailError: emailResult.error,
+        emailQueued: emailResult.willRetry
       });
     }
 
@@ -909,86 +495,21 @@ router.post('/send-due-today/:id', async (req, res) => {
       return res.status(400).json({ error: 'No email address on file' });
     }
 
-    const s = getStoreInfo(req.store);
-
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-          <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png"
-               alt="Beacon House Logo"
-               width="200"
-               style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-          <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Pick-Up Reminder</h2>
-        </div>
-
-        <div style="padding: 30px; background: white;">
-          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-            Dear ${form.customer_name},
-          </p>
-
-         <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-            This is a reminder that your item(s) are due for pickup today. In accordance with the Terms and Conditions previously acknowledged, failure to collect your item(s) within the 48-hour timeframe will result in the item(s) being returned to inventory for resale or recycled without refund.
-          </p>
-
-          <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #2d3748; margin-top: 0;">Purchase Details:</h3>
-            <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-              <strong>Name:</strong> ${form.customer_name}<br>
-              <strong>Phone:</strong> ${form.phone}<br>
-              <strong>Purchase Date:</strong> ${form.date_purchased ? new Date(form.date_purchased).toLocaleDateString() : 'N/A'}<br>
-              <strong>Pick-Up Date:</strong> ${form.date_stored ? new Date(form.date_stored).toLocaleDateString() : 'N/A'}
-            </p>
-            ${form.items_description ? `
-              <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
-                <strong>Items:</strong><br>
-                ${form.items_description}
-              </p>
-            ` : ''}
-          </div>
-
-          <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-            <h3 style="color: #856404; margin-top: 0;">⚠️ Terms & Conditions</h3>
-            <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-              You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.
-            </p>
-            <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-              We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.
-            </p>
-            <p style="color: #856404; line-height: 1.8; margin: 0;">
-              Your signature acknowledges that you have read and understand the terms and conditions covered above.
-            </p>
-          </div>
-
-          <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-            If you have any questions, please contact us at <strong>${s.phone}</strong>.
-          </p>
-
-          <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-            Thank you,<br>
-            <strong>${s.name}</strong>
-          </p>
-        </div>
-
-        <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-          <p style="margin: 0;">${s.name}</p>
-          ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
-          <p style="margin: 5px 0;">Phone: ${s.phone}</p>
-        </div>
-      </div>
-    `;
-
-    const transporter = createTransporter();
-    await transporter.sendMail({
-      from: process.env.SMTP_FROM || `${s.fromLabel} <noreply@lbts.local>`,
-      to: form.email,
-      subject: 'Beacon House - Your Pick-Up is Due Today',
-      html
+    // Manual sends always go out, even if the scheduler already sent this reminder
+    const emailResult = await queuePickupReminder(db, form, 'due_today', req.store, { force: true, createdBy: req.user.id });
+
+    await recordAudit(req, {
+      entity: 'pickup_form', entityId: id, action: 'send_due_today',
+      after: { email: form.email, sent: emailResult.sent }
     });
 
-    await db.query(
-      `UPDATE pickup_forms SET due_today_sent = true, due_today_sent_at = NOW() WHERE id = $1`,
-      [id]
-    );
+    if (!emailResult.sent) {
+      return res.status(500).json({
+        error: 'Failed to send due today email',
+        emailError: emailResult.error,
+        emailQueued: emailResult.willRetry
+      });
+    }
 
     res.json({ message: 'Due today email sent successfully', dueTodaySent: true });
 
@@ -1021,90 +542,21 @@ router.post('/send-final-notice/:id', async (req, res) => {
       return res.status(400).json({ error: 'No email address on file' });
     }
 
-    const s = getStoreInfo(req.store);
-
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-          <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png"
-               alt="Beacon House Logo"
-               width="200"
-               style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-          <h2 style="margin:10px 0 0;font-weight:400;color:#c53030">⚠️ Final Notice</h2>
-        </div>
-
-        <div style="padding: 30px; background: white;">
-          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-            Dear ${form.customer_name},
-          </p>
-
-          <div style="background: #fff5f5; border: 2px solid #fc8181; border-radius: 8px; padding: 20px; margin: 20px 0;">
-         <p style="color: #c53030; font-size: 16px; line-height: 1.6; margin: 0;">
-              This communication serves as your final notice regarding the pickup of your purchased item(s). As outlined in the Terms and Conditions agreed to at the time of purchase, all items must be collected within 48 hours.<br><br>
-              If your item(s) are not picked up by the end of today, they will be returned to the sales floor and made available for resale or recycle. Please note that, in accordance with the agreed Terms and Conditions, no refunds or credits will be issued.<br><br>
-              Your prompt attention to this matter is appreciated.
-            </p>
-          </div>
-
-          <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #2d3748; margin-top: 0;">Purchase Details:</h3>
-            <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-              <strong>Name:</strong> ${form.customer_name}<br>
-              <strong>Phone:</strong> ${form.phone}<br>
-              <strong>Purchase Date:</strong> ${form.date_purchased ? new Date(form.date_purchased).toLocaleDateString() : 'N/A'}<br>
-              <strong>Pick-Up Date:</strong> ${form.date_stored ? new Date(form.date_stored).toLocaleDateString() : 'N/A'}
-            </p>
-            ${form.items_description ? `
-              <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
-                <strong>Items:</strong><br>
-                ${form.items_description}
-              </p>
-            ` : ''}
-          </div>
-
-          <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-            <h3 style="color: #856404; margin-top: 0;">⚠️ Terms & Conditions</h3>
-            <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-              You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.
-            </p>
-            <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-              We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.
-            </p>
-            <p style="color: #856404; line-height: 1.8; margin: 0;">
-              Your signature acknowledges that you have read and understand the terms and conditions covered above.
-            </p>
-          </div>
-
-          <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-            If you have any questions, please contact us at <strong>${s.phone}</strong>.
-          </p>
-
-          <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-            Thank you,<br>
-            <strong>${s.name}</strong>
-          </p>
-        </div>
-
-        <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-          <p style="margin: 0;">${s.name}</p>
-          ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
-          <p style="margin: 5px 0;">Phone: ${s.phone}</p>
-        </div>
-      </div>
-    `;
-
-    const transporter = createTransporter();
-    await transporter.sendMail({
-      from: process.env.SMTP_FROM || `${s.fromLabel} <noreply@lbts.local>`,
-      to: form.email,
-      subject: 'Beacon House - FINAL NOTICE: Pick Up Your Items Today',
-      html
+    // Manual sends always go out, even if the scheduler already sent this reminder
+    const emailResult = await queuePickupReminder(db, form, 'final_notice', req.store, { force: true, createdBy: req.user.id });
+
+    await recordAudit(req, {
+      entity: 'pickup_form', entityId: id, action: 'send_final_notice',
+      after: { email: form.email, sent: emailResult.sent }
     });
 
-    await db.query(
-      `UPDATE pickup_forms SET final_notice_sent = true, final_notice_sent_at = NOW() WHERE id = $1`,
-      [id]
-    );
+    if (!emailResult.sent) {
+      return res.status(500).json({
+        error: 'Failed to send final notice email',
+        emailError: emailResult.error,
+        emailQueued: emailResult.willRetry
+      });
+    }
 
     res.json({ message: 'Final notice email sent successfully', finalNoticeSent: true });
 
@@ -1156,37 +608,37 @@ router.put('/:type/:id', authenticateToken, editUpload.fields([
     const tableName = `${type}_forms`;
     
     const currentForm = await db.query(
-      `SELECT picture_urls FROM ${tableName} WHERE id = $1`,
-      [id]
+      `SELECT * FROM ${tableName} WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [id, req.store]
     );
+
+    if (currentForm.rows.length === 0) {
+      deleteRequestUploads(req);
+      return res.status(404).json({ error: 'Form not found' });
+    }
     
+    let currentPhotos = currentForm.rows[0].picture_urls || [];
     let updatedPhotoUrls = null;
     
-    if (currentForm.rows.length > 0) {
-      let currentPhotos = currentForm.rows[0].picture_urls || [];
-      
-      if (photos_to_delete && photos_to_delete.length > 0) {
-        currentPhotos = currentPhotos.filter(url => !photos_to_delete.includes(url));
-        
-        photos_to_delete.forEach(photoUrl => {
-          const filePath = path.join(__dirname, '../..', photoUrl);
-          fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting photo file:', err);
-          });
-        });
-      }
-      
-      if (req.files && req.files.new_pictures && req.files.new_pictures.length > 0) {
-        const newPhotoUrls = req.files.new_pictures.map(file => `/uploads/${type}/${file.filename}`);
-        currentPhotos = [...currentPhotos, ...newPhotoUrls];
-      }
-      
-      if ((photos_to_delete && photos_to_delete.length > 0) || 
-          (req.files && req.files.new_pictures && req.files.new_pictures.length > 0)) {
-        updatedPhotoUrls = currentPhotos;
-      }
+    if (photos_to_delete && photos_to_delete.length > 0) {
+      // Only this form's own photos can be deleted
+      photos_to_delete.filter(url => currentPhotos.includes(url)).forEach(deleteUpload);
+      currentPhotos = currentPhotos.filter(url => !photos_to_delete.includes(url));
+    }
+    
+    if (req.files && req.files.new_pictures && req.files.new_pictures.length > 0) {
+      const newPhotoUrls = req.files.new_pictures.map(file => file.url);
+      currentPhotos = [...currentPhotos, ...newPhotoUrls];
+    }
+    
+    if ((photos_to_delete && photos_to_delete.length > 0) || 
+        (req.files && req.files.new_pictures && req.files.new_pictures.length > 0)) {
+      updatedPhotoUrls = currentPhotos;
     }
     
+    // Relink in case the phone number was corrected
+    const customer = await findOrCreateCustomer(db, { name: customer_name, phone, email });
+
     let result;
     
     if (type === 'pickup') {
@@ -1202,20 +654,22 @@ router.put('/:type/:id', authenticateToken, editUpload.fields([
              items_description = $4,
              notes = $5,
              date_purchased = $6::date,
-             date_stored = $7::date
-             ${updatedPhotoUrls !== null ? ', picture_urls = $9' : ''}
-         WHERE id = $8 AND deleted_at IS NULL
+             date_stored = $7::date,
+             customer_id = $9
+             ${updatedPhotoUrls !== null ? ', picture_urls = $11' : ''}
+         WHERE id = $8 AND deleted_at IS NULL AND store = $10
          RETURNING *`,
-        updatedPhotoUrls !== null 
-          ? [customer_name, phone, email || null, items_description || null, notes || null,
-             formatDateForDB(date_purchased), formatDateForDB(date_stored), id, updatedPhotoUrls]
-          : [customer_name, phone, email || null, items_description || null, notes || null,
-             formatDateForDB(date_purchased), formatDateForDB(date_stored), id]
+        [customer_name, phone, email || null, items_description || null, notes || null,
+         formatDateForDB(date_purchased), formatDateForDB(date_stored), id, customer.id, req.store,
+         ...(updatedPhotoUrls !== null ? [updatedPhotoUrls] : [])]
       );
     } else if (type === 'delivery') {
       if (!delivery_address || !delivery_cost || !date_scheduled) {
         return res.status(400).json({ error: 'Delivery address, cost, and date are required' });
       }
+
+      // Moving the delivery to another day takes it off that day's route
+      await clearStopIfRescheduled(db, id, formatDateForDB(date_scheduled));
       
       result = await db.query(
         `UPDATE ${tableName}
@@ -1226,21 +680,25 @@ router.put('/:type/:id', authenticateToken, editUpload.fields([
              notes = $5,
              delivery_address = $6,
              delivery_cost = $7,
-             date_scheduled = $8::date
-             ${updatedPhotoUrls !== null ? ', picture_urls = $10' : ''}
-         WHERE id = $9 AND deleted_at IS NULL
+             date_scheduled = $8::date,
+             customer_id = $10
+             ${updatedPhotoUrls !== null ? ', picture_urls = $12' : ''}
+         WHERE id = $9 AND deleted_at IS NULL AND store = $11
          RETURNING *`,
-        updatedPhotoUrls !== null
-          ? [customer_name, phone, email || null, items_description || null, notes || null,
-             delivery_address, delivery_cost, formatDateForDB(date_scheduled), id, updatedPhotoUrls]
-          : [customer_name, phone, email || null, items_description || null, notes || null,
-             delivery_address, delivery_cost, formatDateForDB(date_scheduled), id]
+        [customer_name, phone, email || null, items_description || null, notes || null,
+         delivery_address, delivery_cost, formatDateForDB(date_scheduled), id, customer.id, req.store,
+         ...(updatedPhotoUrls !== null ? [updatedPhotoUrls] : [])]
       );
     }
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Form not found' });
     }
+
+    await recordAudit(req, {
+      entity: `${type}_form`, entityId: id, action: 'update', store: result.rows[0].store,
+      before: currentForm.rows[0], after: result.rows[0]
+    });
     
     res.json({
       message: `${type.charAt(0).toUpperCase() + type.slice(1)} form updated successfully`,
@@ -1255,7 +713,7 @@ router.put('/:type/:id', authenticateToken, editUpload.fields([
 
 // ==================== DELETE FORM ====================
 
-router.delete('/:type/:id', async (req, res) => {
+router.delete('/:type/:id', requirePermission('forms.delete'), async (req, res) => {
   const { type, id } = req.params;
   
   const validTypes = ['pickup', 'delivery', 'donation', 'waiver'];
@@ -1270,15 +728,20 @@ router.delete('/:type/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE ${tableName} 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Form not found' });
     }
 
+    await recordAudit(req, {
+      entity: `${type}_form`, entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: `${type.charAt(0).toUpperCase() + type.slice(1)} form deleted successfully` });
   } catch (error) {
     console.error(`Delete ${type} form error:`, error);
@@ -1300,18 +763,22 @@ router.get('/:type/recently-deleted', authenticateToken, async (req, res) => {
     const db = req.app.locals.db;
     const tableName = `${type}_forms`;
 
+    // Listed until the store's retention policy purges them (days_remaining is null if never)
+    const restoreDays = await getRestoreDays(db, tableName, req.store);
+
     const result = await db.query(
       `SELECT *,
-        EXTRACT(DAY FROM (NOW() - deleted_at)) as days_deleted
+        EXTRACT(DAY FROM (NOW() - deleted_at)) as days_deleted,
+        $2::int - EXTRACT(DAY FROM (NOW() - deleted_at)) as days_remaining
        FROM ${tableName}
        WHERE deleted_at IS NOT NULL
-         AND deleted_at > NOW() - INTERVAL '7 days'
+         AND ${restorableSql(2)}
          AND store = $1
        ORDER BY deleted_at DESC`,
-      [req.store]
+      [req.store, restoreDays]
     );
 
-    res.json({ forms: result.rows });
+    res.json({ forms: result.rows.map(withThumbnails), restoreDays });
   } catch (error) {
     console.error(`Get recently deleted ${type} forms error:`, error);
     res.status(500).json({ error: `Failed to get recently deleted ${type} forms` });
@@ -1319,7 +786,7 @@ router.get('/:type/recently-deleted', authenticateToken, async (req, res) => {
 });
 
 // POST /:type/:id/restore - Restore a deleted form
-router.post('/:type/:id/restore', authenticateToken, async (req, res) => {
+router.post('/:type/:id/restore', authenticateToken, requirePermission('forms.delete'), async (req, res) => {
   const { type, id } = req.params;
   
   const validTypes = ['pickup', 'delivery', 'donation', 'waiver'];
@@ -1330,28 +797,39 @@ router.post('/:type/:id/restore', authenticateToken, async (req, res) => {
   try {
     const db = req.app.locals.db;
     const tableName = `${type}_forms`;
+    const restoreDays = await getRestoreDays(db, tableName, req.store);
 
     const checkResult = await db.query(
       `SELECT id, deleted_at
        FROM ${tableName}
        WHERE id = $1
+         AND store = $2
          AND deleted_at IS NOT NULL
-         AND deleted_at > NOW() - INTERVAL '7 days'`,
-      [id]
+         AND ${restorableSql(3)}`,
+      [id, req.store, restoreDays]
     );
 
     if (checkResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Form not found or cannot be restored (deleted more than 7 days ago)' });
+      return res.status(404).json({
+        error: restoreDays === null
+          ? 'Form not found'
+          : `Form not found or cannot be restored (deleted more than ${restoreDays} days ago)`
+      });
     }
 
     const result = await db.query(
       `UPDATE ${tableName}
        SET deleted_at = NULL
-       WHERE id = $1
+       WHERE id = $1 AND store = $2
        RETURNING *`,
-      [id]
+      [id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: `${type}_form`, entityId: id, action: 'restore', store: result.rows[0].store,
+      after: result.rows[0]
+    });
+
     res.json({ 
       message: `${type.charAt(0).toUpperCase() + type.slice(1)} form restored successfully`,
       form: result.rows[0]
@@ -1393,19 +871,21 @@ router.post('/convert', authenticateToken, upload.fields([
     const toTableName = `${to_type}_forms`;
     
     const signatureFile = req.files.signature[0];
-    const signatureUrl = `/uploads/signatures/${signatureFile.filename}`;
+    const signatureUrl = signatureFile.url;
     
     const originalResult = await db.query(
-      `SELECT * FROM ${fromTableName} WHERE id = $1 AND deleted_at IS NULL`,
-      [form_id]
+      `SELECT * FROM ${fromTableName} WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [form_id, req.store]
     );
 
     if (originalResult.rows.length === 0) {
+      deleteRequestUploads(req);
       return res.status(404).json({ error: 'Original form not found' });
     }
 
     const originalForm = originalResult.rows[0];
     let emailSent = false;
+    let emailQueued = false;
     let emailError = null;
 
     let newFormResult;
@@ -1419,8 +899,8 @@ router.post('/convert', authenticateToken, upload.fields([
         `INSERT INTO ${toTableName} 
          (customer_name, phone, email, items_description, delivery_address,
           delivery_cost, delivery_date, date_scheduled, signature_url, 
-          date, picture_urls, notes, created_by, email_sent, email_error, store)
-         VALUES ($1, $2, $3, $4, $5, $6, $7::date, $8::date, $9, CURRENT_DATE, $10, $11, $12, false, NULL, $13)
+          date, picture_urls, notes, created_by, email_sent, email_error, store, customer_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7::date, $8::date, $9, CURRENT_DATE, $10, $11, $12, false, NULL, $13, $14)
          RETURNING *`,
         [
           originalForm.customer_name,
@@ -1435,7 +915,8 @@ router.post('/convert', authenticateToken, upload.fields([
           originalForm.picture_urls || null,
           originalForm.notes || null,
           req.user.id,
-          req.store
+          req.store,
+          originalForm.customer_id
         ]
       );
     } else {
@@ -1447,8 +928,8 @@ router.post('/convert', authenticateToken, upload.fields([
         `INSERT INTO ${toTableName} 
          (customer_name, phone, email, items_description, signature_url, 
           date, date_purchased, date_stored, picture_urls, notes, 
-          created_by, email_sent, email_error, store)
-         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6::date, $7::date, $8, $9, $10, false, NULL, $11)
+          created_by, email_sent, email_error, store, customer_id)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6::date, $7::date, $8, $9, $10, false, NULL, $11, $12)
          RETURNING *`,
         [
           originalForm.customer_name,
@@ -1461,7 +942,8 @@ router.post('/convert', authenticateToken, upload.fields([
           originalForm.picture_urls || null,
           originalForm.notes || null,
           req.user.id,
-          req.store
+          req.store,
+          originalForm.customer_id
         ]
       );
     }
@@ -1470,52 +952,43 @@ router.post('/convert', authenticateToken, upload.fields([
 
     if (originalForm.email) {
       try {
-        await sendFormEmail(newForm, to_type, req.store);
-        emailSent = true;
-        
-        await db.query(
-          `UPDATE ${toTableName} 
-           SET email_sent = true, email_sent_at = NOW() 
-           WHERE id = $1`,
-          [newForm.id]
-        );
+        const emailResult = await queueFormEmail(db, newForm, to_type, req.store, req.user.id);
+        emailSent = emailResult.sent;
+        emailQueued = emailResult.willRetry;
+        emailError = emailResult.error;
       } catch (emailErr) {
-        console.error('Failed to send email:', emailErr);
+        console.error('Failed to queue email:', emailErr);
         emailError = emailErr.message;
-        
-        await db.query(
-          `UPDATE ${toTableName} 
-           SET email_error = $1 
-           WHERE id = $2`,
-          [emailError, newForm.id]
-        );
       }
     }
 
     await db.query(
       `UPDATE ${fromTableName} 
        SET deleted_at = NOW() 
-       WHERE id = $1`,
-      [form_id]
+       WHERE id = $1 AND store = $2`,
+      [form_id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: `${from_type}_form`, entityId: form_id, action: 'convert', store: originalForm.store,
+      before: originalForm, after: { type: to_type, id: newForm.id }
+    });
+    await recordAudit(req, {
+      entity: `${to_type}_form`, entityId: newForm.id, action: 'create', after: newForm
+    });
+
     res.json({ 
       message: `Form converted from ${from_type} to ${to_type} successfully`,
       form: newForm,
       emailSent,
+      emailQueued,
       emailError
     });
 
   } catch (error) {
     console.error('Convert form error:', error);
     
-    if (req.files && req.files.signature) {
-      req.files.signature.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting signature file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to convert form' });
   }
@@ -3,34 +3,15 @@
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { createUploadStorage, deleteRequestUploads } = require('../services/storage');
 
 const router = express.Router();
 
-// Configure multer for signature image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-const uploadDir = path.isAbsolute(baseUploadDir) 
-  ? path.join(baseUploadDir, 'signatures')
-  : path.join(__dirname, '../..', baseUploadDir, 'signatures');
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'signature-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
+// Signature image uploads
 const upload = multer({
-  storage: storage,
+  storage: createUploadStorage({ folder: 'signatures', prefix: 'signature', thumbnail: false }),
   limits: {
     fileSize: 2 * 1024 * 1024 // 2MB limit for signatures
   }
@@ -50,8 +31,9 @@ router.get('/pickup', async (req, res) => {
       `SELECT id, customer_name, phone, email, items_description, 
               signature_url, date, emailed, created_at
        FROM pickup_forms 
-       WHERE deleted_at IS NULL 
-       ORDER BY created_at DESC`
+       WHERE deleted_at IS NULL AND store = $1
+       ORDER BY created_at DESC`,
+      [req.store]
     );
 
     res.json({ forms: result.rows });
@@ -73,15 +55,19 @@ router.post('/pickup', upload.single('signature'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     
-    const signatureUrl = req.file ? `/uploads/signatures/${req.file.filename}` : null;
+    const signatureUrl = req.file ? req.file.url : null;
 
     const result = await db.query(
-      `INSERT INTO pickup_forms (customer_name, phone, email, items_description, signature_url, date)
-       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE)
+      `INSERT INTO pickup_forms (customer_name, phone, email, items_description, signature_url, date, store)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6)
        RETURNING id, customer_name, phone, email, items_description, signature_url, date, emailed, created_at`,
-      [customer_name, phone, email || null, items_description || null, signatureUrl]
+      [customer_name, phone, email || null, items_description || null, signatureUrl, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'pickup_form', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Pickup form created successfully',
       form: result.rows[0] 
@@ -89,18 +75,14 @@ router.post('/pickup', upload.single('signature'), async (req, res) => {
   } catch (error) {
     console.error('Create pickup form error:', error);
     
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create pickup form' });
   }
 });
 
 // DELETE /api/customer-forms/pickup/:id - Soft delete pickup form
-router.delete('/pickup/:id', async (req, res) => {
+router.delete('/pickup/:id', requirePermission('forms.delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -109,15 +91,20 @@ router.delete('/pickup/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE pickup_forms 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Form not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'pickup_form', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Pickup form deleted successfully' });
   } catch (error) {
     console.error('Delete pickup form error:', error);
@@ -136,8 +123,9 @@ router.get('/delivery', async (req, res) => {
       `SELECT id, customer_name, phone, email, items_description, delivery_cost, delivery_date,
               signature_url, date, emailed, created_at
        FROM delivery_forms 
-       WHERE deleted_at IS NULL 
-       ORDER BY created_at DESC`
+       WHERE deleted_at IS NULL AND store = $1
+       ORDER BY created_at DESC`,
+      [req.store]
     );
 
     res.json({ forms: result.rows });
@@ -159,15 +147,19 @@ router.post('/delivery', upload.single('signature'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     
-    const signatureUrl = req.file ? `/uploads/signatures/${req.file.filename}` : null;
+    const signatureUrl = req.file ? req.file.url : null;
 
     const result = await db.query(
-      `INSERT INTO delivery_forms (customer_name, phone, email, items_description, delivery_cost, delivery_date, signature_url, date)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE)
+      `INSERT INTO delivery_forms (customer_name, phone, email, items_description, delivery_cost, delivery_date, signature_url, date, store)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE, $8)
        RETURNING id, customer_name, phone, email, items_description, delivery_cost, delivery_date, signature_url, date, emailed, created_at`,
-      [customer_name, phone, email || null, items_description || null, delivery_cost || null, delivery_date || null, signatureUrl]
+      [customer_name, phone, email || null, items_description || null, delivery_cost || null, delivery_date || null, signatureUrl, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'delivery_form', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Delivery form created successfully',
       form: result.rows[0] 
@@ -175,18 +167,14 @@ router.post('/delivery', upload.single('signature'), async (req, res) => {
   } catch (error) {
     console.error('Create delivery form error:', error);
     
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create delivery form' });
   }
 });
 
 // DELETE /api/customer-forms/delivery/:id - Soft delete delivery form
-router.delete('/delivery/:id', async (req, res) => {
+router.delete('/delivery/:id', requirePermission('forms.delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -195,15 +183,20 @@ router.delete('/delivery/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE delivery_forms 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Form not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'delivery_form', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Delivery form deleted successfully' });
   } catch (error) {
     console.error('Delete delivery form error:', error);
@@ -222,8 +215,9 @@ router.get('/donation', async (req, res) => {
       `SELECT id, customer_name, phone, email, donation_description, 
               signature_url, date, emailed, created_at
        FROM donation_forms 
-       WHERE deleted_at IS NULL 
-       ORDER BY created_at DESC`
+       WHERE deleted_at IS NULL AND store = $1
+       ORDER BY created_at DESC`,
+      [req.store]
     );
 
     res.json({ forms: result.rows });
@@ -245,15 +239,19 @@ router.post('/donation', upload.single('signature'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     
-    const signatureUrl = req.file ? `/uploads/signatures/${req.file.filename}` : null;
+    const signatureUrl = req.file ? req.file.url : null;
 
     const result = await db.query(
-      `INSERT INTO donation_forms (customer_name, phone, email, donation_description, signature_url, date)
-       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE)
+      `INSERT INTO donation_forms (customer_name, phone, email, donation_description, signature_url, date, store)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6)
        RETURNING id, customer_name, phone, email, donation_description, signature_url, date, emailed, created_at`,
-      [customer_name, phone, email || null, donation_description || null, signatureUrl]
+      [customer_name, phone, email || null, donation_description || null, signatureUrl, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'donation_form', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Donation form created successfully',
       form: result.rows[0] 
@@ -261,18 +259,14 @@ router.post('/donation', upload.single('signature'), async (req, res) => {
   } catch (error) {
     console.error('Create donation form error:', error);
     
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create donation form' });
   }
 });
 
 // DELETE /api/customer-forms/donation/:id - Soft delete donation form
-router.delete('/donation/:id', async (req, res) => {
+router.delete('/donation/:id', requirePermission('forms.delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -281,15 +275,20 @@ router.delete('/donation/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE donation_forms 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Form not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'donation_form', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Donation form deleted successfully' });
   } catch (error) {
     console.error('Delete donation form error:', error);
@@ -308,8 +307,9 @@ router.get('/waiver', async (req, res) => {
       `SELECT id, customer_name, phone, email, 
               signature_url, manager_signature_url, date, emailed, created_at
        FROM waiver_forms 
-       WHERE deleted_at IS NULL 
-       ORDER BY created_at DESC`
+       WHERE deleted_at IS NULL AND store = $1
+       ORDER BY created_at DESC`,
+      [req.store]
     );
 
     res.json({ forms: result.rows });
@@ -334,16 +334,20 @@ router.post('/waiver', upload.fields([
   try {
     const db = req.app.locals.db;
     
-    const signatureUrl = req.files['signature'] ? `/uploads/signatures/${req.files['signature'][0].filename}` : null;
-    const managerSignatureUrl = req.files['manager_signature'] ? `/uploads/signatures/${req.files['manager_signature'][0].filename}` : null;
+    const signatureUrl = req.files['signature'] ? req.files['signature'][0].url : null;
+    const managerSignatureUrl = req.files['manager_signature'] ? req.files['manager_signature'][0].url : null;
 
     const result = await db.query(
-      `INSERT INTO waiver_forms (customer_name, phone, email, signature_url, manager_signature_url, date)
-       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE)
+      `INSERT INTO waiver_forms (customer_name, phone, email, signature_url, manager_signature_url, date, store)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6)
        RETURNING id, customer_name, phone, email, signature_url, manager_signature_url, date, emailed, created_at`,
-      [customer_name, phone, email || null, signatureUrl, managerSignatureUrl]
+      [customer_name, phone, email || null, signatureUrl, managerSignatureUrl, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'waiver_form', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Waiver form created successfully',
       form: result.rows[0] 
@@ -351,26 +355,15 @@ router.post('/waiver', upload.fields([
   } catch (error) {
     console.error('Create waiver form error:', error);
     
-    if (req.files) {
-      // Delete uploaded files if database insert failed
-      if (req.files['signature']) {
-        fs.unlink(req.files['signature'][0].path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      }
-      if (req.files['manager_signature']) {
-        fs.unlink(req.files['manager_signature'][0].path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      }
-    }
+    // Delete uploaded files if database insert failed
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create waiver form' });
   }
 });
 
 // DELETE /api/customer-forms/waiver/:id - Soft delete waiver form
-router.delete('/waiver/:id', async (req, res) => {
+router.delete('/waiver/:id', requirePermission('forms.delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -379,15 +372,20 @@ router.delete('/waiver/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE waiver_forms 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Form not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'waiver_form', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Waiver form deleted successfully' });
   } catch (error) {
     console.error('Delete waiver form error:', error);
@@ -401,21 +399,25 @@ router.delete('/waiver/:id', async (req, res) => {
 // ==================== EMAIL QUEUE ====================
 
 // GET /api/customer-forms/pending - Get count of pending emails (Admin only)
-router.get('/pending', requireRole('Admin'), async (req, res) => {
+router.get('/pending', requirePermission('emails.send'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     
     const pickup = await db.query(
-      'SELECT COUNT(*) FROM pickup_forms WHERE emailed = FALSE AND deleted_at IS NULL'
+      'SELECT COUNT(*) FROM pickup_forms WHERE emailed = FALSE AND deleted_at IS NULL AND store = $1',
+      [req.store]
     );
     const delivery = await db.query(
-      'SELECT COUNT(*) FROM delivery_forms WHERE emailed = FALSE AND deleted_at IS NULL'
+      'SELECT COUNT(*) FROM delivery_forms WHERE emailed = FALSE AND deleted_at IS NULL AND store = $1',
+      [req.store]
     );
     const donation = await db.query(
-      'SELECT COUNT(*) FROM donation_forms WHERE emailed = FALSE AND deleted_at IS NULL'
+      'SELECT COUNT(*) FROM donation_forms WHERE emailed = FALSE AND deleted_at IS NULL AND store = $1',
+      [req.store]
     );
     const waiver = await db.query(
-      'SELECT COUNT(*) FROM waiver_forms WHERE emailed = FALSE AND deleted_at IS NULL'
+      'SELECT COUNT(*) FROM waiver_forms WHERE emailed = FALSE AND deleted_at IS NULL AND store = $1',
+      [req.store]
     );
 
     const total = parseInt(pickup.rows[0].count) + 
@@ -0,0 +1,334 @@
+// src/routes/customers.js
+// API routes for the customer directory (history across forms, vouchers and the banned list)
+// and donors' year-end donation summaries
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { canAccessAllStores } = require('../services/stores');
+const {
+  getCustomer,
+  customerInStores,
+  searchCustomers,
+  getCustomerTimeline,
+  findDuplicateCustomers,
+  mergeCustomers
+} = require('../services/customers');
+const { recordAudit } = require('../services/audit');
+const { getDonorSummary } = require('../services/donations');
+const { writeAnnualReceiptPdf } = require('../services/donation-pdf');
+const { getAnnualDonationEmail } = require('../services/email-templates');
+const { queueAndSendEmail } = require('../services/email-outbox');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requirePermission('customers.view'));
+
+// Stores whose records this user can see (null = every store)
+function visibleStores(user) {
+  return canAccessAllStores(user) ? null : user.stores;
+}
+
+// Calendar year for a donation summary (defaults to this year). Returns { year } or { error }
+function parseYear(value) {
+  if (value === undefined || value === null || value === '') {
+    return { year: new Date().getFullYear() };
+  }
+
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    return { error: 'Year must be a four-digit year' };
+  }
+
+  return { year };
+}
+
+// The customer's donations to the current store in a year, or null if the
+// customer doesn't exist or this user can't see them
+async function findDonorSummary(req, year) {
+  const db = req.app.locals.db;
+
+  const customer = await getCustomer(db, parseInt(req.params.id));
+  if (!customer || !(await customerInStores(db, customer.id, visibleStores(req.user)))) {
+    return null;
+  }
+
+  return getDonorSummary(db, { customerId: customer.id, store: req.store, year });
+}
+
+// GET /api/customers - Search customers
+// Optional query: search (name, phone or email), limit (max 200), offset
+router.get('/', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const db = req.app.locals.db;
+
+    const { customers, total } = await searchCustomers(db, {
+      search: req.query.search,
+      stores: visibleStores(req.user),
+      limit,
+      offset
+    });
+
+    res.json({ customers, total, limit, offset });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ error: 'Failed to get customers' });
+  }
+});
+
+// GET /api/customers/duplicates - Customers that look like the same person
+router.get('/duplicates', requirePermission('customers.edit'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const groups = await findDuplicateCustomers(db, { stores: visibleStores(req.user) });
+
+    res.json({ groups });
+  } catch (error) {
+    console.error('Get duplicate customers error:', error);
+    res.status(500).json({ error: 'Failed to find duplicate customers' });
+  }
+});
+
+// GET /api/customers/:id - Customer details and timeline
+// A merged customer returns the customer they were merged into.
+router.get('/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid customer ID' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+    const stores = visibleStores(req.user);
+
+    const customer = await getCustomer(db, id);
+    if (!customer || !(await customerInStores(db, customer.id, stores))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const timeline = await getCustomerTimeline(db, customer.id, stores);
+
+    res.json({ customer, timeline });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({ error: 'Failed to get customer' });
+  }
+});
+
+// GET /api/customers/:id/donations - Year-end donation summary for the current store
+// Optional query: year (defaults to this year)
+router.get('/:id/donations', async (req, res) => {
+  const { year, error } = parseYear(req.query.year);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const summary = await findDonorSummary(req, year);
+    if (!summary) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Get donation summary error:', error);
+    res.status(500).json({ error: 'Failed to get donation summary' });
+  }
+});
+
+// GET /api/customers/:id/donations/pdf - Year-end donation summary as a PDF
+// Optional query: year (defaults to this year)
+router.get('/:id/donations/pdf', async (req, res) => {
+  const { year, error } = parseYear(req.query.year);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const summary = await findDonorSummary(req, year);
+    if (!summary) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="donation-summary-${year}-${summary.customer.id}.pdf"`);
+    writeAnnualReceiptPdf(res, summary, req.store);
+  } catch (error) {
+    console.error('Donation summary PDF error:', error);
+    res.status(500).json({ error: 'Failed to create donation summary PDF' });
+  }
+});
+
+// POST /api/customers/:id/donations/send - Email the year-end donation summary (PDF attached)
+// Body: { year, email } - both optional; email defaults to the customer's
+// address, then the most recent one given on a donation form
+router.post('/:id/donations/send', async (req, res) => {
+  const { year, error } = parseYear(req.body.year);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const summary = await findDonorSummary(req, year);
+    if (!summary) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    if (summary.donations.length === 0) {
+      return res.status(400).json({ error: `No donations recorded in ${year}` });
+    }
+
+    const lastFormEmail = summary.donations.map(donation => donation.email).filter(Boolean).pop();
+    const to = (req.body.email && req.body.email.trim()) || summary.customer.email || lastFormEmail;
+
+    if (!to) {
+      return res.status(400).json({ error: 'No email address on file' });
+    }
+
+    const { subject, html } = getAnnualDonationEmail(summary, req.store);
+    const emailResult = await queueAndSendEmail(db, {
+      store: req.store,
+      emailType: 'annual_receipt',
+      to,
+      subject,
+      html,
+      attachments: [{ kind: 'annual_donation_receipt', customerId: summary.customer.id, store: req.store, year }],
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      entity: 'customer', entityId: summary.customer.id, action: 'send_donation_summary',
+      after: { year, email: to, sent: emailResult.sent }
+    });
+
+    if (emailResult.sent) {
+      res.json({
+        message: 'Donation summary sent',
+        emailSent: true
+      });
+    } else {
+      res.status(500).json({
+        error: 'Failed to send email',
+        emailError: emailResult.error,
+        emailQueued: emailResult.willRetry
+      });
+    }
+  } catch (error) {
+    console.error('Send donation summary error:', error);
+    res.status(500).json({ error: 'Failed to send donation summary' });
+  }
+});
+
+// PUT /api/customers/:id - Update customer details
+router.put('/:id', requirePermission('customers.edit'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  const { name, phone, email, notes } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const existing = await db.query(
+      'SELECT * FROM customers WHERE id = $1 AND merged_into_id IS NULL',
+      [id]
+    );
+
+    if (existing.rows.length === 0 || !(await customerInStores(db, id, visibleStores(req.user)))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    // Another customer already has this phone number
+    const conflict = await db.query(
+      `SELECT id, name FROM customers
+       WHERE phone_normalized = normalize_phone($1) AND merged_into_id IS NULL AND id <> $2`,
+      [phone || null, id]
+    );
+
+    if (conflict.rows.length > 0) {
+      return res.status(409).json({
+        error: `${conflict.rows[0].name} already has this phone number. Merge the two customers instead.`,
+        customer_id: conflict.rows[0].id
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE customers
+       SET name = $1, phone = $2::text, phone_normalized = normalize_phone($2::text), email = $3, notes = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [name.trim(), phone || null, email || null, notes || null, id]
+    );
+
+    await recordAudit(req, {
+      entity: 'customer', entityId: id, action: 'update', store: null,
+      before: existing.rows[0], after: result.rows[0]
+    });
+
+    res.json({
+      message: 'Customer updated successfully',
+      customer: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({ error: 'Failed to update customer' });
+  }
+});
+
+// POST /api/customers/:id/merge - Merge duplicates into this customer
+// Body: { customer_ids: [ ... ] } - the duplicates; their records move to :id
+router.post('/:id/merge', requirePermission('customers.edit'), async (req, res) => {
+  const targetId = parseInt(req.params.id);
+  const sourceIds = Array.isArray(req.body.customer_ids)
+    ? [...new Set(req.body.customer_ids.map(value => parseInt(value)))]
+    : [];
+
+  if (!targetId || sourceIds.length === 0 || sourceIds.some(value => !value)) {
+    return res.status(400).json({ error: 'Choose at least one customer to merge' });
+  }
+
+  if (sourceIds.includes(targetId)) {
+    return res.status(400).json({ error: 'Cannot merge a customer into themselves' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+    const stores = visibleStores(req.user);
+
+    for (const customerId of [targetId, ...sourceIds]) {
+      if (!(await customerInStores(db, customerId, stores))) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+    }
+
+    const result = await mergeCustomers(db, targetId, sourceIds);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Customer not found or already merged' });
+    }
+
+    await recordAudit(req, {
+      entity: 'customer', entityId: targetId, action: 'merge', store: null,
+      before: { customer: result.before, merged: result.merged }, after: result.target
+    });
+
+    res.json({
+      message: `Merged ${sourceIds.length} customer(s)`,
+      customer: result.target
+    });
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    res.status(500).json({ error: 'Failed to merge customers' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+// src/routes/deliveries.js
+// API routes for the daily delivery manifest: route order, driver and truck
+// assignment, and stop status from the road
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getStores, canAccessStore } = require('../services/stores');
+const { getStoreInfo } = require('../services/mailer');
+const { recordAudit } = require('../services/audit');
+const { createImageUpload, deleteRequestUploads } = require('../services/storage');
+const {
+  STOP_STATUSES,
+  getStop,
+  getManifest,
+  setStopOrder,
+  assignStops,
+  updateStopStatus,
+  sendOutForDeliveryEmail
+} = require('../services/deliveries');
+
+const router = express.Router();
+
+// Delivery photos (proof of delivery, failed attempts)
+const upload = createImageUpload({ folder: 'deliveries', prefix: 'stop' });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REASON_LENGTH = 500;
+
+// A list of delivery form ids from a request body. Returns { formIds } or { error }
+function parseFormIds(value) {
+  if (!Array.isArray(value)) {
+    return { error: 'form_ids must be a list of delivery form ids' };
+  }
+
+  const formIds = value.map(Number);
+  if (formIds.some(id => !Number.isInteger(id) || id < 1)) {
+    return { error: 'form_ids must be a list of delivery form ids' };
+  }
+  if (new Set(formIds).size !== formIds.length) {
+    return { error: 'Each delivery can only be listed once' };
+  }
+
+  return { formIds };
+}
+
+// All routes require authentication
+router.use(authenticateToken);
+router.use(requirePermission('deliveries.view'));
+
+// GET /api/deliveries/manifest - Deliveries scheduled on a day in every store the user works in
+// Query: date (YYYY-MM-DD, defaults to today in the current store)
+router.get('/manifest', async (req, res) => {
+  const { date } = req.query;
+
+  if (date && !DATE_PATTERN.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    let day = date;
+    if (!day) {
+      const today = await db.query(
+        "SELECT to_char((NOW() AT TIME ZONE $1)::date, 'YYYY-MM-DD') AS today",
+        [getStoreInfo(req.store).timezone || 'America/Los_Angeles']
+      );
+      day = today.rows[0].today;
+    }
+
+    const stores = getStores()
+      .map(store => store.code)
+      .filter(code => canAccessStore(req.user, code));
+
+    res.json({
+      date: day,
+      statuses: STOP_STATUSES,
+      stores: await getManifest(db, { date: day, stores })
+    });
+  } catch (error) {
+    console.error('Get delivery manifest error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery manifest' });
+  }
+});
+
+// PUT /api/deliveries/manifest/order - Set a store's route order for a day
+// Body: { store, date, form_ids } - first stop first; stops left out become unordered
+router.put('/manifest/order', requirePermission('deliveries.plan'), async (req, res) => {
+  const { store, date } = req.body;
+
+  if (!store || !canAccessStore(req.user, store)) {
+    return res.status(403).json({ error: 'Access to this store is not allowed' });
+  }
+
+  if (!date || !DATE_PATTERN.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  const { formIds, error } = parseFormIds(req.body.form_ids);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const result = await setStopOrder(db, { store, date, formIds });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    await recordAudit(req, {
+      entity: 'delivery_route', entityId: `${store}:${date}`, action: 'route_order', store,
+      after: { form_ids: formIds }
+    });
+
+    const [manifest] = await getManifest(db, { date, stores: [store] });
+    res.json({ message: 'Route order saved', manifest });
+  } catch (error) {
+    console.error('Save delivery route order error:', error);
+    res.status(500).json({ error: 'Failed to save route order' });
+  }
+});
+
+// PUT /api/deliveries/manifest/assignment - Assign a driver and truck to stops
+// Body: { form_ids, driver_name, truck } - blank driver_name / truck clears them
+router.put('/manifest/assignment', requirePermission('deliveries.plan'), async (req, res) => {
+  const driverName = typeof req.body.driver_name === 'string' ? req.body.driver_name.trim() : '';
+  const truck = typeof req.body.truck === 'string' ? req.body.truck.trim() : '';
+
+  const { formIds, error } = parseFormIds(req.body.form_ids);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (formIds.length === 0) {
+    return res.status(400).json({ error: 'Choose at least one delivery' });
+  }
+
+  if (driverName.length > 100 || truck.length > 50) {
+    return res.status(400).json({ error: 'Driver name or truck is too long' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const forms = await db.query(
+      'SELECT id, store FROM delivery_forms WHERE id = ANY($1) AND deleted_at IS NULL',
+      [formIds]
+    );
+
+    if (forms.rows.length !== formIds.length) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (forms.rows.some(form => !canAccessStore(req.user, form.store))) {
+      return res.status(403).json({ error: 'Access to this store is not allowed' });
+    }
+
+    await assignStops(db, { formIds, driverName, truck });
+
+    for (const form of forms.rows) {
+      await recordAudit(req, {
+        entity: 'delivery_form', entityId: form.id, action: 'route_assignment', store: form.store,
+        after: { driver_name: driverName || null, truck: truck || null }
+      });
+    }
+
+    const stops = [];
+    for (const id of formIds) {
+      stops.push(await getStop(db, id));
+    }
+
+    res.json({ message: 'Crew assigned', stops });
+  } catch (error) {
+    console.error('Assign delivery crew error:', error);
+    res.status(500).json({ error: 'Failed to assign crew' });
+  }
+});
+
+// POST /api/deliveries/stops/:id/status - Update a stop from the road (multipart)
+// Fields: status, reason (required when failed), photo (optional image)
+// Marking a stop out for delivery emails the customer once.
+router.post('/stops/:id/status', upload.single('photo'), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!STOP_STATUSES[status]) {
+    deleteRequestUploads(req);
+    return res.status(400).json({ error: `status must be one of: ${Object.keys(STOP_STATUSES).join(', ')}` });
+  }
+
+  if (status === 'failed' && !reason) {
+    deleteRequestUploads(req);
+    return res.status(400).json({ error: 'A reason is required when a delivery fails' });
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    deleteRequestUploads(req);
+    return res.status(400).json({ error: `Reason must be ${MAX_REASON_LENGTH} characters or fewer` });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const before = await getStop(db, id);
+    if (!before || !canAccessStore(req.user, before.store)) {
+      deleteRequestUploads(req);
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    let stop = await updateStopStatus(db, {
+      id,
+      status,
+      reason,
+      photoUrl: req.file ? req.file.url : null,
+      userId: req.user.id
+    });
+
+    await recordAudit(req, {
+      entity: 'delivery_form', entityId: stop.id, action: 'stop_status', store: stop.store,
+      before: { status: before.status, failure_reason: before.failure_reason },
+      after: { status: stop.status, failure_reason: stop.failure_reason, photo_url: stop.photo_url }
+    });
+
+    let emailResult = null;
+    if (status === 'en_route') {
+      emailResult = await sendOutForDeliveryEmail(db, stop, req.user.id);
+      if (emailResult) {
+        stop = await getStop(db, id);
+      }
+    }
+
+    res.json({
+      message: `Delivery marked ${STOP_STATUSES[status].toLowerCase()}`,
+      stop,
+      emailSent: emailResult ? emailResult.sent : false,
+      emailQueued: emailResult ? emailResult.willRetry : false,
+      emailError: emailResult ? emailResult.error : null
+    });
+  } catch (error) {
+    deleteRequestUploads(req);
+    console.error('Update delivery stop status error:', error);
+    res.status(500).json({ error: 'Failed to update delivery status' });
+  }
+});
+
+module.exports = router;
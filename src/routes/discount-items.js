@@ -2,77 +2,74 @@
 // API routes for 75% Off Section
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
+const { createImageUpload, deleteUpload, deleteRequestUploads, withThumbnails } = require('../services/storage');
 
 const router = express.Router();
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-const uploadDir = path.isAbsolute(baseUploadDir) 
-  ? path.join(baseUploadDir, 'discount')
-  : path.join(__dirname, '../..', baseUploadDir, 'discount');
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename: timestamp-randomstring.ext
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'discount-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    // Accept images only
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
+// Pictures of furniture / red tag items
+const upload = createImageUpload({ folder: 'discount', prefix: 'discount', maxFileSize: 5 * 1024 * 1024 });
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// GET /api/discount-items - Get all discount items with approval info and submitter names
+const LIST_SORTS = {
+  // Pending approvals first
+  status: "CASE WHEN di.approval_status = 'pending' THEN 0 ELSE 1 END",
+  date_added: 'di.date_added',
+  price: 'di.price',
+  created_at: 'di.created_at'
+};
+
+const APPROVAL_STATUSES = ['pending', 'approved'];
+
+// GET /api/discount-items - Discount items with approval info and submitter names,
+// pending first, then newest
+// Optional query: status (pending, approved), plus paging (see services/pagination.js):
+// sort = status, date_added, price, created_at; from/to filter on date_added
 router.get('/', async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !APPROVAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${APPROVAL_STATUSES.join(', ')}` });
+  }
+
+  const page = parsePageQuery(req.query, { sorts: LIST_SORTS, defaultSort: 'status,-date_added' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
   try {
     const db = req.app.locals.db;
-    
-    const result = await db.query(
-      `SELECT 
-        di.id, di.picture_urls, di.price, di.notes, di.date_added,
+
+    const conditions = ['di.deleted_at IS NULL', 'di.store = $1'];
+    const params = [req.store];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`di.approval_status = $${params.length}`);
+    }
+
+    const { rows, ...paging } = await fetchPage(db, {
+      select: `di.id, di.picture_urls, di.price, di.notes, di.date_added,
         di.created_by, di.created_at,
         di.approval_status, di.approval_note, di.approved_by, di.approved_at,
         CURRENT_DATE - di.date_added as days_in_discount,
         u_created.username as created_by_username,
-        u_approved.username as approved_by_username
-      FROM discount_items di
+        u_approved.username as approved_by_username`,
+      from: `discount_items di
       LEFT JOIN users u_created ON di.created_by = u_created.id
-      LEFT JOIN users u_approved ON di.approved_by = u_approved.id
-      WHERE di.deleted_at IS NULL
-        AND di.store = $1
-      ORDER BY 
-        CASE WHEN di.approval_status = 'pending' THEN 0 ELSE 1 END,
-        di.date_added DESC`,
-      [req.store]
-    );
+      LEFT JOIN users u_approved ON di.approved_by = u_approved.id`,
+      conditions,
+      params,
+      idColumn: 'di.id',
+      dateColumn: 'di.date_added',
+      page
+    });
 
-    res.json({ items: result.rows });
+    res.json({ items: rows.map(withThumbnails), ...paging });
   } catch (error) {
     console.error('Get discount items error:', error);
     res.status(500).json({ error: 'Failed to get discount items' });
@@ -97,8 +94,8 @@ router.get('/:id', async (req, res) => {
       FROM discount_items di
       LEFT JOIN users u_created ON di.created_by = u_created.id
       LEFT JOIN users u_approved ON di.approved_by = u_approved.id
-      WHERE di.id = $1 AND di.deleted_at IS NULL`,
-      [id]
+      WHERE di.id = $1 AND di.deleted_at IS NULL AND di.store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -126,7 +123,7 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
     
     // Get picture URLs if uploaded (multiple files)
     const pictureUrls = req.files && req.files.length > 0
-      ? req.files.map(file => `/uploads/discount/${file.filename}`)
+      ? req.files.map(file => file.url)
       : [];
 
     const result = await db.query(
@@ -136,6 +133,10 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
       [pictureUrls, price, notes || null, req.user.id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'discount_item', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Furniture approval request created successfully',
       item: result.rows[0] 
@@ -144,13 +145,7 @@ router.post('/', upload.array('pictures', 10), async (req, res) => {
     console.error('Create discount item error:', error);
     
     // Delete uploaded files if database insert failed
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create furniture approval request' });
   }
@@ -171,8 +166,8 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
 
     // Get existing item to check status and pictures
     const existingResult = await db.query(
-      'SELECT picture_urls, approval_status FROM discount_items WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM discount_items WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (existingResult.rows.length === 0) {
@@ -193,26 +188,26 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
     
     if (req.files && req.files.length > 0) {
       // New pictures uploaded - replace all old ones
-      pictureUrls = req.files.map(file => `/uploads/discount/${file.filename}`);
+      pictureUrls = req.files.map(file => file.url);
       
       // Delete old pictures
-      oldPictureUrls.forEach(url => {
-        const oldPicturePath = path.join(__dirname, '../..', url);
-        fs.unlink(oldPicturePath, (err) => {
-          if (err) console.error('Error deleting old picture:', err);
-        });
-      });
+      oldPictureUrls.forEach(deleteUpload);
     }
 
     // Update item
     const result = await db.query(
       `UPDATE discount_items 
        SET picture_urls = $1, price = $2, notes = $3
-       WHERE id = $4 AND deleted_at IS NULL
+       WHERE id = $4 AND deleted_at IS NULL AND store = $5
        RETURNING id, picture_urls, price, notes, date_added, created_by, created_at, approval_status`,
-      [pictureUrls, price, notes || null, id]
+      [pictureUrls, price, notes || null, id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'discount_item', entityId: id, action: 'update', store: existingItem.store,
+      before: existingItem, after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Item updated successfully',
       item: result.rows[0] 
@@ -221,13 +216,7 @@ router.put('/:id', upload.array('pictures', 10), async (req, res) => {
     console.error('Update discount item error:', error);
     
     // Delete uploaded files if database update failed
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to update item' });
   }
@@ -243,15 +232,20 @@ router.delete('/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE discount_items 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'discount_item', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Item deleted successfully' });
   } catch (error) {
     console.error('Delete discount item error:', error);
@@ -260,22 +254,17 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/discount-items/:id/approve - Approve a furniture item (Admin only)
-router.post('/:id/approve', async (req, res) => {
+router.post('/:id/approve', requirePermission('discount.approve'), async (req, res) => {
   const { id } = req.params;
   const { approval_note } = req.body;
 
-  // Check if user is admin
-  if (req.user.role !== 'Admin') {
-    return res.status(403).json({ error: 'Only admins can approve items' });
-  }
-
   try {
     const db = req.app.locals.db;
 
     // Check if item exists and is pending
     const checkResult = await db.query(
-      'SELECT id, approval_status FROM discount_items WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM discount_items WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (checkResult.rows.length === 0) {
@@ -293,12 +282,17 @@ router.post('/:id/approve', async (req, res) => {
            approval_note = $1,
            approved_by = $2,
            approved_at = NOW()
-       WHERE id = $3 AND deleted_at IS NULL
+       WHERE id = $3 AND deleted_at IS NULL AND store = $4
        RETURNING id, picture_urls, price, notes, date_added, created_by, created_at,
                  approval_status, approval_note, approved_by, approved_at`,
-      [approval_note || null, req.user.id, id]
+      [approval_note || null, req.user.id, id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'discount_item', entityId: id, action: 'approve', store: checkResult.rows[0].store,
+      before: checkResult.rows[0], after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Item approved successfully',
       item: result.rows[0] 
@@ -0,0 +1,147 @@
+// src/routes/email-outbox.js
+// Admin view of the outbound email queue (queued / failed / sent messages)
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { requeueEmail, deliverEmail } = require('../services/email-outbox');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// All routes require Admin role
+router.use(authenticateToken);
+router.use(requirePermission('emails.outbox'));
+
+// GET /api/email-outbox - List outbox messages for the current store
+// Optional query: ?status=queued|sending|sent|failed&limit=100
+router.get('/', async (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  const validStatuses = ['queued', 'sending', 'sent', 'failed'];
+  if (status && !validStatuses.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const params = [req.store];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = `AND o.status = $${params.length}`;
+    }
+    params.push(limit);
+
+    const result = await db.query(
+      `SELECT o.id, o.email_type, o.form_type, o.form_id, o.to_address, o.subject,
+              o.status, o.attempts, o.max_attempts, o.next_attempt_at, o.last_error,
+              o.sent_at, o.created_at, o.updated_at,
+              u.username as created_by_username
+       FROM email_outbox o
+       LEFT JOIN users u ON u.id = o.created_by
+       WHERE o.store = $1
+       ${statusFilter}
+       ORDER BY o.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const counts = await db.query(
+      `SELECT status, COUNT(*) as count
+       FROM email_outbox
+       WHERE store = $1
+       GROUP BY status`,
+      [req.store]
+    );
+
+    const summary = { queued: 0, sending: 0, sent: 0, failed: 0 };
+    counts.rows.forEach(row => {
+      summary[row.status] = parseInt(row.count);
+    });
+
+    res.json({ messages: result.rows, counts: summary });
+  } catch (error) {
+    console.error('Get email outbox error:', error);
+    res.status(500).json({ error: 'Failed to get email outbox' });
+  }
+});
+
+// GET /api/email-outbox/:id - Single message with its rendered HTML and every delivery attempt
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const db = req.app.locals.db;
+
+    const result = await db.query(
+      `SELECT o.*, u.username as created_by_username
+       FROM email_outbox o
+       LEFT JOIN users u ON u.id = o.created_by
+       WHERE o.id = $1 AND o.store = $2`,
+      [id, req.store]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const attempts = await db.query(
+      `SELECT id, attempt_number, success, error, attempted_at
+       FROM email_outbox_attempts
+       WHERE outbox_id = $1
+       ORDER BY attempt_number ASC`,
+      [id]
+    );
+
+    res.json({ message: result.rows[0], attempts: attempts.rows });
+  } catch (error) {
+    console.error('Get email outbox message error:', error);
+    res.status(500).json({ error: 'Failed to get message' });
+  }
+});
+
+// POST /api/email-outbox/:id/retry - Put a queued or failed message back in the queue and send it now
+router.post('/:id/retry', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const db = req.app.locals.db;
+
+    const check = await db.query(
+      'SELECT id FROM email_outbox WHERE id = $1 AND store = $2',
+      [id, req.store]
+    );
+
+    if (check.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const requeued = await requeueEmail(db, id);
+    if (!requeued) {
+      return res.status(400).json({ error: 'Only queued or failed messages can be retried' });
+    }
+
+    const result = await deliverEmail(db, id);
+
+    await recordAudit(req, {
+      entity: 'email_outbox', entityId: id, action: 'retry', after: { sent: result.sent }
+    });
+
+    if (result.sent) {
+      res.json({ message: 'Email sent successfully', emailSent: true });
+    } else {
+      res.status(500).json({
+        error: 'Failed to send email',
+        emailError: result.error,
+        emailQueued: result.willRetry
+      });
+    }
+  } catch (error) {
+    console.error('Retry outbox email error:', error);
+    res.status(500).json({ error: 'Failed to retry email' });
+  }
+});
+
+module.exports = router;
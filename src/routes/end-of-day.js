@@ -1,56 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { authenticateToken } = require('../middleware/auth');
-
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    const uploadDir = path.isAbsolute(baseUploadDir) 
-      ? path.join(baseUploadDir, 'daily-reports')
-      : path.join(__dirname, '../..', baseUploadDir, 'daily-reports');
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'report-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { createImageUpload, deleteUpload, deleteRequestUploads } = require('../services/storage');
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
-
-// Middleware to check if user is manager or admin
-const requireManagerOrAdmin = (req, res, next) => {
-    if (req.user.role === 'Manager' || req.user.role === 'Admin') {
-        next();
-    } else {
-        res.status(403).json({ error: 'Access denied. Manager or Admin role required.' });
-    }
-};
+// Cash count photos
+const upload = createImageUpload({ folder: 'daily-reports', prefix: 'report' });
 
 // Get end of day data for a specific date (checklist + report)
 router.get('/:date', authenticateToken, async (req, res) => {
     const { date } = req.params;
-    const userRole = req.user.role;
+    const canAccessReport = hasPermission(req.user, 'reports.cash.view');
     const db = req.app.locals.db;
 
     try {
@@ -110,8 +71,8 @@ router.get('/:date', authenticateToken, async (req, res) => {
 
         let reportData = null;
 
-        // Only fetch report data if user is manager or admin
-        if (userRole === 'Manager' || userRole === 'Admin') {
+        // Only fetch report data if user can see cash reports
+        if (canAccessReport) {
             const reportResult = await db.query(
                 `SELECT dr.*, 
                         u1.username as created_by_name,
@@ -143,7 +104,7 @@ router.get('/:date', authenticateToken, async (req, res) => {
         res.json({
             checklist: checklistItems.rows,
             report: reportData,
-            canAccessReport: userRole === 'Manager' || userRole === 'Admin'
+            canAccessReport
         });
 
     } catch (error) {
@@ -164,15 +125,20 @@ router.post('/checklist/toggle', authenticateToken, async (req, res) => {
              SET is_completed = $1,
                  completed_by = $2,
                  completed_at = $3
-             WHERE id = $4
+             WHERE id = $4 AND store = $5
              RETURNING *`,
-            [isCompleted, isCompleted ? userId : null, isCompleted ? new Date() : null, itemId]
+            [isCompleted, isCompleted ? userId : null, isCompleted ? new Date() : null, itemId, req.store]
         );
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Checklist item not found' });
         }
 
+        await recordAudit(req, {
+            entity: 'checklist_item', entityId: itemId, action: isCompleted ? 'complete' : 'uncomplete',
+            store: result.rows[0].store, after: result.rows[0]
+        });
+
         res.json({ success: true, item: result.rows[0] });
 
     } catch (error) {
@@ -182,7 +148,7 @@ router.post('/checklist/toggle', authenticateToken, async (req, res) => {
 });
 
 // Save or update daily report (manager/admin only)
-router.post('/report', authenticateToken, requireManagerOrAdmin, async (req, res) => {
+router.post('/report', authenticateToken, requirePermission('reports.cash.edit'), async (req, res) => {
     const { reportDate, cashCount, donationAmount, total } = req.body;
     const userId = req.user.id;
     const db = req.app.locals.db;
@@ -219,6 +185,12 @@ router.post('/report', authenticateToken, requireManagerOrAdmin, async (req, res
             );
         }
 
+        await recordAudit(req, {
+            entity: 'daily_report', entityId: result.rows[0].id,
+            action: existingReport.rows.length > 0 ? 'update' : 'create',
+            before: existingReport.rows[0], after: result.rows[0]
+        });
+
         res.json({ success: true, report: result.rows[0] });
 
     } catch (error) {
@@ -228,7 +200,7 @@ router.post('/report', authenticateToken, requireManagerOrAdmin, async (req, res
 });
 
 // Upload image to daily report (manager/admin only)
-router.post('/report/upload-image', authenticateToken, requireManagerOrAdmin, upload.single('image'), async (req, res) => {
+router.post('/report/upload-image', authenticateToken, requirePermission('reports.cash.edit'), upload.single('image'), async (req, res) => {
     const { reportDate } = req.body;
     const userId = req.user.id;
     const db = req.app.locals.db;
@@ -260,7 +232,7 @@ router.post('/report/upload-image', authenticateToken, requireManagerOrAdmin, up
         }
 
         // Store the file path instead of base64 data
-        const imagePath = '/uploads/daily-reports/' + req.file.filename;
+        const imagePath = req.file.url;
 
         // Insert image path
         const imageResult = await db.query(
@@ -279,45 +251,44 @@ router.post('/report/upload-image', authenticateToken, requireManagerOrAdmin, up
         const image = imageResult.rows[0];
         image.uploaded_by_name = userResult.rows[0].username;
 
+        await recordAudit(req, {
+            entity: 'daily_report_image', entityId: image.id, action: 'create',
+            after: { report_id: reportId, report_date: reportDate, image_data: imagePath }
+        });
+
         res.json({ success: true, image });
 
     } catch (error) {
         console.error('Error uploading report image:', error);
-        if (req.file) {
-            fs.unlink(req.file.path, (err) => {
-                if (err) console.error('Error deleting file:', err);
-            });
-        }
+        deleteRequestUploads(req);
         res.status(500).json({ error: 'Failed to upload image' });
     }
 });
 
 // Delete report image (manager/admin only)
-router.delete('/report/delete-image/:imageId', authenticateToken, requireManagerOrAdmin, async (req, res) => {
+router.delete('/report/delete-image/:imageId', authenticateToken, requirePermission('reports.cash.edit'), async (req, res) => {
     const { imageId } = req.params;
     const db = req.app.locals.db;
 
     try {
         const result = await db.query(
-            'DELETE FROM daily_report_images WHERE id = $1 RETURNING *',
-            [imageId]
+            `DELETE FROM daily_report_images dri
+             USING daily_reports dr
+             WHERE dri.id = $1 AND dr.id = dri.report_id AND dr.store = $2
+             RETURNING dri.*`,
+            [imageId, req.store]
         );
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Image not found' });
         }
 
-        const imagePath = result.rows[0].image_data;
-        if (imagePath && imagePath.startsWith('/uploads/')) {
-            const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-            const fullPath = path.isAbsolute(baseUploadDir)
-                ? path.join(baseUploadDir, imagePath.replace('/uploads/', ''))
-                : path.join(__dirname, '../..', imagePath.replace('/uploads/', ''));
-            
-            fs.unlink(fullPath, (err) => {
-                if (err) console.error('Error deleting file:', err);
-            });
-        }
+        await recordAudit(req, {
+            entity: 'daily_report_image', entityId: imageId, action: 'delete', before: result.rows[0]
+        });
+
+        // Older images were saved inline as base64; only uploaded files need deleting
+        deleteUpload(result.rows[0].image_data);
 
         res.json({ success: true });
 
@@ -328,7 +299,7 @@ router.delete('/report/delete-image/:imageId', authenticateToken, requireManager
 });
 
 // Delete all images for a specific date (manager/admin only)
-router.delete('/report/delete-all-images/:date', authenticateToken, requireManagerOrAdmin, async (req, res) => {
+router.delete('/report/delete-all-images/:date', authenticateToken, requirePermission('reports.cash.edit'), async (req, res) => {
     const { date } = req.params;
     const db = req.app.locals.db;
 
@@ -355,19 +326,13 @@ router.delete('/report/delete-all-images/:date', authenticateToken, requireManag
             [reportId]
         );
 
-        const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-        imagesResult.rows.forEach(img => {
-            if (img.image_data && img.image_data.startsWith('/uploads/')) {
-                const fullPath = path.isAbsolute(baseUploadDir)
-                    ? path.join(baseUploadDir, img.image_data.replace('/uploads/', ''))
-                    : path.join(__dirname, '../..', img.image_data.replace('/uploads/', ''));
-                
-                fs.unlink(fullPath, (err) => {
-                    if (err) console.error('Error deleting file:', err);
-                });
-            }
+        await recordAudit(req, {
+            entity: 'daily_report', entityId: reportId, action: 'delete_images',
+            before: { report_date: date, images: imagesResult.rows }
         });
 
+        imagesResult.rows.forEach(img => deleteUpload(img.image_data));
+
         res.json({ 
             success: true, 
             deletedCount: imagesResult.rows.length,
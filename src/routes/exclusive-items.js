@@ -2,85 +2,81 @@
 // API routes for Exclusive Items (Red Tag Inventory)
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { authenticateToken } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
+const { createImageUpload, deleteUpload, deleteRequestUploads, withThumbnails } = require('../services/storage');
 
 const router = express.Router();
 
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-   const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-const uploadDir = path.isAbsolute(baseUploadDir) 
-  ? path.join(baseUploadDir, 'exclusive')
-  : path.join(__dirname, '../..', baseUploadDir, 'exclusive');
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'exclusive-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
+// Exclusive item pictures
+const upload = createImageUpload({ folder: 'exclusive', prefix: 'exclusive', maxFileSize: 5 * 1024 * 1024 });
 
 // All routes require authentication
 router.use(authenticateToken);
 
-// GET /api/exclusive-items - Get all exclusive items
+// Pricing week from days since arrival (2-week intervals)
+const WEEK_SQL = `CASE 
+  WHEN CURRENT_DATE - date_arrived < 14 THEN 1
+  WHEN CURRENT_DATE - date_arrived < 28 THEN 3
+  WHEN CURRENT_DATE - date_arrived < 42 THEN 5
+  ELSE 7
+END`;
+
+const LIST_SORTS = {
+  week: WEEK_SQL,
+  date_arrived: 'date_arrived',
+  price: 'current_price',
+  created_at: 'created_at'
+};
+
+const WEEKS = ['1', '3', '5', '7'];
+
+// GET /api/exclusive-items - Exclusive items by pricing week, newest arrivals first
+// Optional query: category, week (1, 3, 5, 7), plus paging (see services/pagination.js):
+// sort = week, date_arrived, price, created_at; from/to filter on date_arrived
 router.get('/', async (req, res) => {
-  const { category } = req.query;
+  const { category, week } = req.query;
+
+  if (week && !WEEKS.includes(week)) {
+    return res.status(400).json({ error: `Week must be one of: ${WEEKS.join(', ')}` });
+  }
+
+  const page = parsePageQuery(req.query, { sorts: LIST_SORTS, defaultSort: 'week,-date_arrived' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
 
   try {
     const db = req.app.locals.db;
-    
-    let query = `
-      SELECT 
-        id, category, picture_url, date_arrived, current_price, notes,
-        created_by, created_at, updated_at,
-        CURRENT_DATE - date_arrived as days_since_arrival,
-        CASE 
-          WHEN CURRENT_DATE - date_arrived < 14 THEN 1
-          WHEN CURRENT_DATE - date_arrived < 28 THEN 3
-          WHEN CURRENT_DATE - date_arrived < 42 THEN 5
-          ELSE 7
-        END as week
-      FROM exclusive_items 
-      WHERE deleted_at IS NULL
-    `;
-    
+
+    const conditions = ['deleted_at IS NULL', 'store = $1'];
     const params = [req.store];
-    
-    query += ' AND store = $1';
 
     if (category) {
-      query += ' AND category = $2';
       params.push(category);
+      conditions.push(`category = $${params.length}`);
     }
-    
-    query += ' ORDER BY week ASC, date_arrived DESC';
 
-    const result = await db.query(query, params);
+    if (week) {
+      params.push(parseInt(week));
+      conditions.push(`${WEEK_SQL} = $${params.length}`);
+    }
 
-    res.json({ items: result.rows });
+    const { rows, ...paging } = await fetchPage(db, {
+      select: `id, category, picture_url, date_arrived, current_price, notes,
+        created_by, created_at, updated_at,
+        CURRENT_DATE - date_arrived as days_since_arrival,
+        ${WEEK_SQL} as week`,
+      from: 'exclusive_items',
+      conditions,
+      params,
+      idColumn: 'id',
+      dateColumn: 'date_arrived',
+      page
+    });
+
+    res.json({ items: rows.map(withThumbnails), ...paging });
   } catch (error) {
     console.error('Get exclusive items error:', error);
     res.status(500).json({ error: 'Failed to get exclusive items' });
@@ -138,7 +134,7 @@ router.get('/alerts', async (req, res) => {
       [categories, req.store]
     );
 
-    res.json({ alerts: result.rows });
+    res.json({ alerts: result.rows.map(withThumbnails) });
   } catch (error) {
     console.error('Get alerts error:', error);
     res.status(500).json({ error: 'Failed to get alerts' });
@@ -164,8 +160,8 @@ router.get('/:id', async (req, res) => {
           ELSE 7
         END as week
       FROM exclusive_items 
-      WHERE id = $1 AND deleted_at IS NULL`,
-      [id]
+      WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -195,7 +191,7 @@ router.post('/', upload.single('picture'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     
-    const pictureUrl = req.file ? `/uploads/exclusive/${req.file.filename}` : null;
+    const pictureUrl = req.file ? req.file.url : null;
 
     const result = await db.query(
       `INSERT INTO exclusive_items (category, picture_url, date_arrived, current_price, notes, created_by, store)
@@ -204,6 +200,10 @@ router.post('/', upload.single('picture'), async (req, res) => {
       [category, pictureUrl, current_price, notes || null, req.user.id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'exclusive_item', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Exclusive item created successfully',
       item: result.rows[0] 
@@ -211,11 +211,7 @@ router.post('/', upload.single('picture'), async (req, res) => {
   } catch (error) {
     console.error('Create exclusive item error:', error);
     
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create exclusive item' });
   }
@@ -239,8 +235,8 @@ router.put('/:id', upload.single('picture'), async (req, res) => {
     const db = req.app.locals.db;
 
     const existingResult = await db.query(
-      'SELECT picture_url FROM exclusive_items WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM exclusive_items WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (existingResult.rows.length === 0) {
@@ -252,24 +248,26 @@ router.put('/:id', upload.single('picture'), async (req, res) => {
     let pictureUrl = oldPictureUrl;
     
     if (req.file) {
-      pictureUrl = `/uploads/exclusive/${req.file.filename}`;
+      pictureUrl = req.file.url;
       
       if (oldPictureUrl) {
-        const oldPicturePath = path.join(__dirname, '../..', oldPictureUrl);
-        fs.unlink(oldPicturePath, (err) => {
-          if (err) console.error('Error deleting old picture:', err);
-        });
+        deleteUpload(oldPictureUrl);
       }
     }
 
     const result = await db.query(
       `UPDATE exclusive_items 
        SET category = $1, picture_url = $2, current_price = $3, notes = $4, updated_at = NOW()
-       WHERE id = $5 AND deleted_at IS NULL
+       WHERE id = $5 AND deleted_at IS NULL AND store = $6
        RETURNING id, category, picture_url, date_arrived, current_price, notes, created_by, created_at, updated_at`,
-      [category, pictureUrl, current_price, notes || null, id]
+      [category, pictureUrl, current_price, notes || null, id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'exclusive_item', entityId: id, action: 'update', store: existingResult.rows[0].store,
+      before: existingResult.rows[0], after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Exclusive item updated successfully',
       item: result.rows[0] 
@@ -277,11 +275,7 @@ router.put('/:id', upload.single('picture'), async (req, res) => {
   } catch (error) {
     console.error('Update exclusive item error:', error);
     
-    if (req.file) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to update exclusive item' });
   }
@@ -298,17 +292,33 @@ router.patch('/bulk-update', async (req, res) => {
   try {
     const db = req.app.locals.db;
 
+    // Old prices, for the audit log
+    const existing = await db.query(
+      `SELECT id, store, current_price FROM exclusive_items
+       WHERE id = ANY($1) AND deleted_at IS NULL AND store = $2`,
+      [items.map(item => item.id), req.store]
+    );
+
     const promises = items.map(item => {
       return db.query(
         `UPDATE exclusive_items 
          SET current_price = $1, updated_at = NOW()
-         WHERE id = $2 AND deleted_at IS NULL`,
-        [item.current_price, item.id]
+         WHERE id = $2 AND deleted_at IS NULL AND store = $3`,
+        [item.current_price, item.id, req.store]
       );
     });
 
     await Promise.all(promises);
 
+    for (const before of existing.rows) {
+      const item = items.find(i => String(i.id) === String(before.id));
+      await recordAudit(req, {
+        entity: 'exclusive_item', entityId: before.id, action: 'price_change', store: before.store,
+        before: { current_price: before.current_price },
+        after: { current_price: item.current_price }
+      });
+    }
+
     res.json({ 
       message: `Successfully updated ${items.length} item${items.length !== 1 ? 's' : ''}`,
       count: items.length
@@ -329,15 +339,20 @@ router.delete('/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE exclusive_items 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'exclusive_item', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Exclusive item deleted successfully' });
   } catch (error) {
     console.error('Delete exclusive item error:', error);
@@ -0,0 +1,112 @@
+// src/routes/export.js
+// API routes for CSV exports (forms, vouchers, daily reports, exclusive items)
+// and printable PDFs of signed customer forms and donation receipts
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { getStoreInfo } = require('../services/mailer');
+const { FORM_TYPES, parseExportRequest, streamCsv } = require('../services/export');
+const { writeFormPdf, loadSignatureImages } = require('../services/form-pdf');
+const { getDonationReceipt } = require('../services/donations');
+const { writeDonationReceiptPdf } = require('../services/donation-pdf');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/export/forms/:type/:id/pdf - Printable PDF of one signed form in the current store
+router.get('/forms/:type/:id/pdf', async (req, res) => {
+  const { type, id } = req.params;
+
+  if (!FORM_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Invalid form type' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const result = await db.query(
+      `SELECT pf.*,
+              to_char(pf.date, 'YYYY-MM-DD') AS date,
+              ${type === 'pickup' ? `to_char(pf.date_purchased, 'YYYY-MM-DD') AS date_purchased,
+              to_char(pf.date_stored, 'YYYY-MM-DD') AS date_stored,` : ''}
+              ${type === 'delivery' ? "to_char(pf.date_scheduled, 'YYYY-MM-DD') AS date_scheduled," : ''}
+              to_char((pf.created_at AT TIME ZONE 'UTC') AT TIME ZONE $3, 'FMMonth FMDD, YYYY FMHH12:MI AM') AS created_at_local,
+              u.username AS created_by_username
+       FROM ${type}_forms pf
+       LEFT JOIN users u ON u.id = pf.created_by
+       WHERE pf.id = $1 AND pf.store = $2 AND pf.deleted_at IS NULL`,
+      [id, req.store, getStoreInfo(req.store).timezone || 'America/Los_Angeles']
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    const form = result.rows[0];
+    const signatures = await loadSignatureImages(form);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${type}-form-${form.id}.pdf"`);
+    writeFormPdf(res, form, type, req.store, signatures);
+  } catch (error) {
+    console.error('Export form PDF error:', error);
+    res.status(500).json({ error: 'Failed to create form PDF' });
+  }
+});
+
+// GET /api/export/forms/donation/:id/receipt - Itemized donation receipt PDF in the current store
+// (the same PDF that is attached to the donation email)
+router.get('/forms/donation/:id/receipt', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    const form = await getDonationReceipt(db, req.params.id, req.store);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    const signatures = await loadSignatureImages(form);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="donation-receipt-${form.receipt_number || form.id}.pdf"`);
+    writeDonationReceiptPdf(res, form, req.store, signatures);
+  } catch (error) {
+    console.error('Export donation receipt error:', error);
+    res.status(500).json({ error: 'Failed to create donation receipt' });
+  }
+});
+
+// GET /api/export/:entity - CSV download for the current store, oldest first
+// entity: forms (needs type = pickup, delivery, donation, waiver), vouchers (voucher
+// usage), daily-reports (also needs reports.cash.view) or exclusive-items
+// Optional query: from, to (YYYY-MM-DD, inclusive) on the form date, date used,
+// report date or arrival date
+router.get('/:entity', requirePermission('reports.export'), async (req, res) => {
+  const definition = parseExportRequest(req.params.entity, req.query);
+  if (definition.error) {
+    return res.status(400).json({ error: definition.error });
+  }
+
+  if (definition.permission && !hasPermission(req.user, definition.permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    await streamCsv(db, res, { definition, store: req.store });
+  } catch (error) {
+    console.error('Export error:', error);
+
+    // Part of the file was already sent; cut it off so it isn't mistaken for complete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export' });
+  }
+});
+
+module.exports = router;
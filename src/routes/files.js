@@ -0,0 +1,46 @@
+// src/routes/files.js
+// Uploaded files for signed-in users, including private ones (signatures,
+// cash report photos) that /uploads won't serve without a signed link.
+// Pages load these with apiFetch; see loadPrivateImages in public/js/api-helper.js.
+
+const express = require('express');
+const path = require('path');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadUrl, uploadKey, readUpload } = require('../services/storage');
+const { checkUploadAccess } = require('../services/upload-access');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/files/<folder>/<file> - The file behind /uploads/<folder>/<file>
+router.get('/*path', async (req, res) => {
+  const url = uploadUrl(req.params.path.join('/'));
+  if (!uploadKey(url)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const denied = await checkUploadAccess(db, req.user, url);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const body = await readUpload(url);
+    if (!body) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.type(path.extname(url));
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+module.exports = router;
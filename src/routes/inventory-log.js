@@ -2,92 +2,101 @@
 // API routes for Pick Up & Delivery Inventory Log
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { authenticateToken } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
+const { createImageUpload, deleteUpload, deleteRequestUploads, withThumbnails } = require('../services/storage');
+const { getRestoreDays, restorableSql } = require('../services/retention');
 
 const router = express.Router();
 
-// Configure multer for multiple image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Determine destination based on type (pickup or delivery)
-    const type = req.body.type || 'pickup';
-    const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
-    const uploadDir = path.isAbsolute(baseUploadDir)
-      ? path.join(baseUploadDir, type)
-      : path.join(__dirname, '../..', baseUploadDir, type);
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const type = req.body.type || 'pickup';
-    cb(null, `${type}-` + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB per file (increased for mobile photos)
-  },
-  fileFilter: function (req, file, cb) {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
+// Pictures are saved in the pickup or delivery folder for their log
+const pickupUpload = createImageUpload({ folder: 'pickup', prefix: 'pickup' });
+const deliveryUpload = createImageUpload({ folder: 'delivery', prefix: 'delivery' });
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // ==================== PICKUP INVENTORY ====================
 
-// GET /api/inventory-log/pickup - Get all pickup inventory
+// Paged, not deleted inventory items; the date column is date_stored (pickup)
+// or date_scheduled (delivery)
+async function listItems(db, { table, columns, dateColumn, store, search, page }) {
+  const conditions = ['deleted_at IS NULL', 'store = $1'];
+  const params = [store];
+
+  if (search && search.trim()) {
+    params.push(`%${search.trim()}%`);
+    conditions.push(`(customer_name ILIKE $${params.length} OR phone ILIKE $${params.length})`);
+  }
+
+  return fetchPage(db, {
+    select: columns,
+    from: table,
+    conditions,
+    params,
+    idColumn: 'id',
+    dateColumn,
+    page
+  });
+}
+
+const PICKUP_SORTS = {
+  date_stored: 'date_stored',
+  created_at: 'created_at',
+  customer_name: 'lower(customer_name)'
+};
+
+// GET /api/inventory-log/pickup - Pickup inventory, latest pick-up date first
+// Optional query: search (name or phone), plus paging (see services/pagination.js):
+// sort = date_stored, created_at, customer_name; from/to filter on date_stored
 router.get('/pickup', async (req, res) => {
+  const page = parsePageQuery(req.query, { sorts: PICKUP_SORTS, defaultSort: '-date_stored,-created_at' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
   try {
     const db = req.app.locals.db;
     
-    const result = await db.query(
-      `SELECT 
-        id, customer_name, phone, date_purchased, date_stored, picture_urls, notes,
-        created_by, created_at
-      FROM pickup_inventory 
-      WHERE deleted_at IS NULL 
-      ORDER BY date_stored DESC, created_at DESC`
-    );
+    const { rows, ...paging } = await listItems(db, {
+      table: 'pickup_inventory',
+      columns: `id, customer_name, phone, date_purchased, date_stored, picture_urls, notes,
+        created_by, created_at`,
+      dateColumn: 'date_stored',
+      store: req.store,
+      search: req.query.search,
+      page
+    });
 
-    res.json({ items: result.rows });
+    res.json({ items: rows.map(withThumbnails), ...paging });
   } catch (error) {
     console.error('Get pickup inventory error:', error);
     res.status(500).json({ error: 'Failed to get pickup inventory' });
   }
 });
 
-// GET /api/inventory-log/pickup/recently-deleted - Get recently deleted pickup items (within 7 days)
+// GET /api/inventory-log/pickup/recently-deleted - Get deleted pickup items that can still be restored
 router.get('/pickup/recently-deleted', async (req, res) => {
   try {
     const db = req.app.locals.db;
+    const restoreDays = await getRestoreDays(db, 'pickup_inventory', req.store);
     
     const result = await db.query(
       `SELECT 
         id, customer_name, phone, date_purchased, date_stored, picture_urls, notes,
         created_by, created_at, deleted_at,
-        EXTRACT(DAY FROM (NOW() - deleted_at)) as days_deleted
+        EXTRACT(DAY FROM (NOW() - deleted_at)) as days_deleted,
+        $2::int - EXTRACT(DAY FROM (NOW() - deleted_at)) as days_remaining
       FROM pickup_inventory 
       WHERE deleted_at IS NOT NULL 
-        AND deleted_at > NOW() - INTERVAL '7 days'
-      ORDER BY deleted_at DESC`
+        AND ${restorableSql(2)}
+        AND store = $1
+      ORDER BY deleted_at DESC`,
+      [req.store, restoreDays]
     );
 
-    res.json({ items: result.rows });
+    res.json({ items: result.rows.map(withThumbnails), restoreDays });
   } catch (error) {
     console.error('Get recently deleted pickup items error:', error);
     res.status(500).json({ error: 'Failed to get recently deleted items' });
@@ -106,8 +115,8 @@ router.get('/pickup/:id', async (req, res) => {
         id, customer_name, phone, date_purchased, date_stored, picture_urls, notes,
         created_by, created_at
       FROM pickup_inventory 
-      WHERE id = $1 AND deleted_at IS NULL`,
-      [id]
+      WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -122,19 +131,13 @@ router.get('/pickup/:id', async (req, res) => {
 });
 
 // POST /api/inventory-log/pickup - Create pickup inventory item
-router.post('/pickup', upload.array('pictures', 10), async (req, res) => {
+router.post('/pickup', pickupUpload.array('pictures', 10), async (req, res) => {
   const { customer_name, phone, date_purchased, date_stored, notes } = req.body;
 
   // Validation
   if (!customer_name || !phone || !date_purchased || !date_stored) {
     // Delete uploaded files if validation fails
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Customer name, phone, purchase date, and pickup date are required' });
   }
 
@@ -142,15 +145,19 @@ router.post('/pickup', upload.array('pictures', 10), async (req, res) => {
     const db = req.app.locals.db;
     
     // Get picture URLs
-    const pictureUrls = req.files ? req.files.map(file => `/uploads/pickup/${file.filename}`) : [];
+    const pictureUrls = req.files ? req.files.map(file => file.url) : [];
 
     const result = await db.query(
-      `INSERT INTO pickup_inventory (customer_name, phone, date_purchased, date_stored, picture_urls, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO pickup_inventory (customer_name, phone, date_purchased, date_stored, picture_urls, notes, created_by, store)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING id, customer_name, phone, date_purchased, date_stored, picture_urls, notes, created_by, created_at`,
-      [customer_name, phone, date_purchased, date_stored, pictureUrls, notes || null, req.user.id]
+      [customer_name, phone, date_purchased, date_stored, pictureUrls, notes || null, req.user.id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'pickup_inventory_item', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Pickup inventory item created successfully',
       item: result.rows[0] 
@@ -159,32 +166,20 @@ router.post('/pickup', upload.array('pictures', 10), async (req, res) => {
     console.error('Create pickup inventory error:', error);
     
     // Delete uploaded files if database insert failed
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create pickup inventory item' });
   }
 });
 
 // PUT /api/inventory-log/pickup/:id - Update pickup inventory item
-router.put('/pickup/:id', upload.array('pictures', 10), async (req, res) => {
+router.put('/pickup/:id', pickupUpload.array('pictures', 10), async (req, res) => {
   const { id } = req.params;
   const { customer_name, phone, date_purchased, date_stored, notes, keep_existing_photos } = req.body;
 
   // Validation
   if (!customer_name || !phone || !date_purchased || !date_stored) {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Customer name, phone, purchase date, and pickup date are required' });
   }
 
@@ -193,18 +188,12 @@ router.put('/pickup/:id', upload.array('pictures', 10), async (req, res) => {
 
     // Get existing item
     const existingResult = await db.query(
-      'SELECT picture_urls FROM pickup_inventory WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM pickup_inventory WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (existingResult.rows.length === 0) {
-      if (req.files) {
-        req.files.forEach(file => {
-          fs.unlink(file.path, (err) => {
-            if (err) console.error('Error deleting file:', err);
-          });
-        });
-      }
+      deleteRequestUploads(req);
       return res.status(404).json({ error: 'Item not found' });
     }
 
@@ -217,21 +206,16 @@ router.put('/pickup/:id', upload.array('pictures', 10), async (req, res) => {
       // Keep existing photos and add new ones
       pictureUrls = [...oldPictureUrls];
       if (req.files && req.files.length > 0) {
-        const newUrls = req.files.map(file => `/uploads/pickup/${file.filename}`);
+        const newUrls = req.files.map(file => file.url);
         pictureUrls = [...pictureUrls, ...newUrls];
       }
     } else {
       // Replace all photos with new ones
       if (req.files && req.files.length > 0) {
-        pictureUrls = req.files.map(file => `/uploads/pickup/${file.filename}`);
+        pictureUrls = req.files.map(file => file.url);
         
         // Delete old photos
-        oldPictureUrls.forEach(url => {
-          const filePath = path.join(__dirname, '../..', url);
-          fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting old photo:', err);
-          });
-        });
+        oldPictureUrls.forEach(deleteUpload);
       } else {
         // No new photos, keep existing if flag is set
         pictureUrls = oldPictureUrls;
@@ -242,11 +226,16 @@ router.put('/pickup/:id', upload.array('pictures', 10), async (req, res) => {
     const result = await db.query(
       `UPDATE pickup_inventory 
        SET customer_name = $1, phone = $2, date_purchased = $3, date_stored = $4, picture_urls = $5, notes = $6
-       WHERE id = $7 AND deleted_at IS NULL
+       WHERE id = $7 AND deleted_at IS NULL AND store = $8
        RETURNING id, customer_name, phone, date_purchased, date_stored, picture_urls, notes, created_by, created_at`,
-      [customer_name, phone, date_purchased, date_stored, pictureUrls, notes || null, id]
+      [customer_name, phone, date_purchased, date_stored, pictureUrls, notes || null, id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'pickup_inventory_item', entityId: id, action: 'update',
+      before: existingResult.rows[0], after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Pickup inventory item updated successfully',
       item: result.rows[0] 
@@ -254,13 +243,7 @@ router.put('/pickup/:id', upload.array('pictures', 10), async (req, res) => {
   } catch (error) {
     console.error('Update pickup inventory error:', error);
     
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to update pickup inventory item' });
   }
@@ -276,15 +259,19 @@ router.delete('/pickup/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE pickup_inventory 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'pickup_inventory_item', entityId: id, action: 'delete', before: result.rows[0]
+    });
+
     res.json({ message: 'Pickup inventory item deleted successfully' });
   } catch (error) {
     console.error('Delete pickup inventory error:', error);
@@ -299,29 +286,39 @@ router.post('/pickup/:id/restore', async (req, res) => {
   try {
     const db = req.app.locals.db;
 
-    // Check if item exists and was deleted within 7 days
+    // Check if item exists and is still within its retention policy
+    const restoreDays = await getRestoreDays(db, 'pickup_inventory', req.store);
     const checkResult = await db.query(
       `SELECT id, deleted_at 
        FROM pickup_inventory 
        WHERE id = $1 
+         AND store = $2
          AND deleted_at IS NOT NULL
-         AND deleted_at > NOW() - INTERVAL '7 days'`,
-      [id]
+         AND ${restorableSql(3)}`,
+      [id, req.store, restoreDays]
     );
 
     if (checkResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Item not found or cannot be restored (deleted more than 7 days ago)' });
+      return res.status(404).json({
+        error: restoreDays === null
+          ? 'Item not found'
+          : `Item not found or cannot be restored (deleted more than ${restoreDays} days ago)`
+      });
     }
 
     // Restore the item
     const result = await db.query(
       `UPDATE pickup_inventory 
        SET deleted_at = NULL 
-       WHERE id = $1
+       WHERE id = $1 AND store = $2
        RETURNING id, customer_name, phone, date_purchased, date_stored, picture_urls, notes, created_by, created_at`,
-      [id]
+      [id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'pickup_inventory_item', entityId: id, action: 'restore', after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Pickup inventory item restored successfully',
       item: result.rows[0]
@@ -334,44 +331,62 @@ router.post('/pickup/:id/restore', async (req, res) => {
 
 // ==================== DELIVERY INVENTORY ====================
 
-// GET /api/inventory-log/delivery - Get all delivery inventory
+const DELIVERY_SORTS = {
+  date_scheduled: 'date_scheduled',
+  created_at: 'created_at',
+  customer_name: 'lower(customer_name)'
+};
+
+// GET /api/inventory-log/delivery - Delivery inventory, latest scheduled date first
+// Optional query: search (name or phone), plus paging (see services/pagination.js):
+// sort = date_scheduled, created_at, customer_name; from/to filter on date_scheduled
 router.get('/delivery', async (req, res) => {
+  const page = parsePageQuery(req.query, { sorts: DELIVERY_SORTS, defaultSort: '-date_scheduled,-created_at' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
   try {
     const db = req.app.locals.db;
     
-    const result = await db.query(
-      `SELECT 
-        id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes,
-        created_by, created_at
-      FROM delivery_inventory 
-      WHERE deleted_at IS NULL 
-      ORDER BY date_scheduled DESC, created_at DESC`
-    );
+    const { rows, ...paging } = await listItems(db, {
+      table: 'delivery_inventory',
+      columns: `id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes,
+        created_by, created_at`,
+      dateColumn: 'date_scheduled',
+      store: req.store,
+      search: req.query.search,
+      page
+    });
 
-    res.json({ items: result.rows });
+    res.json({ items: rows.map(withThumbnails), ...paging });
   } catch (error) {
     console.error('Get delivery inventory error:', error);
     res.status(500).json({ error: 'Failed to get delivery inventory' });
   }
 });
 
-// GET /api/inventory-log/delivery/recently-deleted - Get recently deleted delivery items (within 7 days)
+// GET /api/inventory-log/delivery/recently-deleted - Get deleted delivery items that can still be restored
 router.get('/delivery/recently-deleted', async (req, res) => {
   try {
     const db = req.app.locals.db;
+    const restoreDays = await getRestoreDays(db, 'delivery_inventory', req.store);
     
     const result = await db.query(
       `SELECT 
         id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes,
         created_by, created_at, deleted_at,
-        EXTRACT(DAY FROM (NOW() - deleted_at)) as days_deleted
+        EXTRACT(DAY FROM (NOW() - deleted_at)) as days_deleted,
+        $2::int - EXTRACT(DAY FROM (NOW() - deleted_at)) as days_remaining
       FROM delivery_inventory 
       WHERE deleted_at IS NOT NULL 
-        AND deleted_at > NOW() - INTERVAL '7 days'
-      ORDER BY deleted_at DESC`
+        AND ${restorableSql(2)}
+        AND store = $1
+      ORDER BY deleted_at DESC`,
+      [req.store, restoreDays]
     );
 
-    res.json({ items: result.rows });
+    res.json({ items: result.rows.map(withThumbnails), restoreDays });
   } catch (error) {
     console.error('Get recently deleted delivery items error:', error);
     res.status(500).json({ error: 'Failed to get recently deleted items' });
@@ -390,8 +405,8 @@ router.get('/delivery/:id', async (req, res) => {
         id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes,
         created_by, created_at
       FROM delivery_inventory 
-      WHERE id = $1 AND deleted_at IS NULL`,
-      [id]
+      WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
@@ -406,18 +421,12 @@ router.get('/delivery/:id', async (req, res) => {
 });
 
 // POST /api/inventory-log/delivery - Create delivery inventory item
-router.post('/delivery', upload.array('pictures', 10), async (req, res) => {
+router.post('/delivery', deliveryUpload.array('pictures', 10), async (req, res) => {
   const { customer_name, phone, delivery_address, date_scheduled, notes } = req.body;
 
   // Validation
   if (!customer_name || !phone || !delivery_address || !date_scheduled) {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Customer name, phone, delivery address, and date are required' });
   }
 
@@ -425,15 +434,19 @@ router.post('/delivery', upload.array('pictures', 10), async (req, res) => {
     const db = req.app.locals.db;
     
     // Get picture URLs
-    const pictureUrls = req.files ? req.files.map(file => `/uploads/delivery/${file.filename}`) : [];
+    const pictureUrls = req.files ? req.files.map(file => file.url) : [];
 
     const result = await db.query(
-      `INSERT INTO delivery_inventory (customer_name, phone, delivery_address, date_scheduled, picture_urls, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO delivery_inventory (customer_name, phone, delivery_address, date_scheduled, picture_urls, notes, created_by, store)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes, created_by, created_at`,
-      [customer_name, phone, delivery_address, date_scheduled, pictureUrls, notes || null, req.user.id]
+      [customer_name, phone, delivery_address, date_scheduled, pictureUrls, notes || null, req.user.id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'delivery_inventory_item', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({ 
       message: 'Delivery inventory item created successfully',
       item: result.rows[0] 
@@ -441,32 +454,20 @@ router.post('/delivery', upload.array('pictures', 10), async (req, res) => {
   } catch (error) {
     console.error('Create delivery inventory error:', error);
     
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to create delivery inventory item' });
   }
 });
 
 // PUT /api/inventory-log/delivery/:id - Update delivery inventory item
-router.put('/delivery/:id', upload.array('pictures', 10), async (req, res) => {
+router.put('/delivery/:id', deliveryUpload.array('pictures', 10), async (req, res) => {
   const { id } = req.params;
   const { customer_name, phone, delivery_address, date_scheduled, notes, keep_existing_photos } = req.body;
 
   // Validation
   if (!customer_name || !phone || !delivery_address || !date_scheduled) {
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     return res.status(400).json({ error: 'Customer name, phone, delivery address, and date are required' });
   }
 
@@ -475,18 +476,12 @@ router.put('/delivery/:id', upload.array('pictures', 10), async (req, res) => {
 
     // Get existing item
     const existingResult = await db.query(
-      'SELECT picture_urls FROM delivery_inventory WHERE id = $1 AND deleted_at IS NULL',
-      [id]
+      'SELECT * FROM delivery_inventory WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
     );
 
     if (existingResult.rows.length === 0) {
-      if (req.files) {
-        req.files.forEach(file => {
-          fs.unlink(file.path, (err) => {
-            if (err) console.error('Error deleting file:', err);
-          });
-        });
-      }
+      deleteRequestUploads(req);
       return res.status(404).json({ error: 'Item not found' });
     }
 
@@ -499,21 +494,16 @@ router.put('/delivery/:id', upload.array('pictures', 10), async (req, res) => {
       // Keep existing photos and add new ones
       pictureUrls = [...oldPictureUrls];
       if (req.files && req.files.length > 0) {
-        const newUrls = req.files.map(file => `/uploads/delivery/${file.filename}`);
+        const newUrls = req.files.map(file => file.url);
         pictureUrls = [...pictureUrls, ...newUrls];
       }
     } else {
       // Replace all photos with new ones
       if (req.files && req.files.length > 0) {
-        pictureUrls = req.files.map(file => `/uploads/delivery/${file.filename}`);
+        pictureUrls = req.files.map(file => file.url);
         
         // Delete old photos
-        oldPictureUrls.forEach(url => {
-          const filePath = path.join(__dirname, '../..', url);
-          fs.unlink(filePath, (err) => {
-            if (err) console.error('Error deleting old photo:', err);
-          });
-        });
+        oldPictureUrls.forEach(deleteUpload);
       } else {
         pictureUrls = oldPictureUrls;
       }
@@ -523,11 +513,16 @@ router.put('/delivery/:id', upload.array('pictures', 10), async (req, res) => {
     const result = await db.query(
       `UPDATE delivery_inventory 
        SET customer_name = $1, phone = $2, delivery_address = $3, date_scheduled = $4, picture_urls = $5, notes = $6
-       WHERE id = $7 AND deleted_at IS NULL
+       WHERE id = $7 AND deleted_at IS NULL AND store = $8
        RETURNING id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes, created_by, created_at`,
-      [customer_name, phone, delivery_address, date_scheduled, pictureUrls, notes || null, id]
+      [customer_name, phone, delivery_address, date_scheduled, pictureUrls, notes || null, id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'delivery_inventory_item', entityId: id, action: 'update',
+      before: existingResult.rows[0], after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Delivery inventory item updated successfully',
       item: result.rows[0] 
@@ -535,13 +530,7 @@ router.put('/delivery/:id', upload.array('pictures', 10), async (req, res) => {
   } catch (error) {
     console.error('Update delivery inventory error:', error);
     
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    deleteRequestUploads(req);
     
     res.status(500).json({ error: 'Failed to update delivery inventory item' });
   }
@@ -557,15 +546,19 @@ router.delete('/delivery/:id', async (req, res) => {
     const result = await db.query(
       `UPDATE delivery_inventory 
        SET deleted_at = NOW() 
-       WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2
+       RETURNING *`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'delivery_inventory_item', entityId: id, action: 'delete', before: result.rows[0]
+    });
+
     res.json({ message: 'Delivery inventory item deleted successfully' });
   } catch (error) {
     console.error('Delete delivery inventory error:', error);
@@ -580,29 +573,39 @@ router.post('/delivery/:id/restore', async (req, res) => {
   try {
     const db = req.app.locals.db;
 
-    // Check if item exists and was deleted within 7 days
+    // Check if item exists and is still within its retention policy
+    const restoreDays = await getRestoreDays(db, 'delivery_inventory', req.store);
     const checkResult = await db.query(
       `SELECT id, deleted_at 
        FROM delivery_inventory 
        WHERE id = $1 
+         AND store = $2
          AND deleted_at IS NOT NULL
-         AND deleted_at > NOW() - INTERVAL '7 days'`,
-      [id]
+         AND ${restorableSql(3)}`,
+      [id, req.store, restoreDays]
     );
 
     if (checkResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Item not found or cannot be restored (deleted more than 7 days ago)' });
+      return res.status(404).json({
+        error: restoreDays === null
+          ? 'Item not found'
+          : `Item not found or cannot be restored (deleted more than ${restoreDays} days ago)`
+      });
     }
 
     // Restore the item
     const result = await db.query(
       `UPDATE delivery_inventory 
        SET deleted_at = NULL 
-       WHERE id = $1
+       WHERE id = $1 AND store = $2
        RETURNING id, customer_name, phone, delivery_address, date_scheduled, picture_urls, notes, created_by, created_at`,
-      [id]
+      [id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'delivery_inventory_item', entityId: id, action: 'restore', after: result.rows[0]
+    });
+
     res.json({ 
       message: 'Delivery inventory item restored successfully',
       item: result.rows[0]
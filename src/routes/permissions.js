@@ -0,0 +1,104 @@
+// src/routes/permissions.js
+// API routes for the role permission matrix
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  ROLES,
+  CAPABILITIES,
+  loadPermissions,
+  getRolePermissions,
+  setRolePermissions
+} = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/permissions/me - Capabilities of the logged-in user
+router.get('/me', (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: getRolePermissions(req.user.role)
+  });
+});
+
+// GET /api/permissions - Full matrix with defaults (Admin only)
+router.get('/', requirePermission('permissions.manage'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await loadPermissions(db);
+
+    const matrix = {};
+    for (const role of ROLES) {
+      matrix[role] = getRolePermissions(role);
+    }
+
+    res.json({
+      roles: ROLES,
+      capabilities: Object.entries(CAPABILITIES).map(([name, capability]) => ({
+        name,
+        description: capability.description,
+        defaultRoles: capability.roles,
+        locked: Boolean(capability.locked)
+      })),
+      matrix
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+});
+
+// PUT /api/permissions/:role - Set the capabilities for a role (Admin only)
+router.put('/:role', requirePermission('permissions.manage'), async (req, res) => {
+  const { role } = req.params;
+  const { capabilities } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+
+  if (role === 'Admin') {
+    return res.status(400).json({ error: 'Admins always have every permission' });
+  }
+
+  if (!Array.isArray(capabilities)) {
+    return res.status(400).json({ error: 'Capabilities must be a list' });
+  }
+
+  const unknown = capabilities.filter(name => !CAPABILITIES[name]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown capability: ${unknown.join(', ')}` });
+  }
+
+  const locked = capabilities.filter(name => CAPABILITIES[name].locked);
+  if (locked.length > 0) {
+    return res.status(400).json({ error: `Only admins can have: ${locked.join(', ')}` });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const before = getRolePermissions(role);
+    await setRolePermissions(db, role, capabilities, req.user.id);
+
+    await recordAudit(req, {
+      entity: 'role_permissions', entityId: role, action: 'update', store: null,
+      before: { permissions: before }, after: { permissions: getRolePermissions(role) }
+    });
+
+    res.json({
+      message: 'Permissions updated successfully',
+      role,
+      permissions: getRolePermissions(role)
+    });
+  } catch (error) {
+    console.error('Update permissions error:', error);
+    res.status(500).json({ error: 'Failed to update permissions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// src/routes/pickup-reminders.js
+// Status and manual trigger for the automatic pickup reminder scheduler
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { runPickupReminders, getPickupReminderStatus } = require('../services/pickup-reminders');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/pickup-reminders/status - Scheduler config and recent runs for the current store
+// Each run lists which forms were sent, skipped (with reason) or failed (with error)
+router.get('/status', requirePermission('reminders.view'), (req, res) => {
+  try {
+    res.json(getPickupReminderStatus(req.store));
+  } catch (error) {
+    console.error('Get pickup reminder status error:', error);
+    res.status(500).json({ error: 'Failed to get pickup reminder status' });
+  }
+});
+
+// POST /api/pickup-reminders/run - Run all reminders now, ignoring the configured times (Admin only)
+// Forms that already received a reminder are still skipped
+router.post('/run', requirePermission('reminders.run'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    const runs = await runPickupReminders(db, { force: true });
+
+    await recordAudit(req, {
+      entity: 'pickup_reminders', action: 'run', store: null,
+      after: runs.map(run => ({
+        store: run.store,
+        reminderType: run.reminderType,
+        sent: run.sent.length,
+        queued: run.queued.length,
+        skipped: run.skipped.length,
+        failed: run.failed.length
+      }))
+    });
+
+    res.json({
+      message: 'Pickup reminders run completed',
+      runs: runs.filter(run => run.store === req.store)
+    });
+  } catch (error) {
+    console.error('Run pickup reminders error:', error);
+    res.status(500).json({ error: 'Failed to run pickup reminders' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+// src/routes/retention.js
+// Admin settings for how long deleted records are kept (retention policies),
+// legal holds that keep a record regardless, a dry-run preview of the next
+// purge and the history of past purges. See src/services/retention.js.
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ensureStoresLoaded, getStore } = require('../services/stores');
+const {
+  RETENTION_ENTITIES,
+  getPolicies,
+  runRetention,
+  getRecordStore,
+  getRetentionStatus
+} = require('../services/retention');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// All routes require the retention.manage permission
+router.use(authenticateToken);
+router.use(requirePermission('retention.manage'));
+
+// Check a policy's fields; returns the values to save or { error }
+function validatePolicy(body) {
+  const retainDays = Number(body.retain_days);
+  if (!Number.isInteger(retainDays) || retainDays < 0) {
+    return { error: 'retain_days must be a whole number of days (0 or more)' };
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+
+  return { retainDays, enabled: body.enabled !== false };
+}
+
+// ==================== POLICIES ====================
+
+// GET /api/retention/policies - Policies and the kinds of records they can cover
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await getPolicies(req.app.locals.db);
+
+    res.json({
+      entities: Object.entries(RETENTION_ENTITIES).map(([entity, def]) => ({ entity, label: def.label })),
+      policies
+    });
+  } catch (error) {
+    console.error('Get retention policies error:', error);
+    res.status(500).json({ error: 'Failed to load retention policies' });
+  }
+});
+
+// PUT /api/retention/policies/:entity - Create or change a policy
+// Body: { store, retain_days, enabled } - no store sets the default for every store
+router.put('/policies/:entity', async (req, res) => {
+  const { entity } = req.params;
+  const store = req.body.store || null;
+
+  if (!RETENTION_ENTITIES[entity]) {
+    return res.status(400).json({ error: 'Unknown record type' });
+  }
+
+  const { retainDays, enabled, error } = validatePolicy(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    if (store) {
+      await ensureStoresLoaded(db);
+      if (!getStore(store)) {
+        return res.status(400).json({ error: 'Unknown store' });
+      }
+    }
+
+    const before = await db.query(
+      `SELECT * FROM retention_policies WHERE entity = $1 AND store IS NOT DISTINCT FROM $2`,
+      [entity, store]
+    );
+
+    const result = await db.query(
+      `INSERT INTO retention_policies (entity, store, retain_days, enabled, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (entity, (COALESCE(store, ''))) DO UPDATE
+       SET retain_days = EXCLUDED.retain_days,
+           enabled = EXCLUDED.enabled,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [entity, store, retainDays, enabled, req.user.id]
+    );
+
+    const policy = result.rows[0];
+    await recordAudit(req, {
+      entity: 'retention_policy', entityId: policy.id,
+      action: before.rows.length > 0 ? 'update' : 'create',
+      before: before.rows[0] || null, after: policy, store
+    });
+
+    res.json({ message: 'Retention policy saved', policy });
+  } catch (error) {
+    console.error('Save retention policy error:', error);
+    res.status(500).json({ error: 'Failed to save retention policy' });
+  }
+});
+
+// DELETE /api/retention/policies/:entity - Remove a policy
+// Query: ?store=code removes that store's override (it falls back to the
+// default); without it the default is removed and the records are kept forever
+router.delete('/policies/:entity', async (req, res) => {
+  const { entity } = req.params;
+  const store = req.query.store || null;
+
+  try {
+    const db = req.app.locals.db;
+
+    const result = await db.query(
+      `DELETE FROM retention_policies WHERE entity = $1 AND store IS NOT DISTINCT FROM $2 RETURNING *`,
+      [entity, store]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Retention policy not found' });
+    }
+
+    await recordAudit(req, {
+      entity: 'retention_policy', entityId: result.rows[0].id, action: 'delete',
+      before: result.rows[0], store
+    });
+
+    res.json({ message: 'Retention policy removed' });
+  } catch (error) {
+    console.error('Delete retention policy error:', error);
+    res.status(500).json({ error: 'Failed to remove retention policy' });
+  }
+});
+
+// ==================== PURGING ====================
+
+// GET /api/retention/status - Scheduler settings and the latest run
+router.get('/status', async (req, res) => {
+  try {
+    const result = await req.app.locals.db.query(
+      'SELECT * FROM retention_runs ORDER BY started_at DESC, id DESC LIMIT 1'
+    );
+
+    res.json({ ...getRetentionStatus(), lastRun: result.rows[0] || null });
+  } catch (error) {
+    console.error('Get retention status error:', error);
+    res.status(500).json({ error: 'Failed to load retention status' });
+  }
+});
+
+// GET /api/retention/preview - What a purge would delete right now (nothing is deleted)
+// Returns { results: [{ entity, store, retainDays, purged: [ids], held: [ids], files }] }
+router.get('/preview', async (req, res) => {
+  try {
+    const preview = await runRetention(req.app.locals.db, { dryRun: true });
+    res.json(preview);
+  } catch (error) {
+    console.error('Retention preview error:', error);
+    res.status(500).json({ error: 'Failed to preview retention purge' });
+  }
+});
+
+// POST /api/retention/run - Purge now instead of waiting for the daily run
+router.post('/run', async (req, res) => {
+  try {
+    const run = await runRetention(req.app.locals.db, { trigger: 'manual', startedBy: req.user.id });
+
+    await recordAudit(req, {
+      entity: 'retention_run', entityId: run.id, action: 'run', store: null,
+      after: { status: run.status, purged_count: run.purged_count }
+    });
+
+    res.json({ message: `Purged ${run.purged_count} record(s)`, run });
+  } catch (error) {
+    console.error('Retention run error:', error);
+    res.status(500).json({ error: 'Failed to run retention purge' });
+  }
+});
+
+// GET /api/retention/runs - Past purges, newest first (?limit=50, max 200)
+router.get('/runs', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  try {
+    const result = await req.app.locals.db.query(
+      `SELECT r.*, u.username AS started_by_username
+       FROM retention_runs r
+       LEFT JOIN users u ON u.id = r.started_by
+       ORDER BY r.started_at DESC, r.id DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get retention runs error:', error);
+    res.status(500).json({ error: 'Failed to load retention runs' });
+  }
+});
+
+// ==================== LEGAL HOLDS ====================
+
+// GET /api/retention/holds - Records on legal hold (?entity= to filter)
+router.get('/holds', async (req, res) => {
+  try {
+    const params = [];
+    let filter = '';
+    if (req.query.entity) {
+      params.push(req.query.entity);
+      filter = 'WHERE h.entity = $1';
+    }
+
+    const result = await req.app.locals.db.query(
+      `SELECT h.*, u.username AS placed_by_username
+       FROM legal_holds h
+       LEFT JOIN users u ON u.id = h.placed_by
+       ${filter}
+       ORDER BY h.created_at DESC, h.id DESC`,
+      params
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get legal holds error:', error);
+    res.status(500).json({ error: 'Failed to load legal holds' });
+  }
+});
+
+// POST /api/retention/holds - Keep a record out of every purge
+// Body: { entity, record_id, reason }
+router.post('/holds', async (req, res) => {
+  const { entity, reason } = req.body;
+  const recordId = Number(req.body.record_id);
+
+  if (!RETENTION_ENTITIES[entity]) {
+    return res.status(400).json({ error: 'Unknown record type' });
+  }
+  if (!Number.isInteger(recordId) || recordId <= 0) {
+    return res.status(400).json({ error: 'record_id is required' });
+  }
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const store = await getRecordStore(db, entity, recordId);
+    if (!store) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO legal_holds (entity, record_id, store, reason, placed_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (entity, record_id) DO NOTHING
+       RETURNING *`,
+      [entity, recordId, store, String(reason).trim(), req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'This record is already on hold' });
+    }
+
+    const hold = result.rows[0];
+    await recordAudit(req, { entity: 'legal_hold', entityId: hold.id, action: 'create', after: hold, store });
+
+    res.status(201).json({ message: 'Legal hold placed', hold });
+  } catch (error) {
+    console.error('Place legal hold error:', error);
+    res.status(500).json({ error: 'Failed to place legal hold' });
+  }
+});
+
+// DELETE /api/retention/holds/:id - Release a hold (the record can be purged again)
+router.delete('/holds/:id', async (req, res) => {
+  try {
+    const result = await req.app.locals.db.query(
+      'DELETE FROM legal_holds WHERE id = $1 RETURNING *',
+      [parseInt(req.params.id) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Legal hold not found' });
+    }
+
+    const hold = result.rows[0];
+    await recordAudit(req, { entity: 'legal_hold', entityId: hold.id, action: 'delete', before: hold, store: hold.store });
+
+    res.json({ message: 'Legal hold released' });
+  } catch (error) {
+    console.error('Release legal hold error:', error);
+    res.status(500).json({ error: 'Failed to release legal hold' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// src/routes/search.js
+// API route for full-text search across the current store's records
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { SEARCH_TYPES, buildTsQuery, search } = require('../services/search');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/search?q= - Search forms, communication notes, SOPs, the banned list
+// and voucher contacts in the current store, best match first
+// Optional query:
+//   types          - comma separated result types (pickup, delivery, donation, waiver,
+//                    communication, sop, banned, voucher_contact); all if omitted
+//   limit, offset  - paging (limit max 50)
+router.get('/', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : SEARCH_TYPES;
+
+  if (!buildTsQuery(req.query.q)) {
+    return res.status(400).json({ error: 'Search text is required' });
+  }
+
+  const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+  if (unknown.length > 0 || types.length === 0) {
+    return res.status(400).json({ error: `Types must be any of: ${SEARCH_TYPES.join(', ')}` });
+  }
+
+  try {
+    const db = req.app.locals.db;
+
+    const results = await search(db, {
+      query: req.query.q,
+      store: req.store,
+      types,
+      limit,
+      offset
+    });
+
+    res.json({ results, limit, offset });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Failed to search' });
+  }
+});
+
+module.exports = router;
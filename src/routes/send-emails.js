@@ -1,59 +1,50 @@
 // src/routes/send-emails.js
 // Email sending functionality (Admin only)
+// Bulk-sends receipts for forms that have not been emailed yet, using the same
+// store-aware templates and email outbox as the customer forms page
 
 const express = require('express');
-const nodemailer = require('nodemailer');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { createTransporter, isEmailConfigured, getFromAddress } = require('../services/mailer');
+const { queueFormEmail } = require('../services/email-outbox');
+const { recordAudit } = require('../services/audit');
 
 
 const router = express.Router();
 
 // All routes require Admin role
 router.use(authenticateToken);
-
-
-// Create email transporter
-function createTransporter() {
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: parseInt(process.env.SMTP_PORT) || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASSWORD
-    }
-  });
+router.use(requirePermission('emails.send'));
+
+const FORM_TYPES = ['pickup', 'delivery', 'donation', 'waiver'];
+
+// Forms in the current store that still need a receipt
+function getPendingFormsQuery(type, select) {
+  return `SELECT ${select}
+          FROM ${type}_forms
+          WHERE email_sent IS NOT TRUE
+            AND deleted_at IS NULL
+            AND email IS NOT NULL
+            AND email <> ''
+            AND store = $1`;
 }
 
 // GET /api/send-emails/pending - Get pending email counts
 router.get('/pending', async (req, res) => {
   try {
     const db = req.app.locals.db;
-    
-    const pickup = await db.query(
-      'SELECT COUNT(*) FROM pickup_forms WHERE emailed = FALSE AND deleted_at IS NULL'
-    );
-    const delivery = await db.query(
-      'SELECT COUNT(*) FROM delivery_forms WHERE emailed = FALSE AND deleted_at IS NULL'
-    );
-    const donation = await db.query(
-      'SELECT COUNT(*) FROM donation_forms WHERE emailed = FALSE AND deleted_at IS NULL'
-    );
-    const waiver = await db.query(
-      'SELECT COUNT(*) FROM waiver_forms WHERE emailed = FALSE AND deleted_at IS NULL'
-    );
-
-    const total = parseInt(pickup.rows[0].count) + 
-                  parseInt(delivery.rows[0].count) + 
-                  parseInt(donation.rows[0].count) +
-                  parseInt(waiver.rows[0].count);
-
-    res.json({ 
+
+    const counts = {};
+    for (const type of FORM_TYPES) {
+      const result = await db.query(getPendingFormsQuery(type, 'COUNT(*)'), [req.store]);
+      counts[type] = parseInt(result.rows[0].count);
+    }
+
+    const total = FORM_TYPES.reduce((sum, type) => sum + counts[type], 0);
+
+    res.json({
       total,
-      pickup: parseInt(pickup.rows[0].count),
-      delivery: parseInt(delivery.rows[0].count),
-      donation: parseInt(donation.rows[0].count),
-      waiver: parseInt(waiver.rows[0].count)
+      ...counts
     });
   } catch (error) {
     console.error('Get pending emails error:', error);
@@ -65,11 +56,11 @@ router.get('/pending', async (req, res) => {
 router.post('/send', async (req, res) => {
   try {
     const db = req.app.locals.db;
-    
+
     // Check if email is configured
-    if (!process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
-      return res.status(400).json({ 
-        error: 'Email not configured. Please add SMTP settings to .env file.' 
+    if (!isEmailConfigured()) {
+      return res.status(400).json({
+        error: 'Email not configured. Please add SMTP settings to .env file.'
       });
     }
 
@@ -80,317 +71,59 @@ router.post('/send', async (req, res) => {
       await transporter.verify();
     } catch (error) {
       console.error('Email connection failed:', error);
-      return res.status(500).json({ 
-        error: 'Failed to connect to email server. Check your SMTP settings.' 
+      return res.status(500).json({
+        error: 'Failed to connect to email server. Check your SMTP settings.'
       });
     }
 
     let successCount = 0;
     let failedCount = 0;
     const errors = [];
-
-    // ==================== PICKUP FORMS ====================
-    const pickupForms = await db.query(
-      `SELECT id, customer_name, phone, email, items_description, date
-       FROM pickup_forms 
-       WHERE emailed = FALSE AND deleted_at IS NULL AND email IS NOT NULL`
-    );
-
-    // Send pickup emails
-    for (const form of pickupForms.rows) {
-      try {
-        await transporter.sendMail({
-          from: process.env.SMTP_FROM || 'Beacon House Long Beach Thrift Store <noreply@lbts.local>',
-          to: form.email,
-          subject: 'Beacon House - Pick-Up Receipt',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-<div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
-  <!--[if !mso]><!-->
-  <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" 
-       alt="Beacon House Logo" 
-       width="200" 
-       style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
-  <!--<![endif]-->
-  <!--[if mso]>
-  <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
-  <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
-  <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">Long Beach Thrift Store</p>
-  </td></tr></table>
-  <![endif]-->
-  <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Pick-Up Receipt</h2>
-</div>
-              
-              <div style="padding: 30px; background: white;">
-                <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-                  Dear ${form.customer_name},
-                </p>
-                
-                <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-                  Thank you for your purchase! <strong>You have 48 hours from when you purchased the item to pick it up.</strong>
-                </p>
-                
-                <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                  <h3 style="color: #2d3748; margin-top: 0;">Purchase Details:</h3>
-                  <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-                    <strong>Name:</strong> ${form.customer_name}<br>
-                    <strong>Phone:</strong> ${form.phone}<br>
-                    <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
-                  </p>
-                  ${form.items_description ? `
-                    <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
-                      <strong>Items:</strong><br>
-                      ${form.items_description}
-                    </p>
-                  ` : ''}
-                </div>
-                
-                <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-                  <h3 style="color: #856404; margin-top: 0;">⚠️ Important Terms & Conditions</h3>
-                  <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-                    You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.
-                  </p>
-                  <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-                    We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.
-                  </p>
-                  <p style="color: #856404; line-height: 1.8; margin: 0;">
-                    Your signature acknowledges that you have read and understand the terms and conditions covered above.
-                  </p>
-                </div>
-                
-                <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-                  If you have any questions, please contact us at <strong>(562) 343-7804</strong>.
-                </p>
-                
-                <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-                  Thank you,<br>
-                  <strong>Beacon House Long Beach Thrift Store</strong>
-                </p>
-              </div>
-              
-              <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-                <p style="margin: 0;">Beacon House Long Beach Thrift Store</p>
-                <p style="margin: 5px 0;">Phone: (562) 343-7804</p>
-              </div>
-            </div>
-          `
-        });
-
-        // Mark as emailed
-        await db.query(
-          'UPDATE pickup_forms SET emailed = TRUE WHERE id = $1',
-          [form.id]
-        );
-        
-        successCount++;
-      } catch (error) {
-        console.error('Failed to send pickup email:', error);
-        failedCount++;
-        errors.push(`Pickup form ${form.id} (${form.email}): ${error.message}`);
-      }
-    }
-
-    // ==================== DELIVERY FORMS ====================
-    const deliveryForms = await db.query(
-      `SELECT id, customer_name, phone, email, items_description, delivery_cost, delivery_date, date
-       FROM delivery_forms 
-       WHERE emailed = FALSE AND deleted_at IS NULL AND email IS NOT NULL`
-    );
-
-    // Send delivery emails
-    for (const form of deliveryForms.rows) {
-      try {
-        await transporter.sendMail({
-          from: process.env.SMTP_FROM || 'Beacon House Long Beach Thrift Store <noreply@lbts.local>',
-          to: form.email,
-          subject: 'Beacon House - Delivery Receipt',
-          html: `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto"><div style="text-align:center;padding:20px;background:#667eea;color:white"><img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" alt="Beacon House Logo" style="max-width:120px;height:auto;margin-bottom:10px"><h2 style="margin:10px 0 0;font-weight:400">Pick-Up Receipt</h2></div><div style="padding:30px;background:white"><p style="color:#2d3748;font-size:16px;line-height:1.6">Dear ${form.customer_name},</p><p style="color:#2d3748;font-size:16px;line-height:1.6">Thank you for your purchase! <strong>You have 48 hours from when you purchased the item to pick it up.</strong></p><div style="background:#f7fafc;padding:20px;border-radius:8px;margin:20px 0"><h3 style="color:#2d3748;margin-top:0">Purchase Details:</h3><p style="color:#4a5568;line-height:1.8;margin:5px 0"><strong>Name:</strong> ${form.customer_name}<br><strong>Phone:</strong> ${form.phone}<br><strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}</p>${form.items_description ? `<p style="color:#4a5568;line-height:1.8;margin-top:15px"><strong>Items:</strong><br>${form.items_description}</p>` : ''}</div><div style="background:#fff3cd;border:2px solid #ffc107;border-radius:8px;padding:20px;margin:20px 0"><h3 style="color:#856404;margin-top:0">⚠️ Important Terms & Conditions</h3><p style="color:#856404;line-height:1.8;margin-bottom:15px">You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.</p><p style="color:#856404;line-height:1.8;margin-bottom:15px">We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.</p><p style="color:#856404;line-height:1.8;margin:0">Your signature acknowledges that you have read and understand the terms and conditions covered above.</p></div><p style="color:#4a5568;font-size:14px;line-height:1.6;margin-top:30px">If you have any questions, please contact us at <strong>(562) 343-7804</strong>.</p><p style="color:#2d3748;font-size:16px;line-height:1.6;margin-top:30px">Thank you,<br><strong>LBTS Thrift Store</strong></p></div><div style="padding:20px;background:#f7fafc;text-align:center;color:#718096;font-size:12px"><p style="margin:0">LBTS Thrift Store</p><p style="margin:5px 0">Phone: (562) 343-7804</p></div></div>`
-        });
-
-        // Mark as emailed
-        await db.query(
-          'UPDATE delivery_forms SET emailed = TRUE WHERE id = $1',
-          [form.id]
-        );
-        
-        successCount++;
-      } catch (error) {
-        console.error('Failed to send delivery email:', error);
-        failedCount++;
-        errors.push(`Delivery form ${form.id} (${form.email}): ${error.message}`);
-      }
-    }
-
-    // ==================== DONATION FORMS ====================
-    const donationForms = await db.query(
-      `SELECT id, customer_name, phone, email, donation_description, date
-       FROM donation_forms 
-       WHERE emailed = FALSE AND deleted_at IS NULL AND email IS NOT NULL`
-    );
-
-    // Send donation emails
-    for (const form of donationForms.rows) {
-      try {
-        await transporter.sendMail({
-          from: process.env.SMTP_FROM || 'The Beacon House Association <contact@thebeaconhouse.org>',
-          to: form.email,
-          subject: 'Donation Receipt - The Beacon House Association',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-             <div style="text-align: center; padding: 20px; background: #667eea; color: white;">
-  <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" alt="Beacon House Logo" style="max-width: 120px; height: auto; margin-bottom: 10px;">
-  <h2 style="margin: 10px 0 0 0; font-weight: normal;">Donation Receipt</h2>
-</div>
-              <div style="padding: 30px; background: white;">
-                <h2 style="color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px;">
-                  Donation Receipt
-                </h2>
-                
-                <p style="color: #4a5568; line-height: 1.6; margin-top: 20px;">
-                  <strong>Donor Name:</strong> ${form.customer_name}<br>
-                  <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
-                </p>
-                
-                ${form.donation_description ? `
-                  <p style="color: #4a5568; line-height: 1.6; margin-top: 15px;">
-                    <strong>Donated Items:</strong><br>
-                    ${form.donation_description}
-                  </p>
-                ` : ''}
-                
-                <div style="margin-top: 30px; padding: 20px; background: #f7fafc; border-left: 4px solid #667eea; line-height: 1.8; color: #2d3748;">
-                  <p style="margin: 0 0 15px 0;">
-                    Thank you for your generous donation. No one has ever been turned away from the Beacon House Association of San Pedro due to their inability to pay, and because of friends like you, this policy will continue in the future.
-                  </p>
-                  <p style="margin: 0 0 15px 0;">
-                    No goods or services will be transferred to you in connection with this donation.
-                  </p>
-                  <p style="margin: 0; font-weight: bold;">
-                    For your records our tax ID is #23-7376148
-                  </p>
-                </div>
-                
-                <p style="margin-top: 30px; color: #718096; font-size: 14px; text-align: center;">
-                  Please keep this receipt for your tax records.
-                </p>
-              </div>
-              
-              <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-                <p style="margin: 0;">The Beacon House Association of San Pedro</p>
-                <p style="margin: 5px 0;">1003 S. Beacon St, San Pedro, CA 90731</p>
-                <p style="margin: 5px 0;">Tax ID: #23-7376148</p>
-              </div>
-            </div>
-          `
-        });
-
-        // Mark as emailed
-        await db.query(
-          'UPDATE donation_forms SET emailed = TRUE WHERE id = $1',
-          [form.id]
-        );
-        
-        successCount++;
-      } catch (error) {
-        console.error('Failed to send donation email:', error);
-        failedCount++;
-        errors.push(`Donation form ${form.id} (${form.email}): ${error.message}`);
+    const results = [];
+
+    for (const type of FORM_TYPES) {
+      const forms = await db.query(
+        `${getPendingFormsQuery(type, '*')} ORDER BY created_at ASC`,
+        [req.store]
+      );
+
+      for (const form of forms.rows) {
+        const result = {
+          form_type: type,
+          form_id: form.id,
+          customer_name: form.customer_name,
+          email: form.email
+        };
+
+        try {
+          const emailResult = await queueFormEmail(db, form, type, req.store, req.user.id);
+          result.outbox_id = emailResult.outboxId;
+
+          if (emailResult.sent) {
+            result.status = 'sent';
+            successCount++;
+          } else {
+            result.status = emailResult.willRetry ? 'queued' : 'failed';
+            result.error = emailResult.error;
+            failedCount++;
+            errors.push(`${type.charAt(0).toUpperCase() + type.slice(1)} form ${form.id} (${form.email}): ${emailResult.error}`);
+          }
+        } catch (error) {
+          console.error(`Failed to send ${type} email:`, error);
+          result.status = 'failed';
+          result.error = error.message;
+          failedCount++;
+          errors.push(`${type.charAt(0).toUpperCase() + type.slice(1)} form ${form.id} (${form.email}): ${error.message}`);
+        }
+
+        results.push(result);
       }
     }
 
-    // ==================== WAIVER FORMS ====================
-    const waiverForms = await db.query(
-      `SELECT id, customer_name, phone, email, date
-       FROM waiver_forms 
-       WHERE emailed = FALSE AND deleted_at IS NULL AND email IS NOT NULL`
-    );
-
-    // Send waiver emails
-    for (const form of waiverForms.rows) {
-      try {
-        await transporter.sendMail({
-          from: process.env.SMTP_FROM || 'Beacon House Long Beach Thrift Store <noreply@lbts.local>',
-          to: form.email,
-          subject: 'Beacon House - Release of Liability Form',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-             <div style="text-align: center; padding: 20px; background: #667eea; color: white;">
-  <img src="https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png" alt="Beacon House Logo" style="max-width: 120px; height: auto; margin-bottom: 10px;">
-  <h2 style="margin: 10px 0 0 0; font-weight: normal;">Waiver Receipt</h2>
-</div>
-              <div style="padding: 30px; background: white;">
-                <h2 style="color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px;">
-                  Release of Liability Form for Loading Purchased Furniture
-                </h2>
-                
-                <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 20px;">
-                  Dear ${form.customer_name},
-                </p>
-                
-                <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
-                  Thank you for your purchase. This email serves as confirmation that you have completed our Release of Liability Form.
-                </p>
-                
-                <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                  <h3 style="color: #2d3748; margin-top: 0;">Form Details:</h3>
-                  <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
-                    <strong>Name:</strong> ${form.customer_name}<br>
-                    <strong>Phone:</strong> ${form.phone}<br>
-                    <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
-                  </p>
-                </div>
-                
-                <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
-                  <h3 style="color: #856404; margin-top: 0;">Acknowledgment Summary:</h3>
-                  
-                  <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
-                    By signing this form, you have acknowledged and agreed to the following:
-                  </p>
-                  
-                  <ul style="color: #856404; line-height: 1.8; margin-left: 20px;">
-                    <li><strong>Voluntary Participation:</strong> The loading of furniture into your vehicle is a voluntary service.</li>
-                    <li><strong>Release of Liability:</strong> You release The Beacon House Association of San Pedro from any claims related to loss, damage, or injury during the loading process.</li>
-                    <li><strong>Assumption of Risks:</strong> You voluntarily assume all risks associated with loading furniture.</li>
-                    <li><strong>Care and Supervision:</strong> You are responsible for ensuring your vehicle is suitable for loading furniture.</li>
-                    <li><strong>Indemnification:</strong> You agree to hold harmless The Beacon House Association from any claims arising from the loading service.</li>
-                    <li><strong>Vehicle Inspection:</strong> Your vehicle was inspected before loading to ensure it is safe and suitable.</li>
-                    <li><strong>Personal Property:</strong> You are responsible for any personal belongings left in your vehicle.</li>
-                    <li><strong>Compliance:</strong> You agree to follow all instructions provided by staff during the loading process.</li>
-                  </ul>
-                </div>
-                
-                <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
-                  Please keep this email for your records. If you have any questions, please contact us at <strong>(562) 343-7804</strong>.
-                </p>
-                
-                <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
-                  Thank you,<br>
-                  <strong>Beacon House Association of San Pedro</strong>
-                </p>
-              </div>
-              
-              <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
-                <p style="margin: 0;">Beacon House Association of San Pedro</p>
-                <p style="margin: 5px 0;">1003 S. Beacon St, San Pedro, CA 90731</p>
-                <p style="margin: 5px 0;">Phone: (310) 514-4940</p>
-              </div>
-            </div>
-          `
-        });
-
-        // Mark as emailed
-        await db.query(
-          'UPDATE waiver_forms SET emailed = TRUE WHERE id = $1',
-          [form.id]
-        );
-        
-        successCount++;
-      } catch (error) {
-        console.error('Failed to send waiver email:', error);
-        failedCount++;
-        errors.push(`Waiver form ${form.id} (${form.email}): ${error.message}`);
-      }
-    }
+    await recordAudit(req, {
+      entity: 'email', action: 'send_pending',
+      after: { sent: successCount, failed: failedCount }
+    });
 
     // Build response
     let message = `Successfully sent ${successCount} email${successCount !== 1 ? 's' : ''}`;
@@ -398,11 +131,12 @@ router.post('/send', async (req, res) => {
       message += `, ${failedCount} failed`;
     }
 
-    res.json({ 
+    res.json({
       message,
       success: successCount,
       failed: failedCount,
-      errors: errors.length > 0 ? errors : undefined
+      errors: errors.length > 0 ? errors : undefined,
+      results
     });
 
   } catch (error) {
@@ -421,9 +155,9 @@ router.post('/test', async (req, res) => {
 
   try {
     // Check if email is configured
-    if (!process.env.SMTP_USER || !process.env.SMTP_PASSWORD) {
-      return res.status(400).json({ 
-        error: 'Email not configured. Please add SMTP settings to .env file.' 
+    if (!isEmailConfigured()) {
+      return res.status(400).json({
+        error: 'Email not configured. Please add SMTP settings to .env file.'
       });
     }
 
@@ -434,7 +168,7 @@ router.post('/test', async (req, res) => {
 
     // Send test email
     await transporter.sendMail({
-      from: process.env.SMTP_FROM || 'LBTS Thrift Store <noreply@lbts.local>',
+      from: getFromAddress(req.store),
       to: testEmail,
       subject: 'LBTS - Test Email',
       html: `
@@ -445,17 +179,21 @@ router.post('/test', async (req, res) => {
       `
     });
 
-    res.json({ 
+    await recordAudit(req, {
+      entity: 'email', action: 'send_test', after: { recipient: testEmail }
+    });
+
+    res.json({
       message: 'Test email sent successfully! Check your inbox.',
       recipient: testEmail
     });
 
   } catch (error) {
     console.error('Test email error:', error);
-    res.status(500).json({ 
-      error: 'Failed to send test email: ' + error.message 
+    res.status(500).json({
+      error: 'Failed to send test email: ' + error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
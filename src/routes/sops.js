@@ -1,14 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
-
-// Middleware to check if user is Admin
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'Admin') {
-    return res.status(403).json({ error: 'Access denied. Admin only.' });
-  }
-  next();
-};
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
 
 // GET all SOPs (available to all authenticated users)
 router.get('/', authenticateToken, async (req, res) => {
@@ -51,8 +44,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
         u.username as created_by_username
       FROM sops s
       JOIN users u ON s.created_by = u.id
-      WHERE s.id = $1
-    `, [id]);
+      WHERE s.id = $1 AND s.store = $2
+    `, [id, req.store]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'SOP not found' });
@@ -66,7 +59,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST create new SOP (Admin only)
-router.post('/', authenticateToken, isAdmin, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('sops.edit'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const { title, content } = req.body;
@@ -85,6 +78,10 @@ router.post('/', authenticateToken, isAdmin, async (req, res) => {
       RETURNING id, title, content, created_by, created_at, updated_at
     `, [title.trim(), content.trim(), req.user.id, req.store]);
 
+    await recordAudit(req, {
+      entity: 'sop', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
     res.status(201).json({
       message: 'SOP created successfully',
       sop: result.rows[0]
@@ -96,7 +93,7 @@ router.post('/', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // PUT update existing SOP (Admin only)
-router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('sops.edit'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const { id } = req.params;
@@ -110,7 +107,7 @@ router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Title and content cannot be empty' });
     }
 
-    const checkResult = await db.query('SELECT id FROM sops WHERE id = $1', [id]);
+    const checkResult = await db.query('SELECT * FROM sops WHERE id = $1 AND store = $2', [id, req.store]);
     if (checkResult.rows.length === 0) {
       return res.status(404).json({ error: 'SOP not found' });
     }
@@ -118,9 +115,14 @@ router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
     const result = await db.query(`
       UPDATE sops 
       SET title = $1, content = $2
-      WHERE id = $3
+      WHERE id = $3 AND store = $4
       RETURNING id, title, content, created_by, created_at, updated_at
-    `, [title.trim(), content.trim(), id]);
+    `, [title.trim(), content.trim(), id, req.store]);
+
+    await recordAudit(req, {
+      entity: 'sop', entityId: id, action: 'update', store: checkResult.rows[0].store,
+      before: checkResult.rows[0], after: result.rows[0]
+    });
 
     res.json({
       message: 'SOP updated successfully',
@@ -133,17 +135,22 @@ router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // DELETE SOP (Admin only)
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('sops.edit'), async (req, res) => {
   try {
     const db = req.app.locals.db;
     const { id } = req.params;
 
-    const checkResult = await db.query('SELECT id FROM sops WHERE id = $1', [id]);
+    const checkResult = await db.query('SELECT * FROM sops WHERE id = $1 AND store = $2', [id, req.store]);
     if (checkResult.rows.length === 0) {
       return res.status(404).json({ error: 'SOP not found' });
     }
 
-    await db.query('DELETE FROM sops WHERE id = $1', [id]);
+    await db.query('DELETE FROM sops WHERE id = $1 AND store = $2', [id, req.store]);
+
+    await recordAudit(req, {
+      entity: 'sop', entityId: id, action: 'delete', store: checkResult.rows[0].store,
+      before: checkResult.rows[0]
+    });
 
     res.json({ message: 'SOP deleted successfully' });
   } catch (error) {
@@ -0,0 +1,274 @@
+// src/routes/stores.js
+// API routes for the store registry (store details, contact info, timezone, hours)
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  loadStores,
+  getStores,
+  getStore,
+  canAccessAllStores,
+  canAccessStore,
+  isValidStoreCode
+} = require('../services/stores');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// business_hours: { mon: { open: '09:00', close: '17:00' }, sun: null, ... }
+function isValidBusinessHours(hours) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return false;
+  }
+
+  return Object.entries(hours).every(([day, value]) => {
+    if (!DAYS.includes(day)) return false;
+    if (value === null) return true; // closed
+    return TIME_PATTERN.test(value.open) && TIME_PATTERN.test(value.close) && value.open < value.close;
+  });
+}
+
+// Validate the editable fields that were sent; returns an error message or null
+function validateStoreFields(body) {
+  if (body.name !== undefined && !String(body.name).trim()) {
+    return 'Store name is required';
+  }
+  if (body.timezone !== undefined && !isValidTimezone(body.timezone)) {
+    return 'Invalid timezone';
+  }
+  if (body.business_hours !== undefined && !isValidBusinessHours(body.business_hours)) {
+    return 'Invalid business hours';
+  }
+  return null;
+}
+
+// Make one store the default inside an open transaction
+async function setDefaultStore(client, code) {
+  await client.query('UPDATE stores SET is_default = FALSE WHERE is_default = TRUE AND code <> $1', [code]);
+  await client.query('UPDATE stores SET is_default = TRUE, is_active = TRUE WHERE code = $1', [code]);
+}
+
+// GET /api/stores - List the active stores the user may work in (used by the store picker)
+// Admins can pass ?include_inactive=true to see deactivated stores
+router.get('/', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await loadStores(db);
+
+    const includeInactive = req.query.include_inactive === 'true' && canAccessAllStores(req.user);
+    const stores = getStores({ includeInactive }).filter(store => canAccessStore(req.user, store.code));
+
+    res.json(stores);
+  } catch (error) {
+    console.error('Get stores error:', error);
+    res.status(500).json({ error: 'Failed to fetch stores' });
+  }
+});
+
+// GET /api/stores/:code - Get a single store
+router.get('/:code', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    await loadStores(db);
+
+    const store = getStore(req.params.code);
+    if (!store || !canAccessStore(req.user, store.code) || (!store.isActive && !canAccessAllStores(req.user))) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.json(store);
+  } catch (error) {
+    console.error('Get store error:', error);
+    res.status(500).json({ error: 'Failed to fetch store' });
+  }
+});
+
+// ==================== ADMIN ====================
+
+// POST /api/stores - Create a new store (Admin only)
+router.post('/', requirePermission('stores.manage'), async (req, res) => {
+  const {
+    code, name, short_name, address, phone, from_label, logo_url,
+    timezone, business_hours, is_default
+  } = req.body;
+
+  if (!isValidStoreCode(code)) {
+    return res.status(400).json({
+      error: 'Store code must be 2-20 characters: lowercase letters, numbers and underscores, starting with a letter'
+    });
+  }
+
+  if (!name) {
+    return res.status(400).json({ error: 'Store name is required' });
+  }
+
+  const validationError = validateStoreFields(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const db = req.app.locals.db;
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO stores
+       (code, name, short_name, address, phone, from_label, logo_url, timezone, business_hours)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 'America/Los_Angeles'), COALESCE($9, '{}'::jsonb))
+       RETURNING code`,
+      [code, name.trim(), short_name || null, address || null, phone || null,
+       from_label || null, logo_url || null, timezone || null,
+       business_hours ? JSON.stringify(business_hours) : null]
+    );
+
+    if (is_default) {
+      await setDefaultStore(client, code);
+    }
+
+    await client.query('COMMIT');
+    await loadStores(db);
+
+    const store = getStore(result.rows[0].code);
+    await recordAudit(req, { entity: 'store', entityId: code, action: 'create', store: code, after: store });
+
+    res.status(201).json(store);
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A store with that code already exists' });
+    }
+
+    console.error('Create store error:', error);
+    res.status(500).json({ error: 'Failed to create store' });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/stores/:code - Update a store (Admin only)
+// The code itself can't change since it's stored on every record
+router.put('/:code', requirePermission('stores.manage'), async (req, res) => {
+  const { code } = req.params;
+  const {
+    name, short_name, address, phone, from_label, logo_url,
+    timezone, business_hours, is_default, is_active
+  } = req.body;
+
+  const validationError = validateStoreFields(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const db = req.app.locals.db;
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT * FROM stores WHERE code = $1 FOR UPDATE', [code]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    if (existing.rows[0].is_default && (is_active === false || is_default === false)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Make another store the default first' });
+    }
+
+    await client.query(
+      `UPDATE stores
+       SET name = COALESCE($1, name),
+           short_name = CASE WHEN $2::boolean THEN $3 ELSE short_name END,
+           address = CASE WHEN $4::boolean THEN $5 ELSE address END,
+           phone = CASE WHEN $6::boolean THEN $7 ELSE phone END,
+           from_label = CASE WHEN $8::boolean THEN $9 ELSE from_label END,
+           logo_url = CASE WHEN $10::boolean THEN $11 ELSE logo_url END,
+           timezone = COALESCE($12, timezone),
+           business_hours = COALESCE($13::jsonb, business_hours),
+           is_active = COALESCE($14, is_active)
+       WHERE code = $15`,
+      [name ? name.trim() : null,
+       short_name !== undefined, short_name || null,
+       address !== undefined, address || null,
+       phone !== undefined, phone || null,
+       from_label !== undefined, from_label || null,
+       logo_url !== undefined, logo_url || null,
+       timezone || null,
+       business_hours ? JSON.stringify(business_hours) : null,
+       typeof is_active === 'boolean' ? is_active : null,
+       code]
+    );
+
+    if (is_default === true) {
+      await setDefaultStore(client, code);
+    }
+
+    await client.query('COMMIT');
+    await loadStores(db);
+
+    const store = getStore(code);
+    await recordAudit(req, {
+      entity: 'store', entityId: code, action: 'update', store: code,
+      before: existing.rows[0], after: store
+    });
+
+    res.json(store);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update store error:', error);
+    res.status(500).json({ error: 'Failed to update store' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/stores/:code - Deactivate a store (Admin only)
+// Stores are never removed since existing records still reference them
+router.delete('/:code', requirePermission('stores.manage'), async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    const existing = await db.query('SELECT * FROM stores WHERE code = $1', [req.params.code]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    if (existing.rows[0].is_default) {
+      return res.status(400).json({ error: 'Make another store the default first' });
+    }
+
+    await db.query('UPDATE stores SET is_active = FALSE WHERE code = $1', [req.params.code]);
+    await loadStores(db);
+
+    await recordAudit(req, {
+      entity: 'store', entityId: req.params.code, action: 'deactivate', store: req.params.code,
+      before: existing.rows[0]
+    });
+
+    res.json({ message: 'Store deactivated successfully' });
+  } catch (error) {
+    console.error('Deactivate store error:', error);
+    res.status(500).json({ error: 'Failed to deactivate store' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// src/routes/upload-maintenance.js
+// Admin checks on upload storage: files no record uses (orphans) and records
+// pointing at files that are gone (dangling). Same as `npm run uploads:reconcile`.
+
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { reconcileUploads, DEFAULT_MIN_AGE_MINUTES } = require('../services/upload-reconciler');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// All routes require the uploads.manage permission
+router.use(authenticateToken);
+router.use(requirePermission('uploads.manage'));
+
+// Grace period in minutes from the request, or { error }
+function parseMinAge(value) {
+  if (value === undefined || value === null || value === '') {
+    return { minAgeMinutes: DEFAULT_MIN_AGE_MINUTES };
+  }
+
+  const minAgeMinutes = Number(value);
+  if (!Number.isInteger(minAgeMinutes) || minAgeMinutes < 0) {
+    return { error: 'min_age_minutes must be a whole number of minutes' };
+  }
+
+  return { minAgeMinutes };
+}
+
+// GET /api/upload-maintenance/report - Orphaned files and dangling references
+// Optional query: ?min_age_minutes=60 (newer files are never orphans)
+router.get('/report', async (req, res) => {
+  const { minAgeMinutes, error } = parseMinAge(req.query.min_age_minutes);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await reconcileUploads(req.app.locals.db, { minAgeMinutes });
+    res.json(result);
+  } catch (error) {
+    console.error('Upload report error:', error);
+    res.status(500).json({ error: 'Failed to check uploads' });
+  }
+});
+
+// POST /api/upload-maintenance/reconcile - Quarantine or delete orphaned files
+// Body: { action: 'quarantine' | 'delete', min_age_minutes }
+// Quarantined files move to /uploads/quarantine/<date>/..., visible to admins only.
+router.post('/reconcile', async (req, res) => {
+  const { action } = req.body || {};
+  if (!['quarantine', 'delete'].includes(action)) {
+    return res.status(400).json({ error: 'action must be quarantine or delete' });
+  }
+
+  const { minAgeMinutes, error } = parseMinAge(req.body.min_age_minutes);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await reconcileUploads(req.app.locals.db, { action, minAgeMinutes });
+
+    await recordAudit(req, {
+      entity: 'uploads', action, store: null,
+      after: {
+        minAgeMinutes,
+        scanned: result.scanned,
+        quarantined: result.quarantined,
+        deleted: result.deleted,
+        failed: result.failed,
+        dangling: result.dangling.length
+      }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Reconcile uploads error:', error);
+    res.status(500).json({ error: 'Failed to clean up uploads' });
+  }
+});
+
+module.exports = router;
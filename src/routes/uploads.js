@@ -0,0 +1,41 @@
+// src/routes/uploads.js
+// Serves uploaded files at /uploads/... from the configured storage: straight
+// from disk for the local driver, or by redirecting to a short-lived presigned
+// link for S3 (the bucket itself stays private). Private files (signatures,
+// cash report photos) need a signed link here; signed-in users open them
+// through /api/files instead.
+
+const express = require('express');
+const { getStorage, uploadUrl, uploadKey, signedUploadUrl, verifySignedUpload } = require('../services/storage');
+const { isPrivateUpload } = require('../services/upload-access');
+
+const router = express.Router();
+
+// GET /uploads/<folder>/<file>
+// Query (private files): expires, signature - from a signed link
+router.get('/*path', async (req, res, next) => {
+  const url = uploadUrl(req.params.path.join('/'));
+  const key = uploadKey(url);
+  if (!key) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  if (isPrivateUpload(url) && !verifySignedUpload(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'This link has expired or is not valid' });
+  }
+
+  const storage = getStorage();
+
+  if (storage.name === 'local') {
+    return express.static(storage.root, { index: false })(req, res, next);
+  }
+
+  try {
+    res.redirect(302, await signedUploadUrl(url));
+  } catch (error) {
+    console.error('Serve upload error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+module.exports = router;
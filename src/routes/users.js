@@ -3,13 +3,61 @@
 
 const express = require('express');
 const bcrypt = require('bcrypt');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ensureStoresLoaded, getStore } = require('../services/stores');
+const { listActiveSessions, revokeSession, revokeUserSessions } = require('../services/sessions');
+const { ROLES } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
 // All routes require Admin role
 router.use(authenticateToken);
-router.use(requireRole('Admin'));
+router.use(requirePermission('users.manage'));
+
+// Assigned store codes for each user
+const USER_STORES_SELECT = `COALESCE(
+  (SELECT array_agg(us.store_code ORDER BY us.store_code) FROM user_stores us WHERE us.user_id = users.id),
+  '{}'
+) AS stores`;
+
+// Only admins create admins or change admin accounts, so users.manage alone
+// can't be used to become one
+function canManageRole(user, role) {
+  return role !== 'Admin' || user.role === 'Admin';
+}
+
+// Validate a list of store assignments; returns an error message or null.
+// Admins can use every store, so they don't need any assignments.
+async function validateStoreAssignments(db, stores, role) {
+  if (!Array.isArray(stores)) {
+    return 'Stores must be a list of store codes';
+  }
+
+  if (stores.length === 0 && role !== 'Admin') {
+    return 'Assign the user to at least one store';
+  }
+
+  await ensureStoresLoaded(db);
+  const unknown = stores.filter(code => !getStore(code));
+  if (unknown.length > 0) {
+    return `Unknown store: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Replace a user's store assignments
+async function setUserStores(client, userId, stores) {
+  await client.query('DELETE FROM user_stores WHERE user_id = $1', [userId]);
+
+  for (const code of new Set(stores)) {
+    await client.query(
+      'INSERT INTO user_stores (user_id, store_code) VALUES ($1, $2)',
+      [userId, code]
+    );
+  }
+}
 
 // GET /api/users - Get all users
 router.get('/', async (req, res) => {
@@ -19,7 +67,7 @@ router.get('/', async (req, res) => {
     const result = await db.query(
       `SELECT id, username, role, email, 
               furniture_alerts, clothing_alerts, bricabrac_alerts, 
-              created_at 
+              created_at, ${USER_STORES_SELECT}
        FROM users 
        WHERE deleted_at IS NULL 
        ORDER BY created_at DESC`
@@ -34,20 +82,29 @@ router.get('/', async (req, res) => {
 
 // POST /api/users - Create new user
 router.post('/', async (req, res) => {
-  const { username, password, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts } = req.body;
+  const { username, password, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts, stores = [] } = req.body;
 
   // Validation
   if (!username || !password || !role) {
     return res.status(400).json({ error: 'Username, password, and role are required' });
   }
 
-  const validRoles = ['Admin', 'Manager', 'Clothing Manager', 'Bric-a-Brac Manager', 'Employee'];
-  if (!validRoles.includes(role)) {
+  if (!ROLES.includes(role)) {
     return res.status(400).json({ error: 'Invalid role' });
   }
 
+  if (!canManageRole(req.user, role)) {
+    return res.status(403).json({ error: 'Only admins can create admin accounts' });
+  }
+
+  const db = req.app.locals.db;
+  let client;
+
   try {
-    const db = req.app.locals.db;
+    const storeError = await validateStoreAssignments(db, stores, role);
+    if (storeError) {
+      return res.status(400).json({ error: storeError });
+    }
 
     // Check if username already exists
     const existingUser = await db.query(
@@ -63,41 +120,69 @@ router.post('/', async (req, res) => {
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
+    client = await db.connect();
+    await client.query('BEGIN');
+
     // Insert user
-    const result = await db.query(
+    const result = await client.query(
       `INSERT INTO users (username, password_hash, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts)
        VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING id, username, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts, created_at`,
       [username, passwordHash, role, email || null, furniture_alerts || false, clothing_alerts || false, bricabrac_alerts || false]
     );
 
+    const user = result.rows[0];
+    await setUserStores(client, user.id, stores);
+
+    await client.query('COMMIT');
+
+    await recordAudit(req, {
+      entity: 'user', entityId: user.id, action: 'create', store: null,
+      after: { ...user, stores }
+    });
+
     res.status(201).json({ 
       message: 'User created successfully',
-      user: result.rows[0] 
+      user: { ...user, stores }
     });
   } catch (error) {
+    if (client) await client.query('ROLLBACK');
     console.error('Create user error:', error);
     res.status(500).json({ error: 'Failed to create user' });
+  } finally {
+    if (client) client.release();
   }
 });
 
 // PUT /api/users/:id - Update user
 router.put('/:id', async (req, res) => {
   const { id } = req.params;
-  const { username, password, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts } = req.body;
+  const { username, password, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts, stores } = req.body;
 
   // Validation
   if (!role) {
     return res.status(400).json({ error: 'Role is required' });
   }
 
-  const validRoles = ['Admin', 'Manager', 'Clothing Manager', 'Bric-a-Brac Manager', 'Employee'];
-  if (!validRoles.includes(role)) {
+  if (!ROLES.includes(role)) {
     return res.status(400).json({ error: 'Invalid role' });
   }
 
+  if (!canManageRole(req.user, role)) {
+    return res.status(403).json({ error: 'Only admins can make a user an admin' });
+  }
+
+  const db = req.app.locals.db;
+  let client;
+
   try {
-    const db = req.app.locals.db;
+    // Store assignments are only changed when sent
+    if (stores !== undefined) {
+      const storeError = await validateStoreAssignments(db, stores, role);
+      if (storeError) {
+        return res.status(400).json({ error: storeError });
+      }
+    }
 
     // Build update query dynamically
     let updateFields = [];
@@ -139,19 +224,63 @@ router.put('/:id', async (req, res) => {
       RETURNING id, username, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts
     `;
 
-    const result = await db.query(query, values);
+    client = await db.connect();
+    await client.query('BEGIN');
 
-    if (result.rows.length === 0) {
+    const before = await client.query(
+      `SELECT id, username, role, email, furniture_alerts, clothing_alerts, bricabrac_alerts,
+              ${USER_STORES_SELECT}
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (!canManageRole(req.user, before.rows[0].role)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only admins can change admin accounts' });
+    }
+
+    const result = await client.query(query, values);
+
+    if (stores !== undefined) {
+      await setUserStores(client, id, stores);
+    }
+
+    const storesResult = await client.query(
+      'SELECT store_code FROM user_stores WHERE user_id = $1 ORDER BY store_code',
+      [id]
+    );
+
+    await client.query('COMMIT');
+
+    const user = { ...result.rows[0], stores: storesResult.rows.map(row => row.store_code) };
+
+    await recordAudit(req, {
+      entity: 'user', entityId: id, action: 'update', store: null,
+      before: before.rows[0],
+      after: password ? { ...user, password_changed: true } : user
+    });
+
+    // A new password signs the user out everywhere
+    if (password) {
+      await revokeUserSessions(db, id, { revokedBy: req.user.id, reason: 'password_changed' });
+    }
+
+    // Role and store changes apply the next time the user's access token is refreshed
     res.json({ 
       message: 'User updated successfully',
-      user: result.rows[0] 
+      user
     });
   } catch (error) {
+    if (client) await client.query('ROLLBACK');
     console.error('Update user error:', error);
     res.status(500).json({ error: 'Failed to update user' });
+  } finally {
+    if (client) client.release();
   }
 });
 
@@ -167,11 +296,16 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete your own account' });
     }
 
+    const target = await db.query('SELECT role FROM users WHERE id = $1 AND deleted_at IS NULL', [id]);
+    if (target.rows.length > 0 && !canManageRole(req.user, target.rows[0].role)) {
+      return res.status(403).json({ error: 'Only admins can delete admin accounts' });
+    }
+
     const result = await db.query(
       `UPDATE users 
        SET deleted_at = NOW() 
        WHERE id = $1 AND deleted_at IS NULL
-       RETURNING id`,
+       RETURNING id, username, role, email, deleted_at`,
       [id]
     );
 
@@ -179,6 +313,13 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await revokeUserSessions(db, id, { revokedBy: req.user.id, reason: 'user_deleted' });
+
+    await recordAudit(req, {
+      entity: 'user', entityId: id, action: 'delete', store: null,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -186,4 +327,76 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// ==================== SESSIONS ====================
+
+// GET /api/users/:id/sessions - List a user's active sessions
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    const sessions = await listActiveSessions(db, req.params.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// DELETE /api/users/:id/sessions - Sign a user out everywhere (e.g. when an employee leaves)
+router.delete('/:id/sessions', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    const count = await revokeUserSessions(db, req.params.id, { revokedBy: req.user.id, reason: 'admin' });
+
+    await recordAudit(req, {
+      entity: 'user', entityId: req.params.id, action: 'revoke_sessions', store: null,
+      after: { revoked: count }
+    });
+
+    res.json({ message: `Revoked ${count} session${count !== 1 ? 's' : ''}`, revoked: count });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// DELETE /api/users/:id/sessions/:sessionId - Revoke a single session
+router.delete('/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+
+    const existing = await db.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2',
+      [req.params.sessionId, req.params.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(db, req.params.sessionId, { revokedBy: req.user.id, reason: 'admin' });
+
+    if (!revoked) {
+      return res.status(400).json({ error: 'Session already ended' });
+    }
+
+    await recordAudit(req, {
+      entity: 'user', entityId: req.params.id, action: 'revoke_session', store: null,
+      after: { session_id: revoked.id }
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,15 @@
+// src/routes/view-forms.js
+// Read-only view of customer forms for the current store (Admin only)
+
 const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
 const router = express.Router();
 
+// All routes require authentication and the forms.browse permission
+router.use(authenticateToken);
+router.use(requirePermission('forms.browse'));
+
 // GET /api/view-forms/:type - Get all forms of a specific type
 router.get('/:type', async (req, res) => {
   const { type } = req.params;
@@ -17,26 +26,26 @@ router.get('/:type', async (req, res) => {
     // Different columns for different form types
     let query;
     if (type === 'waiver') {
-      query = `SELECT id, customer_name, phone, email, date, emailed, created_at
+      query = `SELECT id, customer_name, phone, email, date, email_sent AS emailed, created_at
                FROM ${tableName}
-               WHERE deleted_at IS NULL
+               WHERE deleted_at IS NULL AND store = $1
                ORDER BY created_at DESC`;
     } else if (type === 'donation') {
-      query = `SELECT id, customer_name, phone, email, date, emailed, created_at,
+      query = `SELECT id, customer_name, phone, email, date, email_sent AS emailed, created_at,
                       donation_description as description
                FROM ${tableName}
-               WHERE deleted_at IS NULL
+               WHERE deleted_at IS NULL AND store = $1
                ORDER BY created_at DESC`;
     } else {
       // pickup and delivery forms
-      query = `SELECT id, customer_name, phone, email, date, emailed, created_at,
+      query = `SELECT id, customer_name, phone, email, date, email_sent AS emailed, created_at,
                       items_description as description
                FROM ${tableName}
-               WHERE deleted_at IS NULL
+               WHERE deleted_at IS NULL AND store = $1
                ORDER BY created_at DESC`;
     }
 
-    const result = await db.query(query);
+    const result = await db.query(query, [req.store]);
 
     res.json({ forms: result.rows });
   } catch (error) {
@@ -60,8 +69,8 @@ router.get('/:type/:id', async (req, res) => {
 
     const result = await db.query(
       `SELECT * FROM ${tableName}
-       WHERE id = $1 AND deleted_at IS NULL`,
-      [id]
+       WHERE id = $1 AND deleted_at IS NULL AND store = $2`,
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
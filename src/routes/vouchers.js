@@ -2,7 +2,11 @@
 // API routes for Voucher Tracking
 
 const express = require('express');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { getCustomer } = require('../services/customers');
+const { findBannedMatches, isOverride, bannedMatchResponse, recordBannedOverride } = require('../services/banned-list');
+const { parsePageQuery, fetchPage } = require('../services/pagination');
 
 const router = express.Router();
 
@@ -13,29 +17,52 @@ router.use(authenticateToken);
 // CONTACT ROUTES
 // ============================================================================
 
-// GET /api/vouchers/contacts - Get all contacts with voucher counts
-router.get('/contacts', async (req, res) => {
-  try {
-    const db = req.app.locals.db;
-    
-    const result = await db.query(
-      `SELECT 
-        c.id, c.name, c.referral_agency, c.case_manager_name, 
-        c.case_manager_phone, c.created_at, c.updated_at,
+const CONTACT_SORTS = {
+  name: 'lower(c.name)',
+  created_at: 'c.created_at'
+};
+
+// Paged contacts for the current store, deleted (archived) or not
+async function listContacts(req, { archived, page }) {
+  const conditions = [archived ? 'c.deleted_at IS NOT NULL' : 'c.deleted_at IS NULL', 'c.store = $1'];
+  const params = [req.store];
+
+  if (req.query.search && req.query.search.trim()) {
+    params.push(`%${req.query.search.trim()}%`);
+    conditions.push(`c.name ILIKE $${params.length}`);
+  }
+
+  return fetchPage(req.app.locals.db, {
+    select: `c.id, c.name, c.referral_agency, c.case_manager_name, 
+        c.case_manager_phone, c.created_at, c.updated_at${archived ? ', c.deleted_at' : ''},
         COALESCE(
           (SELECT COUNT(*) 
            FROM voucher_usage v 
-           WHERE v.contact_id = c.id AND v.deleted_at IS NULL), 
+           WHERE v.contact_id = c.id AND v.deleted_at IS ${archived ? 'NOT NULL' : 'NULL'}), 
           0
-        ) as voucher_count
-      FROM voucher_contacts c
-      WHERE c.deleted_at IS NULL
-        AND c.store = $1
-      ORDER BY c.name ASC`,
-      [req.store]
-    );
+        ) as voucher_count`,
+    from: 'voucher_contacts c',
+    conditions,
+    params,
+    idColumn: 'c.id',
+    dateColumn: 'c.created_at',
+    page
+  });
+}
+
+// GET /api/vouchers/contacts - Contacts with voucher counts, by name
+// Optional query: search (name), plus paging (see services/pagination.js):
+// sort = name, created_at; from/to filter on created_at
+router.get('/contacts', async (req, res) => {
+  const page = parsePageQuery(req.query, { sorts: CONTACT_SORTS, defaultSort: 'name' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
 
-    res.json({ contacts: result.rows });
+  try {
+    const { rows, ...paging } = await listContacts(req, { archived: false, page });
+
+    res.json({ contacts: rows, ...paging });
   } catch (error) {
     console.error('Get voucher contacts error:', error);
     res.status(500).json({ error: 'Failed to get contacts' });
@@ -60,8 +87,8 @@ router.get('/contacts/:id', async (req, res) => {
           0
         ) as voucher_count
       FROM voucher_contacts c
-      WHERE c.id = $1 AND c.deleted_at IS NULL`,
-      [id]
+      WHERE c.id = $1 AND c.deleted_at IS NULL AND c.store = $2`,
+      [id, req.store]
     );
 
     if (contactResult.rows.length === 0) {
@@ -91,7 +118,7 @@ router.get('/contacts/:id', async (req, res) => {
 
 // POST /api/vouchers/contacts - Create new contact
 router.post('/contacts', async (req, res) => {
-  const { name, referral_agency, case_manager_name, case_manager_phone } = req.body;
+  const { name, referral_agency, case_manager_name, case_manager_phone, customer_id } = req.body;
 
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Name is required' });
@@ -99,14 +126,40 @@ router.post('/contacts', async (req, res) => {
 
   try {
     const db = req.app.locals.db;
+
+    // Optional link to the customer directory (follows merges)
+    let customerId = null;
+    if (customer_id) {
+      const customer = await getCustomer(db, parseInt(customer_id) || 0);
+      if (!customer) {
+        return res.status(400).json({ error: 'Customer not found' });
+      }
+      customerId = customer.id;
+    }
+
+    // Possible banned list matches must be acknowledged before the contact is saved
+    const bannedMatches = await findBannedMatches(db, { name, customerId, store: req.store });
+    if (bannedMatches.length > 0 && !isOverride(req.body)) {
+      return res.status(409).json(bannedMatchResponse(bannedMatches));
+    }
     
     const result = await db.query(
-      `INSERT INTO voucher_contacts (name, referral_agency, case_manager_name, case_manager_phone, store)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, name, referral_agency, case_manager_name, case_manager_phone, created_at`,
-      [name.trim(), referral_agency || null, case_manager_name || null, case_manager_phone || null, req.store]
+      `INSERT INTO voucher_contacts (name, referral_agency, case_manager_name, case_manager_phone, store, customer_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, referral_agency, case_manager_name, case_manager_phone, customer_id, created_at`,
+      [name.trim(), referral_agency || null, case_manager_name || null, case_manager_phone || null, req.store, customerId]
     );
 
+    await recordAudit(req, {
+      entity: 'voucher_contact', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
+    if (bannedMatches.length > 0) {
+      await recordBannedOverride(req, {
+        matches: bannedMatches, entity: 'voucher_contact', entityId: result.rows[0].id, name: name.trim()
+      });
+    }
+
     res.status(201).json({
       message: 'Contact added successfully',
       contact: result.rows[0]
@@ -120,7 +173,7 @@ router.post('/contacts', async (req, res) => {
 // PUT /api/vouchers/contacts/:id - Update contact
 router.put('/contacts/:id', async (req, res) => {
   const { id } = req.params;
-  const { name, referral_agency, case_manager_name, case_manager_phone } = req.body;
+  const { name, referral_agency, case_manager_name, case_manager_phone, customer_id } = req.body;
 
   if (!name || !name.trim()) {
     return res.status(400).json({ error: 'Name is required' });
@@ -129,20 +182,47 @@ router.put('/contacts/:id', async (req, res) => {
   try {
     const db = req.app.locals.db;
 
+    const existing = await db.query(
+      'SELECT * FROM voucher_contacts WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [id, req.store]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    // Leave the customer link alone unless customer_id is sent (empty = unlink)
+    let customerId = existing.rows[0].customer_id;
+    if (customer_id !== undefined) {
+      customerId = null;
+      if (customer_id) {
+        const customer = await getCustomer(db, parseInt(customer_id) || 0);
+        if (!customer) {
+          return res.status(400).json({ error: 'Customer not found' });
+        }
+        customerId = customer.id;
+      }
+    }
+
     const result = await db.query(
       `UPDATE voucher_contacts 
        SET name = $1, referral_agency = $2, case_manager_name = $3, 
-           case_manager_phone = $4, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $5 AND deleted_at IS NULL
-       RETURNING id, name, referral_agency, case_manager_name, case_manager_phone, updated_at`,
+           case_manager_phone = $4, customer_id = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5 AND deleted_at IS NULL AND store = $7
+       RETURNING id, name, referral_agency, case_manager_name, case_manager_phone, customer_id, updated_at`,
       [name.trim(), referral_agency || null, case_manager_name || null, 
-       case_manager_phone || null, id]
+       case_manager_phone || null, id, customerId, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'voucher_contact', entityId: id, action: 'update', store: existing.rows[0].store,
+      before: existing.rows[0], after: result.rows[0]
+    });
+
     res.json({
       message: 'Contact updated successfully',
       contact: result.rows[0]
@@ -161,14 +241,19 @@ router.delete('/contacts/:id', async (req, res) => {
     const db = req.app.locals.db;
 
     const result = await db.query(
-      'UPDATE voucher_contacts SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING id',
-      [id]
+      'UPDATE voucher_contacts SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL AND store = $2 RETURNING *',
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'voucher_contact', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Contact deleted successfully' });
   } catch (error) {
     console.error('Delete contact error:', error);
@@ -196,14 +281,24 @@ router.post('/usage', async (req, res) => {
     const db = req.app.locals.db;
 
     const contactCheck = await db.query(
-      'SELECT id FROM voucher_contacts WHERE id = $1 AND deleted_at IS NULL',
-      [contact_id]
+      'SELECT id, name, customer_id FROM voucher_contacts WHERE id = $1 AND deleted_at IS NULL AND store = $2',
+      [contact_id, req.store]
     );
 
     if (contactCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
+    const contact = contactCheck.rows[0];
+
+    // Possible banned list matches must be acknowledged before the voucher is recorded
+    const bannedMatches = await findBannedMatches(db, {
+      name: contact.name, customerId: contact.customer_id, store: req.store
+    });
+    if (bannedMatches.length > 0 && !isOverride(req.body)) {
+      return res.status(409).json(bannedMatchResponse(bannedMatches));
+    }
+
     const result = await db.query(
       `INSERT INTO voucher_usage (contact_id, date_used, created_by, store)
        VALUES ($1, $2::date, $3, $4)
@@ -211,6 +306,16 @@ router.post('/usage', async (req, res) => {
       [contact_id, date_used, req.user.id, req.store]
     );
 
+    await recordAudit(req, {
+      entity: 'voucher_usage', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+
+    if (bannedMatches.length > 0) {
+      await recordBannedOverride(req, {
+        matches: bannedMatches, entity: 'voucher_usage', entityId: result.rows[0].id, name: contact.name
+      });
+    }
+
     res.status(201).json({
       message: 'Voucher usage added successfully',
       usage: result.rows[0]
@@ -229,14 +334,19 @@ router.delete('/usage/:id', async (req, res) => {
     const db = req.app.locals.db;
 
     const result = await db.query(
-      'UPDATE voucher_usage SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING id',
-      [id]
+      'UPDATE voucher_usage SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL AND store = $2 RETURNING *',
+      [id, req.store]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Voucher usage not found' });
     }
 
+    await recordAudit(req, {
+      entity: 'voucher_usage', entityId: id, action: 'delete', store: result.rows[0].store,
+      before: result.rows[0]
+    });
+
     res.json({ message: 'Voucher usage deleted successfully' });
   } catch (error) {
     console.error('Delete voucher usage error:', error);
@@ -249,29 +359,18 @@ router.delete('/usage/:id', async (req, res) => {
 // ARCHIVED VOUCHER ROUTES (Admin only, read-only)
 // ============================================================================
 
-// GET /api/vouchers/archived/contacts - Get all archived contacts (Admin only)
-router.get('/archived/contacts', requireRole('Admin'), async (req, res) => {
-  try {
-    const db = req.app.locals.db;
+// GET /api/vouchers/archived/contacts - Archived contacts (Admin only)
+// Same query options as GET /api/vouchers/contacts
+router.get('/archived/contacts', requirePermission('vouchers.archive'), async (req, res) => {
+  const page = parsePageQuery(req.query, { sorts: CONTACT_SORTS, defaultSort: 'name' });
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
 
-    const result = await db.query(
-      `SELECT 
-        c.id, c.name, c.referral_agency, c.case_manager_name, 
-        c.case_manager_phone, c.created_at, c.updated_at, c.deleted_at,
-        COALESCE(
-          (SELECT COUNT(*) 
-           FROM voucher_usage v 
-           WHERE v.contact_id = c.id AND v.deleted_at IS NOT NULL), 
-          0
-        ) as voucher_count
-      FROM voucher_contacts c
-      WHERE c.deleted_at IS NOT NULL
-        AND c.store = $1
-      ORDER BY c.name ASC`,
-      [req.store]
-    );
+  try {
+    const { rows, ...paging } = await listContacts(req, { archived: true, page });
 
-    res.json({ contacts: result.rows });
+    res.json({ contacts: rows, ...paging });
   } catch (error) {
     console.error('Get archived voucher contacts error:', error);
     res.status(500).json({ error: 'Failed to get archived contacts' });
@@ -279,7 +378,7 @@ router.get('/archived/contacts', requireRole('Admin'), async (req, res) => {
 });
 
 // GET /api/vouchers/archived/contacts/:id - Get single archived contact with usage history (Admin only)
-router.get('/archived/contacts/:id', requireRole('Admin'), async (req, res) => {
+router.get('/archived/contacts/:id', requirePermission('vouchers.archive'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -296,8 +395,8 @@ router.get('/archived/contacts/:id', requireRole('Admin'), async (req, res) => {
           0
         ) as voucher_count
       FROM voucher_contacts c
-      WHERE c.id = $1 AND c.deleted_at IS NOT NULL`,
-      [id]
+      WHERE c.id = $1 AND c.deleted_at IS NOT NULL AND c.store = $2`,
+      [id, req.store]
     );
 
     if (contactResult.rows.length === 0) {
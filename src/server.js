@@ -22,6 +22,24 @@ const sopsRoutes = require('./routes/sops');
 const endOfDayRoutes = require('./routes/end-of-day');
 const bannedListRoutes = require('./routes/banned-list');
 const vouchersRoutes = require('./routes/vouchers'); 
+const pickupRemindersRoutes = require('./routes/pickup-reminders');
+const emailOutboxRoutes = require('./routes/email-outbox');
+const storesRoutes = require('./routes/stores');
+const permissionsRoutes = require('./routes/permissions');
+const auditRoutes = require('./routes/audit');
+const customersRoutes = require('./routes/customers');
+const searchRoutes = require('./routes/search');
+const exportRoutes = require('./routes/export');
+const deliveriesRoutes = require('./routes/deliveries');
+const uploadsRoutes = require('./routes/uploads');
+const filesRoutes = require('./routes/files');
+const uploadMaintenanceRoutes = require('./routes/upload-maintenance');
+const retentionRoutes = require('./routes/retention');
+const { startPickupReminderScheduler } = require('./services/pickup-reminders');
+const { startEmailOutboxWorker } = require('./services/email-outbox');
+const { startRetentionScheduler } = require('./services/retention');
+const { loadStores } = require('./services/stores');
+const { checkSchema } = require('./services/migrations');
 
 // Initialize Express app
 const app = express();
@@ -29,7 +47,7 @@ const PORT = process.env.PORT || 3000;
 
 // Database connection pool
 // Support both DATABASE_URL (Render) and individual variables (local)
-const pool = new Pool(
+const createPool = () => new Pool(
   process.env.DATABASE_URL
     ? {
         connectionString: process.env.DATABASE_URL,
@@ -50,36 +68,14 @@ const pool = new Pool(
       }
 );
 
-// Test database connection and set timezone
-pool.query('SELECT NOW()', (err, res) => {
-  if (err) {
-    console.error('❌ Database connection error:', err);
-  } else {
-    console.log('✅ Database connected successfully');
-    
-    // Set timezone to UTC to prevent date shifting issues
-    pool.query("SET TIME ZONE 'UTC'", (tzErr) => {
-      if (tzErr) {
-        console.error('⚠️ Warning: Could not set timezone to UTC:', tzErr);
-      } else {
-        console.log('✅ Database timezone set to UTC');
-      }
-    });
-  }
-});
-
-// Make pool available to routes
-app.locals.db = pool;
-
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files statically (configurable for cloud deployment)
-const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-const uploadPath = path.isAbsolute(uploadDir) ? uploadDir : path.join(__dirname, '..', uploadDir);
-app.use('/uploads', express.static(uploadPath));
+// Serve uploaded files from local disk or S3 (see services/storage.js); signatures
+// and cash report photos need a signed link (see services/upload-access.js)
+app.use('/uploads', uploadsRoutes);
 
 // Serve frontend static files
 app.use(express.static(path.join(__dirname, '../public')));
@@ -99,6 +95,18 @@ app.use('/api/sops', sopsRoutes);
 app.use('/api/end-of-day', endOfDayRoutes);
 app.use('/api/banned-list', bannedListRoutes);
 app.use('/api/vouchers', vouchersRoutes); 
+app.use('/api/pickup-reminders', pickupRemindersRoutes);
+app.use('/api/email-outbox', emailOutboxRoutes);
+app.use('/api/stores', storesRoutes);
+app.use('/api/permissions', permissionsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/customers', customersRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/deliveries', deliveriesRoutes);
+app.use('/api/files', filesRoutes);
+app.use('/api/upload-maintenance', uploadMaintenanceRoutes);
+app.use('/api/retention', retentionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -123,18 +131,77 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Error handler
+// Error handler. Errors marked expose (unreadable uploads, malformed JSON)
+// are the request's fault and go back as a 400 with their message.
 app.use((err, req, res, next) => {
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
   console.error('Server error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 LBTS Server running on http://localhost:${PORT}`);
-  console.log(`📱 Access from phone: http://[your-laptop-ip]:${PORT}`);
-});
+// Start server (the test suite loads the app without starting it and sets app.locals.db itself)
+function startServer() {
+  const pool = createPool();
+
+  // Test database connection and set timezone
+  pool.query('SELECT NOW()', (err, res) => {
+    if (err) {
+      console.error('❌ Database connection error:', err);
+    } else {
+      console.log('✅ Database connected successfully');
+
+      // Set timezone to UTC to prevent date shifting issues
+      pool.query("SET TIME ZONE 'UTC'", (tzErr) => {
+        if (tzErr) {
+          console.error('⚠️ Warning: Could not set timezone to UTC:', tzErr);
+        } else {
+          console.log('✅ Database timezone set to UTC');
+        }
+      });
+    }
+  });
 
+  // Refuse to start against a database whose schema doesn't match migrations/
+  checkSchema(pool)
+    .then(status => {
+      console.log(`✅ Database schema is at version ${status.current}`);
+      status.changed.forEach(migration => {
+        console.warn(`⚠️ Warning: ${migration.file} was edited after it was applied`);
+      });
+
+      // Make pool available to routes
+      app.locals.db = pool;
+
+      app.listen(PORT, () => {
+        console.log(`🚀 LBTS Server running on http://localhost:${PORT}`);
+        console.log(`📱 Access from phone: http://[your-laptop-ip]:${PORT}`);
+
+        // Store details are cached for the auth middleware and email templates
+        loadStores(pool)
+          .then(stores => console.log(`🏪 Loaded ${stores.length} store(s)`))
+          .catch(error => console.error('❌ Failed to load stores:', error.message));
+
+        // Retry queued emails in the background
+        startEmailOutboxWorker(pool);
+
+        // Automatically send Due Today / Final Notice pickup emails
+        startPickupReminderScheduler(pool);
+
+        // Permanently delete old soft-deleted records once a day (retention policies)
+        startRetentionScheduler(pool);
+      });
+    })
+    .catch(error => {
+      console.error('❌ Database check failed:', error.message);
+      process.exit(1);
+    });
+}
 
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,66 @@
+// src/services/audit.js
+// Audit log: every mutating route records who changed what, in which store,
+// and the record before and after the change (see migrations/022_create_audit_events_table.sql).
+
+// Never copied into the audit log
+const REDACTED_FIELDS = ['password', 'password_hash', 'refresh_token_hash', 'previous_token_hash'];
+
+// Strip secrets from a row (or list of rows) before it is stored as JSON
+function sanitize(data) {
+  if (data === undefined || data === null) return null;
+  if (Array.isArray(data)) return data.map(sanitize);
+  if (typeof data !== 'object' || data instanceof Date) return data;
+
+  const clean = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (REDACTED_FIELDS.includes(key)) continue;
+    clean[key] = value;
+  }
+  return clean;
+}
+
+function toJson(data) {
+  const clean = sanitize(data);
+  return clean === null ? null : JSON.stringify(clean);
+}
+
+// Record one change made by req.user.
+//   entity   - what was changed, e.g. 'user', 'banned_list', 'pickup_form'
+//   entityId - its id (optional for bulk actions)
+//   action   - create, update, delete, restore, ...
+//   before / after - the record before and after the change
+//   store    - defaults to req.store
+//   actor    - defaults to req.user (login has no req.user yet)
+// Never throws: a failed audit write is logged but doesn't fail the request.
+async function recordAudit(req, { entity, entityId = null, action, before = null, after = null, store, actor }) {
+  try {
+    const db = req.app.locals.db;
+    const user = actor || req.user || {};
+
+    await db.query(
+      `INSERT INTO audit_events
+       (user_id, username, role, store, entity, entity_id, action,
+        before_data, after_data, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        user.id || null,
+        user.username || null,
+        user.role || null,
+        store !== undefined ? store : (req.store || null),
+        entity,
+        entityId === null || entityId === undefined ? null : String(entityId),
+        action,
+        toJson(before),
+        toJson(after),
+        req.ip || null,
+        req.headers['user-agent'] || null
+      ]
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+module.exports = {
+  recordAudit
+};
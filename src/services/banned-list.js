@@ -0,0 +1,149 @@
+// src/services/banned-list.js
+// Checks new customer records against the banned list. A possible match must be
+// acknowledged (banned_override) before the record is saved, and overrides are audited.
+
+const { recordAudit } = require('./audit');
+
+// Names this similar (0-1) count as a match
+const NAME_MATCH_THRESHOLD = 0.85;
+
+// Reason categories for a ban
+const BAN_REASONS = ['theft', 'violence', 'harassment', 'other'];
+
+// Ban scopes: 'store' = only the store that created it, 'all' = shared with every store
+const BAN_SCOPES = ['store', 'all'];
+
+// A ban is active until the end of its expires_on date (NULL = permanent)
+const ACTIVE_BAN_SQL = '(b.expires_on IS NULL OR b.expires_on >= CURRENT_DATE)';
+
+// Bans that apply in the store given as parameter $N: its own plus shared ones
+function appliesInStoreSql(param) {
+  return `(b.store = $${param} OR b.scope = 'all')`;
+}
+
+// Lowercase words with punctuation removed: "O'Brien, Pat" -> ['obrien', 'pat']
+function nameTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// How alike two names are (0-1). Word order doesn't matter ("Smith John" = "John Smith"),
+// and a banned name of two or more words matches a longer name that contains them all
+// ("John Smith" matches "John Paul Smith").
+function nameSimilarity(customerName, bannedName) {
+  const customer = nameTokens(customerName);
+  const banned = nameTokens(bannedName);
+  if (customer.length === 0 || banned.length === 0) return 0;
+
+  const whole = similarity([...customer].sort().join(' '), [...banned].sort().join(' '));
+  if (banned.length < 2) return whole;
+
+  // Every banned word has a close word in the customer's name
+  const contained = banned
+    .map(word => Math.max(...customer.map(other => similarity(word, other))))
+    .reduce((lowest, score) => Math.min(lowest, score), 1);
+
+  return Math.max(whole, contained);
+}
+
+// Active bans in this store (including bans shared by other stores) that may be
+// this customer: linked to the same customer (or one with the same phone number),
+// or with a similar name or alias
+async function findBannedMatches(db, { name, phone, customerId, store }) {
+  const result = await db.query(
+    `SELECT b.id, b.name, b.aliases, b.reason_category, b.picture_urls, b.notes, b.customer_id,
+            b.expires_on, b.store, b.scope, st.short_name AS store_name, b.created_at,
+            (b.customer_id IS NOT NULL AND (b.customer_id = $2 OR c.phone_normalized = normalize_phone($3::text))) AS same_customer
+     FROM banned_list b
+     LEFT JOIN customers c ON c.id = b.customer_id
+     LEFT JOIN stores st ON st.code = b.store
+     WHERE b.deleted_at IS NULL AND ${appliesInStoreSql(1)} AND ${ACTIVE_BAN_SQL}`,
+    [store, customerId || null, phone || null]
+  );
+
+  const matches = [];
+
+  for (const entry of result.rows) {
+    const score = Math.max(...[entry.name, ...entry.aliases].map(banned => nameSimilarity(name, banned)));
+
+    if (entry.same_customer || score >= NAME_MATCH_THRESHOLD) {
+      const { same_customer: sameCustomer, ...details } = entry;
+      matches.push({
+        ...details,
+        reason: sameCustomer ? 'customer' : 'name',
+        score: Math.round(score * 100) / 100
+      });
+    }
+  }
+
+  // Same customer first, then closest name
+  return matches.sort((a, b) => (b.reason === 'customer') - (a.reason === 'customer') || b.score - a.score);
+}
+
+// Did the user acknowledge the banned list warning? (JSON true or form field 'true')
+function isOverride(body) {
+  return body.banned_override === true || body.banned_override === 'true';
+}
+
+// Sent instead of saving when there are matches and no override
+function bannedMatchResponse(matches) {
+  return {
+    error: 'This customer may be on the banned list',
+    code: 'BANNED_LIST_MATCH',
+    matches
+  };
+}
+
+// Record that req.user saved a record despite banned list matches
+async function recordBannedOverride(req, { matches, entity, entityId, name }) {
+  for (const match of matches) {
+    await recordAudit(req, {
+      entity: 'banned_list', entityId: match.id, action: 'override',
+      after: {
+        record: entity,
+        record_id: entityId,
+        customer_name: name,
+        reason: match.reason,
+        override_reason: req.body.banned_override_reason || null
+      }
+    });
+  }
+}
+
+module.exports = {
+  BAN_REASONS,
+  BAN_SCOPES,
+  ACTIVE_BAN_SQL,
+  appliesInStoreSql,
+  nameSimilarity,
+  findBannedMatches,
+  isOverride,
+  bannedMatchResponse,
+  recordBannedOverride
+};
@@ -0,0 +1,250 @@
+// src/services/customers.js
+// Customer directory: one customer per phone number, linked from forms,
+// voucher contacts and banned list entries (see migrations/024_create_customers_table.sql).
+// Phone numbers are normalized by the normalize_phone() SQL function.
+
+// Every table with a customer_id column
+const LINKED_TABLES = ['pickup_forms', 'delivery_forms', 'donation_forms', 'waiver_forms', 'voucher_contacts', 'banned_list'];
+
+// (customer_id, store) for every linked record, used to limit customers to a user's stores
+const CUSTOMER_STORES_SQL = LINKED_TABLES
+  .map(table => `SELECT customer_id, store FROM ${table} WHERE customer_id IS NOT NULL AND deleted_at IS NULL`)
+  .join(' UNION ');
+
+// Find the customer with this phone number, or create one.
+// An existing customer keeps their name; a missing email is filled in.
+async function findOrCreateCustomer(db, { name, phone, email }) {
+  // A number that only a merged customer had belongs to the customer they were merged into
+  const merged = await db.query(
+    `SELECT id FROM customers
+     WHERE phone_normalized = normalize_phone($1) AND merged_into_id IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM customers WHERE phone_normalized = normalize_phone($1) AND merged_into_id IS NULL
+       )
+     ORDER BY merged_at DESC
+     LIMIT 1`,
+    [phone || null]
+  );
+
+  if (merged.rows.length > 0) {
+    const customer = await getCustomer(db, merged.rows[0].id);
+    if (customer) return customer;
+  }
+
+  const result = await db.query(
+    `INSERT INTO customers (name, phone, phone_normalized, email)
+     VALUES ($1, $2::text, normalize_phone($2::text), $3)
+     ON CONFLICT (phone_normalized) WHERE merged_into_id IS NULL AND phone_normalized IS NOT NULL
+     DO UPDATE SET email = COALESCE(customers.email, EXCLUDED.email),
+                   updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [name.trim(), phone || null, email || null]
+  );
+
+  return result.rows[0];
+}
+
+// Get a customer, following merges to the customer they ended up in
+async function getCustomer(db, id) {
+  let result = await db.query('SELECT * FROM customers WHERE id = $1', [id]);
+
+  // Merges always point at an active customer, but guard against loops anyway
+  for (let hops = 0; result.rows.length > 0 && result.rows[0].merged_into_id && hops < 10; hops++) {
+    result = await db.query('SELECT * FROM customers WHERE id = $1', [result.rows[0].merged_into_id]);
+  }
+
+  return result.rows[0] || null;
+}
+
+// Can this user see the customer? (they have a record in one of the user's stores)
+async function customerInStores(db, customerId, stores) {
+  if (!stores) return true;
+
+  const result = await db.query(
+    `SELECT 1 FROM (${CUSTOMER_STORES_SQL}) cs
+     WHERE cs.customer_id = $1 AND cs.store = ANY($2)
+     LIMIT 1`,
+    [customerId, stores]
+  );
+
+  return result.rows.length > 0;
+}
+
+// Search customers by name, phone or email. stores limits results to customers
+// with a record in those stores (null = every store).
+async function searchCustomers(db, { search, stores, limit = 50, offset = 0 }) {
+  const conditions = ['c.merged_into_id IS NULL'];
+  const params = [];
+
+  if (search && search.trim()) {
+    params.push(`%${search.trim()}%`, search.trim());
+    conditions.push(
+      `(c.name ILIKE $${params.length - 1} OR c.email ILIKE $${params.length - 1}
+        OR c.phone_normalized LIKE '%' || normalize_phone($${params.length}) || '%')`
+    );
+  }
+
+  if (stores) {
+    params.push(stores);
+    conditions.push(`c.id IN (SELECT customer_id FROM (${CUSTOMER_STORES_SQL}) cs WHERE cs.store = ANY($${params.length}))`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await db.query(`SELECT COUNT(*) AS total FROM customers c WHERE ${where}`, params);
+
+  const result = await db.query(
+    `SELECT c.id, c.name, c.phone, c.email, c.created_at, c.updated_at,
+            (SELECT COUNT(*) FROM pickup_forms WHERE customer_id = c.id AND deleted_at IS NULL)
+          + (SELECT COUNT(*) FROM delivery_forms WHERE customer_id = c.id AND deleted_at IS NULL)
+          + (SELECT COUNT(*) FROM donation_forms WHERE customer_id = c.id AND deleted_at IS NULL)
+          + (SELECT COUNT(*) FROM waiver_forms WHERE customer_id = c.id AND deleted_at IS NULL) AS form_count
+     FROM customers c
+     WHERE ${where}
+     ORDER BY LOWER(c.name), c.id
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { customers: result.rows, total: parseInt(countResult.rows[0].total) };
+}
+
+// Everything linked to a customer, newest first: purchases (pickups and deliveries),
+// donations, waivers, voucher usage and banned list entries.
+async function getCustomerTimeline(db, customerId, stores) {
+  const result = await db.query(
+    `SELECT * FROM (
+       SELECT 'pickup' AS type, id, store, date, created_at, items_description AS description
+       FROM pickup_forms WHERE customer_id = $1 AND deleted_at IS NULL
+       UNION ALL
+       SELECT 'delivery', id, store, date, created_at, items_description
+       FROM delivery_forms WHERE customer_id = $1 AND deleted_at IS NULL
+       UNION ALL
+       SELECT 'donation', id, store, date, created_at, donation_description
+       FROM donation_forms WHERE customer_id = $1 AND deleted_at IS NULL
+       UNION ALL
+       SELECT 'waiver', id, store, date, created_at, NULL
+       FROM waiver_forms WHERE customer_id = $1 AND deleted_at IS NULL
+       UNION ALL
+       SELECT 'voucher', v.id, v.store, v.date_used, v.created_at, c.referral_agency
+       FROM voucher_usage v
+       JOIN voucher_contacts c ON c.id = v.contact_id
+       WHERE c.customer_id = $1 AND v.deleted_at IS NULL AND c.deleted_at IS NULL
+       UNION ALL
+       SELECT 'banned', id, store, created_at::date, created_at, notes
+       FROM banned_list WHERE customer_id = $1 AND deleted_at IS NULL
+     ) t
+     WHERE $2::text[] IS NULL OR t.store = ANY($2)
+     ORDER BY t.created_at DESC, t.id DESC`,
+    [customerId, stores || null]
+  );
+
+  return result.rows;
+}
+
+// Groups of active customers that look like the same person: same email,
+// or same name with different phone numbers
+async function findDuplicateCustomers(db, { stores, limit = 50 } = {}) {
+  const storeFilter = stores
+    ? `AND c.id IN (SELECT customer_id FROM (${CUSTOMER_STORES_SQL}) cs WHERE cs.store = ANY($2))`
+    : '';
+
+  const result = await db.query(
+    `SELECT reason, match, json_agg(json_build_object(
+              'id', id, 'name', name, 'phone', phone, 'email', email, 'created_at', created_at
+            ) ORDER BY id) AS customers
+     FROM (
+       SELECT 'email' AS reason, LOWER(c.email) AS match, c.*
+       FROM customers c
+       WHERE c.merged_into_id IS NULL AND c.email IS NOT NULL ${storeFilter}
+       UNION ALL
+       SELECT 'name', LOWER(TRIM(c.name)), c.*
+       FROM customers c
+       WHERE c.merged_into_id IS NULL ${storeFilter}
+     ) candidates
+     GROUP BY reason, match
+     HAVING COUNT(*) > 1
+     ORDER BY match
+     LIMIT $1`,
+    stores ? [limit, stores] : [limit]
+  );
+
+  return result.rows;
+}
+
+// Merge other customers into targetId: their records move to the target,
+// the target gets any phone/email it was missing, and they are marked merged.
+// Returns { target, before, merged } (before / merged = the rows before the merge),
+// or null if any of the customers is missing or already merged.
+async function mergeCustomers(db, targetId, sourceIds) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const customers = await client.query(
+      'SELECT * FROM customers WHERE id = ANY($1) AND merged_into_id IS NULL ORDER BY id FOR UPDATE',
+      [[targetId, ...sourceIds]]
+    );
+
+    const target = customers.rows.find(c => c.id === targetId);
+    const sources = customers.rows.filter(c => c.id !== targetId);
+
+    if (!target || sources.length !== sourceIds.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    for (const table of LINKED_TABLES) {
+      await client.query(`UPDATE ${table} SET customer_id = $1 WHERE customer_id = ANY($2)`, [targetId, sourceIds]);
+    }
+
+    // Earlier merges into a source now point at the target
+    await client.query(
+      'UPDATE customers SET merged_into_id = $1 WHERE merged_into_id = ANY($2)',
+      [targetId, sourceIds]
+    );
+
+    // Mark sources merged first so their phone numbers are free for the target
+    await client.query(
+      `UPDATE customers SET merged_into_id = $1, merged_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($2)`,
+      [targetId, sourceIds]
+    );
+
+    const phoneSource = sources.find(c => c.phone_normalized);
+    const emailSource = sources.find(c => c.email);
+    const notes = [target.notes, ...sources.map(c => c.notes)].filter(Boolean).join('\n');
+
+    const updated = await client.query(
+      `UPDATE customers
+       SET phone = COALESCE(phone, $2::text),
+           phone_normalized = COALESCE(phone_normalized, normalize_phone($2::text)),
+           email = COALESCE(email, $3),
+           notes = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [targetId, phoneSource ? phoneSource.phone : null, emailSource ? emailSource.email : null, notes || null]
+    );
+
+    await client.query('COMMIT');
+
+    return { target: updated.rows[0], before: target, merged: sources };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  findOrCreateCustomer,
+  getCustomer,
+  customerInStores,
+  searchCustomers,
+  getCustomerTimeline,
+  findDuplicateCustomers,
+  mergeCustomers
+};
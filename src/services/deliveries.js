@@ -0,0 +1,205 @@
+// src/services/deliveries.js
+// Daily delivery manifest: the deliveries scheduled for a day grouped by
+// store, with each stop's place in the route, its driver and truck, and its
+// progress (see migrations/029_create_delivery_stops_table.sql).
+
+const { getStoreInfo } = require('./mailer');
+const { getOutForDeliveryEmail } = require('./email-templates');
+const { queueAndSendEmail } = require('./email-outbox');
+
+// status value -> label
+const STOP_STATUSES = {
+  scheduled: 'Scheduled',
+  loaded: 'Loaded',
+  en_route: 'Out for Delivery',
+  delivered: 'Delivered',
+  failed: 'Failed'
+};
+
+// A delivery without a delivery_stops row is an unordered, unassigned, scheduled stop
+const STOP_COLUMNS = `df.id, df.store, df.customer_id, df.customer_name, df.phone, df.email,
+        df.items_description, df.notes, df.delivery_address, df.delivery_cost,
+        to_char(df.date_scheduled, 'YYYY-MM-DD') AS date_scheduled,
+        ds.stop_order, ds.driver_name, ds.truck,
+        COALESCE(ds.status, 'scheduled') AS status,
+        ds.failure_reason, ds.photo_url, ds.status_updated_at,
+        u.username AS status_updated_by_username,
+        ds.out_for_delivery_email_at`;
+
+const STOP_TABLES = `delivery_forms df
+      LEFT JOIN delivery_stops ds ON ds.delivery_form_id = df.id
+      LEFT JOIN users u ON u.id = ds.status_updated_by`;
+
+// One stop as the API returns it, or undefined
+async function getStop(db, id) {
+  const result = await db.query(
+    `SELECT ${STOP_COLUMNS}
+     FROM ${STOP_TABLES}
+     WHERE df.id = $1 AND df.deleted_at IS NULL`,
+    [id]
+  );
+
+  return result.rows[0];
+}
+
+// Deliveries scheduled on a day in each of the given stores, in route order
+// (stops that haven't been ordered yet come last, oldest form first).
+// Returns [{ store, name, stops, totals }] with an entry for every store.
+async function getManifest(db, { date, stores }) {
+  const result = await db.query(
+    `SELECT ${STOP_COLUMNS}
+     FROM ${STOP_TABLES}
+     WHERE df.deleted_at IS NULL AND df.date_scheduled = $1::date AND df.store = ANY($2)
+     ORDER BY df.store, ds.stop_order ASC NULLS LAST, df.created_at ASC, df.id ASC`,
+    [date, stores]
+  );
+
+  return stores.map(store => {
+    const stops = result.rows.filter(row => row.store === store);
+    const byStatus = {};
+    for (const status of Object.keys(STOP_STATUSES)) {
+      byStatus[status] = stops.filter(stop => stop.status === status).length;
+    }
+
+    return {
+      store,
+      name: getStoreInfo(store).name,
+      stops,
+      totals: {
+        stops: stops.length,
+        deliveryCost: Math.round(stops.reduce((sum, stop) => sum + Number(stop.delivery_cost || 0), 0) * 100) / 100,
+        byStatus
+      }
+    };
+  });
+}
+
+// Set the route order for a store's deliveries on a day. formIds lists the
+// stops first to last; stops left out of the list go back to unordered.
+// Returns { error } if an id isn't a delivery in that store on that day.
+async function setStopOrder(db, { store, date, formIds }) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const scheduled = await client.query(
+      `SELECT id FROM delivery_forms
+       WHERE store = $1 AND date_scheduled = $2::date AND deleted_at IS NULL
+       FOR UPDATE`,
+      [store, date]
+    );
+    const scheduledIds = scheduled.rows.map(row => row.id);
+
+    const unknown = formIds.filter(id => !scheduledIds.includes(id));
+    if (unknown.length > 0) {
+      await client.query('ROLLBACK');
+      return { error: `Delivery ${unknown[0]} is not scheduled in this store on ${date}` };
+    }
+
+    await client.query(
+      `INSERT INTO delivery_stops (delivery_form_id, stop_order)
+       SELECT id, position FROM unnest($1::int[]) WITH ORDINALITY AS t(id, position)
+       ON CONFLICT (delivery_form_id) DO UPDATE
+       SET stop_order = EXCLUDED.stop_order, updated_at = NOW()`,
+      [formIds]
+    );
+
+    await client.query(
+      `UPDATE delivery_stops SET stop_order = NULL, updated_at = NOW()
+       WHERE delivery_form_id = ANY($1) AND NOT delivery_form_id = ANY($2)
+         AND stop_order IS NOT NULL`,
+      [scheduledIds, formIds]
+    );
+
+    await client.query('COMMIT');
+    return {};
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Put a driver and truck on a set of stops (null clears them)
+async function assignStops(db, { formIds, driverName, truck }) {
+  await db.query(
+    `INSERT INTO delivery_stops (delivery_form_id, driver_name, truck)
+     SELECT unnest($1::int[]), $2, $3
+     ON CONFLICT (delivery_form_id) DO UPDATE
+     SET driver_name = EXCLUDED.driver_name, truck = EXCLUDED.truck, updated_at = NOW()`,
+    [formIds, driverName || null, truck || null]
+  );
+}
+
+// Record where a stop is on the route. The reason and photo belong to this
+// update, so they are cleared when the status moves on.
+async function updateStopStatus(db, { id, status, reason, photoUrl, userId }) {
+  await db.query(
+    `INSERT INTO delivery_stops
+     (delivery_form_id, status, failure_reason, photo_url, status_updated_at, status_updated_by)
+     VALUES ($1, $2, $3, $4, NOW(), $5)
+     ON CONFLICT (delivery_form_id) DO UPDATE
+     SET status = EXCLUDED.status,
+         failure_reason = EXCLUDED.failure_reason,
+         photo_url = EXCLUDED.photo_url,
+         status_updated_at = EXCLUDED.status_updated_at,
+         status_updated_by = EXCLUDED.status_updated_by,
+         updated_at = NOW()`,
+    [id, status, status === 'failed' ? reason : null, photoUrl || null, userId || null]
+  );
+
+  return getStop(db, id);
+}
+
+// Tell the customer their delivery is on its way. Sent once per delivery;
+// returns null when there's nothing to send, otherwise the queueAndSendEmail
+// result (a failed send stays in the outbox to be retried).
+async function sendOutForDeliveryEmail(db, stop, userId) {
+  if (!stop.email || stop.out_for_delivery_email_at) {
+    return null;
+  }
+
+  const { subject, html } = getOutForDeliveryEmail(stop, stop.store);
+  const result = await queueAndSendEmail(db, {
+    store: stop.store,
+    emailType: 'out_for_delivery',
+    formType: 'delivery',
+    formId: stop.id,
+    to: stop.email,
+    subject,
+    html,
+    createdBy: userId
+  });
+
+  await db.query(
+    'UPDATE delivery_stops SET out_for_delivery_email_at = NOW() WHERE delivery_form_id = $1',
+    [stop.id]
+  );
+
+  return result;
+}
+
+// A delivery moved to another day starts over: it leaves the old day's route
+// and its crew, status and customer notice are reset.
+async function clearStopIfRescheduled(db, formId, newDate) {
+  await db.query(
+    `DELETE FROM delivery_stops ds
+     USING delivery_forms df
+     WHERE ds.delivery_form_id = df.id AND df.id = $1
+       AND df.date_scheduled IS DISTINCT FROM $2::date`,
+    [formId, newDate]
+  );
+}
+
+module.exports = {
+  STOP_STATUSES,
+  getStop,
+  getManifest,
+  setStopOrder,
+  assignStops,
+  updateStopStatus,
+  sendOutForDeliveryEmail,
+  clearStopIfRescheduled
+};
@@ -0,0 +1,264 @@
+// src/services/donation-pdf.js
+// Donation acknowledgment PDFs: the receipt for one donation (itemized, with
+// the donor's signature) and a donor's year-end summary of every donation.
+
+const { PassThrough } = require('stream');
+const PDFDocument = require('pdfkit');
+const { getStoreInfo } = require('./mailer');
+const { formatDay, drawLetterhead, drawSignature, loadSignatureImages } = require('./form-pdf');
+const { ITEM_CONDITIONS, formatMoney, getDonationReceipt, getDonorSummary } = require('./donations');
+
+const TAX_ID = '23-7376148';
+
+// Printed on both PDFs. The store acknowledges what it received; it doesn't
+// appraise donated goods, so any values are the donor's own.
+const ACKNOWLEDGMENT = [
+  'Thank you for your generous donation. No one has ever been turned away from the Beacon House Association of San Pedro due to their inability to pay, and because of friends like you, this policy will continue in the future.',
+  'No goods or services were provided in exchange for this donation.',
+  'Values shown were estimated by the donor. Beacon House acknowledges receipt of the items described but does not assign them a value.',
+  `For your records our tax ID is #${TAX_ID}. Please keep this receipt for your tax records.`
+];
+
+// "2 x Clothing (Good), 1 x Furniture (Like New)" for the year-end summary
+function itemSummary(donation) {
+  if (!donation.items || donation.items.length === 0) {
+    return donation.donation_description || '';
+  }
+  return donation.items
+    .map(item => `${item.quantity} x ${item.category} (${ITEM_CONDITIONS[item.condition] || item.condition})`)
+    .join(', ');
+}
+
+// Draw a table. columns: [{ header, width, align }]; rows: arrays of text.
+// The header row repeats at the top of each new page.
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const right = left + columns.reduce((sum, column) => sum + column.width, 0);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const padding = 4;
+
+  const drawRow = (cells, header) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9.5);
+
+    const height = padding * 2 + Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(cell || ' ', { width: columns[i].width - padding * 2 })
+    ));
+
+    if (!header && doc.y + height > bottom) {
+      doc.addPage();
+      drawRow(columns.map(column => column.header), true);
+      doc.font('Helvetica').fontSize(9.5);
+    }
+
+    const top = doc.y;
+    if (header) {
+      doc.rect(left, top, right - left, height).fill('#edf2f7').fillColor('black');
+    }
+
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell || '', x + padding, top + padding, {
+        width: columns[i].width - padding * 2,
+        align: columns[i].align || 'left'
+      });
+      x += columns[i].width;
+    });
+
+    doc.moveTo(left, top + height).lineTo(right, top + height).strokeColor('#cbd5e0').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.header), true);
+  rows.forEach(row => drawRow(row, false));
+}
+
+function drawField(doc, label, value) {
+  if (value === null || value === undefined || value === '') return;
+  doc.font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true })
+    .font('Helvetica').text(String(value));
+  doc.moveDown(0.3);
+}
+
+function drawAcknowledgment(doc) {
+  doc.moveDown().font('Helvetica-Bold').fontSize(12).text('Acknowledgment');
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+  for (const paragraph of ACKNOWLEDGMENT) {
+    doc.text(paragraph);
+    doc.moveDown(0.5);
+  }
+}
+
+function drawTotal(doc, label, value) {
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11)
+    .text(`${label}: ${formatMoney(value)}`, { align: 'right' });
+}
+
+function createDocument(title, s) {
+  return new PDFDocument({
+    size: 'LETTER',
+    margin: 54,
+    info: { Title: title, Author: s.name }
+  });
+}
+
+// Receipt for one donation.
+//   form - donation_forms row with date as YYYY-MM-DD and items (see
+//          DONATION_ITEMS_SQL in services/donations.js)
+//   signatures - from loadSignatureImages(form) in services/form-pdf.js
+function writeDonationReceiptPdf(stream, form, store, signatures) {
+  const s = getStoreInfo(store);
+  const doc = createDocument(`Donation Receipt - ${form.customer_name}`, s);
+  const items = form.items || [];
+
+  doc.pipe(stream);
+  drawLetterhead(doc, s);
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(15).text('Donation Receipt', { align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor('#718096')
+    .text(form.receipt_number ? `Receipt No. ${form.receipt_number}` : `Form #${form.id}`, { align: 'center' })
+    .fillColor('black');
+
+  doc.moveDown();
+  drawField(doc, 'Donor', form.customer_name);
+  drawField(doc, 'Phone', form.phone);
+  drawField(doc, 'Email', form.email);
+  drawField(doc, 'Date Received', formatDay(form.date));
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(12).text('Donated Items');
+  doc.moveDown(0.3);
+
+  if (items.length > 0) {
+    drawTable(doc, [
+      { header: 'Category', width: 110 },
+      { header: 'Description', width: 174 },
+      { header: 'Qty', width: 40, align: 'right' },
+      { header: 'Condition', width: 70 },
+      { header: 'Donor Est. Value', width: 110, align: 'right' }
+    ], items.map(item => [
+      item.category,
+      item.description,
+      String(item.quantity),
+      ITEM_CONDITIONS[item.condition] || item.condition,
+      formatMoney(item.estimated_value)
+    ]));
+
+    if (items.some(item => item.estimated_value !== null && item.estimated_value !== undefined)) {
+      drawTotal(doc, 'Total donor-estimated value', form.total_estimated_value);
+    }
+    if (form.donation_description) {
+      doc.moveDown(0.5);
+      drawField(doc, 'Notes', form.donation_description);
+    }
+  } else {
+    doc.font('Helvetica').fontSize(11).text(form.donation_description || 'Items were not itemized.');
+  }
+
+  drawAcknowledgment(doc);
+  drawSignature(doc, 'Donor Signature', form.signature_url, signatures);
+
+  doc.end();
+}
+
+// Year-end summary of a donor's donations to one store.
+//   summary - from getDonorSummary in services/donations.js
+function writeAnnualReceiptPdf(stream, summary, store) {
+  const s = getStoreInfo(store);
+  const { customer, year, donations } = summary;
+  const doc = createDocument(`${year} Donation Summary - ${customer.name}`, s);
+
+  doc.pipe(stream);
+  drawLetterhead(doc, s);
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(15).text(`${year} Donation Summary`, { align: 'center' });
+
+  doc.moveDown();
+  drawField(doc, 'Donor', customer.name);
+  drawField(doc, 'Phone', customer.phone);
+  drawField(doc, 'Email', customer.email);
+  drawField(doc, 'Donations', donations.length);
+
+  doc.moveDown(0.5);
+
+  if (donations.length > 0) {
+    drawTable(doc, [
+      { header: 'Date', width: 84 },
+      { header: 'Receipt No.', width: 140 },
+      { header: 'Items', width: 180 },
+      { header: 'Donor Est. Value', width: 100, align: 'right' }
+    ], donations.map(donation => [
+      formatDay(donation.date),
+      donation.receipt_number || `Form #${donation.id}`,
+      itemSummary(donation),
+      formatMoney(donation.total_estimated_value)
+    ]));
+
+    drawTotal(doc, `Total donor-estimated value for ${year}`, summary.totalEstimatedValue);
+  } else {
+    doc.font('Helvetica').fontSize(11).text(`No donations were recorded in ${year}.`);
+  }
+
+  drawAcknowledgment(doc);
+
+  doc.end();
+}
+
+// Render a PDF into a Buffer (for email attachments)
+function pdfBuffer(write) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = new PassThrough();
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+
+    try {
+      write(stream);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// Generate an email attachment from its outbox description:
+//   { kind: 'donation_receipt', formId }
+//   { kind: 'annual_donation_receipt', customerId, store, year }
+async function renderDonationAttachment(db, attachment) {
+  if (attachment.kind === 'donation_receipt') {
+    const form = await getDonationReceipt(db, attachment.formId);
+    if (!form) {
+      throw new Error(`Donation form ${attachment.formId} not found`);
+    }
+
+    const signatures = await loadSignatureImages(form);
+
+    return {
+      filename: `donation-receipt-${form.receipt_number || form.id}.pdf`,
+      contentType: 'application/pdf',
+      content: await pdfBuffer(stream => writeDonationReceiptPdf(stream, form, form.store, signatures))
+    };
+  }
+
+  if (attachment.kind === 'annual_donation_receipt') {
+    const summary = await getDonorSummary(db, attachment);
+    if (!summary) {
+      throw new Error(`Customer ${attachment.customerId} not found`);
+    }
+
+    return {
+      filename: `donation-summary-${attachment.year}.pdf`,
+      contentType: 'application/pdf',
+      content: await pdfBuffer(stream => writeAnnualReceiptPdf(stream, summary, attachment.store))
+    };
+  }
+
+  throw new Error(`Unknown attachment kind: ${attachment.kind}`);
+}
+
+module.exports = {
+  writeDonationReceiptPdf,
+  writeAnnualReceiptPdf,
+  pdfBuffer,
+  renderDonationAttachment
+};
@@ -0,0 +1,248 @@
+// src/services/donations.js
+// Itemized donations and tax receipts: line items recorded on a donation
+// form, receipt numbers that run per store per calendar year, and a donor's
+// year-end summary (see migrations/028_add_donation_receipts.sql).
+
+const DONATION_CATEGORIES = [
+  'Clothing',
+  'Shoes & Accessories',
+  'Furniture',
+  'Household',
+  'Appliances',
+  'Electronics',
+  'Books & Media',
+  'Toys & Games',
+  'Sporting Goods',
+  'Other'
+];
+
+// condition value -> label
+const ITEM_CONDITIONS = {
+  new: 'New',
+  like_new: 'Like New',
+  good: 'Good',
+  fair: 'Fair'
+};
+
+const MAX_ITEMS = 50;
+const MAX_QUANTITY = 10000;
+const MAX_VALUE = 1000000;
+
+// A donation form's line items as a JSON array, for a query on donation_forms pf
+const DONATION_ITEMS_SQL = `COALESCE((
+  SELECT json_agg(json_build_object(
+           'id', di.id, 'category', di.category, 'description', di.description,
+           'quantity', di.quantity, 'condition', di.condition, 'estimated_value', di.estimated_value
+         ) ORDER BY di.position, di.id)
+  FROM donation_items di
+  WHERE di.donation_form_id = pf.id
+), '[]'::json)`;
+
+// Read line items from a request. Multipart forms send them as a JSON string.
+// Returns { items } or { error }
+function parseDonationItems(value) {
+  if (value === undefined || value === null || value === '') {
+    return { items: [] };
+  }
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Donation items must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { error: 'Donation items must be a JSON array' };
+  }
+
+  if (list.length > MAX_ITEMS) {
+    return { error: `A donation can have at most ${MAX_ITEMS} items` };
+  }
+
+  const items = [];
+
+  for (const [index, raw] of list.entries()) {
+    const line = `Item ${index + 1}`;
+
+    if (!raw || typeof raw !== 'object') {
+      return { error: `${line} is invalid` };
+    }
+
+    if (!DONATION_CATEGORIES.includes(raw.category)) {
+      return { error: `${line}: category must be one of: ${DONATION_CATEGORIES.join(', ')}` };
+    }
+
+    if (!ITEM_CONDITIONS[raw.condition]) {
+      return { error: `${line}: condition must be one of: ${Object.keys(ITEM_CONDITIONS).join(', ')}` };
+    }
+
+    const quantity = raw.quantity === undefined || raw.quantity === null || raw.quantity === ''
+      ? 1
+      : Number(raw.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return { error: `${line}: quantity must be a whole number from 1 to ${MAX_QUANTITY}` };
+    }
+
+    let estimatedValue = null;
+    if (raw.estimated_value !== undefined && raw.estimated_value !== null && raw.estimated_value !== '') {
+      estimatedValue = Number(raw.estimated_value);
+      if (!Number.isFinite(estimatedValue) || estimatedValue < 0 || estimatedValue > MAX_VALUE) {
+        return { error: `${line}: estimated value must be a dollar amount from 0 to ${MAX_VALUE}` };
+      }
+      estimatedValue = Math.round(estimatedValue * 100) / 100;
+    }
+
+    const description = typeof raw.description === 'string' ? raw.description.trim() : '';
+
+    items.push({
+      category: raw.category,
+      description: description || null,
+      quantity,
+      condition: raw.condition,
+      estimated_value: estimatedValue
+    });
+  }
+
+  return { items };
+}
+
+// Sum of the donor's estimates, or null if none of the items has one
+function totalEstimatedValue(items) {
+  const valued = items.filter(item => item.estimated_value !== null && item.estimated_value !== undefined);
+  if (valued.length === 0) return null;
+  return Math.round(valued.reduce((sum, item) => sum + Number(item.estimated_value), 0) * 100) / 100;
+}
+
+// 1234.5 -> "$1,234.50" (blank when there's no value)
+function formatMoney(value) {
+  if (value === null || value === undefined) return '';
+  return Number(value).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+// e.g. LONG_BEACH-2026-00042
+function formatReceiptNumber(store, year, number) {
+  return `${store.toUpperCase()}-${year}-${String(number).padStart(5, '0')}`;
+}
+
+// Create a donation form with its line items and the next receipt number for
+// the store and year, all or nothing. Returns the form row plus items.
+async function createDonationForm(db, { customerName, phone, email, description, signatureUrl, store, customerId }, items) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      `INSERT INTO donation_forms
+       (customer_name, phone, email, donation_description, signature_url,
+        date, email_sent, email_error, store, customer_id)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, false, NULL, $6, $7)
+       RETURNING id, date, EXTRACT(YEAR FROM date)::int AS year`,
+      [customerName, phone, email || null, description || null, signatureUrl, store, customerId]
+    );
+    const { id, year } = inserted.rows[0];
+
+    for (const [position, item] of items.entries()) {
+      await client.query(
+        `INSERT INTO donation_items
+         (donation_form_id, category, description, quantity, condition, estimated_value, position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [id, item.category, item.description, item.quantity, item.condition, item.estimated_value, position]
+      );
+    }
+
+    // The counter row stays locked until commit, so numbers are never handed out twice
+    const counter = await client.query(
+      `INSERT INTO donation_receipt_counters (store, year, last_number)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (store, year) DO UPDATE SET last_number = donation_receipt_counters.last_number + 1
+       RETURNING last_number`,
+      [store, year]
+    );
+
+    const result = await client.query(
+      `UPDATE donation_forms pf SET receipt_number = $1
+       WHERE pf.id = $2
+       RETURNING pf.*, ${DONATION_ITEMS_SQL} AS items`,
+      [formatReceiptNumber(store, year, counter.rows[0].last_number), id]
+    );
+
+    await client.query('COMMIT');
+
+    const form = result.rows[0];
+    return { ...form, total_estimated_value: totalEstimatedValue(form.items) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// A donation form with its items, ready for the receipt PDF.
+// Pass store to only find forms in that store.
+async function getDonationReceipt(db, id, store = null) {
+  const result = await db.query(
+    `SELECT pf.*, to_char(pf.date, 'YYYY-MM-DD') AS date, ${DONATION_ITEMS_SQL} AS items
+     FROM donation_forms pf
+     WHERE pf.id = $1 AND pf.deleted_at IS NULL AND ($2::text IS NULL OR pf.store = $2)`,
+    [id, store]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const form = result.rows[0];
+  return { ...form, total_estimated_value: totalEstimatedValue(form.items) };
+}
+
+// Every donation a customer made to a store in a calendar year, oldest first.
+// Returns { customer, store, year, donations, itemCount, totalEstimatedValue },
+// or null if the customer doesn't exist.
+async function getDonorSummary(db, { customerId, store, year }) {
+  const customer = await db.query(
+    'SELECT id, name, phone, email FROM customers WHERE id = $1',
+    [customerId]
+  );
+
+  if (customer.rows.length === 0) return null;
+
+  const result = await db.query(
+    `SELECT pf.id, pf.receipt_number, to_char(pf.date, 'YYYY-MM-DD') AS date,
+            pf.donation_description, pf.email, ${DONATION_ITEMS_SQL} AS items
+     FROM donation_forms pf
+     WHERE pf.customer_id = $1 AND pf.store = $2 AND pf.deleted_at IS NULL
+       AND pf.date >= make_date($3, 1, 1) AND pf.date < make_date($3 + 1, 1, 1)
+     ORDER BY pf.date, pf.id`,
+    [customerId, store, year]
+  );
+
+  const donations = result.rows.map(row => ({
+    ...row,
+    total_estimated_value: totalEstimatedValue(row.items)
+  }));
+  const allItems = donations.flatMap(donation => donation.items);
+
+  return {
+    customer: customer.rows[0],
+    store,
+    year,
+    donations,
+    itemCount: allItems.reduce((sum, item) => sum + item.quantity, 0),
+    totalEstimatedValue: totalEstimatedValue(allItems)
+  };
+}
+
+module.exports = {
+  DONATION_CATEGORIES,
+  ITEM_CONDITIONS,
+  DONATION_ITEMS_SQL,
+  parseDonationItems,
+  totalEstimatedValue,
+  formatMoney,
+  createDonationForm,
+  getDonationReceipt,
+  getDonorSummary
+};
@@ -0,0 +1,388 @@
+// src/services/email-outbox.js
+// Durable outbound email queue. Emails are written to email_outbox first and
+// then delivered, so a failed send is retried with exponential backoff instead
+// of being lost. Every delivery attempt is recorded in email_outbox_attempts.
+
+const { createTransporter, isEmailConfigured, getFromAddress } = require('./mailer');
+const { getFormEmail } = require('./email-templates');
+const { getDonationReceipt } = require('./donations');
+const { renderDonationAttachment } = require('./donation-pdf');
+const { emailUploadLink } = require('./storage');
+
+const VALID_FORM_TYPES = ['pickup', 'delivery', 'donation', 'waiver'];
+
+// Worker config (all optional, see .env)
+//   EMAIL_OUTBOX_ENABLED        - set to 'false' to stop the background worker
+//   EMAIL_OUTBOX_INTERVAL_MS    - how often the worker looks for due messages
+//   EMAIL_OUTBOX_MAX_ATTEMPTS   - attempts before a message is marked failed
+//   EMAIL_OUTBOX_BASE_DELAY_MS  - delay before the first retry (doubles each attempt)
+//   EMAIL_OUTBOX_MAX_DELAY_MS   - upper bound on the retry delay
+function getOutboxConfig() {
+  return {
+    enabled: process.env.EMAIL_OUTBOX_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000,
+    maxAttempts: parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 6,
+    baseDelayMs: parseInt(process.env.EMAIL_OUTBOX_BASE_DELAY_MS) || 60 * 1000,
+    maxDelayMs: parseInt(process.env.EMAIL_OUTBOX_MAX_DELAY_MS) || 6 * 60 * 60 * 1000,
+    batchSize: 20
+  };
+}
+
+// Delay before the next attempt: base * 2^(attempts - 1), capped
+function getBackoffMs(attempts, config = getOutboxConfig()) {
+  const delay = config.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, config.maxDelayMs);
+}
+
+// ==================== FORM TRACKING ====================
+
+// Keep the tracking columns on the originating form in sync with the outbox,
+// so the forms page still shows sent / error status per form.
+function getFormTable(message) {
+  if (!message.form_id || !VALID_FORM_TYPES.includes(message.form_type)) {
+    return null;
+  }
+  return `${message.form_type}_forms`;
+}
+
+async function markFormSent(db, message) {
+  const tableName = getFormTable(message);
+  if (!tableName) return;
+
+  if (message.email_type === 'receipt') {
+    await db.query(
+      `UPDATE ${tableName}
+       SET email_sent = true, email_sent_at = NOW(), email_error = NULL
+       WHERE id = $1`,
+      [message.form_id]
+    );
+  } else if (message.email_type === 'due_today' || message.email_type === 'final_notice') {
+    await db.query(
+      `UPDATE pickup_forms
+       SET ${message.email_type}_sent = true, ${message.email_type}_sent_at = NOW()
+       WHERE id = $1`,
+      [message.form_id]
+    );
+  }
+}
+
+async function markFormError(db, message, errorMessage) {
+  const tableName = getFormTable(message);
+  if (!tableName || message.email_type !== 'receipt') return;
+
+  await db.query(
+    `UPDATE ${tableName} SET email_error = $1 WHERE id = $2`,
+    [errorMessage, message.form_id]
+  );
+}
+
+// Reminders are claimed on the form when queued; release the claim once we
+// give up so staff can see it was never delivered and send it by hand.
+async function markFormGaveUp(db, message) {
+  if (message.form_type !== 'pickup' || !message.form_id) return;
+
+  if (message.email_type === 'due_today' || message.email_type === 'final_notice') {
+    await db.query(
+      `UPDATE pickup_forms
+       SET ${message.email_type}_sent = false, ${message.email_type}_sent_at = NULL
+       WHERE id = $1`,
+      [message.form_id]
+    );
+  }
+}
+
+// ==================== QUEUE ====================
+
+// Add an email to the outbox. Returns the queued row.
+// attachments are descriptions of PDFs to generate at send time (see
+// renderDonationAttachment in services/donation-pdf.js), so the queue stays
+// small and a retry always sends the current version.
+async function enqueueEmail(db, { store, emailType, formType, formId, to, subject, html, attachments, createdBy }) {
+  if (!to) {
+    throw new Error('No email address provided');
+  }
+
+  const config = getOutboxConfig();
+
+  const result = await db.query(
+    `INSERT INTO email_outbox
+     (store, email_type, form_type, form_id, to_address, from_address, subject, html, attachments, max_attempts, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [store, emailType, formType || null, formId || null, to,
+     getFromAddress(store), subject, html, JSON.stringify(attachments || []), config.maxAttempts, createdBy || null]
+  );
+
+  return result.rows[0];
+}
+
+// Attempt delivery of one message that has already been claimed (status = 'sending')
+async function attemptDelivery(db, message) {
+  const attemptNumber = message.attempts + 1;
+
+  try {
+    if (!isEmailConfigured()) {
+      throw new Error('Email not configured');
+    }
+
+    const attachments = [];
+    for (const attachment of message.attachments || []) {
+      attachments.push(await renderDonationAttachment(db, attachment));
+    }
+
+    const transporter = createTransporter();
+    await transporter.sendMail({
+      from: message.from_address,
+      to: message.to_address,
+      subject: message.subject,
+      html: message.html,
+      attachments
+    });
+  } catch (emailErr) {
+    console.error(`Failed to send outbox email ${message.id} (attempt ${attemptNumber}):`, emailErr.message);
+
+    const giveUp = attemptNumber >= message.max_attempts;
+    const retryInSeconds = Math.round(getBackoffMs(attemptNumber) / 1000);
+
+    await db.query(
+      `UPDATE email_outbox
+       SET status = $1,
+           attempts = $2,
+           last_error = $3,
+           next_attempt_at = NOW() + ($4 * INTERVAL '1 second'),
+           updated_at = NOW()
+       WHERE id = $5`,
+      [giveUp ? 'failed' : 'queued', attemptNumber, emailErr.message, retryInSeconds, message.id]
+    );
+    await db.query(
+      `INSERT INTO email_outbox_attempts (outbox_id, attempt_number, success, error)
+       VALUES ($1, $2, false, $3)`,
+      [message.id, attemptNumber, emailErr.message]
+    );
+    await markFormError(db, message, emailErr.message);
+
+    if (giveUp) {
+      await markFormGaveUp(db, message);
+    }
+
+    return { sent: false, willRetry: !giveUp, error: emailErr.message };
+  }
+
+  // The email is out, so a failure from here on must not put it back in the
+  // queue: the customer would get it twice
+  try {
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'sent', attempts = $1, sent_at = NOW(), last_error = NULL, updated_at = NOW()
+       WHERE id = $2`,
+      [attemptNumber, message.id]
+    );
+    await db.query(
+      `INSERT INTO email_outbox_attempts (outbox_id, attempt_number, success)
+       VALUES ($1, $2, true)`,
+      [message.id, attemptNumber]
+    );
+    await markFormSent(db, message);
+  } catch (error) {
+    console.error(`Failed to record sent outbox email ${message.id}:`, error);
+  }
+
+  return { sent: true, willRetry: false, error: null };
+}
+
+// Claim and deliver a single queued message right away (used right after
+// enqueueing so the caller can report the result to the user immediately)
+async function deliverEmail(db, id) {
+  const claim = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', updated_at = NOW()
+     WHERE id = $1 AND status = 'queued'
+     RETURNING *`,
+    [id]
+  );
+
+  if (claim.rows.length === 0) {
+    return { sent: false, willRetry: false, error: 'Email is not queued' };
+  }
+
+  return attemptDelivery(db, claim.rows[0]);
+}
+
+// Queue an email and try to send it immediately
+async function queueAndSendEmail(db, email) {
+  const message = await enqueueEmail(db, email);
+  const result = await deliverEmail(db, message.id);
+  return { outboxId: message.id, ...result };
+}
+
+// Queue a form receipt and try to send it immediately.
+// A receipt that is still waiting in the outbox for this form is retried
+// instead of queueing a duplicate, rendered again from the form as it is now
+// (it may have been edited since). Donation receipts list the donated items
+// and attach the receipt PDF.
+async function queueFormEmail(db, form, formType, store, userId) {
+  // Don't send if no email address
+  if (!form.email) {
+    throw new Error('No email address provided');
+  }
+
+  let emailForm = form;
+  let attachments = [];
+
+  if (formType === 'donation') {
+    const receipt = await getDonationReceipt(db, form.id);
+    if (receipt) {
+      emailForm = { ...form, items: receipt.items, total_estimated_value: receipt.total_estimated_value };
+    }
+    attachments = [{ kind: 'donation_receipt', formId: form.id }];
+  }
+
+  emailForm = { ...emailForm, signature_link: await emailUploadLink(form.signature_url) };
+
+  const { subject, html } = getFormEmail(emailForm, formType, store);
+
+  const pending = await db.query(
+    `SELECT id FROM email_outbox
+     WHERE email_type = 'receipt' AND form_type = $1 AND form_id = $2
+       AND status IN ('queued', 'failed')
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [formType, form.id]
+  );
+
+  if (pending.rows.length > 0) {
+    const outboxId = pending.rows[0].id;
+    await db.query(
+      `UPDATE email_outbox SET to_address = $2, subject = $3, html = $4, updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'failed')`,
+      [outboxId, form.email, subject, html]
+    );
+    await requeueEmail(db, outboxId);
+    const result = await deliverEmail(db, outboxId);
+    return { outboxId, ...result };
+  }
+
+  return queueAndSendEmail(db, {
+    store: store || form.store,
+    emailType: 'receipt',
+    formType,
+    formId: form.id,
+    to: form.email,
+    subject,
+    html,
+    attachments,
+    createdBy: userId
+  });
+}
+
+// Deliver every message whose retry time has come
+async function processOutbox(db) {
+  const config = getOutboxConfig();
+
+  // Messages stuck in 'sending' (e.g. the server restarted mid-send) go back in the queue
+  await db.query(
+    `UPDATE email_outbox
+     SET status = 'queued', updated_at = NOW()
+     WHERE status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes'`
+  );
+
+  const due = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE status = 'queued' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [config.batchSize]
+  );
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const message of due.rows) {
+    const result = await attemptDelivery(db, message);
+    if (result.sent) {
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  if (due.rows.length > 0) {
+    console.log(`📬 Email outbox: ${sent} sent, ${failed} failed`);
+  }
+
+  return { processed: due.rows.length, sent, failed };
+}
+
+// Put a failed (or queued) message back at the front of the queue
+async function requeueEmail(db, id) {
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'queued',
+         next_attempt_at = NOW(),
+         max_attempts = GREATEST(max_attempts, attempts + 1),
+         updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'failed')
+     RETURNING *`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ==================== WORKER ====================
+
+let workerTimer = null;
+let workerRunning = false;
+
+function startEmailOutboxWorker(db) {
+  const config = getOutboxConfig();
+
+  if (!config.enabled) {
+    console.log('⏸️  Email outbox worker disabled (EMAIL_OUTBOX_ENABLED=false)');
+    return;
+  }
+
+  if (workerTimer) return;
+
+  const tick = () => {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    processOutbox(db)
+      .catch(error => console.error('Email outbox worker error:', error))
+      .finally(() => {
+        workerRunning = false;
+      });
+  };
+
+  workerTimer = setInterval(tick, config.intervalMs);
+  workerTimer.unref();
+  tick();
+
+  console.log('📬 Email outbox worker started');
+}
+
+function stopEmailOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  getBackoffMs,
+  enqueueEmail,
+  deliverEmail,
+  queueAndSendEmail,
+  queueFormEmail,
+  processOutbox,
+  requeueEmail,
+  startEmailOutboxWorker,
+  stopEmailOutboxWorker
+};
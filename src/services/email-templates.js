@@ -0,0 +1,598 @@
+// src/services/email-templates.js
+// Store-aware HTML templates for every customer email (form receipts, pickup
+// reminders, out-for-delivery notices and year-end donation summaries). Used by the customer forms routes, the pickup reminder
+// scheduler and the bulk sender in send-emails.js.
+
+const { getStoreInfo } = require('./mailer');
+const { ITEM_CONDITIONS, formatMoney } = require('./donations');
+
+// ==================== RECEIPT TEMPLATES ====================
+
+// Link to the customer's signature, which isn't public. form.signature_link is
+// a signed link that expires (see emailUploadLink in services/storage.js).
+function getSignatureLinkHtml(form) {
+  if (!form.signature_link) return '';
+
+  return `<p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+          <a href="${form.signature_link}" style="color: #667eea;">View your signature</a>
+          <span style="color: #718096; font-size: 12px;">(this link expires after a few days)</span>
+        </p>`;
+}
+
+function getPickupEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
+        <!--[if !mso]><!-->
+        <img src="${s.logoUrl}" 
+             alt="Beacon House Logo" 
+             width="200" 
+             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
+        <!--<![endif]-->
+        <!--[if mso]>
+        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
+        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
+        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
+        </td></tr></table>
+        <![endif]-->
+        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Pick-Up Receipt</h2>
+      </div>
+      
+      <div style="padding: 30px; background: white;">
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+          Dear ${form.customer_name},
+        </p>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+          Thank you for your purchase! <strong>You have 48 hours from when you purchased the item to pick it up.</strong>
+        </p>
+        
+        <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #2d3748; margin-top: 0;">Purchase Details:</h3>
+          <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
+            <strong>Name:</strong> ${form.customer_name}<br>
+            <strong>Phone:</strong> ${form.phone}<br>
+            <strong>Purchase Date:</strong> ${form.date_purchased ? new Date(form.date_purchased).toLocaleDateString() : 'N/A'}<br>
+            <strong>Pickup Date:</strong> ${form.date_stored ? new Date(form.date_stored).toLocaleDateString() : 'N/A'}
+          </p>
+          ${form.items_description ? `
+            <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
+              <strong>Items:</strong><br>
+              ${form.items_description}
+            </p>
+          ` : ''}
+        </div>
+        
+        <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
+          <h3 style="color: #856404; margin-top: 0;">⚠️ Important Terms & Conditions</h3>
+          <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
+            You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.
+          </p>
+          <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
+            We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.
+          </p>
+          <p style="color: #856404; line-height: 1.8; margin: 0;">
+            Your signature acknowledges that you have read and understand the terms and conditions covered above.
+          </p>
+        </div>
+        
+        ${getSignatureLinkHtml(form)}
+        
+        <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+          If you have any questions, please contact us at <strong>${s.phone}</strong>.
+        </p>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
+          Thank you,<br>
+          <strong>${s.name}</strong>
+        </p>
+      </div>
+      
+      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
+        <p style="margin: 0;">${s.name}</p>
+        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
+        <p style="margin: 5px 0;">Phone: ${s.phone}</p>
+      </div>
+    </div>
+  `;
+}
+
+function getDeliveryEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
+        <!--[if !mso]><!-->
+        <img src="${s.logoUrl}" 
+             alt="Beacon House Logo" 
+             width="200" 
+             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
+        <!--<![endif]-->
+        <!--[if mso]>
+        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
+        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
+        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
+        </td></tr></table>
+        <![endif]-->
+        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Delivery Receipt</h2>
+      </div>
+      
+      <div style="padding: 30px; background: white;">
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+          Dear ${form.customer_name},
+        </p>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+          Thank you for your purchase! This email confirms your delivery details.
+        </p>
+        
+        <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #2d3748; margin-top: 0;">Delivery Details:</h3>
+          <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
+            <strong>Name:</strong> ${form.customer_name}<br>
+            <strong>Phone:</strong> ${form.phone}<br>
+            <strong>Delivery Address:</strong> ${form.delivery_address || 'N/A'}<br>
+            <strong>Delivery Cost:</strong> $${form.delivery_cost ? parseFloat(form.delivery_cost).toFixed(2) : '0.00'}<br>
+            <strong>Scheduled Date:</strong> ${form.date_scheduled ? new Date(form.date_scheduled).toLocaleDateString() : form.delivery_date ? new Date(form.delivery_date).toLocaleDateString() : 'N/A'}
+          </p>
+          ${form.items_description ? `
+            <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
+              <strong>Items:</strong><br>
+              ${form.items_description}
+            </p>
+          ` : ''}
+        </div>
+        
+        <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
+          <h3 style="color: #856404; margin-top: 0;">⚠️ Important Delivery Terms</h3>
+          <p style="color: #856404; line-height: 1.8; margin: 0;">
+            I hereby acknowledge that my payment shown above is solely for the delivery of the item(s) to the residence indicated at the time of purchase. The Beacon House Thrift Shop is not responsible for moving said item(s) into said residence due to issues with liability. The item(s) will be placed in the driveway or the front yard.
+          </p>
+        </div>
+        
+        ${getSignatureLinkHtml(form)}
+        
+        <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+          If you have any questions, please contact us at <strong>${s.phone}</strong>.
+        </p>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
+          Thank you,<br>
+          <strong>${s.name}</strong>
+        </p>
+      </div>
+      
+      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
+        <p style="margin: 0;">${s.name}</p>
+        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
+        <p style="margin: 5px 0;">Phone: ${s.phone}</p>
+      </div>
+    </div>
+  `;
+}
+
+// Itemized donation table. Values are the donor's own estimates.
+function getDonationItemsHtml(form) {
+  const cell = 'padding: 6px 8px; border-bottom: 1px solid #e2e8f0;';
+  const rows = form.items.map(item => `
+            <tr>
+              <td style="${cell}">${item.category}${item.description ? ` - ${item.description}` : ''}</td>
+              <td style="${cell} text-align: right;">${item.quantity}</td>
+              <td style="${cell}">${ITEM_CONDITIONS[item.condition] || item.condition}</td>
+              <td style="${cell} text-align: right;">${formatMoney(item.estimated_value)}</td>
+            </tr>`).join('');
+
+  return `
+        <table style="width: 100%; border-collapse: collapse; margin-top: 15px; color: #4a5568; font-size: 14px;">
+          <tr style="background: #f7fafc; text-align: left;">
+            <th style="${cell}">Item</th>
+            <th style="${cell} text-align: right;">Qty</th>
+            <th style="${cell}">Condition</th>
+            <th style="${cell} text-align: right;">Donor Est. Value</th>
+          </tr>
+          ${rows}
+        </table>
+        ${form.total_estimated_value !== null && form.total_estimated_value !== undefined ? `
+          <p style="color: #4a5568; text-align: right; margin-top: 10px;">
+            <strong>Total donor-estimated value:</strong> ${formatMoney(form.total_estimated_value)}
+          </p>
+        ` : ''}
+        <p style="color: #718096; font-size: 12px; margin-top: 5px;">
+          Values were estimated by the donor. Beacon House acknowledges receipt of the items but does not assign them a value.
+        </p>`;
+}
+
+function getDonationEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
+        <!--[if !mso]><!-->
+        <img src="${s.logoUrl}" 
+             alt="Beacon House Logo" 
+             width="200" 
+             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
+        <!--<![endif]-->
+        <!--[if mso]>
+        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
+        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
+        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
+        </td></tr></table>
+        <![endif]-->
+        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Donation Receipt</h2>
+      </div>
+      <div style="padding: 30px; background: white;">
+        <h2 style="color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px;">
+          Donation Receipt
+        </h2>
+        
+        <p style="color: #4a5568; line-height: 1.6; margin-top: 20px;">
+          <strong>Donor Name:</strong> ${form.customer_name}<br>
+          <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
+          ${form.receipt_number ? `<br><strong>Receipt No.:</strong> ${form.receipt_number}` : ''}
+        </p>
+        
+        ${form.items && form.items.length > 0 ? getDonationItemsHtml(form) : ''}
+
+        ${form.donation_description ? `
+          <p style="color: #4a5568; line-height: 1.6; margin-top: 15px;">
+            <strong>${form.items && form.items.length > 0 ? 'Notes' : 'Donated Items'}:</strong><br>
+            ${form.donation_description}
+          </p>
+        ` : ''}
+        
+        <div style="margin-top: 30px; padding: 20px; background: #f7fafc; border-left: 4px solid #667eea; line-height: 1.8; color: #2d3748;">
+          <p style="margin: 0 0 15px 0;">
+            Thank you for your generous donation. No one has ever been turned away from the Beacon House Association of San Pedro due to their inability to pay, and because of friends like you, this policy will continue in the future.
+          </p>
+          <p style="margin: 0 0 15px 0;">
+            No goods or services will be transferred to you in connection with this donation.
+          </p>
+          <p style="margin: 0; font-weight: bold;">
+            For your records our tax ID is #23-7376148
+          </p>
+        </div>
+        
+        ${getSignatureLinkHtml(form)}
+        
+        <p style="margin-top: 30px; color: #718096; font-size: 14px; text-align: center;">
+          Please keep this receipt for your tax records. A printable copy is attached.
+        </p>
+      </div>
+      
+      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
+        <p style="margin: 0;">${s.name}</p>
+        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
+        <p style="margin: 5px 0;">Tax ID: #23-7376148</p>
+      </div>
+    </div>
+  `;
+}
+
+function getWaiverEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
+        <!--[if !mso]><!-->
+        <img src="${s.logoUrl}" 
+             alt="Beacon House Logo" 
+             width="200" 
+             style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
+        <!--<![endif]-->
+        <!--[if mso]>
+        <table width="100%" cellpadding="0" cellspacing="0" border="0"><tr><td align="center">
+        <h1 style="margin:0 0 5px 0;color:#2d3748;font-size:28px;font-family:Arial,sans-serif">Beacon House</h1>
+        <p style="margin:0;color:#2d3748;font-size:18px;font-family:Arial,sans-serif">${s.name}</p>
+        </td></tr></table>
+        <![endif]-->
+        <h2 style="margin:10px 0 0;font-weight:400;color:#2d3748">Waiver Receipt</h2>
+      </div>
+      
+      <div style="padding: 30px; background: white;">
+        <h2 style="color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px;">
+          Release of Liability Form for Loading Purchased Furniture
+        </h2>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 20px;">
+          Dear ${form.customer_name},
+        </p>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+          Thank you for your purchase. This email serves as confirmation that you have completed our Release of Liability Form.
+        </p>
+        
+        <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #2d3748; margin-top: 0;">Form Details:</h3>
+          <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
+            <strong>Name:</strong> ${form.customer_name}<br>
+            <strong>Phone:</strong> ${form.phone}<br>
+            <strong>Date:</strong> ${new Date(form.date).toLocaleDateString()}
+          </p>
+        </div>
+        
+        <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
+          <h3 style="color: #856404; margin-top: 0;">Acknowledgment Summary:</h3>
+          
+          <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
+            By signing this form, you have acknowledged and agreed to the following:
+          </p>
+          
+          <ul style="color: #856404; line-height: 1.8; margin-left: 20px;">
+            <li><strong>Voluntary Participation:</strong> The loading of furniture into your vehicle is a voluntary service.</li>
+            <li><strong>Release of Liability:</strong> You release The Beacon House Association of San Pedro from any claims related to loss, damage, or injury during the loading process.</li>
+            <li><strong>Assumption of Risks:</strong> You voluntarily assume all risks associated with loading furniture.</li>
+            <li><strong>Care and Supervision:</strong> You are responsible for ensuring your vehicle is suitable for loading furniture.</li>
+            <li><strong>Indemnification:</strong> You agree to hold harmless The Beacon House Association from any claims arising from the loading service.</li>
+            <li><strong>Vehicle Inspection:</strong> Your vehicle was inspected before loading to ensure it is safe and suitable.</li>
+            <li><strong>Personal Property:</strong> You are responsible for any personal belongings left in your vehicle.</li>
+            <li><strong>Compliance:</strong> You agree to follow all instructions provided by staff during the loading process.</li>
+          </ul>
+        </div>
+        
+        ${getSignatureLinkHtml(form)}
+        
+        <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+          Please keep this email for your records. If you have any questions, please contact us at <strong>${s.phone}</strong>.
+        </p>
+        
+        <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
+          Thank you,<br>
+          <strong>${s.name}</strong>
+        </p>
+      </div>
+      
+      <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
+        <p style="margin: 0;">${s.name}</p>
+        ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
+        <p style="margin: 5px 0;">Phone: ${s.phone}</p>
+      </div>
+    </div>
+  `;
+}
+
+// Year-end summary email; the itemized summary is attached as a PDF
+function getAnnualDonationEmailTemplate(summary, store) {
+  const s = getStoreInfo(store);
+  const body = `
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            Dear ${summary.customer.name},
+          </p>
+
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            Thank you for your donations to ${s.name} in ${summary.year}. Your year-end donation summary is attached for your tax records.
+          </p>
+
+          <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0; color: #4a5568; line-height: 1.8;">
+            <strong>Donations:</strong> ${summary.donations.length}<br>
+            <strong>Items:</strong> ${summary.itemCount}
+            ${summary.totalEstimatedValue !== null ? `<br><strong>Total donor-estimated value:</strong> ${formatMoney(summary.totalEstimatedValue)}` : ''}
+          </div>
+
+          <p style="color: #4a5568; line-height: 1.6;">
+            No goods or services were provided in exchange for these donations. For your records our tax ID is #23-7376148.
+          </p>`;
+
+  return wrapReminderEmail(`${summary.year} Donation Summary`, '#2d3748', body, s);
+}
+
+// ==================== REMINDER TEMPLATES ====================
+
+function getPurchaseDetailsHtml(form) {
+  return `
+          <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #2d3748; margin-top: 0;">Purchase Details:</h3>
+            <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
+              <strong>Name:</strong> ${form.customer_name}<br>
+              <strong>Phone:</strong> ${form.phone}<br>
+              <strong>Purchase Date:</strong> ${form.date_purchased ? new Date(form.date_purchased).toLocaleDateString() : 'N/A'}<br>
+              <strong>Pick-Up Date:</strong> ${form.date_stored ? new Date(form.date_stored).toLocaleDateString() : 'N/A'}
+            </p>
+            ${form.items_description ? `
+              <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
+                <strong>Items:</strong><br>
+                ${form.items_description}
+              </p>
+            ` : ''}
+          </div>
+
+          <div style="background: #fff3cd; border: 2px solid #ffc107; border-radius: 8px; padding: 20px; margin: 20px 0;">
+            <h3 style="color: #856404; margin-top: 0;">⚠️ Terms & Conditions</h3>
+            <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
+              You have <strong>48 hours upon purchase</strong> to pick your item up. After 48 hours the item will be placed back on the sales floor and <strong>no refunds will be issued</strong>.
+            </p>
+            <p style="color: #856404; line-height: 1.8; margin-bottom: 15px;">
+              We will gladly assist you in loading your items. Please be aware that it is the customer's responsibility to ensure items are properly loaded and secured. We are not responsible for any damage caused by loading or failure to secure items.
+            </p>
+            <p style="color: #856404; line-height: 1.8; margin: 0;">
+              Your signature acknowledges that you have read and understand the terms and conditions covered above.
+            </p>
+          </div>`;
+}
+
+function wrapReminderEmail(title, titleColor, body, s) {
+  return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="text-align:center;padding:20px;background:#ffffff;color:#2d3748">
+          <img src="${s.logoUrl}"
+               alt="Beacon House Logo"
+               width="200"
+               style="display:block;width:200px;max-width:100%;height:auto;margin:0 auto 10px">
+          <h2 style="margin:10px 0 0;font-weight:400;color:${titleColor}">${title}</h2>
+        </div>
+
+        <div style="padding: 30px; background: white;">
+          ${body}
+
+          <p style="color: #4a5568; font-size: 14px; line-height: 1.6; margin-top: 30px;">
+            If you have any questions, please contact us at <strong>${s.phone}</strong>.
+          </p>
+
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6; margin-top: 30px;">
+            Thank you,<br>
+            <strong>${s.name}</strong>
+          </p>
+        </div>
+
+        <div style="padding: 20px; background: #f7fafc; text-align: center; color: #718096; font-size: 12px;">
+          <p style="margin: 0;">${s.name}</p>
+          ${s.address ? `<p style="margin: 5px 0;">${s.address}</p>` : ''}
+          <p style="margin: 5px 0;">Phone: ${s.phone}</p>
+        </div>
+      </div>
+    `;
+}
+
+function getDueTodayEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  const body = `
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            Dear ${form.customer_name},
+          </p>
+
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            This is a reminder that your item(s) are due for pickup today. In accordance with the Terms and Conditions previously acknowledged, failure to collect your item(s) within the 48-hour timeframe will result in the item(s) being returned to inventory for resale or recycled without refund.
+          </p>
+          ${getPurchaseDetailsHtml(form)}`;
+
+  return wrapReminderEmail('Pick-Up Reminder', '#2d3748', body, s);
+}
+
+function getFinalNoticeEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  const body = `
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            Dear ${form.customer_name},
+          </p>
+
+          <div style="background: #fff5f5; border: 2px solid #fc8181; border-radius: 8px; padding: 20px; margin: 20px 0;">
+            <p style="color: #c53030; font-size: 16px; line-height: 1.6; margin: 0;">
+              This communication serves as your final notice regarding the pickup of your purchased item(s). As outlined in the Terms and Conditions agreed to at the time of purchase, all items must be collected within 48 hours.<br><br>
+              If your item(s) are not picked up by the end of today, they will be returned to the sales floor and made available for resale or recycle. Please note that, in accordance with the agreed Terms and Conditions, no refunds or credits will be issued.<br><br>
+              Your prompt attention to this matter is appreciated.
+            </p>
+          </div>
+          ${getPurchaseDetailsHtml(form)}`;
+
+  return wrapReminderEmail('⚠️ Final Notice', '#c53030', body, s);
+}
+
+// ==================== DELIVERY TEMPLATES ====================
+
+// Sent when the crew marks a delivery as out for delivery
+function getOutForDeliveryEmailTemplate(form, store) {
+  const s = getStoreInfo(store);
+  const body = `
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            Dear ${form.customer_name},
+          </p>
+
+          <p style="color: #2d3748; font-size: 16px; line-height: 1.6;">
+            Your delivery is on its way! Our truck has left the store and is headed to you today.
+          </p>
+
+          <div style="background: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #2d3748; margin-top: 0;">Delivery Details:</h3>
+            <p style="color: #4a5568; line-height: 1.8; margin: 5px 0;">
+              <strong>Delivery Address:</strong> ${form.delivery_address || 'N/A'}
+            </p>
+            ${form.items_description ? `
+              <p style="color: #4a5568; line-height: 1.8; margin-top: 15px;">
+                <strong>Items:</strong><br>
+                ${form.items_description}
+              </p>
+            ` : ''}
+          </div>
+
+          <p style="color: #4a5568; font-size: 14px; line-height: 1.6;">
+            As a reminder, item(s) will be placed in the driveway or the front yard. Please make sure someone is available to receive them.
+          </p>`;
+
+  return wrapReminderEmail('Out for Delivery', '#2d3748', body, s);
+}
+
+// ==================== SUBJECT + BODY ====================
+
+const FORM_EMAIL_SUBJECTS = {
+  pickup: 'Beacon House - Pick-Up Receipt',
+  delivery: 'Beacon House - Delivery Receipt',
+  donation: 'Beacon House - Donation Receipt',
+  waiver: 'Beacon House - Release of Liability Form'
+};
+
+const OUT_FOR_DELIVERY_SUBJECT = 'Beacon House - Your Delivery Is On Its Way';
+
+const ANNUAL_DONATION_SUBJECT = year => `Beacon House - Your ${year} Donation Summary`;
+
+const REMINDER_EMAIL_SUBJECTS = {
+  due_today: 'Beacon House - Your Pick-Up is Due Today',
+  final_notice: 'Beacon House - FINAL NOTICE: Pick Up Your Items Today'
+};
+
+// Get the receipt subject and HTML for a form
+function getFormEmail(form, formType, store) {
+  const storeCode = store || form.store;
+
+  let html;
+  switch(formType) {
+    case 'pickup':
+      html = getPickupEmailTemplate(form, storeCode);
+      break;
+    case 'delivery':
+      html = getDeliveryEmailTemplate(form, storeCode);
+      break;
+    case 'donation':
+      html = getDonationEmailTemplate(form, storeCode);
+      break;
+    case 'waiver':
+      html = getWaiverEmailTemplate(form, storeCode);
+      break;
+    default:
+      throw new Error('Invalid form type');
+  }
+
+  return { subject: FORM_EMAIL_SUBJECTS[formType], html };
+}
+
+// Get the reminder subject and HTML for a pickup form
+function getReminderEmail(form, reminderType, store) {
+  const storeCode = store || form.store;
+
+  let html;
+  switch(reminderType) {
+    case 'due_today':
+      html = getDueTodayEmailTemplate(form, storeCode);
+      break;
+    case 'final_notice':
+      html = getFinalNoticeEmailTemplate(form, storeCode);
+      break;
+    default:
+      throw new Error('Invalid reminder type');
+  }
+
+  return { subject: REMINDER_EMAIL_SUBJECTS[reminderType], html };
+}
+
+// Get the out-for-delivery notice subject and HTML for a delivery form
+function getOutForDeliveryEmail(form, store) {
+  return {
+    subject: OUT_FOR_DELIVERY_SUBJECT,
+    html: getOutForDeliveryEmailTemplate(form, store || form.store)
+  };
+}
+
+// Get the year-end donation summary subject and HTML
+function getAnnualDonationEmail(summary, store) {
+  return {
+    subject: ANNUAL_DONATION_SUBJECT(summary.year),
+    html: getAnnualDonationEmailTemplate(summary, store)
+  };
+}
+
+module.exports = {
+  getFormEmail,
+  getReminderEmail,
+  getOutForDeliveryEmail,
+  getAnnualDonationEmail
+};
@@ -0,0 +1,255 @@
+// src/services/export.js
+// CSV exports of customer forms, voucher usage, daily cash reports and
+// exclusive items for one store over a date range. Rows are read through a
+// database cursor and written as they arrive, so a year of forms never has to
+// fit in memory.
+
+const { getStoreInfo } = require('./mailer');
+
+const BATCH_SIZE = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FORM_TYPES = ['pickup', 'delivery', 'donation', 'waiver'];
+
+// Timestamps are stored in UTC; exports show them in the store's local time ($2)
+function localTime(column) {
+  return `to_char((${column} AT TIME ZONE 'UTC') AT TIME ZONE $2, 'YYYY-MM-DD HH24:MI')`;
+}
+
+function day(column) {
+  return `to_char(${column}, 'YYYY-MM-DD')`;
+}
+
+// Columns every form type starts and ends with
+const FORM_LEADING_COLUMNS = [
+  ['Form ID', 'pf.id'],
+  ['Date', day('pf.date')],
+  ['Customer Name', 'pf.customer_name'],
+  ['Phone', 'pf.phone'],
+  ['Email', 'pf.email']
+];
+
+const FORM_TRAILING_COLUMNS = [
+  ['Receipt Emailed', "CASE WHEN pf.email_sent THEN 'Yes' ELSE 'No' END"],
+  ['Recorded By', 'u.username'],
+  ['Created At', localTime('pf.created_at')]
+];
+
+const FORM_COLUMNS = {
+  pickup: [
+    ['Date Purchased', day('pf.date_purchased')],
+    ['Pickup By', day('pf.date_stored')],
+    ['Items', 'pf.items_description'],
+    ['Photos', 'COALESCE(array_length(pf.picture_urls, 1), 0)'],
+    ['Notes', 'pf.notes']
+  ],
+  delivery: [
+    ['Delivery Address', 'pf.delivery_address'],
+    ['Delivery Date', day('pf.date_scheduled')],
+    ['Delivery Cost', 'pf.delivery_cost'],
+    ['Items', 'pf.items_description'],
+    ['Photos', 'COALESCE(array_length(pf.picture_urls, 1), 0)'],
+    ['Notes', 'pf.notes']
+  ],
+  donation: [
+    ['Receipt Number', 'pf.receipt_number'],
+    ['Donation Description', 'pf.donation_description'],
+    ['Items', '(SELECT COALESCE(SUM(di.quantity), 0) FROM donation_items di WHERE di.donation_form_id = pf.id)'],
+    ['Donor Estimated Value', '(SELECT SUM(di.estimated_value) FROM donation_items di WHERE di.donation_form_id = pf.id)']
+  ],
+  waiver: [
+    ['Manager Signed', "CASE WHEN pf.manager_signature_url IS NOT NULL THEN 'Yes' ELSE 'No' END"]
+  ]
+};
+
+// Export definitions. $1 is always the store and $2 its timezone.
+//   columns     - [header, SQL expression] in file order
+//   tables      - tables and joins
+//   conditions  - rows to include
+//   dateColumn  - column the from/to range applies to
+//   orderBy     - file order
+//   permission  - capability needed on top of reports.export
+const EXPORTS = {
+  forms: type => ({
+    filename: `${type}-forms`,
+    columns: [...FORM_LEADING_COLUMNS, ...FORM_COLUMNS[type], ...FORM_TRAILING_COLUMNS],
+    tables: `${type}_forms pf LEFT JOIN users u ON u.id = pf.created_by`,
+    conditions: ['pf.deleted_at IS NULL', 'pf.store = $1'],
+    dateColumn: 'pf.date',
+    orderBy: 'pf.date, pf.id'
+  }),
+  vouchers: () => ({
+    filename: 'vouchers',
+    columns: [
+      ['Date Used', day('vu.date_used')],
+      ['Contact ID', 'vc.id'],
+      ['Name', 'vc.name'],
+      ['Referral Agency', 'vc.referral_agency'],
+      ['Case Manager', 'vc.case_manager_name'],
+      ['Case Manager Phone', 'vc.case_manager_phone'],
+      ['Recorded By', 'u.username'],
+      ['Recorded At', localTime('vu.created_at')]
+    ],
+    tables: `voucher_usage vu
+      JOIN voucher_contacts vc ON vc.id = vu.contact_id
+      LEFT JOIN users u ON u.id = vu.created_by`,
+    conditions: ['vu.deleted_at IS NULL', 'vu.store = $1'],
+    dateColumn: 'vu.date_used',
+    orderBy: 'vu.date_used, vu.id'
+  }),
+  'daily-reports': () => ({
+    filename: 'daily-reports',
+    permission: 'reports.cash.view',
+    columns: [
+      ['Date', day('dr.report_date')],
+      ['Cash Count', 'dr.cash_count'],
+      ['Donation Amount', 'dr.donation_amount'],
+      ['Total', 'dr.total'],
+      ['Created By', 'u1.username'],
+      ['Last Updated By', 'u2.username'],
+      ['Last Updated At', localTime('dr.updated_at')]
+    ],
+    tables: `daily_reports dr
+      LEFT JOIN users u1 ON u1.id = dr.created_by
+      LEFT JOIN users u2 ON u2.id = dr.updated_by`,
+    conditions: ['dr.store = $1'],
+    dateColumn: 'dr.report_date',
+    orderBy: 'dr.report_date'
+  }),
+  'exclusive-items': () => ({
+    filename: 'exclusive-items',
+    columns: [
+      ['Item ID', 'ei.id'],
+      ['Category', 'ei.category'],
+      ['Date Arrived', day('ei.date_arrived')],
+      ['Current Price', 'ei.current_price'],
+      ['Notes', 'ei.notes'],
+      ['Added By', 'u.username'],
+      ['Created At', localTime('ei.created_at')]
+    ],
+    tables: 'exclusive_items ei LEFT JOIN users u ON u.id = ei.created_by',
+    conditions: ['ei.deleted_at IS NULL', 'ei.store = $1'],
+    dateColumn: 'ei.date_arrived',
+    orderBy: 'ei.date_arrived, ei.id'
+  })
+};
+
+const EXPORT_ENTITIES = Object.keys(EXPORTS);
+
+// Read an export request (entity from the path; type, from and to from the query).
+// Returns { error } or the export definition with from/to
+function parseExportRequest(entity, query) {
+  if (!EXPORTS[entity]) {
+    return { error: `Export must be one of: ${EXPORT_ENTITIES.join(', ')}` };
+  }
+
+  if (entity === 'forms' && !FORM_TYPES.includes(query.type)) {
+    return { error: `Form type must be one of: ${FORM_TYPES.join(', ')}` };
+  }
+
+  const { from, to } = query;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  if (from && to && from > to) {
+    return { error: 'The from date must be on or before the to date' };
+  }
+
+  return { ...EXPORTS[entity](query.type), from, to };
+}
+
+// Quote a value for CSV. Text that a spreadsheet would run as a formula
+// (=, +, -, @) is prefixed with ' so it shows as typed.
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+// Wait until the response has room for more, or the client has gone
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Stream an export as a CSV download to an Express response.
+// Nothing is sent until the first batch has been read, so a failing query can
+// still be answered with an error status; later failures end the download early.
+async function streamCsv(db, res, { definition, store }) {
+  const conditions = [...definition.conditions];
+  const params = [store, getStoreInfo(store).timezone || 'America/Los_Angeles'];
+
+  if (definition.from) {
+    params.push(definition.from);
+    conditions.push(`${definition.dateColumn} >= $${params.length}::date`);
+  }
+  if (definition.to) {
+    params.push(definition.to);
+    conditions.push(`${definition.dateColumn} <= $${params.length}::date`);
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(
+      `DECLARE export_rows NO SCROLL CURSOR FOR
+       SELECT ${definition.columns.map(([, expression]) => expression).join(', ')}
+       FROM ${definition.tables}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${definition.orderBy}`,
+      params
+    );
+
+    const fetchBatch = () => client.query({ text: `FETCH ${BATCH_SIZE} FROM export_rows`, rowMode: 'array' });
+    let batch = await fetchBatch();
+
+    const range = [definition.from, definition.to].filter(Boolean).join('-to-');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${store}-${definition.filename}${range ? `-${range}` : ''}.csv"`);
+
+    // The byte order mark makes Excel read the file as UTF-8
+    res.write('\uFEFF' + csvLine(definition.columns.map(([header]) => header)));
+
+    for (;;) {
+      for (const row of batch.rows) {
+        if (!res.write(csvLine(row))) await drained(res);
+      }
+
+      if (batch.rows.length < BATCH_SIZE || res.destroyed) break;
+      batch = await fetchBatch();
+    }
+
+    await client.query('COMMIT');
+    res.end();
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  EXPORT_ENTITIES,
+  FORM_TYPES,
+  parseExportRequest,
+  csvValue,
+  streamCsv
+};
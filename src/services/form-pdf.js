@@ -0,0 +1,208 @@
+// src/services/form-pdf.js
+// Printable PDF of one signed customer form: store letterhead, the form's
+// details, the terms the customer agreed to and their signature image.
+
+const PDFDocument = require('pdfkit');
+const { getStoreInfo } = require('./mailer');
+const { readUpload } = require('./storage');
+
+const FORM_TITLES = {
+  pickup: 'Pick-Up Receipt',
+  delivery: 'Delivery Receipt',
+  donation: 'Donation Receipt',
+  waiver: 'Release of Liability Form for Loading Purchased Furniture'
+};
+
+// The terms shown above the signature pad on customer-forms-unified.html.
+// Strings are paragraphs; arrays are bullet lists.
+const FORM_TERMS = {
+  pickup: [
+    'You have 48 hours upon purchase to pick your item up. After 48 hours the item will be placed back on the sales floor and no refunds will be issued.',
+    'We will gladly assist you in loading your items. Please be aware that it is the customer\'s responsibility to ensure items are properly loaded and secured.'
+  ],
+  delivery: [
+    'I hereby acknowledge that my payment shown above is solely for the delivery of the item(s) to the residence indicated at the time of purchase. The Beacon House Thrift Shop is not responsible for moving said item(s) into said residence due to issues with liability. The item(s) will be placed in the driveway or the front yard.'
+  ],
+  donation: [
+    'Thank you for your generous donation. No one has ever been turned away from the Beacon House Association of San Pedro due to their inability to pay, and because of friends like you, this policy will continue in the future.',
+    'No goods or services will be transferred to you in connection with this donation.',
+    'For your records our tax ID is #23-7376148'
+  ],
+  waiver: [
+    'By signing this form, you acknowledge and agree to the following:',
+    [
+      'Voluntary Participation: The loading of furniture into your vehicle is a voluntary service.',
+      'Release of Liability: You release The Beacon House Association of San Pedro from any claims related to loss, damage, or injury during the loading process.',
+      'Assumption of Risks: You voluntarily assume all risks associated with loading furniture.',
+      'Care and Supervision: You are responsible for ensuring your vehicle is suitable for loading furniture.',
+      'Indemnification: You agree to hold harmless The Beacon House Association from any claims arising from the loading service.',
+      'Vehicle Inspection: Your vehicle was inspected before loading to ensure it is safe and suitable.',
+      'Personal Property: You are responsible for any personal belongings left in your vehicle.',
+      'Compliance: You agree to follow all instructions provided by staff during the loading process.'
+    ]
+  ]
+};
+
+// "2026-03-01" -> "March 1, 2026"
+function formatDay(value) {
+  if (!value) return null;
+  return new Date(`${value}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC', month: 'long', day: 'numeric', year: 'numeric'
+  });
+}
+
+// Label / value rows for a form (dates as YYYY-MM-DD strings)
+function formFields(form, type) {
+  const fields = [
+    ['Name', form.customer_name],
+    ['Phone', form.phone],
+    ['Email', form.email],
+    ['Date', formatDay(form.date)]
+  ];
+
+  if (type === 'pickup') {
+    fields.push(
+      ['Purchase Date', formatDay(form.date_purchased)],
+      ['Pickup By', formatDay(form.date_stored)],
+      ['Items', form.items_description],
+      ['Notes', form.notes]
+    );
+  } else if (type === 'delivery') {
+    fields.push(
+      ['Delivery Address', form.delivery_address],
+      ['Delivery Date', formatDay(form.date_scheduled)],
+      ['Delivery Cost', form.delivery_cost !== null && form.delivery_cost !== undefined ? `$${Number(form.delivery_cost).toFixed(2)}` : null],
+      ['Items', form.items_description],
+      ['Notes', form.notes]
+    );
+  } else if (type === 'donation') {
+    fields.push(
+      ['Receipt Number', form.receipt_number],
+      ['Donation', form.donation_description]
+    );
+  }
+
+  return fields.filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+// The form's signature images from upload storage, by URL, for drawSignature.
+// PDFKit draws synchronously, so they're loaded before the PDF is started.
+async function loadSignatureImages(form) {
+  const images = {};
+
+  for (const url of [form.signature_url, form.manager_signature_url]) {
+    if (!url || images[url]) continue;
+
+    try {
+      const image = await readUpload(url);
+      if (image) images[url] = image;
+    } catch (error) {
+      console.error(`Error loading signature ${url}:`, error);
+    }
+  }
+
+  return images;
+}
+
+function drawSignature(doc, label, url, images = {}) {
+  // Keep the label, image and line together
+  if (doc.y + 140 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(11).text(label);
+
+  const image = url && images[url];
+  const top = doc.y + 4;
+
+  try {
+    if (!image) throw new Error('missing');
+    doc.image(image, doc.page.margins.left, top, { fit: [240, 90] });
+  } catch (error) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor('#718096')
+      .text(url ? 'Signature image is missing' : 'Not signed', doc.page.margins.left, top)
+      .fillColor('black');
+  }
+
+  // Signature line under the image
+  const lineY = top + 95;
+  doc.moveTo(doc.page.margins.left, lineY).lineTo(doc.page.margins.left + 240, lineY).strokeColor('#a0aec0').stroke();
+  doc.y = lineY + 6;
+}
+
+// Store name and contact line, centered at the top of the page
+function drawLetterhead(doc, s) {
+  doc.font('Helvetica-Bold').fontSize(18).text(s.name, { align: 'center' });
+  const contact = [s.address, s.phone].filter(Boolean).join('  |  ');
+  if (contact) {
+    doc.font('Helvetica').fontSize(10).fillColor('#4a5568').text(contact, { align: 'center' }).fillColor('black');
+  }
+}
+
+// Write the PDF for a form to a writable stream (e.g. an Express response).
+//   form - form row with dates as YYYY-MM-DD, plus created_at_local (text)
+//          and created_by_username
+//   signatures - from loadSignatureImages(form)
+function writeFormPdf(stream, form, type, store, signatures) {
+  const s = getStoreInfo(store);
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 54,
+    info: { Title: `${FORM_TITLES[type]} - ${form.customer_name}`, Author: s.name }
+  });
+
+  doc.pipe(stream);
+
+  drawLetterhead(doc, s);
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(15).text(FORM_TITLES[type], { align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor('#718096')
+    .text(`Form #${form.id}${form.created_at_local ? `  |  Signed ${form.created_at_local}` : ''}`, { align: 'center' })
+    .fillColor('black');
+
+  // Details
+  doc.moveDown();
+  for (const [label, value] of formFields(form, type)) {
+    doc.font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(String(value));
+    doc.moveDown(0.3);
+  }
+
+  // Terms
+  doc.moveDown().font('Helvetica-Bold').fontSize(12).text('Terms & Conditions');
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+  for (const part of FORM_TERMS[type]) {
+    if (Array.isArray(part)) {
+      doc.list(part, { bulletRadius: 2, textIndent: 12 });
+    } else {
+      doc.text(part);
+    }
+    doc.moveDown(0.5);
+  }
+
+  if (type !== 'donation') {
+    doc.text('Your signature acknowledges that you have read and understand the terms and conditions covered above.');
+  }
+
+  drawSignature(doc, 'Customer Signature', form.signature_url, signatures);
+  if (type === 'waiver') {
+    drawSignature(doc, 'Manager Signature', form.manager_signature_url, signatures);
+  }
+
+  if (form.created_by_username) {
+    doc.moveDown().font('Helvetica').fontSize(9).fillColor('#718096')
+      .text(`Recorded by ${form.created_by_username}`);
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  FORM_TITLES,
+  FORM_TERMS,
+  formatDay,
+  drawLetterhead,
+  drawSignature,
+  loadSignatureImages,
+  writeFormPdf
+};
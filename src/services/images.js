@@ -0,0 +1,97 @@
+// src/services/images.js
+// Normalizes uploaded pictures before they're stored: turned upright using the
+// camera's EXIF orientation, stripped of EXIF/GPS metadata and shrunk to a
+// maximum size, plus a small JPEG thumbnail for lists and grids.
+//
+// Config (see .env):
+//   IMAGE_MAX_DIMENSION   - longest side of a stored picture in pixels (default 2048)
+//   IMAGE_THUMBNAIL_SIZE  - longest side of a thumbnail in pixels (default 400)
+
+const sharp = require('sharp');
+
+// Formats stored as they are; anything else sharp can read (HEIC, TIFF, GIF...) becomes JPEG
+const KEPT_FORMATS = {
+  jpeg: { ext: '.jpg', contentType: 'image/jpeg' },
+  png: { ext: '.png', contentType: 'image/png' },
+  webp: { ext: '.webp', contentType: 'image/webp' }
+};
+
+const JPEG_QUALITY = 82;
+const THUMBNAIL_QUALITY = 75;
+
+function getImageConfig() {
+  return {
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION) || 2048,
+    thumbnailSize: parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 400
+  };
+}
+
+// An upload that isn't a picture we can read. status/expose let the app's
+// error handler answer 400 with the message.
+function unreadableImageError(name) {
+  const error = new Error(`${name || 'This file'} could not be read as an image`);
+  error.status = 400;
+  error.expose = true;
+  return error;
+}
+
+// A small JPEG of an image (transparent areas become white)
+async function createThumbnail(input, size = getImageConfig().thumbnailSize) {
+  return sharp(input)
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: THUMBNAIL_QUALITY, mozjpeg: true })
+    .toBuffer();
+}
+
+// Upright, metadata-free and no larger than IMAGE_MAX_DIMENSION.
+//   thumbnail - also make a thumbnail (default true)
+// Returns { body, ext, contentType, width, height, thumbnail } - thumbnail is
+// a JPEG Buffer or null.
+async function processImage(input, { name, thumbnail = true } = {}) {
+  const { maxDimension } = getImageConfig();
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw unreadableImageError(name);
+  }
+
+  const kept = KEPT_FORMATS[metadata.format];
+  const format = kept ? metadata.format : 'jpeg';
+
+  // sharp drops EXIF and other metadata unless asked to keep it
+  let pipeline = sharp(input)
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+
+  if (format === 'jpeg') {
+    pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: JPEG_QUALITY, mozjpeg: true });
+  } else if (format === 'png') {
+    pipeline = pipeline.png({ compressionLevel: 9 });
+  } else {
+    pipeline = pipeline.webp({ quality: JPEG_QUALITY });
+  }
+
+  try {
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+    return {
+      body: data,
+      ...KEPT_FORMATS[format],
+      width: info.width,
+      height: info.height,
+      thumbnail: thumbnail ? await createThumbnail(input) : null
+    };
+  } catch (error) {
+    throw unreadableImageError(name);
+  }
+}
+
+module.exports = {
+  getImageConfig,
+  processImage,
+  createThumbnail
+};
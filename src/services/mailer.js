@@ -0,0 +1,55 @@
+// src/services/mailer.js
+// Shared SMTP transporter and store contact info used by every email sender
+
+const nodemailer = require('nodemailer');
+const { getStore, getDefaultStore, DEFAULT_LOGO_URL } = require('./stores');
+
+// Only used if the stores table hasn't been loaded (e.g. database unavailable)
+const FALLBACK_STORE = {
+  code: null,
+  name: 'Beacon House Thrift Store',
+  shortName: 'Beacon House',
+  address: null,
+  phone: '',
+  fromLabel: 'Beacon House Thrift Store',
+  logoUrl: DEFAULT_LOGO_URL,
+  timezone: 'America/Los_Angeles',
+  businessHours: {}
+};
+
+// Create email transporter
+function createTransporter() {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: false,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    }
+  });
+}
+
+// Check if SMTP credentials are present
+function isEmailConfigured() {
+  return Boolean(process.env.SMTP_USER && process.env.SMTP_PASSWORD);
+}
+
+// Store contact info comes from the stores table (see services/stores.js).
+// Unknown codes fall back to the default store.
+function getStoreInfo(store) {
+  return getStore(store) || getDefaultStore() || FALLBACK_STORE;
+}
+
+// Build the From header for a store
+function getFromAddress(store) {
+  const s = getStoreInfo(store);
+  return process.env.SMTP_FROM || `${s.fromLabel} <noreply@lbts.local>`;
+}
+
+module.exports = {
+  createTransporter,
+  isEmailConfigured,
+  getStoreInfo,
+  getFromAddress
+};
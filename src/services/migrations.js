@@ -0,0 +1,243 @@
+// src/services/migrations.js
+// Versioned schema migrations. Each file in migrations/ is named NNN_description.sql
+// and has a "-- migrate:up" section and a "-- migrate:down" section (a down section
+// with no SQL marks the migration as irreversible). Applied versions are recorded
+// in schema_migrations, and every migration runs in its own transaction.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const SECTION_PATTERN = /^--\s*migrate:(up|down)\s*$/gm;
+
+// Strip comments and whitespace to tell whether a section has any SQL in it
+function hasSql(sql) {
+  return sql.replace(/--.*$/gm, '').trim().length > 0;
+}
+
+function parseMigration(file, contents) {
+  const [, version, name] = file.match(FILE_PATTERN);
+  const sections = {};
+  const markers = [...contents.matchAll(SECTION_PATTERN)];
+
+  markers.forEach((marker, index) => {
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index : contents.length;
+    sections[marker[1]] = contents.slice(start, end).trim();
+  });
+
+  if (!sections.up || !hasSql(sections.up)) {
+    throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+  }
+
+  return {
+    version: parseInt(version, 10),
+    name,
+    file,
+    up: sections.up,
+    down: sections.down && hasSql(sections.down) ? sections.down : null,
+    checksum: crypto.createHash('sha256').update(sections.up).digest('hex')
+  };
+}
+
+// Read every migration file, sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => parseMigration(file, fs.readFileSync(path.join(dir, file), 'utf8')))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       checksum VARCHAR(64) NOT NULL,
+       applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+// Compare the migration files with what the database has applied.
+//   pending - files not applied yet
+//   unknown - applied versions with no file (the database is ahead of the code)
+//   changed - applied migrations whose file was edited afterwards
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  await ensureMigrationsTable(db);
+
+  const result = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    return {
+      ...migration,
+      applied: Boolean(row),
+      appliedAt: row ? row.applied_at : null,
+      changed: Boolean(row) && row.checksum !== migration.checksum
+    };
+  });
+
+  return {
+    migrations: status,
+    pending: status.filter(m => !m.applied),
+    changed: status.filter(m => m.changed),
+    unknown: result.rows.filter(row => !known.has(row.version)),
+    current: result.rows.length > 0 ? result.rows[result.rows.length - 1].version : 0
+  };
+}
+
+async function runInTransaction(db, callback) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await callback(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Apply pending migrations (up to and including version `to`, if given).
+// With dryRun, only reports what would run. Returns the migrations applied.
+async function migrateUp(db, { to, dryRun = false, log = console.log, migrations } = {}) {
+  const status = await getMigrationStatus(db, migrations);
+  const pending = status.pending.filter(m => to === undefined || m.version <= to);
+
+  if (status.unknown.length > 0) {
+    throw new Error(`Database has migrations this code doesn't know about: ${status.unknown.map(row => row.version).join(', ')}`);
+  }
+
+  // Applying an older migration after newer ones would run them out of order
+  const outOfOrder = pending.filter(m => m.version < status.current);
+  if (outOfOrder.length > 0) {
+    throw new Error(`Migration ${outOfOrder[0].file} is older than the current version (${status.current})`);
+  }
+
+  for (const migration of pending) {
+    if (dryRun) {
+      log(`Would apply ${migration.file}`);
+      continue;
+    }
+
+    log(`Applying ${migration.file}`);
+
+    try {
+      await runInTransaction(db, async (client) => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      });
+    } catch (error) {
+      error.message = `${migration.file}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return pending;
+}
+
+// Roll back the last `steps` migrations (or every migration after version `to`).
+// Stops before anything runs if one of them is irreversible.
+async function migrateDown(db, { steps = 1, to, dryRun = false, log = console.log, migrations } = {}) {
+  const status = await getMigrationStatus(db, migrations);
+
+  if (status.unknown.length > 0) {
+    throw new Error(`Database has migrations this code doesn't know about: ${status.unknown.map(row => row.version).join(', ')}`);
+  }
+
+  const applied = status.migrations.filter(m => m.applied).reverse();
+  const targets = to !== undefined
+    ? applied.filter(m => m.version > to)
+    : applied.slice(0, steps);
+
+  const irreversible = targets.find(m => !m.down);
+  if (irreversible) {
+    throw new Error(`Migration ${irreversible.file} cannot be rolled back`);
+  }
+
+  for (const migration of targets) {
+    if (dryRun) {
+      log(`Would roll back ${migration.file}`);
+      continue;
+    }
+
+    log(`Rolling back ${migration.file}`);
+
+    try {
+      await runInTransaction(db, async (client) => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+    } catch (error) {
+      error.message = `${migration.file}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return targets;
+}
+
+// Record migrations as applied without running them. Used once on databases
+// that were set up by running the old loose .sql files by hand.
+async function baselineMigrations(db, { to, log = console.log, migrations } = {}) {
+  const status = await getMigrationStatus(db, migrations);
+  const targets = status.pending.filter(m => m.version <= to);
+
+  for (const migration of targets) {
+    log(`Marking ${migration.file} as applied`);
+    await db.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  return targets;
+}
+
+// Throw if the database schema doesn't match the migration files (checked at server boot)
+async function checkSchema(db, migrations) {
+  const status = await getMigrationStatus(db, migrations);
+  const problems = [];
+
+  if (status.pending.length > 0) {
+    problems.push(`${status.pending.length} pending migration(s): ${status.pending.map(m => m.file).join(', ')}`);
+  }
+  if (status.unknown.length > 0) {
+    problems.push(`unknown migration(s) applied: ${status.unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Database schema is out of date (${problems.join('; ')}). Run "npm run migrate".`);
+  }
+
+  return status;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  baselineMigrations,
+  checkSchema
+};
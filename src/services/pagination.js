@@ -0,0 +1,159 @@
+// src/services/pagination.js
+// Paging, sorting and date-range filtering shared by the list endpoints.
+// Every paged list accepts:
+//   limit     - page size (default 50, max 200)
+//   cursor    - next_cursor from the previous page, or
+//   offset    - rows to skip (ignored when a cursor is given)
+//   sort      - comma separated sort keys from the endpoint's list, '-' for descending
+//               (e.g. sort=-pinned,-created_at)
+//   from, to  - date range on the endpoint's date column (YYYY-MM-DD, inclusive)
+// and responds with its rows plus total (rows matching the filters), limit,
+// offset and next_cursor (null on the last page).
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cursors carry the sort and the last row's sort values, so the next page
+// starts right after it even if rows are added in between
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return decoded && typeof decoded.sort === 'string' && Array.isArray(decoded.values) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the paging query for an endpoint.
+//   sorts       - sort key -> SQL expression (must not be NULL, or paging skips rows)
+//   defaultSort - sort used when none is given, e.g. '-created_at'
+// Returns { error } or { limit, offset, sort, sortKeys, cursorValues, from, to }
+function parsePageQuery(query, { sorts, defaultSort }) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  const sort = query.sort ? String(query.sort) : defaultSort;
+
+  const sortKeys = [];
+  for (const part of sort.split(',')) {
+    const descending = part.startsWith('-');
+    const key = descending ? part.slice(1) : part;
+
+    if (!Object.prototype.hasOwnProperty.call(sorts, key)) {
+      return { error: `Sort must be one of: ${Object.keys(sorts).join(', ')} (prefix with - for descending)` };
+    }
+    sortKeys.push({ expression: sorts[key], descending });
+  }
+
+  const { from, to } = query;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  let cursorValues = null;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+
+    // The values are the sort keys plus the row id
+    if (!cursor || cursor.sort !== sort || cursor.values.length !== sortKeys.length + 1) {
+      return { error: 'Invalid cursor' };
+    }
+    cursorValues = cursor.values;
+  }
+
+  return { limit, offset: cursorValues ? 0 : offset, sort, sortKeys, cursorValues, from, to };
+}
+
+// Rows after the cursor: (a > x) OR (a = x AND b < y) OR (a = x AND b = y AND id < z) ...
+function cursorCondition(keys, values, params) {
+  const placeholders = values.map(value => {
+    params.push(value);
+    return `$${params.length}`;
+  });
+
+  const alternatives = keys.map((key, i) => {
+    const equal = keys.slice(0, i).map((earlier, j) => `${earlier.expression} = ${placeholders[j]}`);
+    return [...equal, `${key.expression} ${key.descending ? '<' : '>'} ${placeholders[i]}`].join(' AND ');
+  });
+
+  return `(${alternatives.map(alternative => `(${alternative})`).join(' OR ')})`;
+}
+
+// Run a paged list query.
+//   select      - columns to return
+//   from        - FROM clause (tables and joins)
+//   conditions  - WHERE conditions, using $n placeholders for params
+//   params      - values for the conditions
+//   idColumn    - unique column that breaks ties between equal sort values
+//   dateColumn  - column the from/to range applies to
+//   page        - result of parsePageQuery
+// Returns { rows, total, limit, offset, next_cursor }
+async function fetchPage(db, { select, from, conditions = [], params = [], idColumn, dateColumn, page }) {
+  const filters = [...conditions];
+  const filterParams = [...params];
+
+  if (page.from) {
+    filterParams.push(page.from);
+    filters.push(`${dateColumn} >= $${filterParams.length}::date`);
+  }
+  if (page.to) {
+    filterParams.push(page.to);
+    filters.push(`${dateColumn} < $${filterParams.length}::date + INTERVAL '1 day'`);
+  }
+
+  const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+
+  const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM ${from} ${where}`, filterParams);
+
+  // The id breaks ties in the direction of the last sort key
+  const keys = [...page.sortKeys, { expression: idColumn, descending: page.sortKeys[page.sortKeys.length - 1].descending }];
+  const pageParams = [...filterParams];
+  const pageFilters = [...filters];
+
+  if (page.cursorValues) {
+    pageFilters.push(cursorCondition(keys, page.cursorValues, pageParams));
+  }
+
+  // One extra row tells whether there is another page. Sort values are read
+  // back as text so timestamps keep their full precision in the cursor.
+  pageParams.push(page.limit + 1, page.offset);
+  const result = await db.query(
+    `SELECT ${select}, ${keys.map((key, i) => `(${key.expression})::text AS _sort_${i}`).join(', ')}
+     FROM ${from}
+     ${pageFilters.length > 0 ? `WHERE ${pageFilters.join(' AND ')}` : ''}
+     ORDER BY ${keys.map(key => `${key.expression} ${key.descending ? 'DESC' : 'ASC'}`).join(', ')}
+     LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+    pageParams
+  );
+
+  const hasMore = result.rows.length > page.limit;
+  const rows = result.rows.slice(0, page.limit);
+  const last = rows[rows.length - 1];
+
+  const nextCursor = hasMore
+    ? encodeCursor(page.sort, keys.map((key, i) => last[`_sort_${i}`]))
+    : null;
+
+  for (const row of rows) {
+    keys.forEach((key, i) => delete row[`_sort_${i}`]);
+  }
+
+  return {
+    rows,
+    total: countResult.rows[0].total,
+    limit: page.limit,
+    offset: page.offset,
+    next_cursor: nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageQuery,
+  fetchPage
+};
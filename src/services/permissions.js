@@ -0,0 +1,155 @@
+// src/services/permissions.js
+// Role-based permission matrix. Every protected action is a named capability;
+// each capability has default roles here, and admins can override them per
+// role (stored in role_permissions). Admins always have every capability.
+
+const ROLES = ['Admin', 'Manager', 'Clothing Manager', 'Bric-a-Brac Manager', 'Employee'];
+
+const ALL_ROLES = ROLES;
+const MANAGERS = ['Admin', 'Manager', 'Clothing Manager', 'Bric-a-Brac Manager'];
+const ADMIN_ONLY = ['Admin'];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Capability name -> description and the roles that have it by default.
+// Locked capabilities stay with Admin: a role that could manage users, stores
+// or permissions could make itself an admin.
+const CAPABILITIES = {
+  'users.manage': { description: 'Create, edit and delete user accounts and sign users out', roles: ADMIN_ONLY, locked: true },
+  'stores.manage': { description: 'Add and edit store locations', roles: ADMIN_ONLY, locked: true },
+  'permissions.manage': { description: 'Change what each role can do', roles: ADMIN_ONLY, locked: true },
+  'audit.view': { description: 'View the audit log of who changed what', roles: ADMIN_ONLY },
+  'retention.manage': { description: 'Set how long deleted records are kept, place legal holds and purge', roles: ADMIN_ONLY },
+  'uploads.manage': { description: 'Find and clean up uploaded files no record uses', roles: ADMIN_ONLY },
+
+  'forms.delete': { description: 'Delete and restore customer forms', roles: ALL_ROLES },
+  'forms.browse': { description: 'Browse every customer form on the View Forms page', roles: ADMIN_ONLY },
+  'emails.send': { description: 'Bulk send pending receipts and test email settings', roles: ADMIN_ONLY },
+  'emails.outbox': { description: 'View and retry queued customer emails', roles: ADMIN_ONLY },
+  'reminders.view': { description: 'View pickup reminder status', roles: MANAGERS },
+  'reminders.run': { description: 'Run pickup reminders on demand', roles: ADMIN_ONLY },
+
+  'reports.cash.view': { description: 'View daily cash reports', roles: ['Admin', 'Manager'] },
+  'reports.cash.edit': { description: 'Save daily cash reports and their photos', roles: ['Admin', 'Manager'] },
+  'reports.export': { description: 'Download CSV exports of forms, vouchers, daily reports and exclusive items', roles: MANAGERS },
+
+  'deliveries.view': { description: 'View the daily delivery manifest and update stop status', roles: ALL_ROLES },
+  'deliveries.plan': { description: 'Order delivery stops and assign drivers and trucks', roles: MANAGERS },
+
+  'customers.view': { description: 'Look up customers and their history', roles: ALL_ROLES },
+  'customers.edit': { description: 'Edit customer details and merge duplicate customers', roles: MANAGERS },
+
+  'banned.edit': { description: 'Add, edit and remove banned list entries', roles: ALL_ROLES },
+  'banned.history': { description: 'Search expired banned list entries', roles: ADMIN_ONLY },
+  'banned.shared': { description: 'Review and stop sharing bans that apply to every store', roles: ADMIN_ONLY },
+  'sops.edit': { description: 'Create, edit and delete SOPs', roles: ADMIN_ONLY },
+  'discount.approve': { description: 'Approve furniture / red tag items', roles: ADMIN_ONLY },
+  'communication.urgent': { description: 'Post urgent notes', roles: ADMIN_ONLY },
+  'communication.moderate': { description: 'Edit, pin and delete other users\' notes and comments', roles: ADMIN_ONLY },
+  'vouchers.archive': { description: 'View archived voucher contacts', roles: ADMIN_ONLY }
+};
+
+// role -> Set of capabilities, built from the defaults plus overrides
+let cache = {
+  matrix: null,
+  loadedAt: 0
+};
+
+function buildMatrix(overrides = []) {
+  const matrix = {};
+
+  for (const role of ROLES) {
+    matrix[role] = new Set(
+      Object.keys(CAPABILITIES).filter(name => CAPABILITIES[name].roles.includes(role))
+    );
+  }
+
+  for (const { role, capability, allowed } of overrides) {
+    if (!matrix[role] || !CAPABILITIES[capability] || CAPABILITIES[capability].locked) continue;
+    if (allowed) {
+      matrix[role].add(capability);
+    } else {
+      matrix[role].delete(capability);
+    }
+  }
+
+  return matrix;
+}
+
+// Reload overrides from the database
+async function loadPermissions(db) {
+  const result = await db.query('SELECT role, capability, allowed FROM role_permissions');
+
+  cache = {
+    matrix: buildMatrix(result.rows),
+    loadedAt: Date.now()
+  };
+}
+
+// Reload only if the cache is empty or stale
+async function ensurePermissionsLoaded(db) {
+  if (!cache.matrix || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    await loadPermissions(db);
+  }
+}
+
+function getMatrix() {
+  return cache.matrix || buildMatrix();
+}
+
+// Does this user (decoded JWT or users row) have a capability?
+function hasPermission(user, capability) {
+  if (!user || !CAPABILITIES[capability]) return false;
+  if (user.role === 'Admin') return true;
+
+  const capabilities = getMatrix()[user.role];
+  return Boolean(capabilities) && capabilities.has(capability);
+}
+
+// Every capability a role has (sent to the browser to show/hide features)
+function getRolePermissions(role) {
+  if (role === 'Admin') return Object.keys(CAPABILITIES);
+
+  const capabilities = getMatrix()[role];
+  return capabilities ? Array.from(capabilities) : [];
+}
+
+// Replace a role's capabilities. Only differences from the defaults are stored.
+async function setRolePermissions(db, role, capabilities, updatedBy) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+
+    for (const [name, capability] of Object.entries(CAPABILITIES)) {
+      const allowed = capabilities.includes(name);
+      if (allowed === capability.roles.includes(role)) continue;
+
+      await client.query(
+        `INSERT INTO role_permissions (role, capability, allowed, updated_by)
+         VALUES ($1, $2, $3, $4)`,
+        [role, name, allowed, updatedBy || null]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await loadPermissions(db);
+}
+
+module.exports = {
+  ROLES,
+  CAPABILITIES,
+  loadPermissions,
+  ensurePermissionsLoaded,
+  hasPermission,
+  getRolePermissions,
+  setRolePermissions
+};
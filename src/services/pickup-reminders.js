@@ -0,0 +1,372 @@
+// src/services/pickup-reminders.js
+// Pickup reminder emails (Due Today / Final Notice) and the background
+// scheduler that sends them automatically based on pickup_forms.date_stored
+
+const { isEmailConfigured } = require('./mailer');
+const { ensureStoresLoaded, getStores, getStore } = require('./stores');
+const { queueAndSendEmail } = require('./email-outbox');
+const { getReminderEmail } = require('./email-templates');
+
+// Reminder kinds and the pickup_forms columns that track them
+const REMINDER_TYPES = {
+  due_today: {
+    label: 'Due Today',
+    sentColumn: 'due_today_sent',
+    sentAtColumn: 'due_today_sent_at'
+  },
+  final_notice: {
+    label: 'Final Notice',
+    sentColumn: 'final_notice_sent',
+    sentAtColumn: 'final_notice_sent_at'
+  }
+};
+
+// Scheduler config (all optional, see .env)
+//   PICKUP_REMINDERS_ENABLED       - set to 'false' to turn automatic reminders off
+//   PICKUP_REMINDER_TIMEZONE       - timezone for stores that don't have one set
+//   PICKUP_DUE_TODAY_TIME          - local time (HH:MM) to send Due Today emails
+//   PICKUP_FINAL_NOTICE_TIME       - local time (HH:MM) to send Final Notice emails
+//   PICKUP_FINAL_NOTICE_DAYS_AFTER - days after the pick-up date to send the Final Notice
+//   PICKUP_REMINDER_INTERVAL_MS    - how often the scheduler checks the clock
+function getReminderConfig() {
+  return {
+    enabled: process.env.PICKUP_REMINDERS_ENABLED !== 'false',
+    timezone: process.env.PICKUP_REMINDER_TIMEZONE || 'America/Los_Angeles',
+    dueTodayTime: process.env.PICKUP_DUE_TODAY_TIME || '09:00',
+    finalNoticeTime: process.env.PICKUP_FINAL_NOTICE_TIME || '15:00',
+    finalNoticeDaysAfter: parseInt(process.env.PICKUP_FINAL_NOTICE_DAYS_AFTER) || 0,
+    intervalMs: parseInt(process.env.PICKUP_REMINDER_INTERVAL_MS) || 60 * 1000
+  };
+}
+
+// ==================== SENDING ====================
+
+// Queue a reminder email for a pickup form through the email outbox and try
+// to deliver it right away. The form's *_sent flag is set when the reminder is
+// queued (so it can never be queued twice); *_sent_at is set once delivered,
+// and only that means the customer has it.
+// Unless `force` is set, a form that already has the reminder is skipped.
+async function queuePickupReminder(db, form, reminderType, store, { force = false, createdBy = null } = {}) {
+  const reminder = REMINDER_TYPES[reminderType];
+  if (!reminder) {
+    throw new Error('Invalid reminder type');
+  }
+
+  if (!form.email) {
+    throw new Error('No email address provided');
+  }
+
+  const claim = await db.query(
+    `UPDATE pickup_forms
+     SET ${reminder.sentColumn} = true
+     WHERE id = $1 AND deleted_at IS NULL
+       ${force ? '' : `AND ${reminder.sentColumn} IS NOT TRUE`}
+     RETURNING id`,
+    [form.id]
+  );
+
+  if (claim.rows.length === 0) {
+    return { skipped: true, sent: false, willRetry: false, error: null };
+  }
+
+  const { subject, html } = getReminderEmail(form, reminderType, store);
+
+  try {
+    const result = await queueAndSendEmail(db, {
+      store,
+      emailType: reminderType,
+      formType: 'pickup',
+      formId: form.id,
+      to: form.email,
+      subject,
+      html,
+      createdBy
+    });
+    return { skipped: false, ...result };
+  } catch (error) {
+    // Could not even queue it - release the claim so it is picked up again
+    await db.query(
+      `UPDATE pickup_forms SET ${reminder.sentColumn} = false WHERE id = $1`,
+      [form.id]
+    );
+    throw error;
+  }
+}
+
+// ==================== SCHEDULER ====================
+
+const MAX_RUN_HISTORY = 50;
+
+const schedulerState = {
+  running: false,
+  startedAt: null,
+  lastCheckAt: null,
+  timer: null,
+  // Keyed by `${store}:${reminderType}` -> local date (YYYY-MM-DD) of last completed run
+  lastRunDates: {},
+  runs: []
+};
+
+// Get the local date (YYYY-MM-DD) and time (HH:MM) in a timezone
+function getLocalDateTime(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const get = type => parts.find(p => p.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`
+  };
+}
+
+// Subtract a number of days from a YYYY-MM-DD date string
+function subtractDays(dateString, days) {
+  const d = new Date(`${dateString}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+function recordRun(run) {
+  schedulerState.runs.unshift(run);
+  if (schedulerState.runs.length > MAX_RUN_HISTORY) {
+    schedulerState.runs.length = MAX_RUN_HISTORY;
+  }
+}
+
+// Queue one kind of reminder for every eligible pickup form in a store.
+// Each form is claimed with a conditional UPDATE before queueing so a form is
+// never emailed twice, even if a staff member clicks the manual button at the
+// same moment or two server instances run the scheduler.
+async function runReminderForStore(db, store, reminderType, pickupDate) {
+  const reminder = REMINDER_TYPES[reminderType];
+
+  const run = {
+    store,
+    reminderType,
+    pickupDate,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: 'completed',
+    reason: null,
+    sent: [],
+    queued: [],
+    skipped: [],
+    failed: []
+  };
+
+  if (!isEmailConfigured()) {
+    run.status = 'skipped';
+    run.reason = 'Email not configured';
+    run.finishedAt = new Date().toISOString();
+    return run;
+  }
+
+  // A reminder the outbox gave up on has its claim released so staff can send
+  // it by hand. It is still in the outbox (failed, or requeued from there), so
+  // the scheduler must not queue a second copy next to it.
+  const forms = await db.query(
+    `SELECT pf.*,
+            EXISTS (
+              SELECT 1 FROM email_outbox o
+              WHERE o.form_type = 'pickup' AND o.form_id = pf.id
+                AND o.email_type = $3 AND o.status <> 'sent'
+            ) AS reminder_in_outbox
+     FROM pickup_forms pf
+     WHERE pf.deleted_at IS NULL
+       AND pf.store = $1
+       AND pf.date_stored = $2::date
+     ORDER BY pf.id`,
+    [store, pickupDate, reminderType]
+  );
+
+  for (const form of forms.rows) {
+    const summary = { id: form.id, customer_name: form.customer_name };
+
+    if (!form.email) {
+      run.skipped.push({ ...summary, reason: 'No email address on file' });
+      continue;
+    }
+
+    if (form[reminder.sentColumn]) {
+      run.skipped.push({ ...summary, reason: `${reminder.label} email already sent` });
+      continue;
+    }
+
+    if (form.reminder_in_outbox) {
+      run.skipped.push({ ...summary, reason: `${reminder.label} email is already in the outbox` });
+      continue;
+    }
+
+    try {
+      const result = await queuePickupReminder(db, form, reminderType, store);
+
+      if (result.skipped) {
+        run.skipped.push({ ...summary, reason: `${reminder.label} email already sent` });
+      } else if (result.sent) {
+        run.sent.push({ ...summary, email: form.email, outboxId: result.outboxId });
+      } else if (result.willRetry) {
+        // First attempt failed; the email outbox keeps retrying it
+        run.queued.push({ ...summary, email: form.email, outboxId: result.outboxId, error: result.error });
+      } else {
+        run.failed.push({ ...summary, outboxId: result.outboxId, error: result.error });
+      }
+    } catch (error) {
+      console.error(`Failed to queue ${reminder.label} email for pickup form ${form.id}:`, error);
+      run.failed.push({ ...summary, error: error.message });
+    }
+  }
+
+  if (run.failed.length > 0) {
+    run.status = 'completed_with_errors';
+  }
+
+  run.finishedAt = new Date().toISOString();
+  return run;
+}
+
+// Check the clock and run any reminders that are due.
+// Pass { force: true } to run every reminder type now regardless of the configured times.
+async function runPickupReminders(db, options = {}) {
+  const config = getReminderConfig();
+  const results = [];
+
+  schedulerState.lastCheckAt = new Date().toISOString();
+
+  // Picks up stores added or edited in the last minute
+  await ensureStoresLoaded(db);
+
+  for (const { code: store, timezone } of getStores()) {
+    // "Today" and the send times are local to each store
+    const { date: today, time: now } = getLocalDateTime(timezone || config.timezone);
+
+    const schedule = [
+      { reminderType: 'due_today', time: config.dueTodayTime, pickupDate: today },
+      { reminderType: 'final_notice', time: config.finalNoticeTime, pickupDate: subtractDays(today, config.finalNoticeDaysAfter) }
+    ];
+
+    for (const job of schedule) {
+      const key = `${store}:${job.reminderType}`;
+
+      if (!options.force) {
+        if (now < job.time) continue;
+        if (schedulerState.lastRunDates[key] === today) continue;
+      }
+
+      let run;
+      try {
+        run = await runReminderForStore(db, store, job.reminderType, job.pickupDate);
+      } catch (error) {
+        console.error(`Pickup reminder run failed (${key}):`, error);
+        run = {
+          store,
+          reminderType: job.reminderType,
+          pickupDate: job.pickupDate,
+          startedAt: schedulerState.lastCheckAt,
+          finishedAt: new Date().toISOString(),
+          status: 'error',
+          reason: error.message,
+          sent: [],
+          queued: [],
+          skipped: [],
+          failed: []
+        };
+      }
+
+      run.trigger = options.force ? 'manual' : 'scheduled';
+
+      // Errors (e.g. database down) are retried on the next tick
+      if (run.status !== 'error') {
+        schedulerState.lastRunDates[key] = today;
+      }
+
+      recordRun(run);
+      results.push(run);
+
+      if (run.sent.length > 0 || run.queued.length > 0 || run.failed.length > 0) {
+        console.log(`📧 Pickup reminders (${key}): ${run.sent.length} sent, ${run.queued.length} queued for retry, ${run.failed.length} failed, ${run.skipped.length} skipped`);
+      }
+    }
+  }
+
+  return results;
+}
+
+// Start the background scheduler
+function startPickupReminderScheduler(db) {
+  const config = getReminderConfig();
+
+  if (!config.enabled) {
+    console.log('⏸️  Pickup reminder scheduler disabled (PICKUP_REMINDERS_ENABLED=false)');
+    return;
+  }
+
+  if (schedulerState.timer) return;
+
+  const tick = () => {
+    if (schedulerState.running) return;
+    schedulerState.running = true;
+
+    runPickupReminders(db)
+      .catch(error => console.error('Pickup reminder scheduler error:', error))
+      .finally(() => {
+        schedulerState.running = false;
+      });
+  };
+
+  schedulerState.startedAt = new Date().toISOString();
+  schedulerState.timer = setInterval(tick, config.intervalMs);
+  schedulerState.timer.unref();
+  tick();
+
+  console.log(`⏰ Pickup reminder scheduler started (Due Today ${config.dueTodayTime}, Final Notice ${config.finalNoticeTime}, ${config.timezone})`);
+}
+
+function stopPickupReminderScheduler() {
+  if (schedulerState.timer) {
+    clearInterval(schedulerState.timer);
+    schedulerState.timer = null;
+  }
+}
+
+// Snapshot of scheduler config and run history for the status endpoint
+function getPickupReminderStatus(store) {
+  const config = getReminderConfig();
+  const storeInfo = store ? getStore(store) : null;
+  const timezone = (storeInfo && storeInfo.timezone) || config.timezone;
+  const local = getLocalDateTime(timezone);
+
+  return {
+    enabled: config.enabled,
+    active: Boolean(schedulerState.timer),
+    emailConfigured: isEmailConfigured(),
+    config: {
+      timezone,
+      dueTodayTime: config.dueTodayTime,
+      finalNoticeTime: config.finalNoticeTime,
+      finalNoticeDaysAfter: config.finalNoticeDaysAfter
+    },
+    localDate: local.date,
+    localTime: local.time,
+    startedAt: schedulerState.startedAt,
+    lastCheckAt: schedulerState.lastCheckAt,
+    runs: store ? schedulerState.runs.filter(run => run.store === store) : schedulerState.runs
+  };
+}
+
+module.exports = {
+  REMINDER_TYPES,
+  getLocalDateTime,
+  queuePickupReminder,
+  runPickupReminders,
+  startPickupReminderScheduler,
+  stopPickupReminderScheduler,
+  getPickupReminderStatus
+};
@@ -0,0 +1,343 @@
+// src/services/retention.js
+// Retention policies: how long soft-deleted records (and cash report photos)
+// are kept before they and their uploaded files are permanently deleted.
+// Policies are stored per entity, with an optional per-store override (see
+// migrations/030_create_retention_tables.sql). Records under a legal hold are
+// never purged. A background job runs the purge once a day and every run is
+// recorded in retention_runs.
+
+const { ensureStoresLoaded, getStores } = require('./stores');
+const { deleteUpload } = require('./storage');
+const { getLocalDateTime } = require('./pickup-reminders');
+
+// A soft-deleted record is purged this many days after deleted_at
+function softDeleted(table, label, files) {
+  return {
+    label,
+    table,
+    from: `${table} t`,
+    storeColumn: 't.store',
+    expired: 't.deleted_at IS NOT NULL AND t.deleted_at <= NOW() - make_interval(days => $2)',
+    files
+  };
+}
+
+// What can be purged. `files` is an SQL array of the record's upload URLs
+// (alias t); `expired` is true for records older than the policy ($2 days)
+const RETENTION_ENTITIES = {
+  pickup_forms: softDeleted('pickup_forms', 'Deleted pickup forms',
+    `COALESCE(t.picture_urls, '{}') || ARRAY[t.signature_url]`),
+  delivery_forms: softDeleted('delivery_forms', 'Deleted delivery forms',
+    `COALESCE(t.picture_urls, '{}') || ARRAY[t.signature_url,
+       (SELECT s.photo_url FROM delivery_stops s WHERE s.delivery_form_id = t.id)]`),
+  donation_forms: softDeleted('donation_forms', 'Deleted donation forms (and their receipts)',
+    'ARRAY[t.signature_url]'),
+  waiver_forms: softDeleted('waiver_forms', 'Deleted waivers',
+    'ARRAY[t.signature_url, t.manager_signature_url]'),
+  exclusive_items: softDeleted('exclusive_items', 'Deleted exclusive items',
+    'ARRAY[t.picture_url]'),
+  discount_items: softDeleted('discount_items', 'Deleted discount items',
+    `COALESCE(t.picture_urls, '{}')`),
+  communication_log: softDeleted('communication_log', 'Deleted communication posts',
+    `COALESCE(t.picture_urls, '{}')`),
+  daily_report_images: {
+    label: 'Daily cash report photos (the report itself is kept)',
+    table: 'daily_report_images',
+    from: 'daily_report_images t JOIN daily_reports r ON r.id = t.report_id',
+    storeColumn: 'r.store',
+    expired: 'r.report_date <= CURRENT_DATE - $2::int',
+    files: 'ARRAY[t.image_data]'
+  }
+};
+
+// Scheduler config (all optional, see .env)
+//   RETENTION_ENABLED     - set to 'false' to stop purging automatically
+//   RETENTION_RUN_TIME    - local time (HH:MM) to run the daily purge
+//   RETENTION_TIMEZONE    - timezone for RETENTION_RUN_TIME
+//   RETENTION_INTERVAL_MS - how often the scheduler checks the clock
+function getRetentionConfig() {
+  return {
+    enabled: process.env.RETENTION_ENABLED !== 'false',
+    runTime: process.env.RETENTION_RUN_TIME || '03:00',
+    timezone: process.env.RETENTION_TIMEZONE || 'America/Los_Angeles',
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS) || 10 * 60 * 1000
+  };
+}
+
+// ==================== POLICIES ====================
+
+async function getPolicies(db) {
+  const result = await db.query(
+    `SELECT p.*, u.username AS updated_by_username
+     FROM retention_policies p
+     LEFT JOIN users u ON u.id = p.updated_by
+     ORDER BY p.entity, p.store NULLS FIRST`
+  );
+  return result.rows;
+}
+
+// The policy for an entity in a store: the store's own, else the default
+function resolvePolicy(policies, entity, store) {
+  return policies.find(p => p.entity === entity && p.store === store)
+    || policies.find(p => p.entity === entity && p.store === null)
+    || null;
+}
+
+// Days a deleted record can still be restored in a store: until its retention
+// policy purges it, or null when that kind is never purged there
+async function getRestoreDays(db, entity, store) {
+  const policy = resolvePolicy(await getPolicies(db), entity, store);
+  return policy && policy.enabled ? policy.retain_days : null;
+}
+
+// Condition for deleted records still within that window ($param = the days, or null)
+function restorableSql(param) {
+  return `($${param}::int IS NULL OR deleted_at > NOW() - make_interval(days => $${param}::int))`;
+}
+
+// ==================== PURGING ====================
+
+// Upload URLs of each expired record in a store, and whether it is on hold
+function expiredSql(entity, { lock = false } = {}) {
+  const def = RETENTION_ENTITIES[entity];
+
+  return `SELECT t.id,
+            ARRAY(SELECT url FROM unnest(${def.files}) AS url WHERE url LIKE '/uploads/%') AS files,
+            EXISTS (SELECT 1 FROM legal_holds h WHERE h.entity = $3 AND h.record_id = t.id) AS held
+          FROM ${def.from}
+          WHERE ${def.storeColumn} = $1 AND ${def.expired}
+          ORDER BY t.id
+          ${lock ? 'FOR UPDATE OF t' : ''}`;
+}
+
+// Purge (or with dryRun, list) one entity's expired records in one store.
+// Rows are deleted first and their files after, so a failed file delete
+// leaves an orphan for `npm run uploads:reconcile` rather than a broken record.
+async function purgeEntity(db, entity, store, retainDays, { dryRun = false } = {}) {
+  const result = { entity, store, retainDays, purged: [], held: [], files: 0 };
+
+  if (dryRun) {
+    const expired = await db.query(expiredSql(entity), [store, retainDays, entity]);
+    for (const row of expired.rows) {
+      if (row.held) {
+        result.held.push(row.id);
+      } else {
+        result.purged.push(row.id);
+        result.files += row.files.length;
+      }
+    }
+    return result;
+  }
+
+  const client = await db.connect();
+  const files = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const expired = await client.query(expiredSql(entity, { lock: true }), [store, retainDays, entity]);
+    for (const row of expired.rows) {
+      if (row.held) {
+        result.held.push(row.id);
+      } else {
+        result.purged.push(row.id);
+        files.push(...row.files);
+      }
+    }
+
+    if (result.purged.length > 0) {
+      await client.query(`DELETE FROM ${RETENTION_ENTITIES[entity].table} WHERE id = ANY($1)`, [result.purged]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const url of files) {
+    await deleteUpload(url);
+  }
+  result.files = files.length;
+
+  return result;
+}
+
+// Apply every policy to every store. With dryRun nothing is deleted or
+// recorded; the results list what would be purged (and what is on hold).
+// Otherwise the run is saved to retention_runs and returned.
+//   trigger   - 'scheduled' or 'manual'
+//   startedBy - user id for manual runs
+async function runRetention(db, { dryRun = false, trigger = 'manual', startedBy = null } = {}) {
+  let run = null;
+  if (!dryRun) {
+    const inserted = await db.query(
+      'INSERT INTO retention_runs (trigger, started_by) VALUES ($1, $2) RETURNING *',
+      [trigger, startedBy]
+    );
+    run = inserted.rows[0];
+  }
+
+  const results = [];
+  let status = 'completed';
+  let runError = null;
+
+  try {
+    await ensureStoresLoaded(db);
+    const policies = await getPolicies(db);
+
+    for (const entity of Object.keys(RETENTION_ENTITIES)) {
+      for (const { code: store } of getStores({ includeInactive: true })) {
+        const policy = resolvePolicy(policies, entity, store);
+        if (!policy || !policy.enabled) continue;
+
+        let result;
+        try {
+          result = await purgeEntity(db, entity, store, policy.retain_days, { dryRun });
+        } catch (error) {
+          console.error(`Retention purge failed (${entity}, ${store}):`, error);
+          result = { entity, store, retainDays: policy.retain_days, purged: [], held: [], files: 0, error: error.message };
+          status = 'completed_with_errors';
+        }
+
+        if (result.purged.length > 0 || result.held.length > 0 || result.error) {
+          results.push(result);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Retention run error:', error);
+    status = 'error';
+    runError = error.message;
+  }
+
+  if (dryRun) {
+    if (runError) throw new Error(runError);
+    return { dryRun: true, results };
+  }
+
+  const purgedCount = results.reduce((sum, result) => sum + result.purged.length, 0);
+  const finished = await db.query(
+    `UPDATE retention_runs
+     SET status = $1, finished_at = CURRENT_TIMESTAMP, purged_count = $2, results = $3, error = $4
+     WHERE id = $5
+     RETURNING *`,
+    [status, purgedCount, JSON.stringify(results), runError, run.id]
+  );
+
+  if (purgedCount > 0) {
+    console.log(`🗑️  Retention run ${run.id}: purged ${purgedCount} record(s)`);
+  }
+
+  return finished.rows[0];
+}
+
+// ==================== LEGAL HOLDS ====================
+
+// The store a record belongs to, or null if there is no such record
+async function getRecordStore(db, entity, recordId) {
+  const def = RETENTION_ENTITIES[entity];
+  const result = await db.query(
+    `SELECT ${def.storeColumn} AS store FROM ${def.from} WHERE t.id = $1`,
+    [recordId]
+  );
+  return result.rows.length > 0 ? result.rows[0].store : null;
+}
+
+// ==================== SCHEDULER ====================
+
+const schedulerState = {
+  running: false,
+  startedAt: null,
+  lastCheckAt: null,
+  timer: null
+};
+
+// Run the purge if it is past the run time and no scheduled run has started
+// in the last 20 hours (also covers restarts and other server instances)
+async function runScheduledRetention(db) {
+  const config = getRetentionConfig();
+  schedulerState.lastCheckAt = new Date().toISOString();
+
+  const { time } = getLocalDateTime(config.timezone);
+  if (time < config.runTime) return null;
+
+  const recent = await db.query(
+    `SELECT 1 FROM retention_runs
+     WHERE trigger = 'scheduled' AND status <> 'error'
+       AND started_at > CURRENT_TIMESTAMP - INTERVAL '20 hours'
+     LIMIT 1`
+  );
+  if (recent.rows.length > 0) return null;
+
+  return runRetention(db, { trigger: 'scheduled' });
+}
+
+// Start the background scheduler
+function startRetentionScheduler(db) {
+  const config = getRetentionConfig();
+
+  if (!config.enabled) {
+    console.log('⏸️  Retention scheduler disabled (RETENTION_ENABLED=false)');
+    return;
+  }
+
+  if (schedulerState.timer) return;
+
+  const tick = () => {
+    if (schedulerState.running) return;
+    schedulerState.running = true;
+
+    runScheduledRetention(db)
+      .catch(error => console.error('Retention scheduler error:', error))
+      .finally(() => {
+        schedulerState.running = false;
+      });
+  };
+
+  schedulerState.startedAt = new Date().toISOString();
+  schedulerState.timer = setInterval(tick, config.intervalMs);
+  schedulerState.timer.unref();
+  tick();
+
+  console.log(`⏰ Retention scheduler started (daily at ${config.runTime}, ${config.timezone})`);
+}
+
+function stopRetentionScheduler() {
+  if (schedulerState.timer) {
+    clearInterval(schedulerState.timer);
+    schedulerState.timer = null;
+  }
+}
+
+// Scheduler config for the status endpoint
+function getRetentionStatus() {
+  const config = getRetentionConfig();
+
+  return {
+    enabled: config.enabled,
+    active: Boolean(schedulerState.timer),
+    config: {
+      runTime: config.runTime,
+      timezone: config.timezone
+    },
+    startedAt: schedulerState.startedAt,
+    lastCheckAt: schedulerState.lastCheckAt
+  };
+}
+
+module.exports = {
+  RETENTION_ENTITIES,
+  getPolicies,
+  resolvePolicy,
+  getRestoreDays,
+  restorableSql,
+  runRetention,
+  runScheduledRetention,
+  getRecordStore,
+  startRetentionScheduler,
+  stopRetentionScheduler,
+  getRetentionStatus
+};
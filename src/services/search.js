@@ -0,0 +1,164 @@
+// src/services/search.js
+// Full-text search across customer forms, communication notes, SOPs, the banned
+// list and voucher contacts for one store. Results are ranked by Postgres and
+// link to the page that shows the record.
+
+const { ACTIVE_BAN_SQL, appliesInStoreSql } = require('./banned-list');
+
+// Weighted name + phone (digits only) part of a form's document
+const FORM_NAME_DOCUMENT =
+  "setweight(to_tsvector('english', coalesce(customer_name, '') || ' ' || coalesce(normalize_phone(phone), '')), 'A')";
+
+// Searchable record types. Each document must match its index in
+// migrations/027_add_search_indexes.sql exactly, or the index isn't used.
+//   table  - table and alias ($1 is the tsquery, $2 the store)
+//   where  - which rows are visible in the store
+//   title  - heading shown for a result
+//   text   - plain text the snippet is taken from
+//   url    - deep link to the record
+const SEARCH_SOURCES = {
+  pickup: {
+    table: 'pickup_forms f',
+    where: 'f.deleted_at IS NULL AND f.store = $2',
+    document: `${FORM_NAME_DOCUMENT} ||
+      setweight(to_tsvector('english', coalesce(items_description, '') || ' ' || coalesce(notes, '')), 'B')`,
+    title: 'f.customer_name',
+    text: "concat_ws(' · ', f.phone, f.items_description, f.notes)",
+    url: row => `/customer-forms-unified.html?type=pickup&id=${row.id}`
+  },
+  delivery: {
+    table: 'delivery_forms f',
+    where: 'f.deleted_at IS NULL AND f.store = $2',
+    document: `${FORM_NAME_DOCUMENT} ||
+      setweight(to_tsvector('english', coalesce(items_description, '') || ' ' || coalesce(delivery_address, '') || ' ' || coalesce(notes, '')), 'B')`,
+    title: 'f.customer_name',
+    text: "concat_ws(' · ', f.phone, f.items_description, f.delivery_address, f.notes)",
+    url: row => `/customer-forms-unified.html?type=delivery&id=${row.id}`
+  },
+  donation: {
+    table: 'donation_forms f',
+    where: 'f.deleted_at IS NULL AND f.store = $2',
+    document: `${FORM_NAME_DOCUMENT} ||
+      setweight(to_tsvector('english', coalesce(donation_description, '')), 'B')`,
+    title: 'f.customer_name',
+    text: "concat_ws(' · ', f.phone, f.donation_description)",
+    url: row => `/customer-forms-unified.html?type=donation&id=${row.id}`
+  },
+  waiver: {
+    table: 'waiver_forms f',
+    where: 'f.deleted_at IS NULL AND f.store = $2',
+    document: FORM_NAME_DOCUMENT,
+    title: 'f.customer_name',
+    text: 'f.phone',
+    url: row => `/customer-forms-unified.html?type=waiver&id=${row.id}`
+  },
+  communication: {
+    table: 'communication_log c',
+    where: 'c.deleted_at IS NULL AND c.store = $2',
+    document: "setweight(to_tsvector('english', coalesce(note, '')), 'B')",
+    title: 'c.category',
+    text: 'c.note',
+    url: row => `/communication.html?id=${row.id}`
+  },
+  sop: {
+    table: 'sops s',
+    where: 's.store = $2',
+    document: `setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(content, '')), 'B')`,
+    title: 's.title',
+    // SOP content is HTML
+    text: "regexp_replace(s.content, '<[^>]*>', ' ', 'g')",
+    date: 's.updated_at',
+    url: row => `/sops.html?id=${row.id}`
+  },
+  banned: {
+    table: 'banned_list b',
+    where: `b.deleted_at IS NULL AND ${appliesInStoreSql(2)} AND ${ACTIVE_BAN_SQL}`,
+    document: `setweight(to_tsvector('english', coalesce(name, '') || ' ' || search_array_text(aliases)), 'A') ||
+      setweight(to_tsvector('english', coalesce(notes, '')), 'B')`,
+    title: 'b.name',
+    text: "concat_ws(' · ', array_to_string(b.aliases, ', '), b.notes)",
+    url: row => `/banned-list.html?id=${row.id}`
+  },
+  voucher_contact: {
+    table: 'voucher_contacts v',
+    where: 'v.deleted_at IS NULL AND v.store = $2',
+    document: `setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(referral_agency, '') || ' ' || coalesce(case_manager_name, '') || ' ' || coalesce(normalize_phone(case_manager_phone), '')), 'B')`,
+    title: 'v.name',
+    text: "concat_ws(' · ', v.referral_agency, v.case_manager_name, v.case_manager_phone)",
+    url: row => `/vouchers.html?id=${row.id}`
+  }
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+// Matched words are wrapped in ** for the page to highlight
+const HEADLINE_OPTIONS = 'StartSel=**, StopSel=**, MaxWords=25, MinWords=10, MaxFragments=2';
+
+// Turn what the user typed into a prefix tsquery: "mall ban" -> "mall:* & ban:*".
+// Something that looks like a phone number is searched by its digits, the way
+// phone numbers are indexed. Returns null if there is nothing to search for.
+function buildTsQuery(text) {
+  const value = String(text || '').toLowerCase().trim();
+  const digits = value.replace(/\D/g, '');
+
+  if (/^[\d\s().+-]+$/.test(value) && digits.length >= 3) {
+    const phone = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+    return `${phone}:*`;
+  }
+
+  const terms = value.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (terms.length === 0) return null;
+
+  return terms.map(term => `${term}:*`).join(' & ');
+}
+
+// Search one store. Returns [{ type, id, title, snippet, date, url, rank }],
+// best match first.
+async function search(db, { query, store, types = SEARCH_TYPES, limit = 20, offset = 0 }) {
+  const tsQuery = buildTsQuery(query);
+  if (!tsQuery) return [];
+
+  const parts = types.map(type => {
+    const source = SEARCH_SOURCES[type];
+    const alias = source.table.split(' ')[1];
+
+    return `SELECT '${type}' AS type, ${alias}.id, ${source.title} AS title, ${source.text} AS text,
+              ${source.date || `${alias}.created_at`} AS date,
+              ts_rank(${source.document}, to_tsquery('english', $1)) AS rank
+            FROM ${source.table}
+            WHERE ${source.where}
+              AND ${source.document} @@ to_tsquery('english', $1)`;
+  });
+
+  // Snippets are only built for the page of results being returned
+  const result = await db.query(
+    `SELECT type, id, title, date, rank,
+            ts_headline('english', coalesce(text, ''), to_tsquery('english', $1), '${HEADLINE_OPTIONS}') AS snippet
+     FROM (
+       ${parts.join('\n       UNION ALL\n       ')}
+       ORDER BY rank DESC, date DESC
+       LIMIT $3 OFFSET $4
+     ) hits
+     ORDER BY rank DESC, date DESC`,
+    [tsQuery, store, limit, offset]
+  );
+
+  return result.rows.map(row => ({
+    type: row.type,
+    id: row.id,
+    title: row.title,
+    snippet: row.snippet,
+    date: row.date,
+    url: SEARCH_SOURCES[row.type].url(row),
+    rank: Math.round(row.rank * 10000) / 10000
+  }));
+}
+
+module.exports = {
+  SEARCH_SOURCES,
+  SEARCH_TYPES,
+  buildTsQuery,
+  search
+};
@@ -0,0 +1,203 @@
+// src/services/sessions.js
+// Login sessions: short-lived JWT access tokens plus rotating refresh tokens
+// stored (hashed) in user_sessions, so sessions can be revoked server-side.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getUserStoreCodes } = require('./stores');
+
+// Session config (all optional, see .env)
+//   ACCESS_TOKEN_TTL_MINUTES - lifetime of the JWT sent with every request
+//   REFRESH_TOKEN_TTL_DAYS   - a session ends if it isn't refreshed for this long
+//   SESSION_MAX_AGE_DAYS     - a session always ends this long after login
+function getSessionConfig() {
+  return {
+    accessTokenTtlMinutes: parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15,
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+    maxAgeDays: parseInt(process.env.SESSION_MAX_AGE_DAYS) || 30
+  };
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Sign the access token for a session
+function signAccessToken(user, stores, sessionId, config = getSessionConfig()) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      stores,
+      sid: sessionId,
+      furniture_alerts: user.furniture_alerts,
+      clothing_alerts: user.clothing_alerts,
+      bricabrac_alerts: user.bricabrac_alerts
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: config.accessTokenTtlMinutes * 60 }
+  );
+}
+
+// Start a new session after a successful login
+async function createSession(db, user, stores, { userAgent, ipAddress } = {}) {
+  const config = getSessionConfig();
+  const refreshToken = generateRefreshToken();
+
+  const result = await db.query(
+    `INSERT INTO user_sessions
+     (user_id, refresh_token_hash, user_agent, ip_address, expires_at, max_expires_at)
+     VALUES ($1, $2, $3, $4,
+             NOW() + ($5 * INTERVAL '1 day'),
+             NOW() + ($6 * INTERVAL '1 day'))
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), userAgent || null, ipAddress || null,
+     Math.min(config.refreshTokenTtlDays, config.maxAgeDays), config.maxAgeDays]
+  );
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, stores, sessionId, config),
+    refreshToken,
+    expiresIn: config.accessTokenTtlMinutes * 60
+  };
+}
+
+// Exchange a refresh token for a new access token and refresh token.
+// The user's role and stores are re-read, so admin changes apply on the next refresh.
+// Returns null if the token is unknown, expired or revoked. Presenting a token
+// that was already rotated out means it was copied, so the session is revoked.
+async function refreshSession(db, refreshToken, { userAgent, ipAddress } = {}) {
+  if (!refreshToken) return null;
+
+  const config = getSessionConfig();
+  const tokenHash = hashToken(refreshToken);
+
+  const found = await db.query(
+    `SELECT * FROM user_sessions
+     WHERE refresh_token_hash = $1 OR previous_token_hash = $1`,
+    [tokenHash]
+  );
+
+  if (found.rows.length === 0) return null;
+
+  const session = found.rows[0];
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  if (session.refresh_token_hash !== tokenHash) {
+    console.warn(`Refresh token reused for session ${session.id}, revoking it`);
+    await revokeSession(db, session.id, { reason: 'token_reused' });
+    return null;
+  }
+
+  const userResult = await db.query(
+    'SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [session.user_id]
+  );
+
+  if (userResult.rows.length === 0) {
+    await revokeSession(db, session.id, { reason: 'user_deleted' });
+    return null;
+  }
+
+  const user = userResult.rows[0];
+  const stores = await getUserStoreCodes(db, user);
+
+  if (stores.length === 0) return null;
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await db.query(
+    `UPDATE user_sessions
+     SET previous_token_hash = refresh_token_hash,
+         refresh_token_hash = $1,
+         last_used_at = NOW(),
+         expires_at = LEAST(NOW() + ($2 * INTERVAL '1 day'), max_expires_at),
+         user_agent = COALESCE($3, user_agent),
+         ip_address = COALESCE($4, ip_address)
+     WHERE id = $5 AND refresh_token_hash = $6 AND revoked_at IS NULL
+     RETURNING id`,
+    [hashToken(newRefreshToken), config.refreshTokenTtlDays, userAgent || null,
+     ipAddress || null, session.id, tokenHash]
+  );
+
+  if (rotated.rows.length === 0) return null;
+
+  return {
+    sessionId: session.id,
+    accessToken: signAccessToken(user, stores, session.id, config),
+    refreshToken: newRefreshToken,
+    expiresIn: config.accessTokenTtlMinutes * 60,
+    user,
+    stores
+  };
+}
+
+// Is the session behind an access token still usable?
+async function isSessionActive(db, sessionId) {
+  const result = await db.query(
+    `SELECT 1 FROM user_sessions
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+
+  return result.rows.length > 0;
+}
+
+async function revokeSession(db, sessionId, { revokedBy = null, reason = 'logout' } = {}) {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_by = $1, revoked_reason = $2
+     WHERE id = $3 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [revokedBy, reason, sessionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// End every active session for a user (e.g. when an employee leaves)
+async function revokeUserSessions(db, userId, { revokedBy = null, reason = 'admin' } = {}) {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_by = $1, revoked_reason = $2
+     WHERE user_id = $3 AND revoked_at IS NULL`,
+    [revokedBy, reason, userId]
+  );
+
+  return result.rowCount;
+}
+
+// Sessions that can still be used, newest first
+async function listActiveSessions(db, userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  getSessionConfig,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
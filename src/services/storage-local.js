@@ -0,0 +1,80 @@
+// src/services/storage-local.js
+// Upload storage driver that keeps files in a folder on this server's disk
+// (UPLOAD_DIR). Files are lost when the host's disk is wiped on redeploy, so
+// production should use the S3 driver (see services/storage-s3.js).
+
+const fs = require('fs');
+const path = require('path');
+
+// Every file under a folder, recursively, as keys relative to root
+async function walk(root, folder, files) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(folder, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(folder, entry.name);
+
+    if (entry.isDirectory()) {
+      await walk(root, fullPath, files);
+    } else if (entry.isFile() && !entry.name.startsWith('.')) {
+      const stat = await fs.promises.stat(fullPath);
+      files.push({
+        key: path.relative(root, fullPath).split(path.sep).join('/'),
+        size: stat.size,
+        lastModified: stat.mtime
+      });
+    }
+  }
+
+  return files;
+}
+
+//   root - absolute path of the upload folder
+function createLocalStorage({ root }) {
+  const filePath = key => path.join(root, ...key.split('/'));
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, body) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, body);
+    },
+
+    // File contents as a Buffer, or null if there's no such file
+    async get(key) {
+      try {
+        return await fs.promises.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Deleting a file that isn't there is not an error
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // [{ key, size, lastModified }] for every file whose key starts with prefix
+    async list(prefix = '') {
+      const files = await walk(root, root, []);
+      return files.filter(file => file.key.startsWith(prefix));
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
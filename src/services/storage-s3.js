@@ -0,0 +1,206 @@
+// src/services/storage-s3.js
+// Upload storage driver for Amazon S3 and S3-compatible services (MinIO,
+// Cloudflare R2, DigitalOcean Spaces, Backblaze B2). Requests are signed with
+// AWS Signature Version 4. Objects are private; browsers get short-lived
+// presigned links instead.
+
+const crypto = require('crypto');
+
+const SERVICE = 's3';
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+// 20260115T093000Z and 20260115
+function amzDates(now = new Date()) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, shortDate: amzDate.slice(0, 8) };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+//   bucket, region, endpoint, accessKeyId, secretAccessKey
+//   forcePathStyle - address the bucket as endpoint/bucket/key (needed by
+//                    MinIO and most self-hosted services) instead of
+//                    bucket.endpoint/key
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  function objectUrl(key = '') {
+    const url = new URL(base.href);
+    if (forcePathStyle) {
+      url.pathname = `${basePath}/${bucket}/${encodeKey(key)}`;
+    } else {
+      url.host = `${bucket}.${base.host}`;
+      url.pathname = `${basePath}/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  function canonicalQuery(url) {
+    return Array.from(url.searchParams.entries())
+      .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+      .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+  }
+
+  function signature(method, url, headers, payloadHash, amzDate, shortDate) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(url),
+      names.map(name => `${name}:${String(lowered[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${shortDate}/${region}/${SERVICE}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, shortDate), region), SERVICE), 'aws4_request');
+
+    return {
+      scope,
+      signedHeaders: names.join(';'),
+      value: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+    };
+  }
+
+  async function request(method, url, { body, contentType } = {}) {
+    const { amzDate, shortDate } = amzDates();
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const signed = signature(method, url, headers, payloadHash, amzDate, shortDate);
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${signed.scope}, ` +
+      `SignedHeaders=${signed.signedHeaders}, Signature=${signed.value}`;
+    delete headers.host;
+
+    return fetch(url, { method, headers, body });
+  }
+
+  async function fail(response, action) {
+    const text = await response.text().catch(() => '');
+    const code = xmlValue(text, 'Code') || response.statusText;
+    throw new Error(`S3 ${action} failed: ${response.status} ${code}`);
+  }
+
+  return {
+    name: 's3',
+    bucket,
+
+    async put(key, body, { contentType } = {}) {
+      const response = await request('PUT', objectUrl(key), {
+        body,
+        contentType: contentType || 'application/octet-stream'
+      });
+      if (!response.ok) await fail(response, `upload of ${key}`);
+    },
+
+    // Object contents as a Buffer, or null if there's no such object
+    async get(key) {
+      const response = await request('GET', objectUrl(key));
+      if (response.status === 404) return null;
+      if (!response.ok) await fail(response, `download of ${key}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    // Deleting an object that isn't there is not an error
+    async remove(key) {
+      const response = await request('DELETE', objectUrl(key));
+      if (!response.ok && response.status !== 404) await fail(response, `delete of ${key}`);
+    },
+
+    // [{ key, size, lastModified }] for every object whose key starts with prefix
+    async list(prefix = '') {
+      const files = [];
+      let token = null;
+
+      do {
+        const url = objectUrl();
+        url.searchParams.set('list-type', '2');
+        if (prefix) url.searchParams.set('prefix', prefix);
+        if (token) url.searchParams.set('continuation-token', token);
+
+        const response = await request('GET', url);
+        if (!response.ok) await fail(response, 'listing');
+
+        const xml = await response.text();
+        for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          files.push({
+            key: xmlValue(entry, 'Key'),
+            size: Number(xmlValue(entry, 'Size')),
+            lastModified: new Date(xmlValue(entry, 'LastModified'))
+          });
+        }
+
+        token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+      } while (token);
+
+      return files;
+    },
+
+    // A link anyone can use to download the object until it expires
+    async signedUrl(key, expiresIn) {
+      const { amzDate, shortDate } = amzDates();
+      const url = objectUrl(key);
+
+      url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+      url.searchParams.set('X-Amz-Credential', `${accessKeyId}/${shortDate}/${region}/${SERVICE}/aws4_request`);
+      url.searchParams.set('X-Amz-Date', amzDate);
+      url.searchParams.set('X-Amz-Expires', String(Math.min(Math.max(Math.round(expiresIn), 1), MAX_PRESIGN_SECONDS)));
+      url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+      const signed = signature('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', amzDate, shortDate);
+      url.searchParams.set('X-Amz-Signature', signed.value);
+
+      return url.href;
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,403 @@
+// src/services/storage.js
+// Where uploaded files live. Every router stores pictures and signatures
+// through here instead of writing to disk itself, so the backend can be the
+// server's disk or an S3-compatible bucket.
+//
+// Files are always referred to by their /uploads/<folder>/<file> URL (that is
+// what the database stores); the key is the part after /uploads/. Pictures are
+// normalized on the way in (services/images.js) and get a thumbnail at
+// /uploads/<folder>/thumbs/<file>.jpg.
+//
+// Config (see .env):
+//   STORAGE_DRIVER        - 'local' (default) or 's3'
+//   UPLOAD_DIR            - folder for the local driver (default: uploads)
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//   S3_FORCE_PATH_STYLE   - bucket settings for the s3 driver
+//   UPLOAD_LINK_TTL_SECONDS - how long signed links to files work (default 15 minutes)
+//   UPLOAD_EMAIL_LINK_TTL_SECONDS - how long links in emails work (default 7 days)
+//   APP_URL               - public address of the app (e.g. https://lbts.example.org),
+//                           needed for links in emails when files are stored locally
+
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { createLocalStorage } = require('./storage-local');
+const { createS3Storage } = require('./storage-s3');
+const { processImage, createThumbnail } = require('./images');
+
+const UPLOADS_PREFIX = '/uploads/';
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10MB per file
+const MAX_EMAIL_LINK_SECONDS = 7 * 24 * 60 * 60; // S3 presigned links can't last longer
+const KEY_PATTERN = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+// Content types for files copied within storage (multer gives them for new uploads)
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.pdf': 'application/pdf'
+};
+
+// Absolute path of the local upload folder
+function getUploadDir() {
+  const baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
+  return path.isAbsolute(baseUploadDir)
+    ? baseUploadDir
+    : path.join(__dirname, '../..', baseUploadDir);
+}
+
+function getStorageConfig() {
+  return {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    linkTtlSeconds: parseInt(process.env.UPLOAD_LINK_TTL_SECONDS) || 15 * 60,
+    emailLinkTtlSeconds: Math.min(parseInt(process.env.UPLOAD_EMAIL_LINK_TTL_SECONDS) || MAX_EMAIL_LINK_SECONDS, MAX_EMAIL_LINK_SECONDS),
+    appUrl: (process.env.APP_URL || '').replace(/\/$/, '')
+  };
+}
+
+function createLocalDriver() {
+  return createLocalStorage({ root: getUploadDir() });
+}
+
+function createS3Driver() {
+  return createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  });
+}
+
+// The configured storage driver. Drivers are cheap, so config changes apply
+// without a restart (and tests can switch drivers).
+function getStorage() {
+  const { driver } = getStorageConfig();
+
+  if (driver === 'local') return createLocalDriver();
+  if (driver === 's3') return createS3Driver();
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver} (use local or s3)`);
+}
+
+// ==================== KEYS AND URLS ====================
+
+// Storage key for an /uploads/... URL, or null if it isn't one of ours
+function uploadKey(url) {
+  if (typeof url !== 'string' || !url.startsWith(UPLOADS_PREFIX)) return null;
+
+  const key = url.slice(UPLOADS_PREFIX.length).split('?')[0];
+  if (!KEY_PATTERN.test(key) || key.split('/').some(part => part === '..' || part === '.')) {
+    return null;
+  }
+
+  return key;
+}
+
+function uploadUrl(key) {
+  return UPLOADS_PREFIX + key;
+}
+
+// Content type of a stored file from its extension (undefined if unknown)
+function uploadContentType(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()];
+}
+
+// e.g. signature-1712345678901-123456789.png
+function uniqueFilename(prefix, ext) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefix}-${uniqueSuffix}${ext}`;
+}
+
+function isThumbnailKey(key) {
+  return key.split('/').slice(-2, -1)[0] === 'thumbs';
+}
+
+// pickup/pickup-1-2.png -> pickup/thumbs/pickup-1-2.jpg
+function thumbnailKey(key) {
+  const folder = path.posix.dirname(key);
+  const name = path.posix.basename(key, path.posix.extname(key));
+  return `${folder === '.' ? '' : folder + '/'}thumbs/${name}.jpg`;
+}
+
+// Thumbnail URL for an uploaded picture, or null if it isn't an upload.
+// Pictures uploaded before thumbnails existed may not have one yet (see
+// createMissingThumbnails).
+function thumbnailUrl(url) {
+  const key = uploadKey(url);
+  return key && !isThumbnailKey(key) ? uploadUrl(thumbnailKey(key)) : null;
+}
+
+// A row for a list endpoint with thumbnail_url / thumbnail_urls next to its
+// picture_url / picture_urls
+function withThumbnails(row) {
+  const result = { ...row };
+  if ('picture_url' in row) {
+    result.thumbnail_url = thumbnailUrl(row.picture_url);
+  }
+  if ('picture_urls' in row) {
+    result.thumbnail_urls = (row.picture_urls || []).map(thumbnailUrl);
+  }
+  return result;
+}
+
+// ==================== MULTER ====================
+
+// A multer storage engine that normalizes pictures (services/images.js) and
+// saves them through the configured driver.
+//   folder    - upload folder, or (req, file) => folder
+//   prefix    - file name prefix, or (req, file) => prefix
+//   thumbnail - also save a thumbnail (default true), or (req, file) => boolean
+// Each saved file gets filename, key, url, thumbnailUrl and size, like
+// multer.diskStorage gives filename and path.
+function createUploadStorage({ folder, prefix, thumbnail = true }) {
+  const resolve = (option, req, file) => (typeof option === 'function' ? option(req, file) : option);
+
+  return {
+    _handleFile(req, file, cb) {
+      const chunks = [];
+
+      file.stream.on('data', chunk => chunks.push(chunk));
+      file.stream.on('error', cb);
+      file.stream.on('end', async () => {
+        try {
+          const image = await processImage(Buffer.concat(chunks), {
+            name: file.originalname,
+            thumbnail: resolve(thumbnail, req, file)
+          });
+
+          const filename = uniqueFilename(resolve(prefix, req, file), image.ext);
+          const key = `${resolve(folder, req, file)}/${filename}`;
+          if (!uploadKey(uploadUrl(key))) {
+            throw new Error(`Invalid upload path: ${key}`);
+          }
+
+          const storage = getStorage();
+          await storage.put(key, image.body, { contentType: image.contentType });
+          if (image.thumbnail) {
+            await storage.put(thumbnailKey(key), image.thumbnail, { contentType: 'image/jpeg' });
+          }
+
+          cb(null, {
+            filename,
+            key,
+            url: uploadUrl(key),
+            thumbnailUrl: image.thumbnail ? uploadUrl(thumbnailKey(key)) : null,
+            size: image.body.length
+          });
+        } catch (error) {
+          cb(error);
+        }
+      });
+    },
+
+    _removeFile(req, file, cb) {
+      deleteUpload(file.url).then(() => cb(null));
+    }
+  };
+}
+
+// Multer middleware for picture uploads (images only, 10MB each unless
+// maxFileSize says otherwise), saved through createUploadStorage
+function createImageUpload({ folder, prefix, thumbnail, maxFileSize = MAX_UPLOAD_BYTES }) {
+  return multer({
+    storage: createUploadStorage({ folder, prefix, thumbnail }),
+    limits: {
+      fileSize: maxFileSize
+    },
+    fileFilter: function (req, file, cb) {
+      if (!file.mimetype.startsWith('image/')) {
+        return cb(new Error('Only image files are allowed!'), false);
+      }
+      cb(null, true);
+    }
+  });
+}
+
+// ==================== READ / DELETE ====================
+
+// Contents of a stored file as a Buffer, or null if it's missing
+async function readUpload(url) {
+  const key = uploadKey(url);
+  if (!key) return null;
+
+  return getStorage().get(key);
+}
+
+// Delete a stored file (and its thumbnail) by its /uploads/... URL. Never
+// throws: a file that can't be deleted is logged and left behind.
+async function deleteUpload(url) {
+  const key = uploadKey(url);
+  if (!key) return;
+
+  try {
+    const storage = getStorage();
+    await storage.remove(key);
+    if (!isThumbnailKey(key)) {
+      await storage.remove(thumbnailKey(key));
+    }
+  } catch (error) {
+    console.error(`Error deleting upload ${url}:`, error);
+  }
+}
+
+// Delete what multer saved for a request (req.file, or req.files as a list
+// or by field), e.g. when validation fails after the upload
+function deleteRequestUploads(req) {
+  const files = [];
+  if (req.file) files.push(req.file);
+  if (Array.isArray(req.files)) {
+    files.push(...req.files);
+  } else if (req.files) {
+    Object.values(req.files).forEach(list => files.push(...list));
+  }
+
+  return Promise.all(files.map(file => deleteUpload(file.url)));
+}
+
+// ==================== LINKS ====================
+
+function getSigningSecret() {
+  return process.env.UPLOAD_SIGNING_SECRET || process.env.JWT_SECRET;
+}
+
+function linkSignature(key, expires) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('hex');
+}
+
+// A time-limited link to a stored file. S3 files get a presigned bucket URL;
+// local files get /uploads/... with an expiry and signature.
+async function signedUploadUrl(url, expiresIn = getStorageConfig().linkTtlSeconds) {
+  const key = uploadKey(url);
+  if (!key) return null;
+
+  const storage = getStorage();
+  if (storage.signedUrl) {
+    return storage.signedUrl(key, expiresIn);
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${uploadUrl(key)}?expires=${expires}&signature=${linkSignature(key, expires)}`;
+}
+
+// Is this a valid, unexpired signed link to the key (from signedUploadUrl)?
+function verifySignedUpload(key, expires, signature) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(linkSignature(key, expiresAt), 'hex'));
+}
+
+// A full signed link to a file for an email, or null if there's no way to make
+// one (local storage without APP_URL)
+async function emailUploadLink(url) {
+  const { emailLinkTtlSeconds, appUrl } = getStorageConfig();
+
+  const link = await signedUploadUrl(url, emailLinkTtlSeconds);
+  if (!link || !link.startsWith('/')) return link;
+
+  return appUrl ? appUrl + link : null;
+}
+
+// ==================== MIGRATION ====================
+
+// Copy every file in the local upload folder into another driver (e.g. S3)
+// under the same key, so the /uploads/... URLs in the database keep working.
+// Files already there with the same size are skipped.
+//   dryRun      - only report what would be copied
+//   deleteLocal - remove each local file once it's safely copied
+// Returns { copied, skipped, failed } lists of keys.
+async function migrateLocalUploads(target, { source = createLocalDriver(), dryRun = false, deleteLocal = false } = {}) {
+  const result = { copied: [], skipped: [], failed: [] };
+
+  const existing = new Map((await target.list()).map(file => [file.key, file.size]));
+
+  for (const file of await source.list()) {
+    if (!uploadKey(uploadUrl(file.key))) {
+      result.failed.push(file.key);
+      continue;
+    }
+
+    if (existing.get(file.key) === file.size) {
+      result.skipped.push(file.key);
+    } else {
+      try {
+        if (!dryRun) {
+          await target.put(file.key, await source.get(file.key), {
+            contentType: uploadContentType(file.key)
+          });
+        }
+        result.copied.push(file.key);
+      } catch (error) {
+        console.error(`Error copying upload ${file.key}:`, error);
+        result.failed.push(file.key);
+        continue;
+      }
+    }
+
+    if (deleteLocal && !dryRun) {
+      await source.remove(file.key);
+    }
+  }
+
+  return result;
+}
+
+// ==================== THUMBNAIL BACKFILL ====================
+
+// Make thumbnails for stored pictures that don't have one (uploaded before
+// thumbnails existed). Signatures are skipped; they're never shown in lists.
+//   dryRun - only report what would be made
+// Returns { created, failed } lists of picture keys.
+async function createMissingThumbnails({ storage = getStorage(), dryRun = false } = {}) {
+  const result = { created: [], failed: [] };
+
+  const files = await storage.list();
+  const keys = new Set(files.map(file => file.key));
+
+  for (const { key } of files) {
+    if (isThumbnailKey(key) || key.startsWith('signatures/') || key.startsWith('quarantine/') || keys.has(thumbnailKey(key))) continue;
+    if (!uploadContentType(key)?.startsWith('image/')) continue;
+
+    try {
+      if (!dryRun) {
+        await storage.put(thumbnailKey(key), await createThumbnail(await storage.get(key)), {
+          contentType: 'image/jpeg'
+        });
+      }
+      result.created.push(key);
+    } catch (error) {
+      console.error(`Error creating thumbnail for ${key}:`, error);
+      result.failed.push(key);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getUploadDir,
+  getStorageConfig,
+  getStorage,
+  createLocalDriver,
+  uploadKey,
+  uploadUrl,
+  uploadContentType,
+  thumbnailUrl,
+  withThumbnails,
+  createUploadStorage,
+  createImageUpload,
+  readUpload,
+  deleteUpload,
+  deleteRequestUploads,
+  signedUploadUrl,
+  verifySignedUpload,
+  emailUploadLink,
+  migrateLocalUploads,
+  createMissingThumbnails
+};
@@ -0,0 +1,123 @@
+// src/services/stores.js
+// Store registry backed by the stores table. Store details (name, contact
+// info, email sender label, logo, timezone, hours) are cached in memory so the
+// auth middleware and email templates can look them up without a query.
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Used by email templates if a store has no logo of its own
+const DEFAULT_LOGO_URL = 'https://raw.githubusercontent.com/bgbeaconhouse/lbts-thrift-store/1ba0b20578bee0123684923c41c8193d7f308c65/public/images/BHdarklogo1.png';
+
+// Store codes go in the x-store header and every table's store column
+const STORE_CODE_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+
+let cache = {
+  stores: new Map(),
+  loadedAt: 0
+};
+
+// Convert a stores row to the shape used throughout the app
+function toStore(row) {
+  return {
+    code: row.code,
+    name: row.name,
+    shortName: row.short_name || row.name,
+    address: row.address,
+    phone: row.phone,
+    fromLabel: row.from_label || row.name,
+    logoUrl: row.logo_url || DEFAULT_LOGO_URL,
+    timezone: row.timezone,
+    businessHours: row.business_hours || {},
+    isDefault: row.is_default,
+    isActive: row.is_active
+  };
+}
+
+// Reload every store from the database
+async function loadStores(db) {
+  const result = await db.query('SELECT * FROM stores ORDER BY is_default DESC, name ASC');
+
+  cache = {
+    stores: new Map(result.rows.map(row => [row.code, toStore(row)])),
+    loadedAt: Date.now()
+  };
+
+  return getStores({ includeInactive: true });
+}
+
+// Reload only if the cache is empty or stale
+async function ensureStoresLoaded(db) {
+  if (cache.stores.size === 0 || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    await loadStores(db);
+  }
+}
+
+function getStores({ includeInactive = false } = {}) {
+  const stores = Array.from(cache.stores.values());
+  return includeInactive ? stores : stores.filter(store => store.isActive);
+}
+
+function getStore(code) {
+  return cache.stores.get(code) || null;
+}
+
+function getDefaultStore() {
+  const stores = getStores();
+  return stores.find(store => store.isDefault) || stores[0] || null;
+}
+
+// Active store for a code, or null if the code is unknown/deactivated
+function getActiveStore(code) {
+  const store = getStore(code);
+  return store && store.isActive ? store : null;
+}
+
+// ==================== USER ACCESS ====================
+
+// Admins can use every store; everyone else only the stores in user_stores
+function canAccessAllStores(user) {
+  return Boolean(user) && user.role === 'Admin';
+}
+
+// Codes of the active stores a user may work in (embedded in their JWT at login)
+async function getUserStoreCodes(db, user) {
+  if (canAccessAllStores(user)) {
+    await ensureStoresLoaded(db);
+    return getStores().map(store => store.code);
+  }
+
+  const result = await db.query(
+    `SELECT us.store_code
+     FROM user_stores us
+     JOIN stores s ON s.code = us.store_code
+     WHERE us.user_id = $1 AND s.is_active = TRUE
+     ORDER BY s.is_default DESC, s.name ASC`,
+    [user.id]
+  );
+
+  return result.rows.map(row => row.store_code);
+}
+
+// Check a store code against the stores claim in a decoded JWT
+function canAccessStore(user, code) {
+  if (canAccessAllStores(user)) return true;
+  return Array.isArray(user.stores) && user.stores.includes(code);
+}
+
+function isValidStoreCode(code) {
+  return typeof code === 'string' && STORE_CODE_PATTERN.test(code);
+}
+
+module.exports = {
+  DEFAULT_LOGO_URL,
+  loadStores,
+  ensureStoresLoaded,
+  getStores,
+  getStore,
+  getDefaultStore,
+  getActiveStore,
+  canAccessAllStores,
+  getUserStoreCodes,
+  canAccessStore,
+  isValidStoreCode
+};
@@ -0,0 +1,95 @@
+// src/services/upload-access.js
+// Who may open which uploaded files. Customer signatures and daily cash report
+// photos are private: they're served only through the signed-in /api/files
+// route, to users who work in the store the file belongs to, or through a
+// signed link that expires (e.g. in customer emails). Quarantined orphans
+// (see upload-reconciler.js) are for admins only. Everything else under
+// /uploads is public.
+
+const { canAccessStore } = require('./stores');
+const { hasPermission } = require('./permissions');
+const { uploadKey } = require('./storage');
+
+// Private folder -> capability needed (null: anyone in the store) and the
+// query for the store that owns a file. $1 is a LIKE pattern for the URL.
+// Folders without an owner query belong to no store: the capability decides.
+const PRIVATE_FOLDERS = {
+  signatures: {
+    capability: null,
+    ownerSql: `SELECT store FROM pickup_forms WHERE signature_url LIKE $1
+               UNION ALL SELECT store FROM delivery_forms WHERE signature_url LIKE $1
+               UNION ALL SELECT store FROM donation_forms WHERE signature_url LIKE $1
+               UNION ALL SELECT store FROM waiver_forms WHERE signature_url LIKE $1 OR manager_signature_url LIKE $1
+               LIMIT 1`
+  },
+  'daily-reports': {
+    capability: 'reports.cash.view',
+    ownerSql: `SELECT dr.store
+               FROM daily_report_images dri
+               JOIN daily_reports dr ON dr.id = dri.report_id
+               WHERE dri.image_data LIKE $1
+               LIMIT 1`
+  },
+  quarantine: {
+    capability: 'uploads.manage',
+    ownerSql: null
+  }
+};
+
+function privateFolder(url) {
+  const key = uploadKey(url);
+  return key ? PRIVATE_FOLDERS[key.split('/')[0]] || null : null;
+}
+
+function isPrivateUpload(url) {
+  return privateFolder(url) !== null;
+}
+
+// LIKE pattern matching the URL saved in the database. A thumbnail belongs to
+// whatever picture has the same name, whatever its extension.
+function ownerPattern(key) {
+  const parts = key.split('/');
+  const escape = value => value.replace(/[\\%_]/g, c => '\\' + c);
+
+  if (parts.length > 2 && parts[parts.length - 2] === 'thumbs') {
+    const name = parts[parts.length - 1].replace(/\.[^.]*$/, '');
+    return escape(`/uploads/${parts.slice(0, -2).join('/')}/${name}.`) + '%';
+  }
+
+  return escape(`/uploads/${key}`);
+}
+
+// The store a private file belongs to, or null if no record uses it
+async function getUploadStore(db, url) {
+  const folder = privateFolder(url);
+  if (!folder || !folder.ownerSql) return null;
+
+  const result = await db.query(folder.ownerSql, [ownerPattern(uploadKey(url))]);
+  return result.rows.length > 0 ? result.rows[0].store : null;
+}
+
+// Can this signed-in user open the file? Returns null if so, or { status, error }.
+async function checkUploadAccess(db, user, url) {
+  const folder = privateFolder(url);
+  if (!folder) return null;
+
+  if (folder.capability && !hasPermission(user, folder.capability)) {
+    return { status: 403, error: 'You do not have permission to view this file' };
+  }
+
+  if (!folder.ownerSql) return null;
+
+  const store = await getUploadStore(db, url);
+  if (!store || !canAccessStore(user, store)) {
+    return { status: 404, error: 'File not found' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  PRIVATE_FOLDERS,
+  isPrivateUpload,
+  getUploadStore,
+  checkUploadAccess
+};
@@ -0,0 +1,138 @@
+// src/services/upload-reconciler.js
+// Finds uploaded files nothing in the database points to (orphans: a failed
+// insert after the upload, a replaced photo whose delete failed) and database
+// references to files that are gone (dangling). Orphans can be moved to the
+// quarantine/ folder, where only admins can see them, or deleted.
+
+const { getStorage, uploadKey, uploadUrl, uploadContentType, thumbnailUrl } = require('./storage');
+
+const QUARANTINE_FOLDER = 'quarantine';
+
+// Default grace period, so files uploaded a moment ago whose record is still
+// being saved aren't taken for orphans
+const DEFAULT_MIN_AGE_MINUTES = 60;
+
+// Every column that holds /uploads/... URLs. Tables that may not exist
+// (archived by migrations) are skipped.
+const UPLOAD_REFERENCES = [
+  { table: 'pickup_forms', column: 'picture_urls', array: true },
+  { table: 'pickup_forms', column: 'signature_url' },
+  { table: 'delivery_forms', column: 'picture_urls', array: true },
+  { table: 'delivery_forms', column: 'signature_url' },
+  { table: 'donation_forms', column: 'signature_url' },
+  { table: 'waiver_forms', column: 'signature_url' },
+  { table: 'waiver_forms', column: 'manager_signature_url' },
+  { table: 'exclusive_items', column: 'picture_url' },
+  { table: 'discount_items', column: 'picture_urls', array: true },
+  { table: 'banned_list', column: 'picture_urls', array: true },
+  { table: 'communication_log', column: 'picture_urls', array: true },
+  { table: 'pickup_inventory', column: 'picture_urls', array: true },
+  { table: 'delivery_inventory', column: 'picture_urls', array: true },
+  { table: 'pickup_inventory_archived', column: 'picture_urls', array: true },
+  { table: 'delivery_inventory_archived', column: 'picture_urls', array: true },
+  { table: 'daily_report_images', column: 'image_data' },
+  { table: 'delivery_stops', column: 'photo_url', idColumn: 'delivery_form_id' },
+  { table: 'stores', column: 'logo_url', idColumn: 'code' }
+];
+
+const ACTIONS = ['report', 'quarantine', 'delete'];
+
+// [{ url, table, column, id }] for every /uploads/... URL in the database
+async function getUploadReferences(db) {
+  const references = [];
+
+  for (const { table, column, array, idColumn = 'id' } of UPLOAD_REFERENCES) {
+    const exists = await db.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+    if (!exists.rows[0].exists) continue;
+
+    const result = await db.query(
+      array
+        ? `SELECT ${idColumn}::text AS id, url FROM ${table}, unnest(${column}) AS url WHERE url LIKE '/uploads/%'`
+        : `SELECT ${idColumn}::text AS id, ${column} AS url FROM ${table} WHERE ${column} LIKE '/uploads/%'`
+    );
+
+    for (const row of result.rows) {
+      references.push({ url: row.url, table, column, id: row.id });
+    }
+  }
+
+  return references;
+}
+
+// quarantine/2026-01-15/pickup/pickup-1-2.jpg
+function quarantineKey(key, now = new Date()) {
+  return `${QUARANTINE_FOLDER}/${now.toISOString().slice(0, 10)}/${key}`;
+}
+
+// Compare storage with the database.
+//   action        - 'report' (default), 'quarantine' or 'delete' the orphans
+//   minAgeMinutes - only files older than this count as orphans
+// Returns { scanned, referenced, orphans, dangling, quarantined, deleted, failed }.
+async function reconcileUploads(db, { storage = getStorage(), action = 'report', minAgeMinutes = DEFAULT_MIN_AGE_MINUTES } = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action: ${action} (use ${ACTIONS.join(', ')})`);
+  }
+
+  const files = (await storage.list()).filter(file => !file.key.startsWith(`${QUARANTINE_FOLDER}/`));
+  const references = await getUploadReferences(db);
+
+  // A thumbnail is in use whenever its picture is
+  const inUse = new Set();
+  for (const { url } of references) {
+    const key = uploadKey(url);
+    if (!key) continue;
+    inUse.add(key);
+    inUse.add(uploadKey(thumbnailUrl(url)));
+  }
+
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const orphans = files
+    .filter(file => !inUse.has(file.key) && new Date(file.lastModified).getTime() <= cutoff)
+    .map(file => ({ key: file.key, url: uploadUrl(file.key), size: file.size, lastModified: file.lastModified }));
+
+  const stored = new Set(files.map(file => file.key));
+  const dangling = references.filter(reference => {
+    const key = uploadKey(reference.url);
+    return !key || !stored.has(key);
+  });
+
+  const result = {
+    scanned: files.length,
+    referenced: references.length,
+    orphans,
+    dangling,
+    quarantined: [],
+    deleted: [],
+    failed: []
+  };
+
+  for (const orphan of action === 'report' ? [] : orphans) {
+    try {
+      if (action === 'quarantine') {
+        const body = await storage.get(orphan.key);
+        if (body) {
+          await storage.put(quarantineKey(orphan.key), body, { contentType: uploadContentType(orphan.key) });
+        }
+        await storage.remove(orphan.key);
+        result.quarantined.push(orphan.key);
+      } else {
+        await storage.remove(orphan.key);
+        result.deleted.push(orphan.key);
+      }
+    } catch (error) {
+      console.error(`Error cleaning up orphaned upload ${orphan.key}:`, error);
+      result.failed.push(orphan.key);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  QUARANTINE_FOLDER,
+  DEFAULT_MIN_AGE_MINUTES,
+  UPLOAD_REFERENCES,
+  ACTIONS,
+  getUploadReferences,
+  reconcileUploads
+};
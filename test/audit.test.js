@@ -0,0 +1,91 @@
+// test/audit.test.js
+// Searching the audit log: filters, paging and store limits
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/harness');
+const { CAPABILITIES } = require('../src/services/permissions');
+
+let t;
+let admin;
+
+// Events well before anything the app records while the tests run
+const EVENTS = [
+  { username: 'alice', store: 'long_beach', entity: 'banned_list', entity_id: '12', action: 'update', created_at: '2020-01-10 12:00' },
+  { username: 'bob', store: 'san_pedro', entity: 'exclusive_item', entity_id: '5', action: 'delete', created_at: '2020-01-20 09:30' },
+  { username: 'alice', store: 'san_pedro', entity: 'banned_list', entity_id: '13', action: 'create', created_at: '2020-02-01 23:59' },
+  { username: 'Carol', store: 'long_beach', entity: 'pickup_form', entity_id: '7', action: 'restore', created_at: '2020-02-02 00:00' }
+];
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+
+  for (const event of EVENTS) {
+    await t.db.query(
+      `INSERT INTO audit_events (username, store, entity, entity_id, action, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [event.username, event.store, event.entity, event.entity_id, event.action, event.created_at]
+    );
+  }
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function search(query, token = admin) {
+  const response = await t.request('GET', `/api/audit?${new URLSearchParams({ from: '2020-01-01', to: '2020-12-31', ...query })}`, { token });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+}
+
+const ids = body => body.events.map(event => `${event.entity}:${event.entity_id}`);
+
+test('events are filtered by who, what and when, newest first', async () => {
+  assert.deepEqual(ids(await search({})), ['pickup_form:7', 'banned_list:13', 'exclusive_item:5', 'banned_list:12']);
+
+  assert.deepEqual(ids(await search({ username: 'ALICE' })), ['banned_list:13', 'banned_list:12']);
+  assert.deepEqual(ids(await search({ entity: 'banned_list', entity_id: '12' })), ['banned_list:12']);
+  assert.deepEqual(ids(await search({ action: 'delete' })), ['exclusive_item:5']);
+  assert.deepEqual(ids(await search({ store: 'san_pedro' })), ['banned_list:13', 'exclusive_item:5']);
+
+  // Both ends of the date range are included
+  assert.deepEqual(ids(await search({ from: '2020-01-20', to: '2020-02-01' })), ['banned_list:13', 'exclusive_item:5']);
+});
+
+test('results are paged with the total count', async () => {
+  const page = await search({ limit: '2', offset: '1' });
+
+  assert.equal(page.total, 4);
+  assert.equal(page.limit, 2);
+  assert.equal(page.offset, 1);
+  assert.deepEqual(ids(page), ['banned_list:13', 'exclusive_item:5']);
+});
+
+test('invalid dates are rejected', async () => {
+  const response = await t.request('GET', '/api/audit?from=01/10/2020', { token: admin });
+  assert.equal(response.status, 400);
+});
+
+test('users limited to some stores only see those stores\' events', async () => {
+  const employee = await t.tokenFor({ username: 'audit-employee', stores: ['san_pedro'] });
+  assert.equal((await t.request('GET', '/api/audit', { token: employee })).status, 403);
+
+  const managerCapabilities = Object.keys(CAPABILITIES).filter(name => CAPABILITIES[name].roles.includes('Manager'));
+  const granted = await t.request('PUT', '/api/permissions/Manager', {
+    token: admin,
+    body: { capabilities: [...managerCapabilities, 'audit.view'] }
+  });
+  assert.equal(granted.status, 200);
+
+  const manager = await t.tokenFor({ username: 'audit-manager', role: 'Manager', stores: ['san_pedro'] });
+  assert.deepEqual(ids(await search({}, manager)), ['banned_list:13', 'exclusive_item:5']);
+
+  const otherStore = await t.request('GET', '/api/audit?store=long_beach', { token: manager });
+  assert.equal(otherStore.status, 403);
+
+  const filters = await t.request('GET', '/api/audit/entities', { token: manager });
+  assert.ok(filters.body.entities.includes('exclusive_item'));
+  assert.ok(filters.body.actions.includes('restore'));
+});
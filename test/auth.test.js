@@ -0,0 +1,110 @@
+// test/auth.test.js
+// Login, token refresh, logout, and admin-only routes
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/harness');
+
+let t;
+
+before(async () => {
+  t = await startTestApp();
+});
+
+after(async () => {
+  await t.stop();
+});
+
+test('login returns tokens, stores and permissions', async () => {
+  const session = await t.loginAdmin();
+
+  assert.ok(session.token);
+  assert.ok(session.refreshToken);
+  assert.equal(session.user.username, 'admin');
+  assert.equal(session.user.role, 'Admin');
+  assert.ok(session.user.permissions.includes('users.manage'));
+});
+
+test('login rejects a wrong password', async () => {
+  const response = await t.request('POST', '/api/auth/login', {
+    body: { username: 'admin', password: 'wrong' }
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test('refresh rotates the refresh token and the old one stops working', async () => {
+  const session = await t.loginAdmin();
+
+  const refreshed = await t.request('POST', '/api/auth/refresh', {
+    body: { refreshToken: session.refreshToken }
+  });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+
+  const profile = await t.request('GET', '/api/auth/profile', { token: refreshed.body.token });
+  assert.equal(profile.status, 200);
+
+  // Reusing a rotated-out token ends the session
+  const reused = await t.request('POST', '/api/auth/refresh', {
+    body: { refreshToken: session.refreshToken }
+  });
+  assert.equal(reused.status, 401);
+});
+
+test('logout ends the session', async () => {
+  const session = await t.loginAdmin();
+
+  const logout = await t.request('POST', '/api/auth/logout', { token: session.token });
+  assert.equal(logout.status, 200);
+
+  const profile = await t.request('GET', '/api/auth/profile', { token: session.token });
+  assert.equal(profile.status, 401);
+});
+
+test('user management requires a login', async () => {
+  const response = await t.request('GET', '/api/users');
+  assert.equal(response.status, 401);
+});
+
+test('user management is admin only', async () => {
+  const token = await t.tokenFor({ username: 'employee-users' });
+
+  const list = await t.request('GET', '/api/users', { token });
+  assert.equal(list.status, 403);
+
+  const create = await t.request('POST', '/api/users', {
+    token,
+    body: { username: 'sneaky', password: 'password123', role: 'Admin' }
+  });
+  assert.equal(create.status, 403);
+});
+
+test('admin can create a user who can then log in', async () => {
+  const { token } = await t.loginAdmin();
+
+  const create = await t.request('POST', '/api/users', {
+    token,
+    body: { username: 'new-employee', password: 'password123', role: 'Employee', stores: ['san_pedro'] }
+  });
+  assert.equal(create.status, 201);
+
+  const session = await t.login('new-employee', 'password123');
+  assert.deepEqual(session.user.stores, ['san_pedro']);
+});
+
+test('view forms requires a login', async () => {
+  const response = await t.request('GET', '/api/view-forms/pickup');
+  assert.equal(response.status, 401);
+});
+
+test('view forms is admin only', async () => {
+  const employee = await t.tokenFor({ username: 'employee-view-forms' });
+  const denied = await t.request('GET', '/api/view-forms/pickup', { token: employee });
+  assert.equal(denied.status, 403);
+
+  const { token } = await t.loginAdmin();
+  const allowed = await t.request('GET', '/api/view-forms/pickup', { token });
+  assert.equal(allowed.status, 200);
+  assert.ok(Array.isArray(allowed.body.forms));
+});
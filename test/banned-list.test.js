@@ -0,0 +1,331 @@
+// test/banned-list.test.js
+// Banned list entries (reasons, expiry, aliases, photos) and the warnings shown when
+// forms, voucher contacts and voucher usage are created
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob, createForm } = require('./helpers/harness');
+const { nameSimilarity } = require('../src/services/banned-list');
+
+let t;
+let token;
+let managerToken;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'banned-employee', stores: ['long_beach', 'san_pedro'] });
+  managerToken = await t.tokenFor({ username: 'banned-manager', role: 'Manager', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function ban(name, { store = 'long_beach', customerId } = {}) {
+  const response = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    store,
+    body: { name, notes: 'Shoplifting', customer_id: customerId }
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.entry;
+}
+
+function createDonation(fields, store = 'long_beach') {
+  return createForm(t, token, 'donation', { donation_description: 'Lamp', ...fields }, { store });
+}
+
+test('names match regardless of case, punctuation, word order and small typos', () => {
+  assert.equal(nameSimilarity('John Smith', 'john smith'), 1);
+  assert.equal(nameSimilarity('Smith, John', 'John Smith'), 1);
+  assert.equal(nameSimilarity("Pat O'Brien", 'Pat OBrien'), 1);
+  assert.ok(nameSimilarity('Jon Smith', 'John Smith') >= 0.85);
+  assert.ok(nameSimilarity('John Paul Smith', 'John Smith') >= 0.85);
+
+  assert.ok(nameSimilarity('John Smithers', 'John Smith') < 0.85);
+  assert.ok(nameSimilarity('John', 'John Smith') < 0.85);
+  assert.equal(nameSimilarity('', 'John Smith'), 0);
+});
+
+test('a form for a banned customer needs an override, which is audited', async () => {
+  const entry = await ban('Mallory Banned');
+
+  const warning = await createDonation({ customer_name: 'mallory banned', phone: '562-555-0700' });
+  assert.equal(warning.status, 409);
+  assert.equal(warning.body.code, 'BANNED_LIST_MATCH');
+  assert.equal(warning.body.matches.length, 1);
+  assert.equal(warning.body.matches[0].id, entry.id);
+  assert.equal(warning.body.matches[0].reason, 'name');
+
+  const saved = await t.db.query("SELECT COUNT(*) FROM donation_forms WHERE phone = '562-555-0700'");
+  assert.equal(saved.rows[0].count, '0');
+
+  const override = await createDonation({
+    customer_name: 'mallory banned',
+    phone: '562-555-0700',
+    banned_override: 'true',
+    banned_override_reason: 'Different person, checked ID'
+  });
+  assert.equal(override.status, 201);
+
+  const audit = await t.db.query(
+    "SELECT username, after_data FROM audit_events WHERE entity = 'banned_list' AND action = 'override' AND entity_id = $1",
+    [String(entry.id)]
+  );
+  assert.equal(audit.rows.length, 1);
+  assert.equal(audit.rows[0].username, 'banned-employee');
+  assert.equal(audit.rows[0].after_data.record, 'donation_form');
+  assert.equal(audit.rows[0].after_data.record_id, override.body.form.id);
+  assert.equal(audit.rows[0].after_data.override_reason, 'Different person, checked ID');
+});
+
+test('a banned customer is recognised by phone number under another name', async () => {
+  const first = await createDonation({ customer_name: 'Eve Example', phone: '562-555-0800' });
+  assert.equal(first.status, 201);
+  await ban('Eve Example', { customerId: first.body.form.customer_id });
+
+  const warning = await createDonation({ customer_name: 'E. Smith', phone: '(562) 555-0800' });
+  assert.equal(warning.status, 409);
+  assert.equal(warning.body.matches[0].reason, 'customer');
+});
+
+test('only the current store\'s banned list is checked, and waivers are not checked', async () => {
+  await ban('Trent Elsewhere', { store: 'san_pedro' });
+
+  const otherStore = await createDonation({ customer_name: 'Trent Elsewhere', phone: '562-555-0900' });
+  assert.equal(otherStore.status, 201);
+
+  const sameStore = await createDonation({ customer_name: 'Trent Elsewhere', phone: '562-555-0900' }, 'san_pedro');
+  assert.equal(sameStore.status, 409);
+});
+
+test('voucher contacts and voucher usage need an override too', async () => {
+  await ban('Oscar Voucher');
+
+  const warning = await t.request('POST', '/api/vouchers/contacts', { token, body: { name: 'Oscar Voucher' } });
+  assert.equal(warning.status, 409);
+
+  const contact = await t.request('POST', '/api/vouchers/contacts', {
+    token,
+    body: { name: 'Oscar Voucher', banned_override: true }
+  });
+  assert.equal(contact.status, 201);
+
+  const usageBody = { contact_id: contact.body.contact.id, date_used: '2026-03-10' };
+
+  const usageWarning = await t.request('POST', '/api/vouchers/usage', { token, body: usageBody });
+  assert.equal(usageWarning.status, 409);
+
+  const usage = await t.request('POST', '/api/vouchers/usage', { token, body: { ...usageBody, banned_override: true } });
+  assert.equal(usage.status, 201);
+
+  const audit = await t.db.query(
+    "SELECT after_data->>'record' AS record FROM audit_events WHERE action = 'override' AND after_data->>'customer_name' = 'Oscar Voucher' ORDER BY id"
+  );
+  assert.deepEqual(audit.rows.map(row => row.record), ['voucher_contact', 'voucher_usage']);
+});
+
+// ==================== Structured entries ====================
+
+function isoDate(offsetDays) {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  return date.toLocaleDateString('en-CA');
+}
+
+test('entries have a reason, incident date, aliases, several photos and an expiry', async () => {
+  const form = new FormData();
+  form.append('name', 'Robert Tables');
+  form.append('aliases', JSON.stringify(['Bobby Tables', ' ', 'Bobby Tables']));
+  form.append('reason_category', 'theft');
+  form.append('incident_date', isoDate(-10));
+  form.append('ban_duration_days', '90');
+  form.append('pictures', imageBlob(), 'front.png');
+  form.append('pictures', imageBlob(), 'side.png');
+
+  const created = await t.request('POST', '/api/banned-list', { token: managerToken, body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const entry = created.body.entry;
+  assert.deepEqual(entry.aliases, ['Bobby Tables']);
+  assert.equal(entry.reason_category, 'theft');
+  assert.equal(entry.incident_date, isoDate(-10));
+  assert.equal(entry.expires_on, isoDate(80));
+  assert.equal(entry.picture_urls.length, 2);
+
+  // Aliases are matched too
+  const warning = await createDonation({ customer_name: 'Bobby Tables', phone: '562-555-1000' });
+  assert.equal(warning.status, 409);
+
+  // Remove one photo, add another
+  const update = new FormData();
+  update.append('name', 'Robert Tables');
+  update.append('aliases', 'Bobby Tables\nBob T');
+  update.append('reason_category', 'theft');
+  update.append('incident_date', isoDate(-10));
+  update.append('photos_to_delete', JSON.stringify([entry.picture_urls[0]]));
+  update.append('pictures', imageBlob(), 'back.png');
+
+  const updated = await t.request('PUT', `/api/banned-list/${entry.id}`, { token: managerToken, body: update });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.deepEqual(updated.body.entry.aliases, ['Bobby Tables', 'Bob T']);
+  assert.equal(updated.body.entry.expires_on, null);
+  assert.equal(updated.body.entry.picture_urls.length, 2);
+  assert.equal(updated.body.entry.picture_urls[0], entry.picture_urls[1]);
+});
+
+test('invalid ban details are rejected', async () => {
+  const badReason = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Bad Reason', reason_category: 'rudeness' }
+  });
+  assert.equal(badReason.status, 400);
+
+  const badDuration = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Bad Duration', ban_duration_days: '-5' }
+  });
+  assert.equal(badDuration.status, 400);
+});
+
+test('expired bans leave the active list but stay searchable for admins', async () => {
+  const expired = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Walter Expired', expires_on: isoDate(-1) }
+  });
+  const expiring = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Wendy Expiring', expires_on: isoDate(10) }
+  });
+  assert.equal(expired.status, 201);
+  assert.equal(expiring.status, 201);
+
+  const active = await t.request('GET', '/api/banned-list', { token });
+  const names = active.body.entries.map(entry => entry.name);
+  assert.ok(names.includes('Wendy Expiring'));
+  assert.ok(!names.includes('Walter Expired'));
+
+  const hidden = await t.request('GET', `/api/banned-list/${expired.body.entry.id}`, { token });
+  assert.equal(hidden.status, 404);
+
+  const denied = await t.request('GET', '/api/banned-list?include_expired=true', { token });
+  assert.equal(denied.status, 403);
+
+  const admin = await t.loginAdmin();
+  const history = await t.request('GET', '/api/banned-list?include_expired=true&search=walter', { token: admin.token });
+  assert.equal(history.status, 200);
+  assert.equal(history.body.entries.length, 1);
+  assert.equal(history.body.entries[0].expired, true);
+
+  // An expired ban no longer triggers a warning
+  const form = await createDonation({ customer_name: 'Walter Expired', phone: '562-555-1100' });
+  assert.equal(form.status, 201);
+
+  const soon = await t.request('GET', '/api/banned-list/expiring?days=30', { token });
+  assert.equal(soon.status, 200);
+  assert.deepEqual(soon.body.entries.map(entry => entry.name), ['Wendy Expiring']);
+});
+
+// ==================== Shared bans ====================
+
+test('a ban shared with all stores applies everywhere and is labeled with its store', async () => {
+  const shared = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Sybil Everywhere', scope: 'all' }
+  });
+  assert.equal(shared.status, 201, JSON.stringify(shared.body));
+  assert.equal(shared.body.entry.scope, 'all');
+  await ban('Lou Local');
+
+  const list = await t.request('GET', '/api/banned-list', { token, store: 'san_pedro' });
+  const byName = Object.fromEntries(list.body.entries.map(entry => [entry.name, entry]));
+  assert.equal(byName['Sybil Everywhere'].store, 'long_beach');
+  assert.ok(byName['Sybil Everywhere'].store_name);
+  assert.equal(byName['Lou Local'], undefined);
+
+  const warning = await createDonation({ customer_name: 'Sybil Everywhere', phone: '562-555-1200' }, 'san_pedro');
+  assert.equal(warning.status, 409);
+  assert.equal(warning.body.matches[0].store, 'long_beach');
+
+  const badScope = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Bad Scope', scope: 'region' }
+  });
+  assert.equal(badScope.status, 400);
+});
+
+test('admins review shared bans and can stop sharing them', async () => {
+  const shared = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    store: 'san_pedro',
+    body: { name: 'Victor Shared', scope: 'all' }
+  });
+  assert.equal(shared.status, 201);
+  const entry = shared.body.entry;
+
+  const override = await createDonation({ customer_name: 'Victor Shared', phone: '562-555-1300', banned_override: 'true' });
+  assert.equal(override.status, 201);
+
+  const denied = await t.request('GET', '/api/banned-list/shared', { token: managerToken });
+  assert.equal(denied.status, 403);
+
+  const admin = await t.loginAdmin();
+  const review = await t.request('GET', '/api/banned-list/shared', { token: admin.token });
+  assert.equal(review.status, 200);
+  const listed = review.body.entries.find(row => row.id === entry.id);
+  assert.equal(listed.store, 'san_pedro');
+  assert.equal(listed.override_count, 1);
+
+  const invalid = await t.request('PUT', `/api/banned-list/${entry.id}/scope`, { token: admin.token, body: { scope: 'region' } });
+  assert.equal(invalid.status, 400);
+
+  const stopped = await t.request('PUT', `/api/banned-list/${entry.id}/scope`, { token: admin.token, body: { scope: 'store' } });
+  assert.equal(stopped.status, 200);
+
+  const form = await createDonation({ customer_name: 'Victor Shared', phone: '562-555-1300' });
+  assert.equal(form.status, 201);
+});
+
+test('entries are only edited and removed in their own store, and edits cannot change the scope', async () => {
+  const entry = await ban('Wanda Elsewhere');
+  const edit = { name: 'Changed Elsewhere' };
+
+  const editElsewhere = await t.request('PUT', `/api/banned-list/${entry.id}`, { token: managerToken, store: 'san_pedro', body: edit });
+  assert.equal(editElsewhere.status, 404);
+  const deleteElsewhere = await t.request('DELETE', `/api/banned-list/${entry.id}`, { token: managerToken, store: 'san_pedro' });
+  assert.equal(deleteElsewhere.status, 404);
+
+  const share = await t.request('PUT', `/api/banned-list/${entry.id}`, {
+    token: managerToken,
+    store: 'long_beach',
+    body: { name: 'Wanda Elsewhere', scope: 'all' }
+  });
+  assert.equal(share.status, 400);
+
+  const row = await t.db.query('SELECT name, scope, deleted_at FROM banned_list WHERE id = $1', [entry.id]);
+  assert.deepEqual(row.rows[0], { name: 'Wanda Elsewhere', scope: 'store', deleted_at: null });
+
+  const sameScope = await t.request('PUT', `/api/banned-list/${entry.id}`, {
+    token: managerToken,
+    store: 'long_beach',
+    body: { name: 'Wanda Here', scope: 'store' }
+  });
+  assert.equal(sameScope.status, 200);
+  assert.equal(sameScope.body.entry.name, 'Wanda Here');
+});
+
+test('another store cannot read a ban that only applies in its own store', async () => {
+  const local = await ban('Otto Local');
+  const shared = await t.request('POST', '/api/banned-list', {
+    token: managerToken,
+    body: { name: 'Sam Shared', scope: 'all' }
+  });
+  assert.equal(shared.status, 201);
+
+  assert.equal((await t.request('GET', `/api/banned-list/${local.id}`, { token, store: 'san_pedro' })).status, 404);
+  assert.equal((await t.request('GET', `/api/banned-list/${local.id}`, { token, store: 'long_beach' })).status, 200);
+
+  const sharedElsewhere = await t.request('GET', `/api/banned-list/${shared.body.entry.id}`, { token, store: 'san_pedro' });
+  assert.equal(sharedElsewhere.status, 200);
+  assert.equal(sharedElsewhere.body.entry.store, 'long_beach');
+});
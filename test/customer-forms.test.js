@@ -0,0 +1,195 @@
+// test/customer-forms.test.js
+// Customer forms: create, edit, delete, restore and convert, with receipt emails
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestApp, imageBlob, createForm } = require('./helpers/harness');
+const { getUploadDir } = require('../src/services/storage');
+
+let t;
+let token;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'forms-employee', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+function postPickup(fields = {}, store = 'long_beach') {
+  return createForm(t, token, 'pickup', {
+    customer_name: 'Jane Customer',
+    phone: '562-555-0100',
+    email: 'jane@example.com',
+    items_description: 'Blue sofa',
+    date_purchased: '2026-03-02',
+    date_stored: '2026-03-09',
+    ...fields
+  }, { store });
+}
+
+async function createPickup(fields, store = 'long_beach') {
+  const response = await postPickup(fields, store);
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body;
+}
+
+test('creating a pickup form saves uploads and emails the receipt', async () => {
+  const sentBefore = t.mail.sent.length;
+  const result = await createPickup();
+
+  assert.equal(result.form.customer_name, 'Jane Customer');
+  assert.equal(result.form.store, 'long_beach');
+  assert.match(result.form.signature_url, /^\/uploads\/signatures\//);
+  assert.equal(result.form.picture_urls.length, 1);
+  assert.equal(result.emailSent, true);
+
+  assert.equal(t.mail.sent.length, sentBefore + 1);
+  assert.equal(t.mail.sent[t.mail.sent.length - 1].to, 'jane@example.com');
+});
+
+test('a pickup form without a signature is rejected', async () => {
+  const form = new FormData();
+  form.append('form_type', 'pickup');
+  form.append('customer_name', 'No Signature');
+  form.append('phone', '562-555-0101');
+  form.append('items_description', 'Chair');
+  form.append('date_purchased', '2026-03-02');
+  form.append('date_stored', '2026-03-09');
+  form.append('pictures', imageBlob(), 'chair.png');
+
+  const response = await t.request('POST', '/api/customer-forms-unified/create', { token, body: form });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Customer signature is required');
+});
+
+test('photos are not saved for an unknown form type', async () => {
+  const filesIn = folder => fs.readdirSync(path.join(getUploadDir(), folder), { recursive: true }).length;
+  const quarantineDir = path.join(getUploadDir(), 'quarantine');
+  fs.mkdirSync(quarantineDir, { recursive: true });
+  const signaturesBefore = filesIn('signatures');
+
+  const created = await postPickup({ form_type: 'quarantine' });
+  assert.equal(created.status, 400);
+
+  const edit = new FormData();
+  edit.append('customer_name', 'Jane Customer');
+  edit.append('new_pictures', imageBlob(), 'sofa.png');
+  const edited = await t.request('PUT', '/api/customer-forms-unified/signatures/1', { token, store: 'long_beach', body: edit });
+  assert.equal(edited.status, 400);
+
+  assert.equal(filesIn('quarantine'), 0);
+  assert.equal(filesIn('signatures'), signaturesBefore);
+});
+
+test('a failed receipt email is recorded on the form and can be retried', async () => {
+  t.mail.failWith('SMTP is down');
+  let result;
+  try {
+    result = await createPickup({ customer_name: 'Retry Customer' });
+  } finally {
+    t.mail.failWith(null);
+  }
+
+  assert.equal(result.emailSent, false);
+  assert.ok(result.emailError);
+
+  const retry = await t.request('POST', `/api/customer-forms-unified/retry-email/pickup/${result.form.id}`, { token });
+  assert.equal(retry.status, 200, JSON.stringify(retry.body));
+
+  const saved = await t.db.query('SELECT email_sent FROM pickup_forms WHERE id = $1', [result.form.id]);
+  assert.equal(saved.rows[0].email_sent, true);
+});
+
+test('forms are listed only in the store they were created in', async () => {
+  const { form } = await createPickup({ customer_name: 'San Pedro Customer', email: undefined }, 'san_pedro');
+
+  const sanPedro = await t.request('GET', '/api/customer-forms-unified/pickup', { token, store: 'san_pedro' });
+  const longBeach = await t.request('GET', '/api/customer-forms-unified/pickup', { token, store: 'long_beach' });
+
+  assert.ok(sanPedro.body.forms.some(f => f.id === form.id));
+  assert.ok(!longBeach.body.forms.some(f => f.id === form.id));
+});
+
+test('editing a pickup form updates its details', async () => {
+  const { form } = await createPickup({ customer_name: 'Edit Me', email: undefined });
+
+  const edit = new FormData();
+  edit.append('customer_name', 'Edited Name');
+  edit.append('phone', '562-555-0199');
+  edit.append('items_description', 'Blue sofa and matching chair');
+  edit.append('date_purchased', '2026-03-02');
+  edit.append('date_stored', '2026-03-16');
+  edit.append('new_pictures', imageBlob(), 'chair.png');
+
+  const response = await t.request('PUT', `/api/customer-forms-unified/pickup/${form.id}`, { token, body: edit });
+
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.form.customer_name, 'Edited Name');
+  assert.equal(response.body.form.items_description, 'Blue sofa and matching chair');
+  assert.equal(response.body.form.picture_urls.length, 2);
+});
+
+test('deleted forms can be restored', async () => {
+  const { form } = await createPickup({ customer_name: 'Delete Me', email: undefined });
+
+  const del = await t.request('DELETE', `/api/customer-forms-unified/pickup/${form.id}`, { token });
+  assert.equal(del.status, 200);
+
+  const list = await t.request('GET', '/api/customer-forms-unified/pickup', { token });
+  assert.ok(!list.body.forms.some(f => f.id === form.id));
+
+  const deleted = await t.request('GET', '/api/customer-forms-unified/pickup/recently-deleted', { token });
+  assert.ok(deleted.body.forms.some(f => f.id === form.id));
+
+  const restore = await t.request('POST', `/api/customer-forms-unified/pickup/${form.id}/restore`, { token });
+  assert.equal(restore.status, 200);
+  assert.equal(restore.body.form.deleted_at, null);
+
+  const again = await t.request('GET', '/api/customer-forms-unified/pickup', { token });
+  assert.ok(again.body.forms.some(f => f.id === form.id));
+});
+
+test('converting a pickup to a delivery replaces the original form', async () => {
+  const { form } = await createPickup({ customer_name: 'Convert Me' });
+  const sentBefore = t.mail.sent.length;
+
+  const convert = new FormData();
+  convert.append('from_type', 'pickup');
+  convert.append('to_type', 'delivery');
+  convert.append('form_id', String(form.id));
+  convert.append('delivery_address', '123 Ocean Blvd, Long Beach');
+  convert.append('delivery_cost', '75.00');
+  convert.append('date_scheduled', '2026-03-20');
+  convert.append('signature', imageBlob(), 'signature.png');
+
+  const response = await t.request('POST', '/api/customer-forms-unified/convert', { token, body: convert });
+
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.form.customer_name, 'Convert Me');
+  assert.equal(response.body.form.delivery_address, '123 Ocean Blvd, Long Beach');
+  assert.deepEqual(response.body.form.picture_urls, form.picture_urls);
+  assert.equal(t.mail.sent.length, sentBefore + 1);
+
+  const original = await t.db.query('SELECT deleted_at FROM pickup_forms WHERE id = $1', [form.id]);
+  assert.notEqual(original.rows[0].deleted_at, null);
+
+  const deliveries = await t.request('GET', '/api/customer-forms-unified/delivery', { token });
+  assert.ok(deliveries.body.forms.some(f => f.id === response.body.form.id));
+});
+
+test('form changes are written to the audit log', async () => {
+  const { form } = await createPickup({ customer_name: 'Audited', email: undefined });
+  await t.request('DELETE', `/api/customer-forms-unified/pickup/${form.id}`, { token });
+
+  const events = await t.db.query(
+    "SELECT action FROM audit_events WHERE entity = 'pickup_form' AND entity_id = $1 ORDER BY id",
+    [String(form.id)]
+  );
+  assert.deepEqual(events.rows.map(row => row.action), ['create', 'delete']);
+});
@@ -0,0 +1,159 @@
+// test/customers.test.js
+// Customer directory: linking forms by phone number, timelines, editing and merging
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+
+let t;
+let employeeToken;
+let managerToken;
+
+before(async () => {
+  t = await startTestApp();
+  employeeToken = await t.tokenFor({ username: 'customers-employee', stores: ['long_beach'] });
+  managerToken = await t.tokenFor({ username: 'customers-manager', role: 'Manager', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createDonation(fields, { token = managerToken, store = 'long_beach' } = {}) {
+  const response = await createForm(t, token, 'donation', { donation_description: 'Box of books', ...fields }, { store });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+test('forms with the same phone number link to one customer', async () => {
+  const first = await createDonation({ customer_name: 'Rosa Diaz', phone: '(562) 555-0100' });
+  const second = await createDonation({ customer_name: 'Rosa D.', phone: '1-562-555-0100', email: 'rosa@example.com' });
+  const other = await createDonation({ customer_name: 'Rosa Diaz', phone: '562-555-0199' });
+
+  assert.ok(first.customer_id);
+  assert.equal(second.customer_id, first.customer_id);
+  assert.notEqual(other.customer_id, first.customer_id);
+
+  const response = await t.request('GET', `/api/customers/${first.customer_id}`, { token: employeeToken });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.customer.name, 'Rosa Diaz');
+  assert.equal(response.body.customer.phone_normalized, '5625550100');
+  assert.equal(response.body.customer.email, 'rosa@example.com');
+  assert.equal(response.body.timeline.length, 2);
+});
+
+test('the timeline includes voucher usage from linked contacts', async () => {
+  const form = await createDonation({ customer_name: 'Voucher Customer', phone: '562-555-0200' });
+
+  const contact = await t.request('POST', '/api/vouchers/contacts', {
+    token: employeeToken,
+    body: { name: 'Voucher Customer', referral_agency: 'Harbor Interfaith', customer_id: form.customer_id }
+  });
+  assert.equal(contact.status, 201);
+  assert.equal(contact.body.contact.customer_id, form.customer_id);
+
+  const usage = await t.request('POST', '/api/vouchers/usage', {
+    token: employeeToken,
+    body: { contact_id: contact.body.contact.id, date_used: '2026-03-10' }
+  });
+  assert.equal(usage.status, 201);
+
+  const response = await t.request('GET', `/api/customers/${form.customer_id}`, { token: employeeToken });
+  const types = response.body.timeline.map(item => item.type).sort();
+  assert.deepEqual(types, ['donation', 'voucher']);
+
+  const missing = await t.request('POST', '/api/vouchers/contacts', {
+    token: employeeToken,
+    body: { name: 'Nobody', customer_id: 999999 }
+  });
+  assert.equal(missing.status, 400);
+});
+
+test('customers are only visible to users of their stores', async () => {
+  const form = await createDonation({ customer_name: 'San Pedro Only', phone: '310-555-0300' }, { store: 'san_pedro' });
+
+  const hidden = await t.request('GET', `/api/customers/${form.customer_id}`, { token: employeeToken });
+  assert.equal(hidden.status, 404);
+
+  const search = await t.request('GET', '/api/customers?search=310-555-0300', { token: employeeToken });
+  assert.equal(search.body.total, 0);
+
+  const visible = await t.request('GET', '/api/customers?search=310-555-0300', { token: managerToken });
+  assert.equal(visible.body.total, 1);
+  assert.equal(visible.body.customers[0].form_count, '1');
+});
+
+test('editing a customer cannot take another customer\'s phone number', async () => {
+  const first = await createDonation({ customer_name: 'Phone Owner', phone: '562-555-0400' });
+  const second = await createDonation({ customer_name: 'Phone Taker', phone: '562-555-0401' });
+
+  const conflict = await t.request('PUT', `/api/customers/${second.customer_id}`, {
+    token: managerToken,
+    body: { name: 'Phone Taker', phone: '562.555.0400' }
+  });
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.customer_id, first.customer_id);
+
+  const update = await t.request('PUT', `/api/customers/${second.customer_id}`, {
+    token: managerToken,
+    body: { name: 'Phone Taker', phone: '562-555-0402', notes: 'Prefers texts' }
+  });
+  assert.equal(update.status, 200);
+  assert.equal(update.body.customer.phone_normalized, '5625550402');
+
+  const employee = await t.request('PUT', `/api/customers/${second.customer_id}`, {
+    token: employeeToken,
+    body: { name: 'Employee Edit' }
+  });
+  assert.equal(employee.status, 403);
+});
+
+test('merging moves records to the kept customer', async () => {
+  const keep = await createDonation({ customer_name: 'Sam Smith', phone: '562-555-0500' });
+  const duplicate = await createDonation({ customer_name: 'Sam Smith', phone: '562-555-0501', email: 'sam@example.com' });
+
+  const duplicates = await t.request('GET', '/api/customers/duplicates', { token: managerToken });
+  assert.equal(duplicates.status, 200);
+  const group = duplicates.body.groups.find(g => g.reason === 'name' && g.match === 'sam smith');
+  assert.deepEqual(group.customers.map(c => c.id), [keep.customer_id, duplicate.customer_id]);
+
+  const forbidden = await t.request('POST', `/api/customers/${keep.customer_id}/merge`, {
+    token: employeeToken,
+    body: { customer_ids: [duplicate.customer_id] }
+  });
+  assert.equal(forbidden.status, 403);
+
+  const self = await t.request('POST', `/api/customers/${keep.customer_id}/merge`, {
+    token: managerToken,
+    body: { customer_ids: [keep.customer_id] }
+  });
+  assert.equal(self.status, 400);
+
+  const merge = await t.request('POST', `/api/customers/${keep.customer_id}/merge`, {
+    token: managerToken,
+    body: { customer_ids: [duplicate.customer_id] }
+  });
+  assert.equal(merge.status, 200);
+  assert.equal(merge.body.customer.email, 'sam@example.com');
+
+  // The merged customer now resolves to the one that was kept
+  const merged = await t.request('GET', `/api/customers/${duplicate.customer_id}`, { token: managerToken });
+  assert.equal(merged.body.customer.id, keep.customer_id);
+  assert.equal(merged.body.timeline.length, 2);
+
+  const again = await t.request('POST', `/api/customers/${keep.customer_id}/merge`, {
+    token: managerToken,
+    body: { customer_ids: [duplicate.customer_id] }
+  });
+  assert.equal(again.status, 404);
+
+  // New forms with the merged customer's phone number go to the kept customer
+  const later = await createDonation({ customer_name: 'Sam Smith', phone: '562-555-0501' });
+  assert.equal(later.customer_id, keep.customer_id);
+
+  const audit = await t.db.query(
+    "SELECT action FROM audit_events WHERE entity = 'customer' AND entity_id = $1",
+    [String(keep.customer_id)]
+  );
+  assert.deepEqual(audit.rows.map(row => row.action), ['merge']);
+});
@@ -0,0 +1,205 @@
+// test/deliveries.test.js
+// Daily delivery manifest: route order, crew assignment and stop status
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob, createForm } = require('./helpers/harness');
+
+const DAY = '2026-06-15';
+
+let t;
+let token;
+let managerToken;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'deliveries-employee', stores: ['long_beach'] });
+  managerToken = await t.tokenFor({ username: 'deliveries-manager', role: 'Manager', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function scheduleDelivery(fields, { store = 'long_beach', date = DAY } = {}) {
+  const response = await createForm(t, managerToken, 'delivery', {
+    items_description: 'Sofa',
+    delivery_cost: '50.00',
+    date_scheduled: date,
+    ...fields
+  }, { store });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+function manifestFor(body, store) {
+  return body.stores.find(entry => entry.store === store);
+}
+
+test('the manifest groups the day\'s deliveries by store in route order', async () => {
+  const first = await scheduleDelivery({ customer_name: 'Route First', phone: '562-555-8100', delivery_address: '1 Pine Ave' });
+  const second = await scheduleDelivery({ customer_name: 'Route Second', phone: '562-555-8200', delivery_address: '2 Elm St' });
+  const third = await scheduleDelivery({ customer_name: 'Route Third', phone: '562-555-8300', delivery_address: '3 Oak Rd' });
+  await scheduleDelivery({ customer_name: 'Route Pedro', phone: '310-555-8400', delivery_address: '4 Gaffey St' }, { store: 'san_pedro' });
+  await scheduleDelivery({ customer_name: 'Route Tomorrow', phone: '562-555-8500', delivery_address: '5 Bay St' }, { date: '2026-06-16' });
+
+  // Unordered stops are listed oldest first
+  const initial = await t.request('GET', `/api/deliveries/manifest?date=${DAY}`, { token: managerToken });
+  assert.equal(initial.status, 200, JSON.stringify(initial.body));
+  assert.equal(initial.body.date, DAY);
+  assert.deepEqual(initial.body.stores.map(entry => entry.store), ['long_beach', 'san_pedro']);
+
+  const longBeach = manifestFor(initial.body, 'long_beach');
+  assert.deepEqual(longBeach.stops.map(stop => stop.id), [first.id, second.id, third.id]);
+  assert.equal(longBeach.totals.stops, 3);
+  assert.equal(longBeach.totals.deliveryCost, 150);
+  assert.equal(longBeach.totals.byStatus.scheduled, 3);
+  assert.equal(manifestFor(initial.body, 'san_pedro').stops.length, 1);
+
+  // Ordered stops come first; the ones left out go last
+  const ordered = await t.request('PUT', '/api/deliveries/manifest/order', {
+    token: managerToken,
+    body: { store: 'long_beach', date: DAY, form_ids: [third.id, first.id] }
+  });
+  assert.equal(ordered.status, 200, JSON.stringify(ordered.body));
+  assert.deepEqual(ordered.body.manifest.stops.map(stop => [stop.id, stop.stop_order]), [
+    [third.id, 1], [first.id, 2], [second.id, null]
+  ]);
+
+  // Employees only see the stores they work in
+  const employee = await t.request('GET', `/api/deliveries/manifest?date=${DAY}`, { token });
+  assert.deepEqual(employee.body.stores.map(entry => entry.store), ['long_beach']);
+  assert.deepEqual(manifestFor(employee.body, 'long_beach').stops.map(stop => stop.id), [third.id, first.id, second.id]);
+
+  // Moving a delivery to another day takes it off this day's route
+  const moved = new FormData();
+  moved.append('customer_name', 'Route Third');
+  moved.append('phone', '562-555-8300');
+  moved.append('items_description', 'Sofa');
+  moved.append('delivery_address', '3 Oak Rd');
+  moved.append('delivery_cost', '50.00');
+  moved.append('date_scheduled', '2026-06-17');
+  const update = await t.request('PUT', `/api/customer-forms-unified/delivery/${third.id}`, { token: managerToken, body: moved });
+  assert.equal(update.status, 200, JSON.stringify(update.body));
+
+  const stop = await t.db.query('SELECT * FROM delivery_stops WHERE delivery_form_id = $1', [third.id]);
+  assert.equal(stop.rows.length, 0);
+});
+
+test('only planners order routes and assign crews, and only with the day\'s stops', async () => {
+  const delivery = await scheduleDelivery({ customer_name: 'Crew Stop', phone: '562-555-8600', delivery_address: '6 Main St' }, { date: '2026-06-18' });
+  const otherDay = await scheduleDelivery({ customer_name: 'Crew Other Day', phone: '562-555-8700', delivery_address: '7 Main St' }, { date: '2026-06-19' });
+
+  const employeeOrder = await t.request('PUT', '/api/deliveries/manifest/order', {
+    token,
+    body: { store: 'long_beach', date: '2026-06-18', form_ids: [delivery.id] }
+  });
+  assert.equal(employeeOrder.status, 403);
+
+  const wrongDay = await t.request('PUT', '/api/deliveries/manifest/order', {
+    token: managerToken,
+    body: { store: 'long_beach', date: '2026-06-18', form_ids: [delivery.id, otherDay.id] }
+  });
+  assert.equal(wrongDay.status, 400);
+
+  const duplicate = await t.request('PUT', '/api/deliveries/manifest/order', {
+    token: managerToken,
+    body: { store: 'long_beach', date: '2026-06-18', form_ids: [delivery.id, delivery.id] }
+  });
+  assert.equal(duplicate.status, 400);
+
+  const assigned = await t.request('PUT', '/api/deliveries/manifest/assignment', {
+    token: managerToken,
+    body: { form_ids: [delivery.id, otherDay.id], driver_name: ' Marco ', truck: 'Box Truck 2' }
+  });
+  assert.equal(assigned.status, 200, JSON.stringify(assigned.body));
+  assert.deepEqual(assigned.body.stops.map(stop => [stop.driver_name, stop.truck]), [
+    ['Marco', 'Box Truck 2'], ['Marco', 'Box Truck 2']
+  ]);
+
+  const missing = await t.request('PUT', '/api/deliveries/manifest/assignment', {
+    token: managerToken,
+    body: { form_ids: [999999], driver_name: 'Marco' }
+  });
+  assert.equal(missing.status, 404);
+
+  const employeeAssign = await t.request('PUT', '/api/deliveries/manifest/assignment', {
+    token,
+    body: { form_ids: [delivery.id], driver_name: 'Me' }
+  });
+  assert.equal(employeeAssign.status, 403);
+});
+
+test('marking a stop out for delivery emails the customer once', async () => {
+  const delivery = await scheduleDelivery({
+    customer_name: 'Notify Me', phone: '562-555-8800', email: 'notify@example.com', delivery_address: '8 Shore Dr'
+  }, { date: '2026-06-20' });
+
+  const loaded = await t.request('POST', `/api/deliveries/stops/${delivery.id}/status`, { token, body: { status: 'loaded' } });
+  assert.equal(loaded.status, 200, JSON.stringify(loaded.body));
+  assert.equal(loaded.body.stop.status, 'loaded');
+  assert.equal(loaded.body.emailSent, false);
+
+  const sentBefore = t.mail.sent.length;
+  const enRoute = await t.request('POST', `/api/deliveries/stops/${delivery.id}/status`, { token, body: { status: 'en_route' } });
+  assert.equal(enRoute.status, 200, JSON.stringify(enRoute.body));
+  assert.equal(enRoute.body.emailSent, true);
+  assert.ok(enRoute.body.stop.out_for_delivery_email_at);
+
+  assert.equal(t.mail.sent.length, sentBefore + 1);
+  const message = t.mail.sent[sentBefore];
+  assert.equal(message.to, 'notify@example.com');
+  assert.equal(message.subject, 'Beacon House - Your Delivery Is On Its Way');
+  assert.match(message.html, /8 Shore Dr/);
+
+  const outbox = await t.db.query(
+    "SELECT form_type, form_id, status FROM email_outbox WHERE email_type = 'out_for_delivery' AND form_id = $1",
+    [delivery.id]
+  );
+  assert.deepEqual(outbox.rows, [{ form_type: 'delivery', form_id: delivery.id, status: 'sent' }]);
+
+  // Going back out after a reload doesn't email again
+  await t.request('POST', `/api/deliveries/stops/${delivery.id}/status`, { token, body: { status: 'loaded' } });
+  const again = await t.request('POST', `/api/deliveries/stops/${delivery.id}/status`, { token, body: { status: 'en_route' } });
+  assert.equal(again.body.emailSent, false);
+  assert.equal(t.mail.sent.length, sentBefore + 1);
+});
+
+test('failed stops need a reason and can include a photo', async () => {
+  const delivery = await scheduleDelivery({ customer_name: 'Nobody Home', phone: '562-555-8900', delivery_address: '9 Cliff Way' }, { date: '2026-06-21' });
+  const url = `/api/deliveries/stops/${delivery.id}/status`;
+
+  const noReason = await t.request('POST', url, { token, body: { status: 'failed' } });
+  assert.equal(noReason.status, 400);
+
+  const badStatus = await t.request('POST', url, { token, body: { status: 'lost' } });
+  assert.equal(badStatus.status, 400);
+
+  const form = new FormData();
+  form.append('status', 'failed');
+  form.append('reason', 'No one home, gate locked');
+  form.append('photo', imageBlob(), 'gate.png');
+
+  const failed = await t.request('POST', url, { token, body: form });
+  assert.equal(failed.status, 200, JSON.stringify(failed.body));
+  assert.equal(failed.body.stop.status, 'failed');
+  assert.equal(failed.body.stop.failure_reason, 'No one home, gate locked');
+  assert.match(failed.body.stop.photo_url, /^\/uploads\/deliveries\/stop-.*\.png$/);
+  assert.equal(failed.body.stop.status_updated_by_username, 'deliveries-employee');
+
+  // Delivering later clears the failure
+  const delivered = await t.request('POST', url, { token, body: { status: 'delivered' } });
+  assert.equal(delivered.body.stop.failure_reason, null);
+  assert.equal(delivered.body.stop.photo_url, null);
+
+  const audit = await t.db.query(
+    "SELECT action FROM audit_events WHERE entity = 'delivery_form' AND entity_id = $1 AND action = 'stop_status'",
+    [String(delivery.id)]
+  );
+  assert.equal(audit.rows.length, 2);
+
+  // Stops in other stores can't be updated
+  const pedro = await scheduleDelivery({ customer_name: 'Pedro Stop', phone: '310-555-9000', delivery_address: '10 Harbor Blvd' }, { store: 'san_pedro' });
+  const otherStore = await t.request('POST', `/api/deliveries/stops/${pedro.id}/status`, { token, body: { status: 'loaded' } });
+  assert.equal(otherStore.status, 404);
+});
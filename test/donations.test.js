@@ -0,0 +1,164 @@
+// test/donations.test.js
+// Itemized donations, numbered receipts and donors' year-end summaries
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+
+const YEAR = new Date().getUTCFullYear();
+
+let t;
+let token;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'donations-employee', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+function donate(fields, { store = 'long_beach', items } = {}) {
+  return createForm(t, token, 'donation', {
+    ...fields,
+    items: items ? JSON.stringify(items) : undefined
+  }, { store });
+}
+
+const ITEMS = [
+  { category: 'Clothing', description: 'Winter coats', quantity: 3, condition: 'good', estimated_value: 45 },
+  { category: 'Furniture', description: 'Oak dresser', quantity: 1, condition: 'like_new', estimated_value: '120.50' },
+  { category: 'Books & Media', quantity: 12, condition: 'good' }
+];
+
+test('donations save their items and get receipt numbers per store per year', async () => {
+  const sentBefore = t.mail.sent.length;
+
+  const first = await donate(
+    { customer_name: 'Dana Donor', phone: '562-555-7100', email: 'dana@example.com' },
+    { items: ITEMS }
+  );
+  assert.equal(first.status, 201, JSON.stringify(first.body));
+  assert.equal(first.body.form.receipt_number, `LONG_BEACH-${YEAR}-00001`);
+  assert.deepEqual(first.body.form.items.map(item => [item.category, item.quantity, item.estimated_value]), [
+    ['Clothing', 3, 45],
+    ['Furniture', 1, 120.5],
+    ['Books & Media', 12, null]
+  ]);
+  assert.equal(first.body.form.total_estimated_value, 165.5);
+
+  // The receipt email lists the items and attaches the receipt PDF
+  assert.equal(first.body.emailSent, true);
+  const message = t.mail.sent[sentBefore];
+  assert.match(message.html, /Oak dresser/);
+  assert.match(message.html, new RegExp(`LONG_BEACH-${YEAR}-00001`));
+  assert.equal(message.attachments.length, 1);
+  assert.equal(message.attachments[0].filename, `donation-receipt-LONG_BEACH-${YEAR}-00001.pdf`);
+  assert.equal(message.attachments[0].content.subarray(0, 5).toString(), '%PDF-');
+
+  const second = await donate({ customer_name: 'Sam Second', phone: '562-555-7200' });
+  assert.equal(second.body.form.receipt_number, `LONG_BEACH-${YEAR}-00002`);
+
+  const otherStore = await donate({ customer_name: 'Pat Pedro', phone: '310-555-7300' }, { store: 'san_pedro' });
+  assert.equal(otherStore.body.form.receipt_number, `SAN_PEDRO-${YEAR}-00001`);
+
+  // Lists include the items too
+  const list = await t.request('GET', '/api/customer-forms-unified/donation?search=Dana', { token });
+  assert.equal(list.body.forms[0].receipt_number, `LONG_BEACH-${YEAR}-00001`);
+  assert.equal(list.body.forms[0].items.length, 3);
+});
+
+test('invalid donation items are rejected', async () => {
+  const donor = { customer_name: 'Bad Items', phone: '562-555-7400' };
+
+  for (const items of [
+    [{ category: 'Cars', quantity: 1, condition: 'good' }],
+    [{ category: 'Clothing', quantity: 0, condition: 'good' }],
+    [{ category: 'Clothing', quantity: 1, condition: 'broken' }],
+    [{ category: 'Clothing', quantity: 1, condition: 'good', estimated_value: -5 }]
+  ]) {
+    const response = await donate(donor, { items });
+    assert.equal(response.status, 400, JSON.stringify(items));
+  }
+
+  const response = await createForm(t, token, 'donation', { customer_name: 'Bad Items', phone: '562-555-7400', items: 'coats' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Donation items must be a JSON array');
+
+  const saved = await t.db.query("SELECT id FROM donation_forms WHERE customer_name = 'Bad Items'");
+  assert.equal(saved.rows.length, 0);
+});
+
+test('the donation receipt downloads as a PDF in its own store only', async () => {
+  const created = await donate({ customer_name: 'Receipt Pdf', phone: '562-555-7500' }, { items: ITEMS });
+  const form = created.body.form;
+
+  const response = await fetch(`${t.baseUrl}/api/export/forms/donation/${form.id}/receipt`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.equal(
+    response.headers.get('content-disposition'),
+    `inline; filename="donation-receipt-${form.receipt_number}.pdf"`
+  );
+  assert.equal(Buffer.from(await response.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+  const otherStore = await t.request('GET', `/api/export/forms/donation/${form.id}/receipt`, { token, store: 'san_pedro' });
+  assert.equal(otherStore.status, 404);
+});
+
+test('a donor\'s year-end summary totals the year and can be emailed', async () => {
+  const donor = { customer_name: 'Yearly Donor', phone: '562-555-7600', email: 'yearly@example.com' };
+  const thisYear = await donate(donor, { items: ITEMS });
+  const alsoThisYear = await donate(donor, { items: [{ category: 'Household', quantity: 2, condition: 'new', estimated_value: 30 }] });
+  const lastYear = await donate(donor, { items: [{ category: 'Toys & Games', quantity: 1, condition: 'fair', estimated_value: 500 }] });
+  await donate(donor, { store: 'san_pedro', items: [{ category: 'Other', quantity: 1, condition: 'good', estimated_value: 75 }] });
+
+  await t.db.query("UPDATE donation_forms SET date = date - INTERVAL '1 year' WHERE id = $1", [lastYear.body.form.id]);
+
+  const customerId = thisYear.body.form.customer_id;
+  const summary = await t.request('GET', `/api/customers/${customerId}/donations?year=${YEAR}`, { token });
+  assert.equal(summary.status, 200, JSON.stringify(summary.body));
+  assert.equal(summary.body.year, YEAR);
+  assert.deepEqual(summary.body.donations.map(donation => donation.id), [thisYear.body.form.id, alsoThisYear.body.form.id]);
+  assert.equal(summary.body.itemCount, 18);
+  assert.equal(summary.body.totalEstimatedValue, 195.5);
+
+  const previous = await t.request('GET', `/api/customers/${customerId}/donations?year=${YEAR - 1}`, { token });
+  assert.equal(previous.body.totalEstimatedValue, 500);
+
+  const pdf = await fetch(`${t.baseUrl}/api/customers/${customerId}/donations/pdf?year=${YEAR}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  assert.equal(pdf.status, 200);
+  assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+  const sentBefore = t.mail.sent.length;
+  const sent = await t.request('POST', `/api/customers/${customerId}/donations/send`, { token, body: { year: YEAR } });
+  assert.equal(sent.status, 200, JSON.stringify(sent.body));
+  assert.equal(sent.body.emailSent, true);
+
+  const message = t.mail.sent[sentBefore];
+  assert.equal(message.to, 'yearly@example.com');
+  assert.equal(message.subject, `Beacon House - Your ${YEAR} Donation Summary`);
+  assert.equal(message.attachments[0].filename, `donation-summary-${YEAR}.pdf`);
+  assert.equal(message.attachments[0].content.subarray(0, 5).toString(), '%PDF-');
+
+  const outbox = await t.db.query(
+    "SELECT attachments FROM email_outbox WHERE email_type = 'annual_receipt' ORDER BY id DESC LIMIT 1"
+  );
+  assert.deepEqual(outbox.rows[0].attachments, [
+    { kind: 'annual_donation_receipt', customerId, store: 'long_beach', year: YEAR }
+  ]);
+
+  const empty = await t.request('POST', `/api/customers/${customerId}/donations/send`, { token, body: { year: 2001 } });
+  assert.equal(empty.status, 400);
+
+  const badYear = await t.request('GET', `/api/customers/${customerId}/donations?year=soon`, { token });
+  assert.equal(badYear.status, 400);
+
+  const missing = await t.request('GET', '/api/customers/999999/donations', { token });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,213 @@
+// test/email-outbox.test.js
+// Email outbox: failed sends are retried with backoff until they give up, and
+// receipts that fail stay queued and are retried
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+const { getBackoffMs, enqueueEmail, deliverEmail, processOutbox } = require('../src/services/email-outbox');
+
+let t;
+let token;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'outbox-employee', stores: ['long_beach'] });
+  admin = (await t.loginAdmin()).token;
+});
+
+after(async () => {
+  await t.stop();
+});
+
+// Queue a message and make its first attempt with the mail server down
+async function queueFailing(to) {
+  const message = await enqueueEmail(t.db, { store: 'long_beach', emailType: 'receipt', to, subject: 'Receipt', html: '<p>Thanks</p>' });
+
+  t.mail.failWith('SMTP is down');
+  try {
+    const result = await deliverEmail(t.db, message.id);
+    assert.deepEqual(result, { sent: false, willRetry: true, error: 'SMTP is down' });
+  } finally {
+    t.mail.failWith(null);
+  }
+
+  return message.id;
+}
+
+async function outboxRow(id) {
+  return (await t.db.query('SELECT * FROM email_outbox WHERE id = $1', [id])).rows[0];
+}
+
+async function attempts(id) {
+  const result = await t.db.query(
+    'SELECT attempt_number, success, error FROM email_outbox_attempts WHERE outbox_id = $1 ORDER BY attempt_number',
+    [id]
+  );
+  return result.rows;
+}
+
+function makeDue(id) {
+  return t.db.query('UPDATE email_outbox SET next_attempt_at = NOW() WHERE id = $1', [id]);
+}
+
+test('the retry delay doubles with each attempt up to the maximum', () => {
+  const config = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getBackoffMs(attempt, config)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('a failed send waits for its retry time and is then sent by the worker', async () => {
+  const id = await queueFailing('backoff@example.com');
+
+  const queued = await outboxRow(id);
+  assert.equal(queued.status, 'queued');
+  assert.equal(queued.attempts, 1);
+  assert.equal(queued.last_error, 'SMTP is down');
+  const delaySeconds = (new Date(queued.next_attempt_at) - new Date(queued.updated_at)) / 1000;
+  assert.ok(Math.abs(delaySeconds - getBackoffMs(1) / 1000) < 5, `retry in ${delaySeconds}s`);
+
+  // Not due yet
+  await processOutbox(t.db);
+  assert.equal((await outboxRow(id)).status, 'queued');
+
+  await makeDue(id);
+  await processOutbox(t.db);
+
+  const sent = await outboxRow(id);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.attempts, 2);
+  assert.equal(sent.last_error, null);
+  assert.ok(t.mail.sent.some(message => message.to === 'backoff@example.com'));
+  assert.deepEqual(await attempts(id), [
+    { attempt_number: 1, success: false, error: 'SMTP is down' },
+    { attempt_number: 2, success: true, error: null }
+  ]);
+});
+
+test('a message gives up after its last attempt and can be retried by hand', async () => {
+  const id = await queueFailing('giveup@example.com');
+  await t.db.query('UPDATE email_outbox SET max_attempts = 2 WHERE id = $1', [id]);
+
+  await makeDue(id);
+  t.mail.failWith('Mailbox unavailable');
+  try {
+    await processOutbox(t.db);
+  } finally {
+    t.mail.failWith(null);
+  }
+
+  const failed = await outboxRow(id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.last_error, 'Mailbox unavailable');
+
+  const denied = await t.request('POST', `/api/email-outbox/${id}/retry`, { token, store: 'long_beach' });
+  assert.equal(denied.status, 403);
+
+  const retry = await t.request('POST', `/api/email-outbox/${id}/retry`, { token: admin, store: 'long_beach' });
+  assert.equal(retry.status, 200, JSON.stringify(retry.body));
+  assert.equal(retry.body.emailSent, true);
+
+  const detail = await t.request('GET', `/api/email-outbox/${id}`, { token: admin, store: 'long_beach' });
+  assert.equal(detail.body.message.status, 'sent');
+  assert.deepEqual(detail.body.attempts.map(attempt => attempt.success), [false, false, true]);
+
+  const again = await t.request('POST', `/api/email-outbox/${id}/retry`, { token: admin, store: 'long_beach' });
+  assert.equal(again.status, 400);
+});
+
+test('messages stuck sending are put back in the queue', async () => {
+  const message = await enqueueEmail(t.db, { store: 'long_beach', emailType: 'receipt', to: 'stuck@example.com', subject: 'Receipt', html: '<p>Thanks</p>' });
+  await t.db.query(
+    `UPDATE email_outbox SET status = 'sending', updated_at = NOW() - INTERVAL '11 minutes' WHERE id = $1`,
+    [message.id]
+  );
+
+  await processOutbox(t.db);
+
+  assert.equal((await outboxRow(message.id)).status, 'sent');
+});
+
+// Create a pickup form while the mail server is down, so its receipt stays in the outbox
+async function createWithFailedReceipt(fields) {
+  t.mail.failWith('SMTP is down');
+  try {
+    const response = await createForm(t, token, 'pickup', {
+      phone: '562-555-0170',
+      date_purchased: '2026-03-02',
+      date_stored: '2026-03-09',
+      ...fields
+    });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    assert.equal(response.body.emailSent, false);
+    return response.body.form;
+  } finally {
+    t.mail.failWith(null);
+  }
+}
+
+test('a retried receipt is rendered from the form as it is now', async () => {
+  const form = await createWithFailedReceipt({
+    customer_name: 'Olive Outbox',
+    email: 'old@example.com',
+    items_description: 'Oak dresser'
+  });
+
+  const edit = new FormData();
+  edit.append('customer_name', 'Olive Outbox');
+  edit.append('phone', '562-555-0170');
+  edit.append('email', 'new@example.com');
+  edit.append('items_description', 'Oak dresser and mirror');
+  edit.append('date_purchased', '2026-03-02');
+  edit.append('date_stored', '2026-03-09');
+  const edited = await t.request('PUT', `/api/customer-forms-unified/pickup/${form.id}`, { token, body: edit });
+  assert.equal(edited.status, 200, JSON.stringify(edited.body));
+
+  const retry = await t.request('POST', `/api/customer-forms-unified/retry-email/pickup/${form.id}`, { token });
+  assert.equal(retry.status, 200, JSON.stringify(retry.body));
+
+  const sent = t.mail.sent[t.mail.sent.length - 1];
+  assert.equal(sent.to, 'new@example.com');
+  assert.match(sent.html, /Oak dresser and mirror/);
+
+  // Still one receipt for the form, not a second one queued next to the first
+  const outbox = await t.db.query(
+    `SELECT status, to_address FROM email_outbox WHERE email_type = 'receipt' AND form_type = 'pickup' AND form_id = $1`,
+    [form.id]
+  );
+  assert.deepEqual(outbox.rows, [{ status: 'sent', to_address: 'new@example.com' }]);
+});
+
+test('a sent email is not queued again when recording the send fails', async () => {
+  const form = await createWithFailedReceipt({ customer_name: 'Sent Once', email: 'once@example.com', items_description: 'Lamp' });
+  const message = (await t.db.query(
+    `SELECT id FROM email_outbox WHERE email_type = 'receipt' AND form_type = 'pickup' AND form_id = $1`,
+    [form.id]
+  )).rows[0];
+  await makeDue(message.id);
+
+  // Marking the form as emailed fails after the mail server has accepted the message
+  await t.db.query(`
+    CREATE FUNCTION fail_pickup_update() RETURNS trigger AS $$
+    BEGIN RAISE EXCEPTION 'pickup_forms is read-only'; END;
+    $$ LANGUAGE plpgsql;
+    CREATE TRIGGER fail_pickup_update BEFORE UPDATE ON pickup_forms
+    FOR EACH ROW EXECUTE FUNCTION fail_pickup_update();
+  `);
+  const sentBefore = t.mail.sent.length;
+  try {
+    await processOutbox(t.db);
+  } finally {
+    await t.db.query('DROP TRIGGER fail_pickup_update ON pickup_forms; DROP FUNCTION fail_pickup_update()');
+  }
+
+  assert.equal((await outboxRow(message.id)).status, 'sent');
+  assert.equal((await attempts(message.id)).at(-1).success, true);
+
+  await makeDue(message.id);
+  await processOutbox(t.db);
+  assert.equal(t.mail.sent.filter(mail => mail.to === 'once@example.com').length, 1);
+  assert.equal(t.mail.sent.length, sentBefore + 1);
+});
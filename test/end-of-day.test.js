@@ -0,0 +1,120 @@
+// test/end-of-day.test.js
+// End of day checklist and daily cash reports
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob } = require('./helpers/harness');
+
+const DATE = '2026-05-04';
+
+let t;
+let employee;
+let manager;
+
+before(async () => {
+  t = await startTestApp();
+  employee = await t.tokenFor({ username: 'eod-employee' });
+  manager = await t.tokenFor({ username: 'eod-manager', role: 'Manager', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+test('the checklist for a date is created from the store\'s templates', async () => {
+  const response = await t.request('GET', `/api/end-of-day/${DATE}`, { token: employee });
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.checklist.length > 0);
+  assert.ok(response.body.checklist.every(item => item.is_completed === false));
+  assert.ok(response.body.checklist.every(item => item.section === 'closing'));
+
+  // Loading it again doesn't duplicate the items
+  const again = await t.request('GET', `/api/end-of-day/${DATE}`, { token: employee });
+  assert.equal(again.body.checklist.length, response.body.checklist.length);
+});
+
+test('staff can tick off checklist items', async () => {
+  const { body } = await t.request('GET', `/api/end-of-day/${DATE}`, { token: employee });
+  const item = body.checklist[0];
+
+  const done = await t.request('POST', '/api/end-of-day/checklist/toggle', {
+    token: employee,
+    body: { itemId: item.id, isCompleted: true }
+  });
+  assert.equal(done.status, 200);
+  assert.equal(done.body.item.is_completed, true);
+
+  const reloaded = await t.request('GET', `/api/end-of-day/${DATE}`, { token: employee });
+  const saved = reloaded.body.checklist.find(i => i.id === item.id);
+  assert.equal(saved.is_completed, true);
+  assert.equal(saved.completed_by_name, 'eod-employee');
+
+  const undone = await t.request('POST', '/api/end-of-day/checklist/toggle', {
+    token: employee,
+    body: { itemId: item.id, isCompleted: false }
+  });
+  assert.equal(undone.body.item.completed_by, null);
+});
+
+test('employees cannot see or save the cash report', async () => {
+  const day = await t.request('GET', `/api/end-of-day/${DATE}`, { token: employee });
+  assert.equal(day.body.canAccessReport, false);
+  assert.equal(day.body.report, null);
+
+  const save = await t.request('POST', '/api/end-of-day/report', {
+    token: employee,
+    body: { reportDate: DATE, cashCount: 100, donationAmount: 20, total: 120 }
+  });
+  assert.equal(save.status, 403);
+});
+
+test('managers save one cash report per store per day', async () => {
+  const save = (store, cashCount) => t.request('POST', '/api/end-of-day/report', {
+    token: manager,
+    store,
+    body: { reportDate: DATE, cashCount, donationAmount: 20, total: cashCount + 20 }
+  });
+
+  assert.equal((await save('long_beach', 100)).status, 200);
+  assert.equal((await save('long_beach', 150)).status, 200);
+  assert.equal((await save('san_pedro', 300)).status, 200);
+
+  const longBeach = await t.request('GET', `/api/end-of-day/${DATE}`, { token: manager, store: 'long_beach' });
+  const sanPedro = await t.request('GET', `/api/end-of-day/${DATE}`, { token: manager, store: 'san_pedro' });
+
+  assert.equal(Number(longBeach.body.report.cash_count), 150);
+  assert.equal(Number(longBeach.body.report.total), 170);
+  assert.equal(longBeach.body.report.created_by_name, 'eod-manager');
+  assert.equal(Number(sanPedro.body.report.cash_count), 300);
+});
+
+test('managers can attach and remove report photos', async () => {
+  const upload = async () => {
+    const form = new FormData();
+    form.append('reportDate', DATE);
+    form.append('image', imageBlob(), 'receipt.png');
+    const response = await t.request('POST', '/api/end-of-day/report/upload-image', { token: manager, body: form });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body.image;
+  };
+
+  const first = await upload();
+  await upload();
+  assert.match(first.image_data, /^\/uploads\/daily-reports\//);
+
+  let day = await t.request('GET', `/api/end-of-day/${DATE}`, { token: manager });
+  assert.equal(day.body.report.images.length, 2);
+
+  const del = await t.request('DELETE', `/api/end-of-day/report/delete-image/${first.id}`, { token: manager });
+  assert.equal(del.status, 200);
+
+  day = await t.request('GET', `/api/end-of-day/${DATE}`, { token: manager });
+  assert.equal(day.body.report.images.length, 1);
+
+  const clear = await t.request('DELETE', `/api/end-of-day/report/delete-all-images/${DATE}`, { token: manager });
+  assert.equal(clear.status, 200);
+
+  day = await t.request('GET', `/api/end-of-day/${DATE}`, { token: manager });
+  assert.equal(day.body.report.images.length, 0);
+});
@@ -0,0 +1,150 @@
+// test/export.test.js
+// CSV exports and printable form PDFs
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+const { csvValue } = require('../src/services/export');
+
+let t;
+let token;
+let managerToken;
+let adminToken;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'export-employee', stores: ['long_beach', 'san_pedro'] });
+  managerToken = await t.tokenFor({ username: 'export-manager', role: 'Clothing Manager' });
+  adminToken = (await t.loginAdmin()).token;
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createDonation(fields, store = 'long_beach') {
+  const response = await createForm(t, token, 'donation', fields, { store });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+// Downloads aren't JSON, so read them with fetch directly
+async function download(url, { token: authToken = adminToken, store } = {}) {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  if (store) headers['x-store'] = store;
+
+  const response = await fetch(t.baseUrl + url, { headers });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: Buffer.from(await response.arrayBuffer())
+  };
+}
+
+function csvRows(body) {
+  return body.toString('utf8').replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+}
+
+test('CSV values are quoted, and text a spreadsheet would run as a formula is defused', () => {
+  assert.equal(csvValue('Plain'), 'Plain');
+  assert.equal(csvValue('Couch, blue'), '"Couch, blue"');
+  assert.equal(csvValue('The "good" chair'), '"The ""good"" chair"');
+  assert.equal(csvValue('Line one\nLine two'), '"Line one\nLine two"');
+  assert.equal(csvValue('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvValue('-12.50'), '-12.50');
+  assert.equal(csvValue(null), '');
+  assert.equal(csvValue(42), '42');
+});
+
+test('donation forms export as CSV for the store and date range', async () => {
+  const march = await createDonation({ customer_name: 'Export March', phone: '562-555-5100', donation_description: 'Lamp, "brass"' });
+  const april = await createDonation({ customer_name: 'Export April', phone: '562-555-5200', donation_description: 'Rug' });
+  await createDonation({ customer_name: 'Export Other Store', phone: '562-555-5300' }, 'san_pedro');
+
+  await t.db.query("UPDATE donation_forms SET date = '2026-03-15' WHERE id = $1", [march.id]);
+  await t.db.query("UPDATE donation_forms SET date = '2026-04-02' WHERE id = $1", [april.id]);
+
+  const response = await download('/api/export/forms?type=donation&from=2026-03-01&to=2026-03-31');
+  assert.equal(response.status, 200, response.body.toString());
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.equal(
+    response.headers.get('content-disposition'),
+    'attachment; filename="long_beach-donation-forms-2026-03-01-to-2026-03-31.csv"'
+  );
+
+  const rows = csvRows(response.body);
+  assert.equal(
+    rows[0],
+    'Form ID,Date,Customer Name,Phone,Email,Receipt Number,Donation Description,Items,Donor Estimated Value,Receipt Emailed,Recorded By,Created At'
+  );
+  assert.equal(rows.length, 2);
+  assert.ok(
+    rows[1].startsWith(`${march.id},2026-03-15,Export March,562-555-5100,,${march.receipt_number},"Lamp, ""brass""",0,,No,`),
+    rows[1]
+  );
+
+  // Without a range every form in the store is exported, oldest first
+  const all = csvRows((await download('/api/export/forms?type=donation')).body);
+  assert.deepEqual(all.slice(1).map(row => row.split(',')[2]), ['Export March', 'Export April']);
+});
+
+test('voucher usage and daily reports export', async () => {
+  const contact = await t.request('POST', '/api/vouchers/contacts', {
+    token,
+    body: { name: 'Export Voucher', referral_agency: 'Harbor Interfaith' }
+  });
+  assert.equal(contact.status, 201, JSON.stringify(contact.body));
+
+  const usage = await t.request('POST', '/api/vouchers/usage', {
+    token,
+    body: { contact_id: contact.body.contact.id, date_used: '2026-03-10' }
+  });
+  assert.equal(usage.status, 201, JSON.stringify(usage.body));
+
+  const vouchers = csvRows((await download('/api/export/vouchers?from=2026-03-01&to=2026-03-31')).body);
+  assert.equal(vouchers.length, 2);
+  assert.ok(vouchers[1].startsWith(`2026-03-10,${contact.body.contact.id},Export Voucher,Harbor Interfaith,`));
+
+  const report = await t.request('POST', '/api/end-of-day/report', {
+    token: adminToken,
+    body: { reportDate: '2026-03-10', cashCount: 512.25, donationAmount: 40, total: 552.25 }
+  });
+  assert.equal(report.status, 200, JSON.stringify(report.body));
+
+  const reports = csvRows((await download('/api/export/daily-reports?from=2026-03-10&to=2026-03-10')).body);
+  assert.deepEqual(reports.slice(1).map(row => row.split(',').slice(0, 4).join(',')), ['2026-03-10,512.25,40.00,552.25']);
+});
+
+test('exports need reports.export, and daily reports also need reports.cash.view', async () => {
+  const employee = await download('/api/export/forms?type=donation', { token });
+  assert.equal(employee.status, 403);
+
+  const manager = await download('/api/export/exclusive-items', { token: managerToken });
+  assert.equal(manager.status, 200);
+
+  // Clothing Managers can't see cash reports
+  const cash = await download('/api/export/daily-reports', { token: managerToken });
+  assert.equal(cash.status, 403);
+
+  assert.equal((await download('/api/export/customers')).status, 400);
+  assert.equal((await download('/api/export/forms?type=inventory')).status, 400);
+  assert.equal((await download('/api/export/forms?type=pickup&from=2026-04-01&to=2026-03-01')).status, 400);
+});
+
+test('a signed form downloads as a PDF with its signature, in its own store only', async () => {
+  const form = await createDonation({ customer_name: 'Export Pdf', phone: '562-555-5400', donation_description: 'Books' });
+
+  const response = await download(`/api/export/forms/donation/${form.id}/pdf`, { token });
+  assert.equal(response.status, 200, response.body.toString());
+  assert.equal(response.headers.get('content-type'), 'application/pdf');
+  assert.equal(response.body.subarray(0, 5).toString(), '%PDF-');
+
+  // The signature is embedded as an image
+  assert.match(response.body.toString('latin1'), /\/Subtype \/Image/);
+
+  const otherStore = await download(`/api/export/forms/donation/${form.id}/pdf`, { token, store: 'san_pedro' });
+  assert.equal(otherStore.status, 404);
+
+  const badType = await download(`/api/export/forms/inventory/${form.id}/pdf`, { token });
+  assert.equal(badType.status, 400);
+});
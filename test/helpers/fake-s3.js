@@ -0,0 +1,121 @@
+// test/helpers/fake-s3.js
+// In-memory stand-in for an S3-compatible service (like a local MinIO), path
+// style only: PUT/GET/DELETE objects, ListObjectsV2 and presigned GET links.
+// Requests must carry the test access key, either in the Authorization header
+// or as a presigned link that hasn't expired.
+
+const http = require('http');
+
+const ACCESS_KEY_ID = 'test-access-key';
+const SECRET_ACCESS_KEY = 'test-secret-key';
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function errorXml(res, status, code) {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+}
+
+// Presigned links: X-Amz-Date (20260115T093000Z) plus X-Amz-Expires seconds
+function presignExpired(query) {
+  const date = query.get('X-Amz-Date') || '';
+  const signedAt = Date.parse(date.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  return isNaN(signedAt) || Date.now() > signedAt + Number(query.get('X-Amz-Expires')) * 1000;
+}
+
+function authorized(req, query) {
+  if (query.has('X-Amz-Signature')) {
+    return (query.get('X-Amz-Credential') || '').startsWith(`${ACCESS_KEY_ID}/`) && !presignExpired(query);
+  }
+
+  const auth = req.headers.authorization || '';
+  return auth.startsWith(`AWS4-HMAC-SHA256 Credential=${ACCESS_KEY_ID}/`) && auth.includes('Signature=');
+}
+
+// Start the server. pageSize is kept small so listings come back in pages.
+async function startFakeS3({ bucket = 'test-bucket', pageSize = 2 } = {}) {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (bucketName !== bucket) return errorXml(res, 404, 'NoSuchBucket');
+    if (!authorized(req, url.searchParams)) return errorXml(res, 403, 'AccessDenied');
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'PUT' && key) {
+        objects.set(key, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers['content-type'],
+          lastModified: new Date()
+        });
+        res.writeHead(200);
+        return res.end();
+      }
+
+      if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const keys = Array.from(objects.keys()).filter(k => k.startsWith(prefix)).sort();
+        const start = Number(url.searchParams.get('continuation-token') || 0);
+        const page = keys.slice(start, start + pageSize);
+        const truncated = start + pageSize < keys.length;
+
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(
+          '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+          page.map(k => `<Contents><Key>${xmlEscape(k)}</Key><Size>${objects.get(k).body.length}</Size>` +
+            `<LastModified>${objects.get(k).lastModified.toISOString()}</LastModified></Contents>`).join('') +
+          `<IsTruncated>${truncated}</IsTruncated>` +
+          (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '') +
+          '</ListBucketResult>'
+        );
+      }
+
+      if (req.method === 'GET' && key) {
+        const object = objects.get(key);
+        if (!object) return errorXml(res, 404, 'NoSuchKey');
+        res.writeHead(200, { 'Content-Type': object.contentType || 'application/octet-stream' });
+        return res.end(object.body);
+      }
+
+      if (req.method === 'DELETE' && key) {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      errorXml(res, 400, 'InvalidRequest');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    bucket,
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    accessKeyId: ACCESS_KEY_ID,
+    secretAccessKey: SECRET_ACCESS_KEY,
+    objects,
+    // Point the app's storage at this server (STORAGE_DRIVER=s3)
+    useForUploads() {
+      process.env.STORAGE_DRIVER = 's3';
+      process.env.S3_BUCKET = bucket;
+      process.env.S3_REGION = 'us-east-1';
+      process.env.S3_ENDPOINT = this.endpoint;
+      process.env.S3_ACCESS_KEY_ID = ACCESS_KEY_ID;
+      process.env.S3_SECRET_ACCESS_KEY = SECRET_ACCESS_KEY;
+      process.env.S3_FORCE_PATH_STYLE = 'true';
+    },
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startFakeS3
+};
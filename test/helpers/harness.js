@@ -0,0 +1,220 @@
+// test/helpers/harness.js
+// Integration test harness: starts a throwaway Postgres, runs the migrations,
+// stubs nodemailer and serves the real app from src/server.js on a random port.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const nodemailer = require('nodemailer');
+const { Pool } = require('pg');
+const { migrateUp } = require('../../src/services/migrations');
+
+const ADMIN_PASSWORD = 'admin-test-password';
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Replace the SMTP transport with one that records messages instead of sending them
+function stubMailer() {
+  const sent = [];
+  let failWith = null;
+
+  nodemailer.createTransport = () => ({
+    verify: async () => true,
+    sendMail: async (message) => {
+      if (failWith) throw new Error(failWith);
+      sent.push(message);
+      return { messageId: `test-${sent.length}` };
+    }
+  });
+
+  return {
+    sent,
+    // Make every send fail with this message (null to succeed again)
+    failWith(message) {
+      failWith = message;
+    }
+  };
+}
+
+async function startDatabase(tempDir) {
+  // embedded-postgres is an ES module
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+
+  const port = await getFreePort();
+  const postgres = new EmbeddedPostgres({
+    databaseDir: path.join(tempDir, 'pgdata'),
+    user: 'postgres',
+    password: 'postgres',
+    port,
+    persistent: false,
+    createPostgresUser: true,
+    onLog: () => {},
+    onError: () => {}
+  });
+
+  await postgres.initialise();
+  await postgres.start();
+  await postgres.createDatabase('lbts_test');
+
+  const pool = new Pool({
+    host: 'localhost',
+    port,
+    user: 'postgres',
+    password: 'postgres',
+    database: 'lbts_test',
+    options: '-c timezone=UTC'
+  });
+
+  await migrateUp(pool, { log: () => {} });
+
+  return { postgres, pool };
+}
+
+// Start everything. Call stop() in an after() hook.
+async function startTestApp() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbts-test-'));
+  fs.chmodSync(tempDir, 0o777); // the postgres user needs to write here when running as root
+
+  process.env.JWT_SECRET = 'test-secret';
+  process.env.SMTP_USER = 'test@example.com';
+  process.env.SMTP_PASSWORD = 'test';
+  process.env.SMTP_FROM = 'LBTS Test <noreply@example.com>';
+  process.env.UPLOAD_DIR = path.join(tempDir, 'uploads');
+  process.env.EMAIL_OUTBOX_ENABLED = 'false';
+  process.env.PICKUP_REMINDERS_ENABLED = 'false';
+
+  const mail = stubMailer();
+  const { postgres, pool } = await startDatabase(tempDir);
+
+  const adminHash = await bcrypt.hash(ADMIN_PASSWORD, 10);
+  await pool.query("UPDATE users SET password_hash = $1 WHERE username = 'admin'", [adminHash]);
+
+  const app = require('../../src/server');
+  app.locals.db = pool;
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a request; body may be a plain object (sent as JSON) or FormData
+  async function request(method, url, { token, store, body } = {}) {
+    const headers = {};
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    if (store) headers['x-store'] = store;
+
+    let payload;
+    if (body instanceof FormData) {
+      payload = body;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const response = await fetch(baseUrl + url, { method, headers, body: payload });
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      data = text;
+    }
+
+    return { status: response.status, body: data };
+  }
+
+  async function login(username, password) {
+    const response = await request('POST', '/api/auth/login', { body: { username, password } });
+    if (response.status !== 200) {
+      throw new Error(`Login as ${username} failed: ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    return response.body;
+  }
+
+  // Create a user directly in the database and assign stores
+  async function createUser({ username, password = 'password123', role = 'Employee', stores = ['long_beach'] }) {
+    const hash = await bcrypt.hash(password, 10);
+    const result = await pool.query(
+      'INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING *',
+      [username, hash, role]
+    );
+    for (const code of stores) {
+      await pool.query('INSERT INTO user_stores (user_id, store_code) VALUES ($1, $2)', [result.rows[0].id, code]);
+    }
+    return { ...result.rows[0], password };
+  }
+
+  // Log in as a newly created user and return their access token
+  async function tokenFor(options) {
+    const user = await createUser(options);
+    const session = await login(user.username, user.password);
+    return session.token;
+  }
+
+  async function stop() {
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+    await postgres.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return {
+    app,
+    db: pool,
+    baseUrl,
+    mail,
+    request,
+    login,
+    loginAdmin: () => login('admin', ADMIN_PASSWORD),
+    createUser,
+    tokenFor,
+    stop
+  };
+}
+
+// A tiny PNG for upload fields (signatures and photos)
+function imageBlob() {
+  const png = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+  );
+  return new Blob([png], { type: 'image/png' });
+}
+
+// POST a customer form with the signatures and photo its type needs. form_type
+// is appended first because multer picks the upload folder from it.
+function createForm(app, token, type, fields = {}, { store } = {}) {
+  const form = new FormData();
+  const values = { form_type: type, ...fields };
+
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== undefined) form.append(name, value);
+  }
+  form.append('signature', imageBlob(), 'signature.png');
+  if (type === 'waiver') {
+    form.append('manager_signature', imageBlob(), 'manager-signature.png');
+  }
+  if (type === 'pickup' || type === 'delivery') {
+    form.append('pictures', imageBlob(), 'item.png');
+  }
+
+  return app.request('POST', '/api/customer-forms-unified/create', { token, store, body: form });
+}
+
+module.exports = {
+  startTestApp,
+  imageBlob,
+  createForm
+};
@@ -0,0 +1,154 @@
+// test/images.test.js
+// Uploaded pictures are turned upright, stripped of EXIF/GPS, shrunk and given
+// thumbnails, which list endpoints return next to the originals
+
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startTestApp, imageBlob, createForm } = require('./helpers/harness');
+const { processImage } = require('../src/services/images');
+const { uploadKey, createMissingThumbnails } = require('../src/services/storage');
+
+let t;
+let token;
+
+before(async () => {
+  process.env.IMAGE_MAX_DIMENSION = '200';
+  process.env.IMAGE_THUMBNAIL_SIZE = '50';
+
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'images-employee' });
+});
+
+after(async () => {
+  delete process.env.IMAGE_MAX_DIMENSION;
+  delete process.env.IMAGE_THUMBNAIL_SIZE;
+  await t.stop();
+});
+
+// A landscape tablet photo saved sideways (EXIF orientation 6 = rotate 90°) with a GPS position
+function cameraPhoto({ width = 400, height = 100 } = {}) {
+  return sharp({ create: { width, height, channels: 3, background: '#3366cc' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'Tablet' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '33/1 46/1 12/1' }
+    })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+}
+
+function uploadedFile(url) {
+  return path.join(process.env.UPLOAD_DIR, uploadKey(url));
+}
+
+function itemForm(picture, filename, price = '25') {
+  const form = new FormData();
+  form.append('price', price);
+  form.append('pictures', picture, filename);
+  return form;
+}
+
+function createItem(picture, filename = 'photo.jpg') {
+  return t.request('POST', '/api/discount-items', { token, store: 'long_beach', body: itemForm(picture, filename) });
+}
+
+test('photos are turned upright, shrunk and stripped of EXIF', async () => {
+  const input = await cameraPhoto();
+  const before = await sharp(input).metadata();
+  assert.ok(before.exif);
+  assert.equal(before.orientation, 6);
+
+  const image = await processImage(input);
+  const after = await sharp(image.body).metadata();
+
+  assert.equal(image.ext, '.jpg');
+  assert.equal(after.format, 'jpeg');
+  assert.equal(after.width, 50);
+  assert.equal(after.height, 200);
+  assert.equal(after.exif, undefined);
+  assert.equal(after.orientation, undefined);
+
+  const thumbnail = await sharp(image.thumbnail).metadata();
+  assert.equal(thumbnail.format, 'jpeg');
+  assert.equal(Math.max(thumbnail.width, thumbnail.height), 50);
+  assert.equal(thumbnail.exif, undefined);
+});
+
+test('small pictures are not enlarged and PNGs stay PNGs', async () => {
+  const image = await processImage(Buffer.from(await imageBlob().arrayBuffer()), { thumbnail: false });
+  const metadata = await sharp(image.body).metadata();
+
+  assert.equal(image.ext, '.png');
+  assert.equal(metadata.width, 1);
+  assert.equal(image.thumbnail, null);
+});
+
+test('list endpoints return thumbnails next to the originals', async () => {
+  const created = await createItem(new Blob([await cameraPhoto()], { type: 'image/jpeg' }), 'IMG_0001.JPG');
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const [url] = created.body.item.picture_urls;
+  assert.match(url, /^\/uploads\/discount\/discount-\d+-\d+\.jpg$/);
+
+  const list = await t.request('GET', '/api/discount-items', { token, store: 'long_beach' });
+  assert.equal(list.status, 200);
+  const item = list.body.items.find(row => row.id === created.body.item.id);
+  const [thumbnailUrl] = item.thumbnail_urls;
+  assert.equal(thumbnailUrl, url.replace('/discount/', '/discount/thumbs/'));
+
+  const thumbnail = await fetch(t.baseUrl + thumbnailUrl);
+  assert.equal(thumbnail.status, 200);
+  const metadata = await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata();
+  assert.equal(metadata.height, 50);
+
+  // Replacing the pictures deletes the old ones and their thumbnails
+  const updated = await t.request('PUT', `/api/discount-items/${item.id}`, {
+    token, store: 'long_beach', body: itemForm(imageBlob(), 'new.png', '20')
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+
+  for (let i = 0; i < 20 && fs.existsSync(uploadedFile(thumbnailUrl)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  assert.equal(fs.existsSync(uploadedFile(url)), false);
+  assert.equal(fs.existsSync(uploadedFile(thumbnailUrl)), false);
+});
+
+test('files that are not readable pictures are rejected', async () => {
+  const response = await createItem(new Blob(['not a picture'], { type: 'image/jpeg' }), 'fake.jpg');
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'fake.jpg could not be read as an image');
+});
+
+test('signatures are stored without thumbnails', async () => {
+  const created = await createForm(t, token, 'donation', {
+    customer_name: 'Thumbnail Donor',
+    phone: '5625550142',
+    donation_description: 'Chair'
+  }, { store: 'long_beach' });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const url = created.body.form.signature_url;
+  assert.ok(fs.existsSync(uploadedFile(url)));
+  assert.equal(fs.existsSync(uploadedFile(url.replace('/signatures/', '/signatures/thumbs/').replace('.png', '.jpg'))), false);
+});
+
+test('missing thumbnails are created for pictures uploaded before thumbnails existed', async () => {
+  const legacyUrl = '/uploads/discount/discount-1700000000000-1.jpg';
+  fs.mkdirSync(path.dirname(uploadedFile(legacyUrl)), { recursive: true });
+  fs.writeFileSync(uploadedFile(legacyUrl), await cameraPhoto());
+
+  const dryRun = await createMissingThumbnails({ dryRun: true });
+  assert.deepEqual(dryRun.created, ['discount/discount-1700000000000-1.jpg']);
+
+  const result = await createMissingThumbnails();
+  assert.deepEqual(result.created, ['discount/discount-1700000000000-1.jpg']);
+  assert.ok(fs.existsSync(uploadedFile('/uploads/discount/thumbs/discount-1700000000000-1.jpg')));
+
+  const again = await createMissingThumbnails();
+  assert.deepEqual(again.created, []);
+});
@@ -0,0 +1,107 @@
+// test/migrations.test.js
+// Migration runner: status, dry runs, rollbacks and the boot-time schema check
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestApp } = require('./helpers/harness');
+const {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  checkSchema
+} = require('../src/services/migrations');
+
+const quiet = { log: () => {} };
+
+let t;
+
+before(async () => {
+  t = await startTestApp();
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function tableExists(name) {
+  const result = await t.db.query('SELECT to_regclass($1) AS table', [name]);
+  return result.rows[0].table !== null;
+}
+
+test('a fresh database has every migration applied', async () => {
+  const migrations = loadMigrations();
+  const status = await getMigrationStatus(t.db);
+
+  assert.equal(status.pending.length, 0);
+  assert.equal(status.current, migrations[migrations.length - 1].version);
+  await checkSchema(t.db);
+});
+
+test('migration files have unique versions and an up section', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbts-migrations-'));
+
+  try {
+    fs.writeFileSync(path.join(dir, '001_first.sql'), '-- migrate:up\nSELECT 1;\n-- migrate:down\nSELECT 2;\n');
+    fs.writeFileSync(path.join(dir, '002_irreversible.sql'), '-- migrate:up\nSELECT 1;\n-- migrate:down\n-- nothing to undo\n');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const [first, second] = loadMigrations(dir);
+    assert.equal(first.version, 1);
+    assert.equal(first.up, 'SELECT 1;');
+    assert.equal(first.down, 'SELECT 2;');
+    assert.equal(second.down, null);
+
+    fs.writeFileSync(path.join(dir, '002_duplicate.sql'), '-- migrate:up\nSELECT 1;\n');
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 2/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a dry run changes nothing', async () => {
+  const before = await getMigrationStatus(t.db);
+  const planned = await migrateDown(t.db, { steps: 2, dryRun: true, ...quiet });
+  const after = await getMigrationStatus(t.db);
+
+  assert.equal(planned.length, 2);
+  assert.equal(after.current, before.current);
+});
+
+test('every reversible migration rolls back and reapplies cleanly', async () => {
+  const migrations = loadMigrations();
+  const lastIrreversible = migrations.filter(m => !m.down).pop();
+
+  const rolledBack = await migrateDown(t.db, { to: lastIrreversible.version, ...quiet });
+  assert.equal(rolledBack.length, migrations.filter(m => m.version > lastIrreversible.version).length);
+  assert.equal(await tableExists('audit_events'), false);
+  await assert.rejects(checkSchema(t.db), /pending migration/);
+
+  const applied = await migrateUp(t.db, quiet);
+  assert.equal(applied.length, rolledBack.length);
+  assert.equal(await tableExists('audit_events'), true);
+  await checkSchema(t.db);
+});
+
+test('rolling back past an irreversible migration is refused', async () => {
+  const before = await getMigrationStatus(t.db);
+
+  await assert.rejects(migrateDown(t.db, { to: 0, ...quiet }), /cannot be rolled back/);
+
+  const after = await getMigrationStatus(t.db);
+  assert.equal(after.current, before.current);
+});
+
+test('the schema check fails when the database is ahead of the code', async () => {
+  await t.db.query("INSERT INTO schema_migrations (version, name, checksum) VALUES (9999, 'from_the_future', 'x')");
+
+  try {
+    await assert.rejects(checkSchema(t.db), /unknown migration/);
+    await assert.rejects(migrateUp(t.db, quiet), /doesn't know about/);
+  } finally {
+    await t.db.query('DELETE FROM schema_migrations WHERE version = 9999');
+  }
+});
@@ -0,0 +1,146 @@
+// test/pagination.test.js
+// Paging, sorting and filtering on the list endpoints (services/pagination.js)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+
+let t;
+let token;
+let adminToken;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'paging-employee', stores: ['long_beach'] });
+  adminToken = (await t.loginAdmin()).token;
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createDonation(customerName, phone) {
+  const response = await createForm(t, token, 'donation', {
+    customer_name: customerName,
+    phone,
+    donation_description: 'Box of books'
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+function listDonations(query = '') {
+  return t.request('GET', `/api/customer-forms-unified/donation?${query}`, { token });
+}
+
+test('forms are paged with a cursor, newest first, with the total count', async () => {
+  const created = [];
+  const names = ['Paging Carla', 'Paging Ana', 'Paging Eve', 'Paging Dora', 'Paging Bea'];
+  for (const [i, name] of names.entries()) {
+    created.push(await createDonation(name, `562-555-410${i}`));
+  }
+
+  // Two forms created in the same instant must not be skipped or repeated
+  await t.db.query('UPDATE donation_forms SET created_at = $1 WHERE id = ANY($2)', [
+    '2026-03-01 10:00:00', [created[1].id, created[2].id]
+  ]);
+
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const response = await listDonations(`limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.total, 5);
+    assert.equal(response.body.limit, 2);
+    assert.ok(response.body.forms.length <= 2);
+
+    seen.push(...response.body.forms.map(form => form.id));
+    cursor = response.body.next_cursor;
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen, [created[4].id, created[3].id, created[0].id, created[2].id, created[1].id]);
+
+  const byName = await listDonations('sort=customer_name&limit=3');
+  assert.deepEqual(byName.body.forms.map(form => form.customer_name), ['Paging Ana', 'Paging Bea', 'Paging Carla']);
+
+  const byOffset = await listDonations('sort=-customer_name&limit=2&offset=2');
+  assert.deepEqual(byOffset.body.forms.map(form => form.customer_name), ['Paging Carla', 'Paging Bea']);
+  assert.equal(byOffset.body.offset, 2);
+});
+
+test('forms are filtered by search text and date range', async () => {
+  const search = await listDonations('search=ana');
+  assert.deepEqual(search.body.forms.map(form => form.customer_name), ['Paging Ana']);
+  assert.equal(search.body.total, 1);
+  assert.equal(search.body.next_cursor, null);
+
+  const range = await listDonations('from=2026-03-01&to=2026-03-01');
+  assert.deepEqual(range.body.forms.map(form => form.customer_name).sort(), ['Paging Ana', 'Paging Eve']);
+  assert.equal(range.body.total, 2);
+});
+
+test('bad paging requests are rejected', async () => {
+  const badSort = await listDonations('sort=signature_url');
+  assert.equal(badSort.status, 400);
+
+  const badDate = await listDonations('from=March');
+  assert.equal(badDate.status, 400);
+
+  const badCursor = await listDonations('cursor=not-a-cursor');
+  assert.equal(badCursor.status, 400);
+
+  // A cursor only continues the sort it was made for
+  const first = await listDonations('limit=1');
+  const otherSort = await listDonations(`limit=1&sort=customer_name&cursor=${first.body.next_cursor}`);
+  assert.equal(otherSort.status, 400);
+
+  const badStatus = await listDonations('status=bounced');
+  assert.equal(badStatus.status, 400);
+});
+
+test('communication notes are filtered by category and status', async () => {
+  // Only admins post urgent notes
+  for (const [author, body] of [
+    [adminToken, { note: 'Paging note one', category: 'Urgent' }],
+    [token, { note: 'Paging note two', category: 'Maintenance' }],
+    [token, { note: 'Paging note three', category: 'Maintenance' }]
+  ]) {
+    const response = await t.request('POST', '/api/communication', { token: author, body });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+  }
+
+  const maintenance = await t.request('GET', '/api/communication?category=Maintenance', { token });
+  assert.equal(maintenance.status, 200);
+  assert.deepEqual(maintenance.body.entries.map(entry => entry.note), ['Paging note three', 'Paging note two']);
+  assert.equal(maintenance.body.total, 2);
+
+  const urgent = await t.request('GET', '/api/communication?status=urgent', { token });
+  assert.deepEqual(urgent.body.entries.map(entry => entry.note), ['Paging note one']);
+});
+
+test('expired bans are listed by status for users who can see ban history', async () => {
+  const active = await t.request('POST', '/api/banned-list', { token, body: { name: 'Paging Active' } });
+  assert.equal(active.status, 201, JSON.stringify(active.body));
+
+  const expired = await t.request('POST', '/api/banned-list', { token, body: { name: 'Paging Expired' } });
+  assert.equal(expired.status, 201, JSON.stringify(expired.body));
+  await t.db.query("UPDATE banned_list SET expires_on = CURRENT_DATE - 1 WHERE id = $1", [expired.body.entry.id]);
+
+  const employeeList = await t.request('GET', '/api/banned-list', { token });
+  assert.deepEqual(employeeList.body.entries.map(entry => entry.name), ['Paging Active']);
+
+  const denied = await t.request('GET', '/api/banned-list?status=expired', { token });
+  assert.equal(denied.status, 403);
+
+  const expiredList = await t.request('GET', '/api/banned-list?status=expired', { token: adminToken });
+  assert.equal(expiredList.status, 200);
+  assert.deepEqual(expiredList.body.entries.map(entry => entry.name), ['Paging Expired']);
+
+  const all = await t.request('GET', '/api/banned-list?status=all&sort=name', { token: adminToken });
+  assert.deepEqual(all.body.entries.map(entry => entry.name), ['Paging Active', 'Paging Expired']);
+  assert.equal(all.body.total, 2);
+});
@@ -0,0 +1,158 @@
+// test/permissions.test.js
+// The role permission matrix: admins change what each role can do, and the
+// change applies to requests right away
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/harness');
+const { CAPABILITIES, loadPermissions } = require('../src/services/permissions');
+
+let t;
+let admin;
+let employee;
+
+// Capabilities a role has without any overrides
+function defaultsFor(role) {
+  return Object.keys(CAPABILITIES).filter(name => CAPABILITIES[name].roles.includes(role));
+}
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+  employee = await t.tokenFor({ username: 'matrix-employee', role: 'Employee', stores: ['long_beach'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+function setPermissions(role, capabilities, token = admin) {
+  return t.request('PUT', `/api/permissions/${encodeURIComponent(role)}`, { token, body: { capabilities } });
+}
+
+test('only admins change the matrix', async () => {
+  assert.equal((await t.request('GET', '/api/permissions', { token: employee })).status, 403);
+  assert.equal((await setPermissions('Employee', defaultsFor('Employee'), employee)).status, 403);
+});
+
+test('invalid changes are rejected', async () => {
+  assert.equal((await setPermissions('Supervisor', [])).status, 404);
+  assert.equal((await setPermissions('Admin', [])).status, 400);
+  assert.equal((await setPermissions('Employee', 'reminders.view')).status, 400);
+
+  const unknown = await setPermissions('Employee', ['reminders.view', 'rockets.launch']);
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /rockets\.launch/);
+});
+
+test('granting and revoking capabilities applies to the role at once', async () => {
+  assert.equal((await t.request('GET', '/api/pickup-reminders/status', { token: employee, store: 'long_beach' })).status, 403);
+
+  const capabilities = [...defaultsFor('Employee').filter(name => name !== 'banned.edit'), 'reminders.view'];
+  const response = await setPermissions('Employee', capabilities);
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.deepEqual([...response.body.permissions].sort(), [...capabilities].sort());
+
+  // Only the differences from the defaults are stored
+  const stored = await t.db.query(`SELECT capability, allowed FROM role_permissions WHERE role = 'Employee' ORDER BY capability`);
+  assert.deepEqual(stored.rows, [
+    { capability: 'banned.edit', allowed: false },
+    { capability: 'reminders.view', allowed: true }
+  ]);
+
+  assert.equal((await t.request('GET', '/api/pickup-reminders/status', { token: employee, store: 'long_beach' })).status, 200);
+  const denied = await t.request('POST', '/api/banned-list', { token: employee, store: 'long_beach', body: { name: 'Not Allowed' } });
+  assert.equal(denied.status, 403);
+
+  const me = await t.request('GET', '/api/permissions/me', { token: employee });
+  assert.ok(me.body.permissions.includes('reminders.view'));
+  assert.ok(!me.body.permissions.includes('banned.edit'));
+
+  const matrix = await t.request('GET', '/api/permissions', { token: admin });
+  assert.ok(matrix.body.matrix.Employee.includes('reminders.view'));
+  assert.deepEqual(matrix.body.matrix.Admin.sort(), Object.keys(CAPABILITIES).sort());
+
+  const audit = await t.db.query(
+    `SELECT before_data, after_data FROM audit_events WHERE entity = 'role_permissions' AND entity_id = 'Employee'`
+  );
+  assert.equal(audit.rows.length, 1);
+  assert.ok(audit.rows[0].before_data.permissions.includes('banned.edit'));
+  assert.ok(audit.rows[0].after_data.permissions.includes('reminders.view'));
+
+  // Back to the defaults, nothing is stored
+  assert.equal((await setPermissions('Employee', defaultsFor('Employee'))).status, 200);
+  assert.equal((await t.db.query(`SELECT 1 FROM role_permissions WHERE role = 'Employee'`)).rows.length, 0);
+  assert.equal((await t.request('GET', '/api/pickup-reminders/status', { token: employee, store: 'long_beach' })).status, 403);
+});
+
+test('user, store and permission management cannot be given to other roles', async () => {
+  for (const capability of ['users.manage', 'stores.manage', 'permissions.manage']) {
+    const response = await setPermissions('Manager', [...defaultsFor('Manager'), capability]);
+    assert.equal(response.status, 400, capability);
+    assert.match(response.body.error, /Only admins/);
+  }
+
+  const matrix = await t.request('GET', '/api/permissions', { token: admin });
+  assert.equal(matrix.body.capabilities.find(capability => capability.name === 'users.manage').locked, true);
+  assert.equal(matrix.body.capabilities.find(capability => capability.name === 'audit.view').locked, false);
+
+  // An override saved before these were locked is ignored
+  await t.db.query(
+    `INSERT INTO role_permissions (role, capability, allowed) VALUES ('Manager', 'permissions.manage', true)`
+  );
+  await loadPermissions(t.db);
+  try {
+    const manager = await t.tokenFor({ username: 'matrix-manager', role: 'Manager' });
+    assert.equal((await setPermissions('Manager', [...defaultsFor('Manager'), 'audit.view'], manager)).status, 403);
+  } finally {
+    await t.db.query(`DELETE FROM role_permissions WHERE role = 'Manager'`);
+    await loadPermissions(t.db);
+  }
+});
+
+test('only admins create, promote, edit or delete admin accounts', async () => {
+  // If user management ever reaches another role, it still can't make admins
+  const usersManage = CAPABILITIES['users.manage'];
+  const defaultRoles = usersManage.roles;
+  usersManage.roles = ['Admin', 'Manager'];
+  await loadPermissions(t.db);
+
+  try {
+    const manager = await t.tokenFor({ username: 'users-manager', role: 'Manager' });
+    const managerId = (await t.db.query(`SELECT id FROM users WHERE username = 'users-manager'`)).rows[0].id;
+    const adminId = (await t.db.query(`SELECT id FROM users WHERE role = 'Admin' ORDER BY id LIMIT 1`)).rows[0].id;
+
+    const create = await t.request('POST', '/api/users', {
+      token: manager,
+      body: { username: 'sneaky-admin', password: 'password123', role: 'Admin' }
+    });
+    assert.equal(create.status, 403);
+
+    const promote = await t.request('PUT', `/api/users/${managerId}`, { token: manager, body: { role: 'Admin' } });
+    assert.equal(promote.status, 403);
+
+    const editAdmin = await t.request('PUT', `/api/users/${adminId}`, {
+      token: manager,
+      body: { role: 'Employee', password: 'taken-over', stores: ['long_beach'] }
+    });
+    assert.equal(editAdmin.status, 403);
+
+    assert.equal((await t.request('DELETE', `/api/users/${adminId}`, { token: manager })).status, 403);
+
+    const users = await t.db.query(
+      `SELECT username, role, deleted_at FROM users WHERE id = ANY($1) OR username = 'sneaky-admin' ORDER BY id`,
+      [[adminId, managerId]]
+    );
+    assert.deepEqual(users.rows.map(user => [user.role, user.deleted_at]), [['Admin', null], ['Manager', null]]);
+
+    // Other accounts are still managed as before
+    const employee = await t.request('POST', '/api/users', {
+      token: manager,
+      body: { username: 'new-associate', password: 'password123', role: 'Employee', stores: ['long_beach'] }
+    });
+    assert.equal(employee.status, 201, JSON.stringify(employee.body));
+  } finally {
+    usersManage.roles = defaultRoles;
+    await loadPermissions(t.db);
+  }
+});
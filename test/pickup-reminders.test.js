@@ -0,0 +1,143 @@
+// test/pickup-reminders.test.js
+// Pickup reminders (Due Today / Final Notice): the scheduler run and the claim
+// that keeps a form from getting the same reminder twice
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+const { queuePickupReminder } = require('../src/services/pickup-reminders');
+const { processOutbox } = require('../src/services/email-outbox');
+
+let t;
+let admin;
+let token;
+let today;
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+  token = await t.tokenFor({ username: 'reminder-employee', stores: ['long_beach'] });
+
+  // The pick-up date the scheduler looks for is "today" in the store's timezone
+  const status = await t.request('GET', '/api/pickup-reminders/status', { token: admin, store: 'long_beach' });
+  assert.equal(status.status, 200, JSON.stringify(status.body));
+  today = status.body.localDate;
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createPickup(fields) {
+  const response = await createForm(t, token, 'pickup', {
+    phone: '562-555-0180',
+    items_description: 'Bookcase',
+    date_purchased: '2026-03-02',
+    date_stored: today,
+    ...fields
+  }, { store: 'long_beach' });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+function remindersTo(email, emailType) {
+  return t.db.query(
+    'SELECT status FROM email_outbox WHERE to_address = $1 AND email_type = $2',
+    [email, emailType]
+  );
+}
+
+test('a run sends each reminder once and skips forms that already have it', async () => {
+  const due = await createPickup({ customer_name: 'Dora Due', email: 'dora@example.com' });
+  const noEmail = await createPickup({ customer_name: 'Nell Noemail', email: undefined });
+  const later = await createPickup({ customer_name: 'Lars Later', email: 'lars@example.com', date_stored: '2099-01-01' });
+
+  const first = await t.request('POST', '/api/pickup-reminders/run', { token: admin, store: 'long_beach' });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+
+  const dueToday = first.body.runs.find(run => run.reminderType === 'due_today');
+  assert.equal(dueToday.pickupDate, today);
+  assert.deepEqual(dueToday.sent.map(form => form.id), [due.id]);
+  assert.deepEqual(dueToday.skipped.map(form => [form.id, form.reason]), [[noEmail.id, 'No email address on file']]);
+  assert.ok(!dueToday.sent.some(form => form.id === later.id));
+
+  const second = await t.request('POST', '/api/pickup-reminders/run', { token: admin, store: 'long_beach' });
+  const again = second.body.runs.find(run => run.reminderType === 'due_today');
+  assert.deepEqual(again.sent, []);
+  assert.ok(again.skipped.some(form => form.id === due.id && form.reason === 'Due Today email already sent'));
+
+  assert.equal((await remindersTo('dora@example.com', 'due_today')).rows.length, 1);
+  assert.equal((await remindersTo('lars@example.com', 'due_today')).rows.length, 0);
+
+  const saved = await t.db.query('SELECT due_today_sent, due_today_sent_at FROM pickup_forms WHERE id = $1', [due.id]);
+  assert.equal(saved.rows[0].due_today_sent, true);
+  assert.ok(saved.rows[0].due_today_sent_at);
+
+  const status = await t.request('GET', '/api/pickup-reminders/status', { token: admin, store: 'long_beach' });
+  assert.ok(status.body.runs.length >= 4);
+  assert.ok(status.body.runs.every(run => run.store === 'long_beach'));
+});
+
+test('a reminder the outbox gave up on is not queued again by the next run', async () => {
+  const form = await createPickup({ customer_name: 'Gail Giveup', email: 'gail@example.com' });
+  const dueTodayRun = response => response.body.runs.find(run => run.reminderType === 'due_today');
+
+  t.mail.failWith('Mailbox unavailable');
+  try {
+    const first = await t.request('POST', '/api/pickup-reminders/run', { token: admin, store: 'long_beach' });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.ok(dueTodayRun(first).queued.some(queued => queued.id === form.id));
+
+    // Queued but not delivered, so the forms page must not call it sent
+    const queued = await t.db.query('SELECT due_today_sent, due_today_sent_at FROM pickup_forms WHERE id = $1', [form.id]);
+    assert.deepEqual(queued.rows[0], { due_today_sent: true, due_today_sent_at: null });
+
+    // The next attempt is the last one
+    await t.db.query(
+      `UPDATE email_outbox SET max_attempts = attempts + 1, next_attempt_at = NOW()
+       WHERE form_type = 'pickup' AND form_id = $1 AND email_type = 'due_today'`,
+      [form.id]
+    );
+    await processOutbox(t.db);
+  } finally {
+    t.mail.failWith(null);
+  }
+
+  assert.deepEqual((await remindersTo('gail@example.com', 'due_today')).rows, [{ status: 'failed' }]);
+
+  const rerun = await t.request('POST', '/api/pickup-reminders/run', { token: admin, store: 'long_beach' });
+  const again = dueTodayRun(rerun);
+  assert.ok(!again.sent.some(sent => sent.id === form.id));
+  assert.ok(again.skipped.some(skipped => skipped.id === form.id && skipped.reason === 'Due Today email is already in the outbox'));
+  assert.equal((await remindersTo('gail@example.com', 'due_today')).rows.length, 1);
+});
+
+test('running reminders needs permission', async () => {
+  const response = await t.request('POST', '/api/pickup-reminders/run', { token, store: 'long_beach' });
+  assert.equal(response.status, 403);
+});
+
+test('two senders at once claim the form only once', async () => {
+  const form = await createPickup({ customer_name: 'Cora Claim', email: 'cora@example.com', date_stored: '2026-01-05' });
+  const row = (await t.db.query('SELECT * FROM pickup_forms WHERE id = $1', [form.id])).rows[0];
+
+  const results = await Promise.all([
+    queuePickupReminder(t.db, row, 'final_notice', 'long_beach'),
+    queuePickupReminder(t.db, row, 'final_notice', 'long_beach')
+  ]);
+
+  assert.equal(results.filter(result => result.skipped).length, 1);
+  assert.equal(results.filter(result => result.sent).length, 1);
+  assert.equal((await remindersTo('cora@example.com', 'final_notice')).rows.length, 1);
+});
+
+test('a manual send goes out even if the reminder was already sent', async () => {
+  const form = await createPickup({ customer_name: 'Mona Manual', email: 'mona@example.com', date_stored: '2026-01-06' });
+
+  for (let i = 0; i < 2; i++) {
+    const response = await t.request('POST', `/api/customer-forms-unified/send-due-today/${form.id}`, { token, store: 'long_beach' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+  }
+
+  assert.equal((await remindersTo('mona@example.com', 'due_today')).rows.length, 2);
+});
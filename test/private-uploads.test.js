@@ -0,0 +1,123 @@
+// test/private-uploads.test.js
+// Signatures and cash report photos are only served to signed-in users of the
+// owning store (managers for cash photos) or through signed links that expire
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob, createForm } = require('./helpers/harness');
+const { signedUploadUrl } = require('../src/services/storage');
+
+let t;
+let employee;
+let otherStore;
+let manager;
+
+before(async () => {
+  process.env.APP_URL = 'https://lbts.example.org/';
+
+  t = await startTestApp();
+  employee = await t.tokenFor({ username: 'private-employee' });
+  otherStore = await t.tokenFor({ username: 'private-san-pedro', stores: ['san_pedro'] });
+  manager = await t.tokenFor({ username: 'private-manager', role: 'Manager' });
+});
+
+after(async () => {
+  delete process.env.APP_URL;
+  await t.stop();
+});
+
+async function createDonation(fields = {}) {
+  const response = await createForm(t, employee, 'donation', {
+    customer_name: 'Private Donor',
+    phone: '5625550177',
+    donation_description: 'Books',
+    ...fields
+  }, { store: 'long_beach' });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+function getFile(url, token, store = 'long_beach') {
+  return t.request('GET', url.replace(/^\/uploads\//, '/api/files/'), { token, store });
+}
+
+test('signatures are not public', async () => {
+  const { signature_url: url } = await createDonation();
+
+  const response = await fetch(t.baseUrl + url);
+  assert.equal(response.status, 403);
+});
+
+test('signed-in users of the store can open signatures', async () => {
+  const { signature_url: url } = await createDonation();
+
+  const response = await fetch(t.baseUrl + url.replace(/^\/uploads\//, '/api/files/'), {
+    headers: { Authorization: `Bearer ${employee}` }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'image/png');
+
+  assert.equal((await getFile(url, otherStore, 'san_pedro')).status, 404);
+  assert.equal((await getFile(url)).status, 401);
+  assert.equal((await getFile('/uploads/signatures/signature-1-2.png', employee)).status, 404);
+});
+
+test('signed links work until they expire', async () => {
+  const { signature_url: url } = await createDonation();
+
+  const link = await signedUploadUrl(url, 60);
+  assert.equal((await fetch(t.baseUrl + link)).status, 200);
+
+  const tampered = link.replace(/signature=[0-9a-f]/, match => match.slice(0, -1) + (match.endsWith('0') ? '1' : '0'));
+  assert.equal((await fetch(t.baseUrl + tampered)).status, 403);
+
+  const otherFile = link.replace(url, '/uploads/signatures/signature-1-2.png');
+  assert.equal((await fetch(t.baseUrl + otherFile)).status, 403);
+
+  const expired = await signedUploadUrl(url, -1);
+  assert.equal((await fetch(t.baseUrl + expired)).status, 403);
+});
+
+test('receipt emails link to the signature with a signed link', async () => {
+  const form = await createDonation({ email: 'donor@example.com' });
+
+  const email = t.mail.sent.find(message => message.to === 'donor@example.com');
+  assert.ok(email);
+
+  const match = email.html.match(/href="https:\/\/lbts\.example\.org(\/uploads\/signatures\/[^"]+)"/);
+  assert.ok(match, 'signature link in email');
+  assert.ok(match[1].startsWith(`${form.signature_url}?expires=`));
+
+  const response = await fetch(t.baseUrl + match[1].replace(/&amp;/g, '&'));
+  assert.equal(response.status, 200);
+});
+
+test('cash report photos are for managers only', async () => {
+  const form = new FormData();
+  form.append('reportDate', '2026-03-02');
+  form.append('image', imageBlob(), 'cash.png');
+  const uploaded = await t.request('POST', '/api/end-of-day/report/upload-image', { token: manager, store: 'long_beach', body: form });
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+
+  const url = uploaded.body.image.image_data;
+  assert.equal((await fetch(t.baseUrl + url)).status, 403);
+  assert.equal((await getFile(url, employee)).status, 403);
+
+  const response = await getFile(url, manager);
+  assert.equal(response.status, 200);
+
+  // The photo's thumbnail belongs to the same report
+  const thumbnail = await getFile(url.replace('/daily-reports/', '/daily-reports/thumbs/').replace(/\.png$/, '.jpg'), manager);
+  assert.equal(thumbnail.status, 200);
+});
+
+test('other uploads stay public', async () => {
+  const form = new FormData();
+  form.append('price', '12');
+  form.append('pictures', imageBlob(), 'lamp.png');
+  const created = await t.request('POST', '/api/discount-items', { token: employee, store: 'long_beach', body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const response = await fetch(t.baseUrl + created.body.item.picture_urls[0]);
+  assert.equal(response.status, 200);
+});
@@ -0,0 +1,224 @@
+// test/retention.test.js
+// Retention policies decide when soft-deleted records are purged; legal holds
+// keep records regardless, and every purge is recorded
+
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob } = require('./helpers/harness');
+const { getUploadDir, uploadKey } = require('../src/services/storage');
+const { runScheduledRetention } = require('../src/services/retention');
+
+let t;
+let admin;
+let employee;
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+  employee = await t.tokenFor({ username: 'retention-employee' });
+});
+
+after(async () => {
+  delete process.env.RETENTION_RUN_TIME;
+  await t.stop();
+});
+
+// A discount item with a picture, soft-deleted daysAgo days ago
+async function deletedItem(daysAgo) {
+  const form = new FormData();
+  form.append('price', '20');
+  form.append('pictures', imageBlob(), 'table.png');
+  const created = await t.request('POST', '/api/discount-items', { token: employee, store: 'long_beach', body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  await t.db.query(
+    `UPDATE discount_items SET deleted_at = NOW() - make_interval(days => $1) WHERE id = $2`,
+    [daysAgo, created.body.item.id]
+  );
+  return created.body.item;
+}
+
+function stored(url) {
+  return fs.existsSync(path.join(getUploadDir(), uploadKey(url)));
+}
+
+async function preview() {
+  const response = await t.request('GET', '/api/retention/preview', { token: admin });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.results.find(result => result.entity === 'discount_items' && result.store === 'long_beach')
+    || { purged: [], held: [] };
+}
+
+test('the old hard-coded intervals are the default policies', async () => {
+  const response = await t.request('GET', '/api/retention/policies', { token: admin });
+  assert.equal(response.status, 200);
+
+  const defaults = Object.fromEntries(response.body.policies
+    .filter(policy => policy.store === null)
+    .map(policy => [policy.entity, policy.retain_days]));
+  assert.deepEqual(defaults, {
+    daily_report_images: 90,
+    delivery_forms: 7,
+    discount_items: 7,
+    exclusive_items: 7,
+    pickup_forms: 7
+  });
+  assert.ok(response.body.entities.some(entity => entity.entity === 'waiver_forms'));
+
+  assert.equal((await t.request('GET', '/api/retention/policies', { token: employee, store: 'long_beach' })).status, 403);
+});
+
+test('preview lists expired records without deleting them', async () => {
+  const old = await deletedItem(10);
+  const recent = await deletedItem(2);
+
+  const result = await preview();
+  assert.ok(result.purged.includes(old.id));
+  assert.ok(!result.purged.includes(recent.id));
+
+  const still = await t.db.query('SELECT id FROM discount_items WHERE id = $1', [old.id]);
+  assert.equal(still.rows.length, 1);
+});
+
+test('store policies override the default', async () => {
+  const item = await deletedItem(10);
+
+  const saved = await t.request('PUT', '/api/retention/policies/discount_items', {
+    token: admin,
+    body: { store: 'long_beach', retain_days: 30 }
+  });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  assert.ok(!(await preview()).purged.includes(item.id));
+
+  const removed = await t.request('DELETE', '/api/retention/policies/discount_items?store=long_beach', { token: admin });
+  assert.equal(removed.status, 200);
+  assert.ok((await preview()).purged.includes(item.id));
+
+  const invalid = [
+    ['/api/retention/policies/discount_items', { retain_days: -1 }],
+    ['/api/retention/policies/discount_items', { retain_days: 5, store: 'atlantis' }],
+    ['/api/retention/policies/users', { retain_days: 5 }]
+  ];
+  for (const [url, body] of invalid) {
+    assert.equal((await t.request('PUT', url, { token: admin, body })).status, 400, url);
+  }
+});
+
+test('deleted forms can be restored for as long as the store\'s policy keeps them', async () => {
+  const deletedForm = async (name, daysAgo) => {
+    const result = await t.db.query(
+      `INSERT INTO pickup_forms (customer_name, phone, date, store, deleted_at)
+       VALUES ($1, '562-555-0160', CURRENT_DATE, 'long_beach', NOW() - make_interval(days => $2))
+       RETURNING id`,
+      [name, daysAgo]
+    );
+    return result.rows[0].id;
+  };
+  const recentlyDeleted = async () => {
+    const response = await t.request('GET', '/api/customer-forms-unified/pickup/recently-deleted', { token: employee, store: 'long_beach' });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  const setPolicy = async retainDays => {
+    const saved = await t.request('PUT', '/api/retention/policies/pickup_forms', {
+      token: admin,
+      body: { store: 'long_beach', retain_days: retainDays }
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  };
+
+  try {
+    // Kept for 30 days: a form deleted 10 days ago is listed and can be restored
+    await setPolicy(30);
+    const kept = await deletedForm('Kept Longer', 10);
+    let list = await recentlyDeleted();
+    assert.equal(list.restoreDays, 30);
+    assert.equal(Number(list.forms.find(form => form.id === kept).days_remaining), 20);
+
+    const restored = await t.request('POST', `/api/customer-forms-unified/pickup/${kept}/restore`, { token: employee, store: 'long_beach' });
+    assert.equal(restored.status, 200, JSON.stringify(restored.body));
+
+    // Kept for 3 days: a form deleted 5 days ago is due for purging, so it's neither listed nor restorable
+    await setPolicy(3);
+    const expired = await deletedForm('Already Expired', 5);
+    list = await recentlyDeleted();
+    assert.ok(!list.forms.some(form => form.id === expired));
+
+    const refused = await t.request('POST', `/api/customer-forms-unified/pickup/${expired}/restore`, { token: employee, store: 'long_beach' });
+    assert.equal(refused.status, 404);
+    assert.match(refused.body.error, /more than 3 days ago/);
+  } finally {
+    await t.request('DELETE', '/api/retention/policies/pickup_forms?store=long_beach', { token: admin });
+  }
+});
+
+test('a run purges expired records and their files, except those on legal hold', async () => {
+  const purged = await deletedItem(10);
+  const held = await deletedItem(10);
+
+  const hold = await t.request('POST', '/api/retention/holds', {
+    token: admin,
+    body: { entity: 'discount_items', record_id: held.id, reason: 'Insurance claim' }
+  });
+  assert.equal(hold.status, 201, JSON.stringify(hold.body));
+  assert.equal((await t.request('POST', '/api/retention/holds', {
+    token: admin,
+    body: { entity: 'discount_items', record_id: held.id, reason: 'Again' }
+  })).status, 409);
+  assert.ok((await preview()).held.includes(held.id));
+
+  const response = await t.request('POST', '/api/retention/run', { token: admin });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.run.status, 'completed');
+
+  const result = response.body.run.results.find(r => r.entity === 'discount_items' && r.store === 'long_beach');
+  assert.ok(result.purged.includes(purged.id));
+  assert.ok(result.held.includes(held.id));
+
+  const remaining = await t.db.query('SELECT id FROM discount_items WHERE id = ANY($1)', [[purged.id, held.id]]);
+  assert.deepEqual(remaining.rows.map(row => row.id), [held.id]);
+  assert.ok(!stored(purged.picture_urls[0]));
+  assert.ok(stored(held.picture_urls[0]));
+
+  const runs = await t.request('GET', '/api/retention/runs', { token: admin });
+  assert.equal(runs.body[0].id, response.body.run.id);
+  assert.equal(runs.body[0].trigger, 'manual');
+  assert.equal(runs.body[0].started_by_username, 'admin');
+
+  // Released holds no longer protect the record
+  const released = await t.request('DELETE', `/api/retention/holds/${hold.body.hold.id}`, { token: admin });
+  assert.equal(released.status, 200);
+  assert.ok((await preview()).purged.includes(held.id));
+});
+
+test('old cash report photos are purged but the report is kept', async () => {
+  const manager = await t.tokenFor({ username: 'retention-manager', role: 'Manager' });
+  const form = new FormData();
+  form.append('reportDate', '2025-01-06');
+  form.append('image', imageBlob(), 'cash.png');
+  const uploaded = await t.request('POST', '/api/end-of-day/report/upload-image', { token: manager, store: 'long_beach', body: form });
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+  const image = uploaded.body.image;
+
+  const response = await t.request('POST', '/api/retention/run', { token: admin });
+  const result = response.body.run.results.find(r => r.entity === 'daily_report_images');
+  assert.ok(result.purged.includes(image.id));
+  assert.ok(!stored(image.image_data));
+
+  const report = await t.db.query('SELECT id FROM daily_reports WHERE id = $1', [image.report_id]);
+  assert.equal(report.rows.length, 1);
+});
+
+test('the scheduler runs once a day after the run time', async () => {
+  process.env.RETENTION_RUN_TIME = '00:00';
+  const item = await deletedItem(10);
+
+  const run = await runScheduledRetention(t.db);
+  assert.equal(run.trigger, 'scheduled');
+  assert.ok(run.results.some(result => result.purged.includes(item.id)));
+
+  assert.equal(await runScheduledRetention(t.db), null);
+});
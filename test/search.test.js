@@ -0,0 +1,139 @@
+// test/search.test.js
+// Full-text search across forms, communication notes, SOPs, the banned list and voucher contacts
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+const { SEARCH_SOURCES, buildTsQuery } = require('../src/services/search');
+
+let t;
+let token;
+let adminToken;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'search-employee', stores: ['long_beach', 'san_pedro'] });
+  adminToken = (await t.loginAdmin()).token;
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createDonation(fields, store = 'long_beach') {
+  const response = await createForm(t, token, 'donation', fields, { store });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.form;
+}
+
+function search(query, { store = 'long_beach', types } = {}) {
+  const params = new URLSearchParams({ q: query });
+  if (types) params.set('types', types);
+  return t.request('GET', `/api/search?${params}`, { token, store });
+}
+
+test('search text becomes a prefix query, and phone numbers are searched by digits', () => {
+  assert.equal(buildTsQuery('Mall  Ban'), 'mall:* & ban:*');
+  assert.equal(buildTsQuery("O'Brien"), 'o:* & brien:*');
+  assert.equal(buildTsQuery('(562) 555-07'), '56255507:*');
+  assert.equal(buildTsQuery('1-562-555-0700'), '5625550700:*');
+  assert.equal(buildTsQuery(' & | ! '), null);
+});
+
+test('forms are found by customer name, phone number and item description', async () => {
+  const donation = await createDonation({
+    customer_name: 'Harriet Searchable',
+    phone: '562-555-3100',
+    donation_description: 'Walnut dresser with mirror'
+  });
+  await createDonation({
+    customer_name: 'Other Store Harriet',
+    phone: '562-555-3200',
+    donation_description: 'Walnut bookcase'
+  }, 'san_pedro');
+
+  const byName = await search('harriet search');
+  assert.equal(byName.status, 200);
+  assert.equal(byName.body.results.length, 1);
+  assert.deepEqual(
+    { type: byName.body.results[0].type, id: byName.body.results[0].id, url: byName.body.results[0].url },
+    { type: 'donation', id: donation.id, url: `/customer-forms-unified.html?type=donation&id=${donation.id}` }
+  );
+
+  const byPhone = await search('(562) 555-3100');
+  assert.deepEqual(byPhone.body.results.map(result => result.id), [donation.id]);
+
+  // Stemmed: "dressers" finds "dresser"; the other store's walnut bookcase is not returned
+  const byItem = await search('walnut dressers');
+  assert.deepEqual(byItem.body.results.map(result => result.title), ['Harriet Searchable']);
+  assert.match(byItem.body.results[0].snippet, /\*\*Walnut\*\* \*\*dresser\*\*/);
+});
+
+test('notes, SOPs, banned list entries and voucher contacts are searched, names ranked first', async () => {
+  const note = await t.request('POST', '/api/communication', {
+    token,
+    body: { note: 'Forklift inspection is due for the Beacon truck', category: 'General' }
+  });
+  assert.equal(note.status, 201, JSON.stringify(note.body));
+
+  const sop = await t.request('POST', '/api/sops', {
+    token: adminToken,
+    body: { title: 'Forklift Safety', content: '<p>Only trained staff may <b>operate</b> it.</p>' }
+  });
+  assert.equal(sop.status, 201, JSON.stringify(sop.body));
+
+  const banned = await t.request('POST', '/api/banned-list', {
+    token,
+    body: { name: 'Quentin Forklift', aliases: 'Q. Lift', notes: 'Took a pallet jack' }
+  });
+  assert.equal(banned.status, 201, JSON.stringify(banned.body));
+
+  const contact = await t.request('POST', '/api/vouchers/contacts', {
+    token,
+    body: { name: 'Ursula Voucher', referral_agency: 'Forklift Training Center', banned_override: true }
+  });
+  assert.equal(contact.status, 201, JSON.stringify(contact.body));
+
+  const response = await search('forklift');
+  assert.equal(response.status, 200);
+
+  const types = response.body.results.map(result => result.type);
+  assert.deepEqual([...types].sort(), ['banned', 'communication', 'sop', 'voucher_contact']);
+
+  // A match in a name or title outranks one in the notes
+  assert.ok(types.indexOf('banned') < types.indexOf('communication'));
+  assert.ok(types.indexOf('sop') < types.indexOf('voucher_contact'));
+
+  const sopResult = response.body.results.find(result => result.type === 'sop');
+  assert.equal(sopResult.url, `/sops.html?id=${sop.body.sop.id}`);
+  assert.ok(!sopResult.snippet.includes('<p>'));
+
+  const alias = await search('lift', { types: 'banned' });
+  assert.deepEqual(alias.body.results.map(result => result.id), [banned.body.entry.id]);
+});
+
+test('bad search requests are rejected', async () => {
+  const empty = await search('  ');
+  assert.equal(empty.status, 400);
+
+  const badType = await search('walnut', { types: 'pickup,inventory' });
+  assert.equal(badType.status, 400);
+});
+
+test('every search uses its full-text index', async () => {
+  const client = await t.db.connect();
+
+  try {
+    await client.query('SET enable_seqscan = off');
+
+    for (const [type, source] of Object.entries(SEARCH_SOURCES)) {
+      const plan = await client.query(
+        `EXPLAIN SELECT id FROM ${source.table} WHERE ${source.document} @@ to_tsquery('english', 'walnut:*')`
+      );
+      const text = plan.rows.map(row => row['QUERY PLAN']).join('\n');
+      assert.match(text, /_search\b/, `${type} search does not use its index:\n${text}`);
+    }
+  } finally {
+    client.release();
+  }
+});
@@ -0,0 +1,104 @@
+// test/send-emails.test.js
+// Bulk sending receipts for forms that haven't been emailed, with the same
+// store-aware templates and outbox as the customer forms page
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, createForm } = require('./helpers/harness');
+
+let t;
+let admin;
+let token;
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+  token = await t.tokenFor({ username: 'bulk-employee', stores: ['long_beach', 'san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+// Create a form while the mail server is down, so it still needs its receipt
+async function createUnsent(store, type, fields) {
+  t.mail.failWith('SMTP is down');
+  try {
+    const response = await createForm(t, token, type, fields, { store });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    assert.equal(response.body.emailSent, false);
+    return response.body.form;
+  } finally {
+    t.mail.failWith(null);
+  }
+}
+
+function pending(store) {
+  return t.request('GET', '/api/send-emails/pending', { token: admin, store });
+}
+
+test('bulk sending needs permission', async () => {
+  assert.equal((await t.request('GET', '/api/send-emails/pending', { token, store: 'long_beach' })).status, 403);
+  assert.equal((await t.request('POST', '/api/send-emails/send', { token, store: 'long_beach' })).status, 403);
+});
+
+test('pending receipts are counted and sent per store with that store\'s template', async () => {
+  const longBeach = await createUnsent('long_beach', 'waiver', {
+    customer_name: 'Wes Waiver', phone: '562-555-0190', email: 'wes@example.com'
+  });
+  const sanPedro = await createUnsent('san_pedro', 'donation', {
+    customer_name: 'Dana Donor', phone: '310-555-0190', email: 'dana@example.com', donation_description: 'Lamp'
+  });
+
+  assert.deepEqual((await pending('san_pedro')).body, { total: 1, pickup: 0, delivery: 0, donation: 1, waiver: 0 });
+  assert.equal((await pending('long_beach')).body.waiver, 1);
+
+  const response = await t.request('POST', '/api/send-emails/send', { token: admin, store: 'san_pedro' });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.success, 1);
+  assert.equal(response.body.failed, 0);
+  assert.deepEqual(response.body.results.map(result => [result.form_type, result.form_id, result.status]), [
+    ['donation', sanPedro.id, 'sent']
+  ]);
+
+  const sent = t.mail.sent[t.mail.sent.length - 1];
+  assert.equal(sent.to, 'dana@example.com');
+  assert.equal(sent.subject, 'Beacon House - Donation Receipt');
+  assert.match(sent.html, /Beacon House Association of San Pedro/);
+  assert.match(sent.html, /Dana Donor/);
+
+  const donation = await t.db.query('SELECT email_sent FROM donation_forms WHERE id = $1', [sanPedro.id]);
+  assert.equal(donation.rows[0].email_sent, true);
+  assert.equal((await pending('san_pedro')).body.total, 0);
+
+  // The other store's form is left for that store
+  const waiver = await t.db.query('SELECT email_sent FROM waiver_forms WHERE id = $1', [longBeach.id]);
+  assert.equal(waiver.rows[0].email_sent, false);
+  assert.equal((await pending('long_beach')).body.waiver, 1);
+});
+
+test('failed bulk sends are reported per form and retry the queued receipt', async () => {
+  const form = await createUnsent('long_beach', 'waiver', {
+    customer_name: 'Fay Failing', phone: '562-555-0191', email: 'fay@example.com'
+  });
+
+  t.mail.failWith('Mailbox unavailable');
+  let response;
+  try {
+    response = await t.request('POST', '/api/send-emails/send', { token: admin, store: 'long_beach' });
+  } finally {
+    t.mail.failWith(null);
+  }
+
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  const result = response.body.results.find(row => row.form_id === form.id && row.form_type === 'waiver');
+  assert.equal(result.status, 'queued');
+  assert.equal(result.error, 'Mailbox unavailable');
+  assert.ok(response.body.errors.some(error => error.includes(`Waiver form ${form.id} (fay@example.com)`)));
+
+  const outbox = await t.db.query(
+    `SELECT status FROM email_outbox WHERE email_type = 'receipt' AND form_type = 'waiver' AND form_id = $1`,
+    [form.id]
+  );
+  assert.deepEqual(outbox.rows, [{ status: 'queued' }]);
+});
@@ -0,0 +1,198 @@
+// test/storage.test.js
+// Upload storage: the S3 driver against an in-memory S3 stand-in, routes saving
+// and serving pictures through it, and copying local uploads into a bucket
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob } = require('./helpers/harness');
+const { startFakeS3 } = require('./helpers/fake-s3');
+const { createS3Storage } = require('../src/services/storage-s3');
+const { createLocalStorage } = require('../src/services/storage-local');
+const { getStorage, uploadKey, migrateLocalUploads } = require('../src/services/storage');
+
+let t;
+let s3;
+let managerToken;
+
+before(async () => {
+  t = await startTestApp();
+  s3 = await startFakeS3();
+  managerToken = await t.tokenFor({ username: 'storage-manager', role: 'Manager' });
+});
+
+afterEach(() => {
+  delete process.env.STORAGE_DRIVER;
+  s3.objects.clear();
+});
+
+after(async () => {
+  await s3.stop();
+  await t.stop();
+});
+
+function bucketDriver(options = {}) {
+  return createS3Storage({
+    bucket: s3.bucket,
+    region: 'us-east-1',
+    endpoint: s3.endpoint,
+    accessKeyId: s3.accessKeyId,
+    secretAccessKey: s3.secretAccessKey,
+    forcePathStyle: true,
+    ...options
+  });
+}
+
+function banWithPicture() {
+  const form = new FormData();
+  form.append('name', 'Storage Test');
+  form.append('pictures', imageBlob(), 'photo.PNG');
+  return t.request('POST', '/api/banned-list', { token: managerToken, store: 'long_beach', body: form });
+}
+
+test('only /uploads/ URLs inside the upload folder are storage keys', () => {
+  assert.equal(uploadKey('/uploads/pickup/pickup-1-2.jpg'), 'pickup/pickup-1-2.jpg');
+  assert.equal(uploadKey('/uploads/pickup/pickup-1-2.jpg?expires=1'), 'pickup/pickup-1-2.jpg');
+
+  assert.equal(uploadKey('/uploads/../server.js'), null);
+  assert.equal(uploadKey('/uploads/pickup//x.jpg'), null);
+  assert.equal(uploadKey('/uploads/pickup/a b.jpg'), null);
+  assert.equal(uploadKey('data:image/png;base64,AAAA'), null);
+  assert.equal(uploadKey(null), null);
+});
+
+test('the S3 driver stores, lists, signs links to and deletes objects', async () => {
+  const bucket = bucketDriver();
+
+  await bucket.put('signatures/a.png', Buffer.from('first'), { contentType: 'image/png' });
+  await bucket.put('signatures/b.png', Buffer.from('second'));
+  await bucket.put('pickup/c.jpg', Buffer.from('third'));
+
+  assert.equal((await bucket.get('signatures/a.png')).toString(), 'first');
+  assert.equal(s3.objects.get('signatures/a.png').contentType, 'image/png');
+  assert.equal(await bucket.get('signatures/missing.png'), null);
+
+  // Listing follows continuation tokens across pages
+  const all = await bucket.list();
+  assert.deepEqual(all.map(file => file.key).sort(), ['pickup/c.jpg', 'signatures/a.png', 'signatures/b.png']);
+  const signatures = await bucket.list('signatures/');
+  assert.deepEqual(signatures.map(file => [file.key, file.size]), [['signatures/a.png', 5], ['signatures/b.png', 6]]);
+
+  const link = await bucket.signedUrl('signatures/a.png', 60);
+  const download = await fetch(link);
+  assert.equal(download.status, 200);
+  assert.equal(await download.text(), 'first');
+
+  await bucket.remove('signatures/a.png');
+  await bucket.remove('signatures/a.png');
+  assert.equal(s3.objects.has('signatures/a.png'), false);
+});
+
+test('the S3 driver reports errors from the service', async () => {
+  const wrongKey = bucketDriver({ accessKeyId: 'someone-else' });
+  await assert.rejects(wrongKey.put('x.png', Buffer.from('x')), /S3 upload of x.png failed: 403 AccessDenied/);
+
+  const wrongBucket = bucketDriver({ bucket: 'other-bucket' });
+  await assert.rejects(wrongBucket.list(), /S3 listing failed: 404 NoSuchBucket/);
+});
+
+test('uploads are saved to the bucket and served through short-lived links', async () => {
+  s3.useForUploads();
+
+  const created = await banWithPicture();
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const [url] = created.body.entry.picture_urls;
+  assert.match(url, /^\/uploads\/banned-list\/banned-\d+-\d+\.png$/);
+  assert.ok(s3.objects.has(uploadKey(url)));
+  assert.equal(fs.existsSync(path.join(process.env.UPLOAD_DIR, uploadKey(url))), false);
+
+  // /uploads/... redirects to a presigned bucket link
+  const response = await fetch(t.baseUrl + url, { redirect: 'manual' });
+  assert.equal(response.status, 302);
+  const location = response.headers.get('location');
+  assert.ok(location.startsWith(`${s3.endpoint}/${s3.bucket}/banned-list/`));
+  assert.match(location, /X-Amz-Expires=900/);
+
+  const image = await fetch(location);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('content-type'), 'image/png');
+
+  // Removing the picture from the entry deletes the object
+  const form = new FormData();
+  form.append('name', 'Storage Test');
+  form.append('photos_to_delete', JSON.stringify([url]));
+  const updated = await t.request('PUT', `/api/banned-list/${created.body.entry.id}`, {
+    token: managerToken, store: 'long_beach', body: form
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.deepEqual(updated.body.entry.picture_urls, []);
+  assert.equal(s3.objects.has(uploadKey(url)), false);
+});
+
+test('failed requests remove what was uploaded', async () => {
+  s3.useForUploads();
+
+  const form = new FormData();
+  form.append('pictures', imageBlob(), 'photo.png');
+  const response = await t.request('POST', '/api/banned-list', { token: managerToken, store: 'long_beach', body: form });
+
+  assert.equal(response.status, 400);
+
+  // Routes don't wait for the delete before responding
+  for (let i = 0; i < 20 && s3.objects.size > 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  assert.equal(s3.objects.size, 0);
+});
+
+test('local uploads are still served from the upload folder', async () => {
+  const created = await banWithPicture();
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const [url] = created.body.entry.picture_urls;
+  assert.equal(getStorage().name, 'local');
+  assert.ok(fs.existsSync(path.join(process.env.UPLOAD_DIR, uploadKey(url))));
+
+  const response = await fetch(t.baseUrl + url);
+  assert.equal(response.status, 200);
+  assert.equal((await response.arrayBuffer()).byteLength, fs.statSync(path.join(process.env.UPLOAD_DIR, uploadKey(url))).size);
+
+  const missing = await fetch(t.baseUrl + '/uploads/banned-list/missing.png');
+  assert.equal(missing.status, 404);
+});
+
+test('local uploads are copied into the bucket once, keeping their paths', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lbts-uploads-'));
+  const source = createLocalStorage({ root });
+  const bucket = bucketDriver();
+
+  try {
+    await source.put('signatures/signature-1.png', Buffer.from('sig'));
+    await source.put('pickup/pickup-1.jpg', Buffer.from('photo'));
+    await source.put('daily-reports/report-1.jpeg', Buffer.from('cash'));
+    fs.writeFileSync(path.join(root, 'pickup', '.gitkeep'), '');
+
+    const dryRun = await migrateLocalUploads(bucket, { source, dryRun: true });
+    assert.equal(dryRun.copied.length, 3);
+    assert.equal(s3.objects.size, 0);
+
+    const first = await migrateLocalUploads(bucket, { source });
+    assert.deepEqual(first.copied.sort(), ['daily-reports/report-1.jpeg', 'pickup/pickup-1.jpg', 'signatures/signature-1.png']);
+    assert.deepEqual(first.failed, []);
+    assert.equal(s3.objects.get('pickup/pickup-1.jpg').body.toString(), 'photo');
+    assert.equal(s3.objects.get('pickup/pickup-1.jpg').contentType, 'image/jpeg');
+
+    // A second run skips what's already there and can clear the local copies
+    await source.put('pickup/pickup-2.jpg', Buffer.from('new'));
+    const second = await migrateLocalUploads(bucket, { source, deleteLocal: true });
+    assert.deepEqual(second.copied, ['pickup/pickup-2.jpg']);
+    assert.equal(second.skipped.length, 3);
+    assert.deepEqual(await source.list(), []);
+    assert.equal(s3.objects.size, 4);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
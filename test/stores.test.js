@@ -0,0 +1,182 @@
+// test/stores.test.js
+// Store scoping: users only see and write data for the stores they are assigned to
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob, createForm } = require('./helpers/harness');
+
+let t;
+let admin;
+let longBeachOnly;
+let sanPedroOnly;
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+  longBeachOnly = await t.tokenFor({ username: 'lb-employee', stores: ['long_beach'] });
+  sanPedroOnly = await t.tokenFor({ username: 'sp-employee', stores: ['san_pedro'] });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+test('a user without a store header works in their assigned store', async () => {
+  await t.request('POST', '/api/vouchers/contacts', {
+    token: sanPedroOnly,
+    body: { name: 'Default Store Contact' }
+  });
+
+  const contacts = await t.request('GET', '/api/vouchers/contacts', { token: sanPedroOnly, store: 'san_pedro' });
+  assert.ok(contacts.body.contacts.some(c => c.name === 'Default Store Contact'));
+});
+
+test('a user cannot use a store they are not assigned to', async () => {
+  const response = await t.request('GET', '/api/vouchers/contacts', {
+    token: longBeachOnly,
+    store: 'san_pedro'
+  });
+
+  assert.equal(response.status, 403);
+});
+
+test('an unknown store is rejected', async () => {
+  const response = await t.request('GET', '/api/vouchers/contacts', {
+    token: admin,
+    store: 'nowhere'
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test('admins can use every store', async () => {
+  for (const store of ['long_beach', 'san_pedro']) {
+    const response = await t.request('GET', '/api/vouchers/contacts', { token: admin, store });
+    assert.equal(response.status, 200);
+  }
+});
+
+test('records created in one store are not listed in another', async () => {
+  await t.request('POST', '/api/vouchers/contacts', {
+    token: longBeachOnly,
+    store: 'long_beach',
+    body: { name: 'Long Beach Contact' }
+  });
+  await t.request('POST', '/api/vouchers/contacts', {
+    token: sanPedroOnly,
+    store: 'san_pedro',
+    body: { name: 'San Pedro Contact' }
+  });
+
+  const longBeach = await t.request('GET', '/api/vouchers/contacts', { token: admin, store: 'long_beach' });
+  const sanPedro = await t.request('GET', '/api/vouchers/contacts', { token: admin, store: 'san_pedro' });
+
+  const longBeachNames = longBeach.body.contacts.map(c => c.name);
+  const sanPedroNames = sanPedro.body.contacts.map(c => c.name);
+
+  assert.ok(longBeachNames.includes('Long Beach Contact'));
+  assert.ok(!longBeachNames.includes('San Pedro Contact'));
+  assert.ok(sanPedroNames.includes('San Pedro Contact'));
+  assert.ok(!sanPedroNames.includes('Long Beach Contact'));
+});
+
+test('store list only shows the stores a user is assigned to', async () => {
+  const response = await t.request('GET', '/api/stores', { token: longBeachOnly });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.map(store => store.code), ['long_beach']);
+});
+
+test('forms from another store cannot be edited, deleted, restored, converted or re-emailed', async () => {
+  const created = await createForm(t, longBeachOnly, 'pickup', {
+    customer_name: 'Store Scoped Customer',
+    phone: '562-555-0142',
+    email: 'scoped@example.com',
+    items_description: 'Dresser',
+    date_purchased: '2026-03-02',
+    date_stored: '2026-03-09'
+  }, { store: 'long_beach' });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const id = created.body.form.id;
+
+  const sanPedroManager = await t.tokenFor({ username: 'sp-manager', role: 'Manager', stores: ['san_pedro'] });
+  const as = { token: sanPedroManager, store: 'san_pedro' };
+
+  const edit = new FormData();
+  edit.append('customer_name', 'Changed Elsewhere');
+  edit.append('phone', '562-555-0143');
+  edit.append('date_stored', '2026-03-10');
+  assert.equal((await t.request('PUT', `/api/customer-forms-unified/pickup/${id}`, { ...as, body: edit })).status, 404);
+
+  assert.equal((await t.request('POST', `/api/customer-forms-unified/retry-email/pickup/${id}`, as)).status, 404);
+
+  const convert = new FormData();
+  convert.append('from_type', 'pickup');
+  convert.append('to_type', 'delivery');
+  convert.append('form_id', String(id));
+  convert.append('delivery_address', '1 Harbor Way');
+  convert.append('delivery_cost', '50');
+  convert.append('date_scheduled', '2026-03-12');
+  convert.append('signature', imageBlob(), 'signature.png');
+  assert.equal((await t.request('POST', '/api/customer-forms-unified/convert', { ...as, body: convert })).status, 404);
+
+  assert.equal((await t.request('DELETE', `/api/customer-forms-unified/pickup/${id}`, as)).status, 404);
+
+  let row = await t.db.query('SELECT customer_name, deleted_at FROM pickup_forms WHERE id = $1', [id]);
+  assert.equal(row.rows[0].customer_name, 'Store Scoped Customer');
+  assert.equal(row.rows[0].deleted_at, null);
+
+  // Deleted in its own store, it still can't be restored from another
+  await t.db.query('UPDATE pickup_forms SET deleted_at = NOW() WHERE id = $1', [id]);
+  assert.equal((await t.request('POST', `/api/customer-forms-unified/pickup/${id}/restore`, as)).status, 404);
+
+  row = await t.db.query('SELECT deleted_at FROM pickup_forms WHERE id = $1', [id]);
+  assert.notEqual(row.rows[0].deleted_at, null);
+
+  const converted = await t.db.query('SELECT id FROM delivery_forms WHERE customer_name = $1', ['Store Scoped Customer']);
+  assert.equal(converted.rows.length, 0);
+});
+
+test('notes, SOPs and voucher contacts are only reachable by id in their own store', async () => {
+  const inLongBeach = { token: admin, store: 'long_beach' };
+  const inSanPedro = { token: admin, store: 'san_pedro' };
+
+  const sop = await t.request('POST', '/api/sops', { ...inLongBeach, body: { title: 'Opening', content: 'Unlock the doors' } });
+  assert.equal(sop.status, 201, JSON.stringify(sop.body));
+  const sopId = sop.body.sop.id;
+
+  assert.equal((await t.request('GET', `/api/sops/${sopId}`, inSanPedro)).status, 404);
+  assert.equal((await t.request('PUT', `/api/sops/${sopId}`, { ...inSanPedro, body: { title: 'Changed', content: 'Changed' } })).status, 404);
+  assert.equal((await t.request('DELETE', `/api/sops/${sopId}`, inSanPedro)).status, 404);
+  assert.equal((await t.request('GET', `/api/sops/${sopId}`, inLongBeach)).body.title, 'Opening');
+
+  const noteForm = new FormData();
+  noteForm.append('note', 'Back door sticks');
+  const note = await t.request('POST', '/api/communication', { ...inLongBeach, body: noteForm });
+  assert.equal(note.status, 201, JSON.stringify(note.body));
+  const noteId = note.body.entry.id;
+
+  assert.equal((await t.request('GET', `/api/communication/${noteId}`, inSanPedro)).status, 404);
+  assert.equal((await t.request('DELETE', `/api/communication/${noteId}`, inSanPedro)).status, 404);
+  assert.equal((await t.request('POST', `/api/communication/${noteId}/comments`, { ...inSanPedro, body: { comment: 'Hi' } })).status, 404);
+
+  const contact = await t.request('POST', '/api/vouchers/contacts', { ...inLongBeach, body: { name: 'Voucher Holder' } });
+  assert.equal(contact.status, 201, JSON.stringify(contact.body));
+  const contactId = contact.body.contact.id;
+
+  assert.equal((await t.request('GET', `/api/vouchers/contacts/${contactId}`, inSanPedro)).status, 404);
+  assert.equal((await t.request('PUT', `/api/vouchers/contacts/${contactId}`, { ...inSanPedro, body: { name: 'Changed' } })).status, 404);
+  assert.equal((await t.request('DELETE', `/api/vouchers/contacts/${contactId}`, inSanPedro)).status, 404);
+  assert.equal((await t.request('POST', '/api/vouchers/usage', {
+    ...inSanPedro, body: { contact_id: contactId, date_used: '2026-03-10' }
+  })).status, 404);
+
+  const rows = await t.db.query(
+    `SELECT (SELECT COUNT(*) FROM sops WHERE id = $1)::int AS sops,
+            (SELECT COUNT(*) FROM communication_log WHERE id = $2 AND deleted_at IS NULL)::int AS notes,
+            (SELECT COUNT(*) FROM voucher_contacts WHERE id = $3 AND deleted_at IS NULL AND name = 'Voucher Holder')::int AS contacts,
+            (SELECT COUNT(*) FROM voucher_usage WHERE contact_id = $3)::int AS usage`,
+    [sopId, noteId, contactId]
+  );
+  assert.deepEqual(rows.rows[0], { sops: 1, notes: 1, contacts: 1, usage: 0 });
+});
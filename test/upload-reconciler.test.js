@@ -0,0 +1,159 @@
+// test/upload-reconciler.test.js
+// The reconciler finds files no record uses and records whose files are gone,
+// and quarantines or deletes the orphans
+
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, imageBlob } = require('./helpers/harness');
+const { getUploadDir, uploadKey, thumbnailUrl } = require('../src/services/storage');
+const { reconcileUploads } = require('../src/services/upload-reconciler');
+
+let t;
+let admin;
+let employee;
+
+before(async () => {
+  t = await startTestApp();
+  admin = (await t.loginAdmin()).token;
+  employee = await t.tokenFor({ username: 'reconcile-employee' });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createItem() {
+  const form = new FormData();
+  form.append('price', '15');
+  form.append('pictures', imageBlob(), 'chair.png');
+  const created = await t.request('POST', '/api/discount-items', { token: employee, store: 'long_beach', body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.item;
+}
+
+// A file in the upload folder that no record uses, last modified minutesAgo
+function writeOrphan(key, minutesAgo) {
+  const file = path.join(getUploadDir(), key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, 'orphan');
+
+  const time = new Date(Date.now() - minutesAgo * 60 * 1000);
+  fs.utimesSync(file, time, time);
+  return file;
+}
+
+function stored(key) {
+  return fs.existsSync(path.join(getUploadDir(), key));
+}
+
+test('reports orphans and missing files, leaving used files and new uploads alone', async () => {
+  const item = await createItem();
+  writeOrphan('discount-items/discount-old-1.jpg', 120);
+  writeOrphan('discount-items/discount-new-1.jpg', 5);
+  await t.db.query(
+    `UPDATE discount_items SET picture_urls = array_append(picture_urls, '/uploads/discount-items/gone.jpg') WHERE id = $1`,
+    [item.id]
+  );
+
+  const response = await t.request('GET', '/api/upload-maintenance/report', { token: admin });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+
+  const orphans = response.body.orphans.map(orphan => orphan.key);
+  assert.ok(orphans.includes('discount-items/discount-old-1.jpg'));
+  assert.ok(!orphans.includes('discount-items/discount-new-1.jpg'));
+  assert.ok(!orphans.includes(uploadKey(item.picture_urls[0])));
+  assert.ok(!orphans.includes(uploadKey(thumbnailUrl(item.picture_urls[0]))));
+
+  assert.deepEqual(
+    response.body.dangling.filter(reference => reference.table === 'discount_items'),
+    [{ url: '/uploads/discount-items/gone.jpg', table: 'discount_items', column: 'picture_urls', id: String(item.id) }]
+  );
+
+  // Reporting changes nothing
+  assert.ok(stored('discount-items/discount-old-1.jpg'));
+
+  const withoutGrace = await t.request('GET', '/api/upload-maintenance/report?min_age_minutes=0', { token: admin });
+  assert.ok(withoutGrace.body.orphans.some(orphan => orphan.key === 'discount-items/discount-new-1.jpg'));
+});
+
+test('photos in inventory log tables that were never archived are in use', async () => {
+  // Databases that skipped archiving them in migration 013 still serve /api/inventory-log
+  await t.db.query('ALTER TABLE pickup_inventory_archived RENAME TO pickup_inventory');
+  try {
+    await t.db.query(`ALTER TABLE pickup_inventory ADD COLUMN IF NOT EXISTS store VARCHAR(20) NOT NULL DEFAULT 'long_beach'`);
+
+    const form = new FormData();
+    form.append('customer_name', 'Ivy Inventory');
+    form.append('phone', '562-555-0150');
+    form.append('date_purchased', '2026-03-02');
+    form.append('date_stored', '2026-03-09');
+    form.append('pictures', imageBlob(), 'lamp.png');
+    const created = await t.request('POST', '/api/inventory-log/pickup', { token: employee, store: 'long_beach', body: form });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+
+    const result = await reconcileUploads(t.db, { minAgeMinutes: 0 });
+    assert.ok(!result.orphans.some(orphan => orphan.key === uploadKey(created.body.item.picture_urls[0])));
+  } finally {
+    await t.db.query('ALTER TABLE pickup_inventory RENAME TO pickup_inventory_archived');
+  }
+});
+
+test('thumbnails of deleted pictures are orphans', async () => {
+  const item = await createItem();
+  const key = uploadKey(item.picture_urls[0]);
+  const thumbnail = uploadKey(thumbnailUrl(item.picture_urls[0]));
+  await t.db.query('UPDATE discount_items SET picture_urls = $1 WHERE id = $2', [[], item.id]);
+
+  const result = await reconcileUploads(t.db, { minAgeMinutes: 0 });
+  const orphans = result.orphans.map(orphan => orphan.key);
+  assert.ok(orphans.includes(key));
+  assert.ok(orphans.includes(thumbnail));
+});
+
+test('quarantined orphans are only visible to admins', async () => {
+  writeOrphan('exclusive/exclusive-quarantine-1.png', 120);
+
+  const response = await t.request('POST', '/api/upload-maintenance/reconcile', {
+    token: admin,
+    body: { action: 'quarantine' }
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.ok(response.body.quarantined.includes('exclusive/exclusive-quarantine-1.png'));
+  assert.ok(!stored('exclusive/exclusive-quarantine-1.png'));
+
+  const date = new Date().toISOString().slice(0, 10);
+  const key = `quarantine/${date}/exclusive/exclusive-quarantine-1.png`;
+  assert.ok(stored(key));
+
+  assert.equal((await fetch(`${t.baseUrl}/uploads/${key}`)).status, 403);
+  assert.equal((await t.request('GET', `/api/files/${key}`, { token: employee, store: 'long_beach' })).status, 403);
+  assert.equal((await t.request('GET', `/api/files/${key}`, { token: admin })).status, 200);
+
+  // Quarantined files aren't scanned again
+  const report = await reconcileUploads(t.db, { minAgeMinutes: 0 });
+  assert.ok(!report.orphans.some(orphan => orphan.key.startsWith('quarantine/')));
+
+  const audit = await t.db.query(`SELECT action FROM audit_events WHERE entity = 'uploads'`);
+  assert.deepEqual(audit.rows.map(row => row.action), ['quarantine']);
+});
+
+test('orphans can be deleted, and only admins may reconcile', async () => {
+  writeOrphan('communication/comm-delete-1.jpg', 120);
+
+  assert.equal((await t.request('GET', '/api/upload-maintenance/report', { token: employee, store: 'long_beach' })).status, 403);
+  assert.equal((await t.request('POST', '/api/upload-maintenance/reconcile', { token: admin, body: { action: 'purge' } })).status, 400);
+  assert.equal((await t.request('POST', '/api/upload-maintenance/reconcile', {
+    token: admin,
+    body: { action: 'delete', min_age_minutes: -1 }
+  })).status, 400);
+
+  const response = await t.request('POST', '/api/upload-maintenance/reconcile', {
+    token: admin,
+    body: { action: 'delete', min_age_minutes: 60 }
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.ok(response.body.deleted.includes('communication/comm-delete-1.jpg'));
+  assert.ok(!stored('communication/comm-delete-1.jpg'));
+});
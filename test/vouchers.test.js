@@ -0,0 +1,101 @@
+// test/vouchers.test.js
+// Voucher contacts and voucher usage
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/harness');
+
+let t;
+let token;
+
+before(async () => {
+  t = await startTestApp();
+  token = await t.tokenFor({ username: 'voucher-employee' });
+});
+
+after(async () => {
+  await t.stop();
+});
+
+async function createContact(body) {
+  const response = await t.request('POST', '/api/vouchers/contacts', { token, body });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.contact;
+}
+
+test('a contact needs a name', async () => {
+  const response = await t.request('POST', '/api/vouchers/contacts', { token, body: { name: '  ' } });
+  assert.equal(response.status, 400);
+});
+
+test('contacts can be created, edited and deleted', async () => {
+  const contact = await createContact({
+    name: 'John Client',
+    referral_agency: 'Harbor Interfaith',
+    case_manager_name: 'Pat Manager',
+    case_manager_phone: '562-555-0111'
+  });
+  assert.equal(contact.name, 'John Client');
+
+  const update = await t.request('PUT', `/api/vouchers/contacts/${contact.id}`, {
+    token,
+    body: { name: 'John Q. Client', referral_agency: 'Harbor Interfaith' }
+  });
+  assert.equal(update.status, 200);
+  assert.equal(update.body.contact.name, 'John Q. Client');
+  assert.equal(update.body.contact.case_manager_name, null);
+
+  const del = await t.request('DELETE', `/api/vouchers/contacts/${contact.id}`, { token });
+  assert.equal(del.status, 200);
+
+  const list = await t.request('GET', '/api/vouchers/contacts', { token });
+  assert.ok(!list.body.contacts.some(c => c.id === contact.id));
+
+  const details = await t.request('GET', `/api/vouchers/contacts/${contact.id}`, { token });
+  assert.equal(details.status, 404);
+});
+
+test('voucher usage is counted per contact and can be removed', async () => {
+  const contact = await createContact({ name: 'Usage Client' });
+
+  const first = await t.request('POST', '/api/vouchers/usage', {
+    token,
+    body: { contact_id: contact.id, date_used: '2026-04-01' }
+  });
+  const second = await t.request('POST', '/api/vouchers/usage', {
+    token,
+    body: { contact_id: contact.id, date_used: '2026-04-15' }
+  });
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+
+  let details = await t.request('GET', `/api/vouchers/contacts/${contact.id}`, { token });
+  assert.equal(Number(details.body.contact.voucher_count), 2);
+  assert.equal(details.body.usage[0].created_by_username, 'voucher-employee');
+
+  const del = await t.request('DELETE', `/api/vouchers/usage/${first.body.usage.id}`, { token });
+  assert.equal(del.status, 200);
+
+  details = await t.request('GET', `/api/vouchers/contacts/${contact.id}`, { token });
+  assert.equal(Number(details.body.contact.voucher_count), 1);
+});
+
+test('usage needs an existing contact and a date', async () => {
+  const noDate = await t.request('POST', '/api/vouchers/usage', { token, body: { contact_id: 1 } });
+  assert.equal(noDate.status, 400);
+
+  const noContact = await t.request('POST', '/api/vouchers/usage', {
+    token,
+    body: { contact_id: 999999, date_used: '2026-04-01' }
+  });
+  assert.equal(noContact.status, 404);
+});
+
+test('archived contacts are admin only', async () => {
+  const denied = await t.request('GET', '/api/vouchers/archived/contacts', { token });
+  assert.equal(denied.status, 403);
+
+  const admin = await t.loginAdmin();
+  const allowed = await t.request('GET', '/api/vouchers/archived/contacts', { token: admin.token });
+  assert.equal(allowed.status, 200);
+});